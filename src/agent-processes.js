@@ -0,0 +1,111 @@
+/**
+ * Agent Processes for COMA
+ * Spawns agent processes in their own process group, so stopping an agent stops
+ * everything it started, and tears down every group still running when the
+ * validator exits, crashes or is interrupted
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+
+// Debug logging utility
+function debugLog(message) {
+  const logPath = process.env.CLAUDE_COMA_DEBUG;
+  if (logPath) {
+    const timestamp = new Date().toISOString();
+    const pid = process.pid;
+    const logEntry = `${timestamp} [${pid}] AGENT-PROCESSES: ${message}\n`;
+    fs.appendFile(logPath, logEntry).catch(() => {});
+  }
+}
+
+// How long a stopped agent gets to exit after SIGTERM before it is killed
+export const KILL_GRACE_MS = 2000;
+
+// Process groups are a POSIX feature; on Windows only the child itself can be signalled
+const USE_PROCESS_GROUPS = process.platform !== 'win32';
+
+// Signals that end the validator; agents are torn down first
+const TERMINATING_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+const running = new Set();
+let cleanupInstalled = false;
+
+/**
+ * Send signal to the child's whole process group. Returns false if it was already gone.
+ */
+export function killProcessTree(child, signal = 'SIGTERM') {
+  if (!child.pid) return false;
+  try {
+    if (USE_PROCESS_GROUPS) {
+      process.kill(-child.pid, signal);
+    } else {
+      child.kill(signal);
+    }
+    return true;
+  } catch (error) {
+    if (error.code === 'ESRCH') return false;
+    throw error;
+  }
+}
+
+/**
+ * Stop an agent: SIGTERM its process group, then SIGKILL whatever is left after KILL_GRACE_MS
+ */
+export function stopAgentProcess(child, graceMs = KILL_GRACE_MS) {
+  if (!killProcessTree(child, 'SIGTERM')) return;
+  debugLog(`Sent SIGTERM to agent process group ${child.pid}`);
+
+  // The group may outlive its leader, so escalate even if the child has exited
+  const escalate = setTimeout(() => {
+    if (killProcessTree(child, 'SIGKILL')) {
+      debugLog(`Agent process group ${child.pid} still running after ${graceMs}ms, sent SIGKILL`);
+    }
+  }, graceMs);
+  escalate.unref();
+}
+
+/**
+ * Kill every agent process group still running. Synchronous, so it is safe in an exit handler.
+ */
+export function killAllAgentProcesses(signal = 'SIGKILL') {
+  for (const child of running) {
+    if (killProcessTree(child, signal)) {
+      debugLog(`Sent ${signal} to agent process group ${child.pid}`);
+    }
+  }
+  running.clear();
+}
+
+function installCleanup() {
+  if (cleanupInstalled) return;
+  cleanupInstalled = true;
+
+  // Normal exits, process.exit() and uncaught exceptions all emit "exit"
+  process.on('exit', () => killAllAgentProcesses());
+
+  for (const signal of TERMINATING_SIGNALS) {
+    process.once(signal, () => {
+      debugLog(`Received ${signal}, stopping ${running.size} agent process group(s)`);
+      killAllAgentProcesses();
+      // Die of the same signal, so whoever waits on the validator sees it was interrupted
+      process.kill(process.pid, signal);
+    });
+  }
+}
+
+/**
+ * spawn() for agents: the child leads a new process group, and is tracked until
+ * it exits so the validator never leaves it behind
+ */
+export function spawnAgentProcess(command, args, options = {}) {
+  installCleanup();
+  const child = spawn(command, args, { ...options, detached: USE_PROCESS_GROUPS });
+  if (child.pid) {
+    running.add(child);
+    debugLog(`Spawned agent process group ${child.pid}: ${command}`);
+  }
+  // close, not exit: the streams stay open while anything in the group still holds them
+  child.on('close', () => running.delete(child));
+  return child;
+}
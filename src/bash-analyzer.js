@@ -0,0 +1,708 @@
+/**
+ * Bash Analyzer for COMA
+ * Classifies a Bash tool command as read-only, writing to known paths, or opaque
+ */
+
+import path from 'path';
+import os from 'os';
+
+export const BASH_KINDS = ['read-only', 'writes', 'opaque'];
+
+// Commands that never modify files, unless given one of their UNSAFE_OPTIONS
+const READ_ONLY_COMMANDS = new Set([
+  'ls', 'cat', 'head', 'tail', 'less', 'more', 'grep', 'egrep', 'fgrep', 'rg', 'ag', 'wc',
+  'echo', 'printf', 'pwd', 'which', 'type', 'whoami', 'id', 'date', 'stat', 'file', 'du', 'df',
+  'diff', 'cmp', 'comm', 'tree', 'true', 'false', 'test', '[', 'basename', 'dirname', 'realpath',
+  'readlink', 'cut', 'tr', 'nl', 'column', 'jq', 'uname', 'hostname', 'printenv', 'ps', 'uptime',
+  'sha1sum', 'sha256sum', 'md5sum', 'shasum', 'cksum', 'od', 'hexdump', 'strings', 'join',
+  'paste', 'fold', 'fmt', 'rev', 'tac', 'seq', 'sleep', 'exit', 'export', 'unset', 'set',
+  'alias', 'history', 'man', 'help', 'cd', 'pushd', 'popd'
+]);
+
+// Options that make a read-only command write files, run commands or change the system
+const UNSAFE_OPTIONS = {
+  tree: ['-o'], rg: ['--pre'], ag: ['--pager'], date: ['-s', '--set'], less: ['-o', '-O', '--log-file', '--LOG-FILE'],
+  man: ['-P', '--pager', '-H', '--html'], file: ['-C', '--compile'], hostname: ['-F', '--file', '-b', '--boot'],
+  history: ['-w', '-a', '-r', '-n', '-c', '-d']
+};
+
+// Commands that only run the command that follows them (with the options that take a value)
+const WRAPPER_COMMANDS = {
+  command: [], builtin: [], nohup: [], time: [], exec: [],
+  nice: ['-n'], env: ['-u', '-C'], timeout: ['-s', '-k', '--signal', '--kill-after']
+};
+
+// Commands that write every non-option argument (with the options that take a value)
+const TOUCH_STYLE_COMMANDS = {
+  touch: ['-d', '-t', '-r'], mkdir: ['-m'], rm: [], rmdir: [], unlink: [], shred: ['-n', '-s'],
+  truncate: ['-s', '-r']
+};
+
+// Git subcommands that only read the repository. add, commit, config, fetch and
+// the like are not here: they change the index, run hooks or set what runs next.
+const GIT_READ_ONLY = new Set([
+  'status', 'log', 'diff', 'show', 'blame', 'rev-parse', 'ls-files', 'ls-tree', 'grep',
+  'describe', 'shortlog', 'reflog', 'cat-file', 'help', 'version', 'whatchanged', 'name-rev',
+  'merge-base', 'count-objects', 'show-ref', 'for-each-ref', 'rev-list', 'check-ignore'
+]);
+
+// Git global options that take a value
+const GIT_VALUE_OPTIONS = new Set(['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--config-env']);
+
+// Git options that set configuration (and so which pager, diff driver or hook runs),
+// and subcommand options that run such commands or write files
+const GIT_UNSAFE_GLOBAL_OPTIONS = ['-c', '--config-env', '--exec-path'];
+const GIT_UNSAFE_OPTIONS = ['--output', '--ext-diff', '--textconv', '--open-files-in-pager'];
+
+// Shell keywords that introduce (rather than are) a command
+const LEADING_KEYWORDS = new Set(['if', 'then', 'else', 'elif', 'while', 'until', 'do', '{', '}', '!', 'time']);
+const SKIPPED_KEYWORDS = new Set(['fi', 'done', 'esac', 'for', 'select', 'case', 'function', 'in']);
+
+const NULL_TARGETS = new Set(['/dev/null', '/dev/stdout', '/dev/stderr', '/dev/tty']);
+
+class OpaqueCommand extends Error {}
+
+/**
+ * Split a command string into word, operator and redirection tokens.
+ * Words carry flags: expansion ($VAR), substitution ($(...), `...`), glob (unquoted wildcards).
+ * Heredoc bodies are skipped.
+ */
+export function tokenizeShell(command) {
+  const tokens = [];
+  const pendingHeredocs = [];
+  let i = 0;
+
+  const isBoundary = (char) => char === undefined || /[\s|&;()<>]/.test(char);
+
+  const skipHeredocBodies = () => {
+    while (pendingHeredocs.length > 0) {
+      const { delimiter, stripTabs } = pendingHeredocs.shift();
+      while (i < command.length) {
+        const end = command.indexOf('\n', i);
+        const line = command.substring(i, end === -1 ? command.length : end);
+        i = end === -1 ? command.length : end + 1;
+        if ((stripTabs ? line.replace(/^\t+/, '') : line) === delimiter) break;
+      }
+    }
+  };
+
+  const readBalanced = (open, close) => {
+    // i is just past the opening character
+    let depth = 1;
+    while (i < command.length && depth > 0) {
+      const char = command[i];
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+      if (char === "'") {
+        const end = command.indexOf("'", i + 1);
+        i = end === -1 ? command.length : end + 1;
+        continue;
+      }
+      if (char === open) depth++;
+      if (char === close) depth--;
+      i++;
+    }
+  };
+
+  const readWord = () => {
+    const word = { type: 'word', value: '', pattern: '', expansion: false, substitution: false, glob: false, quoted: false };
+    const append = (text, literal) => {
+      word.value += text;
+      // Pattern form: quoted text escaped so it cannot act as a glob
+      word.pattern += literal ? text.replace(/[*?[\]{}\\!]/g, '\\$&') : text;
+    };
+
+    while (i < command.length && !isBoundary(command[i])) {
+      const char = command[i];
+
+      if (char === "'") {
+        const end = command.indexOf("'", i + 1);
+        const text = command.substring(i + 1, end === -1 ? command.length : end);
+        append(text, true);
+        word.quoted = true;
+        i = end === -1 ? command.length : end + 1;
+      } else if (char === '"') {
+        word.quoted = true;
+        i++;
+        while (i < command.length && command[i] !== '"') {
+          if (command[i] === '\\' && /[$`"\\\n]/.test(command[i + 1])) {
+            append(command[i + 1], true);
+            i += 2;
+          } else if (command[i] === '$' || command[i] === '`') {
+            readDollarOrBacktick(word);
+          } else {
+            append(command[i], true);
+            i++;
+          }
+        }
+        i++;
+      } else if (char === '\\') {
+        if (command[i + 1] !== '\n') append(command[i + 1] ?? '', true);
+        i += 2;
+      } else if (char === '$' || char === '`') {
+        readDollarOrBacktick(word);
+      } else {
+        if (/[*?[]/.test(char)) word.glob = true;
+        if (char === '{' && /^\{[^}]*,[^}]*\}/.test(command.substring(i))) word.glob = true;
+        append(char, false);
+        i++;
+      }
+    }
+    return word;
+  };
+
+  const readDollarOrBacktick = (word) => {
+    const start = i;
+    if (command[i] === '`') {
+      const end = command.indexOf('`', i + 1);
+      i = end === -1 ? command.length : end + 1;
+      word.substitution = true;
+    } else if (command[i + 1] === '(') {
+      i += 2;
+      readBalanced('(', ')');
+      word.substitution = true;
+    } else if (command[i + 1] === '{') {
+      i += 2;
+      readBalanced('{', '}');
+      word.expansion = true;
+    } else if (/[A-Za-z_0-9@*#?$!-]/.test(command[i + 1] ?? '')) {
+      i++;
+      if (/[A-Za-z_]/.test(command[i])) {
+        while (/[A-Za-z_0-9]/.test(command[i] ?? '')) i++;
+      } else {
+        i++;
+      }
+      word.expansion = true;
+    } else {
+      i++; // A lone "$" is literal
+    }
+    word.value += command.substring(start, i);
+    word.pattern += command.substring(start, i);
+  };
+
+  while (i < command.length) {
+    const char = command[i];
+    const rest = command.substring(i);
+
+    if (char === '\n') {
+      tokens.push({ type: 'op', value: ';' });
+      i++;
+      skipHeredocBodies();
+      continue;
+    }
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === '#' && (tokens.length === 0 || i === 0 || /\s/.test(command[i - 1]))) {
+      const end = command.indexOf('\n', i);
+      i = end === -1 ? command.length : end;
+      continue;
+    }
+
+    // Process substitution <(...) / >(...)
+    if (/^[<>]\(/.test(rest)) {
+      i += 2;
+      readBalanced('(', ')');
+      tokens.push({ type: 'word', value: '', pattern: '', substitution: true });
+      continue;
+    }
+
+    const redirect = rest.match(/^(\d*|&)(>>|>\||>&|<<<|<<-|<<|<>|<&|>|<)/);
+    if (redirect) {
+      i += redirect[0].length;
+      const token = { type: 'redirect', fd: redirect[1], op: redirect[2] };
+      if (token.op === '<<' || token.op === '<<-') {
+        while (/[ \t]/.test(command[i] ?? '')) i++;
+        const delimiter = readWord();
+        pendingHeredocs.push({ delimiter: delimiter.value, stripTabs: token.op === '<<-' });
+        tokens.push(token, { ...delimiter, heredocDelimiter: true });
+        continue;
+      }
+      tokens.push(token);
+      continue;
+    }
+
+    const operator = rest.match(/^(&&|\|\||;;|\|&|\||;|&|\(|\))/);
+    if (operator) {
+      tokens.push({ type: 'op', value: operator[1] });
+      i += operator[1].length;
+      continue;
+    }
+
+    tokens.push(readWord());
+  }
+
+  return tokens;
+}
+
+/**
+ * Group tokens into simple commands: { words, redirects, opener } where opener
+ * is the operator that preceded the command ('(' and ')' are kept as commands
+ * of their own so subshell cwd changes can be scoped)
+ */
+function splitCommands(tokens) {
+  const commands = [];
+  let current = { words: [], redirects: [] };
+
+  const flush = () => {
+    if (current.words.length > 0 || current.redirects.length > 0) commands.push(current);
+    current = { words: [], redirects: [] };
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'op') {
+      flush();
+      if (token.value === '(' || token.value === ')') commands.push({ subshell: token.value });
+    } else if (token.type === 'redirect') {
+      const target = tokens[i + 1]?.type === 'word' ? tokens[++i] : null;
+      current.redirects.push({ ...token, target });
+    } else {
+      current.words.push(token);
+    }
+  }
+  flush();
+  return commands;
+}
+
+function isOption(word) {
+  return word.value.startsWith('-') && word.value !== '-' && !word.quoted;
+}
+
+/**
+ * Non-option arguments, skipping the values of options that take one
+ */
+function positionalArgs(words, valueOptions = []) {
+  const result = [];
+  let endOfOptions = false;
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (!endOfOptions && word.value === '--') {
+      endOfOptions = true;
+    } else if (!endOfOptions && isOption(word)) {
+      if (valueOptions.includes(word.value)) i++;
+    } else {
+      result.push(word);
+    }
+  }
+  return result;
+}
+
+/**
+ * The first of options given in words, or null. Long options also match as
+ * --name=value, short ones inside a group of flags (-ao matches -o)
+ */
+function findOption(words, options) {
+  for (const word of words) {
+    if (!isOption(word)) continue;
+    const match = options.find(option => option.startsWith('--')
+      ? word.value === option || word.value.startsWith(`${option}=`)
+      : !word.value.startsWith('--') && word.value.includes(option.substring(1)));
+    if (match) return match;
+  }
+  return null;
+}
+
+function optionValue(words, names) {
+  for (let i = 0; i < words.length; i++) {
+    const value = words[i].value;
+    if (names.includes(value)) return words[i + 1] || null;
+    for (const name of names.filter(candidate => candidate.startsWith('--'))) {
+      if (value.startsWith(`${name}=`)) {
+        return { ...words[i], value: value.substring(name.length + 1), pattern: words[i].pattern.substring(name.length + 1) };
+      }
+    }
+  }
+  return null;
+}
+
+// sed s commands (any delimiter) with their flags, and /regex/ addresses
+const SED_SUBSTITUTION = /s([^\\\n])(?:\\.|(?!\1)[^\\\n])*\1(?:\\.|(?!\1)[^\\\n])*\1([0-9gpiImMew]*)/g;
+const SED_REGEX_ADDRESS = /\/(?:\\.|[^/\\\n])*\//g;
+
+/**
+ * Whether a sed script runs shell commands (GNU e, s///e) or writes files (w, W, s///w).
+ * Errs towards yes: text of a, i and c commands may look like commands.
+ */
+function sedScriptEffects(script) {
+  let runs = false;
+  let writes = false;
+  const commands = script
+    .replace(SED_SUBSTITUTION, (match, delimiter, flags) => {
+      runs ||= flags.includes('e');
+      writes ||= flags.includes('w');
+      return ';';
+    })
+    .replace(SED_REGEX_ADDRESS, ' ');
+  runs ||= /(^|[;{}\s\d$!,])e(\s|[;}]|$)/.test(commands);
+  writes ||= /(^|[;{}\s\d$!,])[wW]\s*\S/.test(commands);
+  return { runs, writes };
+}
+
+/**
+ * Split the arguments of a script interpreter (sed, perl) into scripts and file
+ * operands. takesScript(value) says whether an option takes the script as its
+ * next argument; without one, the first operand is the script.
+ */
+function scriptOperands(args, takesScript, valueOptions = []) {
+  const scripts = [];
+  const files = [];
+  let scriptFromOption = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i].value;
+    if (takesScript(value)) {
+      scriptFromOption = true;
+      scripts.push(args[++i]?.value || '');
+    } else if (/^--(expression|file)=/.test(value)) {
+      scriptFromOption = true;
+      scripts.push(value.substring(value.indexOf('=') + 1));
+    } else if (valueOptions.includes(value)) {
+      i++;
+    } else if (!isOption(args[i])) {
+      files.push(args[i]);
+    }
+  }
+  if (!scriptFromOption) scripts.push(files.shift()?.value || '');
+  return { scripts, files };
+}
+
+export class BashAnalyzer {
+  /**
+   * readOnlyCommands: extra command names to treat as read-only (config bash.readOnlyCommands)
+   */
+  constructor({ cwd = process.cwd(), homeDir = os.homedir(), readOnlyCommands = [] } = {}) {
+    this.cwd = cwd;
+    this.homeDir = homeDir;
+    this.readOnlyCommands = new Set([...READ_ONLY_COMMANDS, ...readOnlyCommands]);
+  }
+
+  /**
+   * Classify a command string. Returns { kind, targets, reason } where targets
+   * are absolute glob patterns for the paths the command may write (quoted
+   * wildcards are escaped, so a target without wildcards names one path).
+   */
+  analyze(command) {
+    let tokens;
+    try {
+      tokens = tokenizeShell(command || '');
+    } catch (error) {
+      return { kind: 'opaque', targets: [], reason: `Cannot parse command: ${error.message}` };
+    }
+
+    const targets = [];
+    const cwdStack = [];
+    let cwd = this.cwd;
+
+    try {
+      for (const simple of splitCommands(tokens)) {
+        if (simple.subshell === '(') {
+          cwdStack.push(cwd);
+          continue;
+        }
+        if (simple.subshell === ')') {
+          cwd = cwdStack.pop() ?? cwd;
+          continue;
+        }
+
+        const result = this.analyzeSimpleCommand(simple, cwd);
+        cwd = result.cwd ?? cwd;
+        targets.push(...result.targets);
+      }
+    } catch (error) {
+      if (error instanceof OpaqueCommand) {
+        return { kind: 'opaque', targets: [], reason: error.message };
+      }
+      throw error;
+    }
+
+    const unique = [...new Set(targets)];
+    return unique.length > 0
+      ? { kind: 'writes', targets: unique, reason: `Writes ${unique.join(', ')}` }
+      : { kind: 'read-only', targets: [], reason: 'Read-only command' };
+  }
+
+  /**
+   * Absolute glob pattern for a word, relative to cwd (a plain path when literal)
+   */
+  resolveTarget(word, cwd, description, { literal = false } = {}) {
+    if (word.substitution || word.expansion) {
+      throw new OpaqueCommand(`${description} depends on a shell expansion (${word.value})`);
+    }
+    if (literal && word.glob) {
+      throw new OpaqueCommand(`${description} depends on a wildcard (${word.value})`);
+    }
+    let target = literal ? word.value : word.pattern;
+    if (!word.quoted && (target === '~' || target.startsWith('~/'))) {
+      target = path.join(this.homeDir, target.substring(1));
+    }
+    return path.resolve(cwd, target);
+  }
+
+  analyzeSimpleCommand({ words, redirects }, cwd) {
+    const targets = [];
+
+    if (words.some(word => word.substitution)) {
+      throw new OpaqueCommand('Command substitution can run anything');
+    }
+
+    // Output redirections write their target
+    for (const redirect of redirects) {
+      if (!['>', '>>', '>|', '<>', '>&'].includes(redirect.op)) continue;
+      if (!redirect.target) throw new OpaqueCommand('Redirection without a target');
+      // 2>&1, 3>&- and 1>&2- duplicate or close descriptors; >&file writes stdout and stderr to file
+      if (redirect.op === '>&' && /^(\d+-?|-)$/.test(redirect.target.value)) continue;
+      if (NULL_TARGETS.has(redirect.target.value)) continue;
+      targets.push(this.resolveTarget(redirect.target, cwd, 'Redirection target'));
+    }
+
+    // Leading assignments, keywords and wrappers
+    let rest = words.filter(word => !word.heredocDelimiter);
+    while (rest.length > 0) {
+      const name = rest[0].value;
+      if (!rest[0].quoted && /^[A-Za-z_][A-Za-z0-9_]*=/.test(name)) {
+        rest = rest.slice(1);
+      } else if (!rest[0].quoted && LEADING_KEYWORDS.has(name)) {
+        rest = rest.slice(1);
+      } else if (!rest[0].quoted && SKIPPED_KEYWORDS.has(name)) {
+        return { targets };
+      } else if (WRAPPER_COMMANDS[name]) {
+        rest = this.unwrap(name, rest.slice(1));
+      } else {
+        break;
+      }
+    }
+
+    if (rest.length === 0) return { targets };
+
+    const [commandWord, ...args] = rest;
+    if (commandWord.expansion) {
+      throw new OpaqueCommand(`Command name depends on a shell expansion (${commandWord.value})`);
+    }
+    const name = path.basename(commandWord.value);
+    const result = this.analyzeCommand(name, args, cwd);
+    return { targets: [...targets, ...result.targets], cwd: result.cwd };
+  }
+
+  unwrap(name, words) {
+    const valueOptions = WRAPPER_COMMANDS[name];
+    let i = 0;
+    while (i < words.length && (isOption(words[i]) || (name === 'env' && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[i].value)))) {
+      if (name === 'env' && findOption([words[i]], ['-S', '--split-string'])) {
+        throw new OpaqueCommand('env -S runs a command line given as one string');
+      }
+      i += valueOptions.includes(words[i].value) ? 2 : 1;
+    }
+    if (name === 'timeout' && i < words.length) i++; // The duration
+    return words.slice(i);
+  }
+
+  analyzeCommand(name, args, cwd) {
+    const resolveAll = (words, description) => words.map(word => this.resolveTarget(word, cwd, description));
+
+    if (name === 'cd' || name === 'pushd') {
+      const [target] = positionalArgs(args);
+      if (!target) return { targets: [], cwd: this.homeDir };
+      if (target.value === '-') throw new OpaqueCommand('cd - depends on the previous directory');
+      return { targets: [], cwd: this.resolveTarget(target, cwd, 'cd target', { literal: true }) };
+    }
+
+    if (this.readOnlyCommands.has(name)) {
+      const unsafe = findOption(args, UNSAFE_OPTIONS[name] || []);
+      if (unsafe) throw new OpaqueCommand(`${name} ${unsafe} can write files or run commands`);
+      return { targets: [] };
+    }
+
+    if (TOUCH_STYLE_COMMANDS[name]) {
+      return { targets: resolveAll(positionalArgs(args, TOUCH_STYLE_COMMANDS[name]), `${name} argument`) };
+    }
+
+    switch (name) {
+      case 'chmod':
+      case 'chown':
+      case 'chgrp': {
+        const positional = positionalArgs(args);
+        const hasReference = args.some(word => word.value.startsWith('--reference'));
+        return { targets: resolveAll(hasReference ? positional : positional.slice(1), `${name} argument`) };
+      }
+
+      case 'tee':
+        return { targets: resolveAll(positionalArgs(args), 'tee output') };
+
+      case 'cp':
+      case 'mv':
+      case 'install':
+      case 'ln':
+        return { targets: this.copyTargets(name, args, cwd) };
+
+      case 'sed':
+        return { targets: this.sedTargets(args, cwd) };
+
+      case 'perl': {
+        // Only in-place edits ("perl -pi -e ...") are understood
+        if (!args.some(word => /^-[a-zA-Z]*i/.test(word.value))) {
+          throw new OpaqueCommand('perl can run arbitrary code');
+        }
+        const { files } = scriptOperands(args, value => /^-[a-zA-Z]*[eE]$/.test(value), ['-M', '-I']);
+        return { targets: resolveAll(files, 'perl -i file') };
+      }
+
+      case 'dd': {
+        const output = args.find(word => word.value.startsWith('of='));
+        if (!output) return { targets: [] };
+        return { targets: [this.resolveTarget({ ...output, value: output.value.substring(3), pattern: output.pattern.substring(3) }, cwd, 'dd output')] };
+      }
+
+      case 'sort': {
+        const output = optionValue(args, ['-o', '--output']);
+        return { targets: output ? [this.resolveTarget(output, cwd, 'sort output')] : [] };
+      }
+
+      case 'uniq': {
+        const [, output] = positionalArgs(args, ['-f', '-s', '-w']);
+        return { targets: output ? [this.resolveTarget(output, cwd, 'uniq output')] : [] };
+      }
+
+      case 'curl': {
+        if (args.some(word => ['-O', '--remote-name', '-J', '--remote-header-name'].includes(word.value))) {
+          throw new OpaqueCommand('curl -O names its output after the URL');
+        }
+        const output = optionValue(args, ['-o', '--output']);
+        return { targets: output ? [this.resolveTarget(output, cwd, 'curl output')] : [] };
+      }
+
+      case 'find': {
+        const actions = ['-exec', '-execdir', '-ok', '-okdir', '-fprint', '-fprint0', '-fprintf', '-fls'];
+        if (args.some(word => actions.includes(word.value))) {
+          throw new OpaqueCommand('find runs commands or writes files through its actions');
+        }
+        if (args.some(word => word.value === '-delete')) {
+          const roots = [];
+          for (const word of args) {
+            if (word.value.startsWith('-') || word.value === '(' || word.value === '!') break;
+            roots.push(word);
+          }
+          return { targets: roots.length > 0 ? resolveAll(roots, 'find root') : [cwd] };
+        }
+        return { targets: [] };
+      }
+
+      case 'awk':
+      case 'gawk':
+      case 'mawk':
+        return { targets: this.awkTargets(args, cwd) };
+
+      case 'git':
+        return this.gitTargets(args, cwd);
+
+      default:
+        throw new OpaqueCommand(`Unknown command "${name}" may write anywhere`);
+    }
+  }
+
+  copyTargets(name, args, cwd) {
+    const targetDirectory = optionValue(args, ['-t', '--target-directory']);
+    const positional = positionalArgs(args, ['-t', '--target-directory', '-S', '--suffix', '-m', '--mode', '-o', '--owner', '-g', '--group']);
+    const describe = `${name} argument`;
+
+    let sources;
+    let destination;
+    if (targetDirectory) {
+      sources = positional;
+      destination = this.resolveTarget(targetDirectory, cwd, `${name} target directory`);
+    } else if (name === 'ln' && positional.length === 1) {
+      sources = positional;
+      destination = cwd;
+    } else {
+      if (positional.length < 2) return [];
+      sources = positional.slice(0, -1);
+      destination = this.resolveTarget(positional[positional.length - 1], cwd, describe);
+    }
+
+    const targets = [destination];
+    for (const source of sources) {
+      const resolved = this.resolveTarget(source, cwd, describe);
+      // The destination may be a directory the source lands in
+      targets.push(path.join(destination, path.basename(resolved)));
+      if (name === 'mv') targets.push(resolved);
+    }
+    return targets;
+  }
+
+  sedTargets(args, cwd) {
+    if (findOption(args, ['-f', '--file'])) {
+      throw new OpaqueCommand('sed -f reads its script from a file');
+    }
+    const inPlace = args.some(word => /^-[a-zA-Z]*i/.test(word.value) || word.value.startsWith('--in-place'));
+    const { scripts, files } = scriptOperands(args, value => ['-e', '--expression'].includes(value), ['-l']);
+
+    for (const script of scripts) {
+      const { runs, writes } = sedScriptEffects(script);
+      if (runs) throw new OpaqueCommand('sed script runs shell commands with the e command');
+      if (writes) throw new OpaqueCommand('sed script writes files with the w or W command');
+    }
+    return inPlace ? files.map(word => this.resolveTarget(word, cwd, 'sed -i file')) : [];
+  }
+
+  awkTargets(args, cwd) {
+    const inPlace = args.some((word, i) => word.value === '-i' && args[i + 1]?.value === 'inplace');
+    const positional = positionalArgs(args, ['-F', '-v', '-f', '-i']);
+    const usesScriptFile = args.some(word => word.value === '-f');
+    const script = usesScriptFile ? '' : positional[0]?.value || '';
+
+    if (usesScriptFile || /[>|]|system\s*\(/.test(script)) {
+      throw new OpaqueCommand('awk script may write files or run commands');
+    }
+    const files = positional.slice(1);
+    return inPlace ? files.map(word => this.resolveTarget(word, cwd, 'awk -i inplace file')) : [];
+  }
+
+  gitTargets(args, cwd) {
+    let i = 0;
+    let gitCwd = cwd;
+    while (i < args.length && isOption(args[i])) {
+      const option = args[i].value.split('=')[0];
+      if (GIT_UNSAFE_GLOBAL_OPTIONS.includes(option)) {
+        throw new OpaqueCommand(`git ${option} can change which commands git runs`);
+      }
+      if (option === '-C') gitCwd = this.resolveTarget(args[i + 1] || { value: '' }, cwd, 'git -C directory', { literal: true });
+      i += GIT_VALUE_OPTIONS.has(args[i].value) ? 2 : 1;
+    }
+
+    const subcommand = args[i]?.value;
+    const rest = args.slice(i + 1);
+    const unsafe = findOption(rest, subcommand === 'grep' ? [...GIT_UNSAFE_OPTIONS, '-O'] : GIT_UNSAFE_OPTIONS);
+    if (unsafe) throw new OpaqueCommand(`git ${subcommand} ${unsafe} can run commands or write files`);
+    const resolveAll = (words) => words.map(word => this.resolveTarget(word, gitCwd, `git ${subcommand} path`));
+
+    if (!subcommand || GIT_READ_ONLY.has(subcommand)) {
+      return { targets: [] };
+    }
+    if (subcommand === 'stash' && ['list', 'show'].includes(rest[0]?.value)) {
+      return { targets: [] };
+    }
+    if (subcommand === 'rm' || subcommand === 'mv') {
+      return { targets: resolveAll(positionalArgs(rest)) };
+    }
+    if (subcommand === 'restore') {
+      return { targets: resolveAll(positionalArgs(rest, ['-s', '--source'])) };
+    }
+    if (subcommand === 'checkout') {
+      const separator = rest.findIndex(word => word.value === '--');
+      if (separator !== -1) {
+        return { targets: resolveAll(rest.slice(separator + 1)) };
+      }
+    }
+    throw new OpaqueCommand(`git ${subcommand} may change any file in the working tree`);
+  }
+}
+
+/**
+ * Convenience wrapper: analyze one command string
+ */
+export function analyzeBashCommand(command, options = {}) {
+  return new BashAnalyzer(options).analyze(command);
+}
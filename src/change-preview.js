@@ -0,0 +1,260 @@
+/**
+ * Change Preview for COMA
+ * Applies Edit, MultiEdit and Write tool calls in memory and renders the result as a unified diff
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_CONTEXT_LINES = 3;
+
+// Beyond this many differing lines, the changed region is shown as one replacement
+const MAX_EDIT_DISTANCE = 2000;
+
+export const FILE_CHANGE_TOOLS = ['Edit', 'MultiEdit', 'Write'];
+
+function countOccurrences(content, search) {
+  let count = 0;
+  for (let index = content.indexOf(search); index !== -1; index = content.indexOf(search, index + search.length)) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Apply one { old_string, new_string, replace_all } edit, with the same rules
+ * as Claude Code: old_string must occur, and exactly once unless replace_all is set.
+ * An empty old_string on a missing file (content null) creates the file.
+ */
+export function applyEdit(content, { old_string: oldString = '', new_string: newString = '', replace_all: replaceAll = false }) {
+  if (content === null) {
+    if (oldString === '') return newString;
+    throw new Error('File does not exist');
+  }
+  if (oldString === '') {
+    throw new Error('old_string is empty but the file already exists');
+  }
+
+  const count = countOccurrences(content, oldString);
+  if (count === 0) {
+    throw new Error('old_string not found in file');
+  }
+  if (count > 1 && !replaceAll) {
+    throw new Error(`old_string matches ${count} times; set replace_all or add context to make it unique`);
+  }
+
+  if (replaceAll) {
+    return content.split(oldString).join(newString);
+  }
+  const index = content.indexOf(oldString);
+  return content.substring(0, index) + newString + content.substring(index + oldString.length);
+}
+
+/**
+ * Content after a file tool call. currentContent is null for a missing file.
+ */
+export function applyFileChange(toolName, parameters, currentContent) {
+  switch (toolName) {
+    case 'Write':
+      return parameters.content ?? '';
+
+    case 'Edit':
+      return applyEdit(currentContent, parameters);
+
+    case 'MultiEdit':
+      return (parameters.edits || []).reduce((content, edit, index) => {
+        try {
+          return applyEdit(content, edit);
+        } catch (error) {
+          throw new Error(`Edit ${index + 1} of ${parameters.edits.length}: ${error.message}`);
+        }
+      }, currentContent);
+
+    default:
+      throw new Error(`${toolName} does not change a single file`);
+  }
+}
+
+/**
+ * Lines including their "\n", so a missing final newline counts as a difference
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Myers' O(ND) diff of two line arrays as [{ type: ' ' | '-' | '+', line }]
+ */
+function diffLines(a, b) {
+  // Common prefix and suffix are not worth searching
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const equal = line => ({ type: ' ', line });
+  return [
+    ...a.slice(0, start).map(equal),
+    ...shortestEditScript(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(equal)
+  ];
+}
+
+function shortestEditScript(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const replaceAll = () => [...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line }))];
+  if (n === 0 || m === 0) return replaceAll();
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Furthest x per diagonal after d - 1 edits, for backtracking
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace, d);
+      }
+    }
+  }
+
+  return replaceAll();
+}
+
+function backtrack(a, b, trace, editDistance) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = editDistance; d > 0; d--) {
+    const furthest = k => trace[d][k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && furthest(k - 1) < furthest(k + 1)) ? k + 1 : k - 1;
+    const previousX = furthest(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (x === previousX) {
+      ops.push({ type: '+', line: b[--y] });
+    } else {
+      ops.push({ type: '-', line: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: ' ', line: a[--x] });
+    y--;
+  }
+  return ops.reverse();
+}
+
+function hunkRange(start, count) {
+  // "-3" for one line, "-0,0" before the first line of an empty side
+  if (count === 1) return `${start}`;
+  return `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * Unified diff ("--- a/x", "+++ b/x", "@@ -1,3 +1,4 @@") of two texts, or '' when equal.
+ * oldPath null means the file is new.
+ */
+export function unifiedDiff(oldText, newText, { oldPath = 'a', newPath = 'b', context = DEFAULT_CONTEXT_LINES } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    op.oldLine = oldLine;
+    op.newLine = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  const changes = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index !== -1);
+  if (changes.length === 0) return '';
+
+  // Group changes whose context overlaps into hunks
+  const hunks = [];
+  for (const index of changes) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  const lines = [`--- ${oldPath ?? '/dev/null'}`, `+++ ${newPath}`];
+  for (const { start, end } of hunks) {
+    const slice = ops.slice(start, end);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${hunkRange(slice[0].oldLine, oldCount)} +${hunkRange(slice[0].newLine, newCount)} @@`);
+
+    for (const op of slice) {
+      lines.push(`${op.type}${op.line.replace(/\n$/, '')}`);
+      if (!op.line.endsWith('\n')) lines.push('\\ No newline at end of file');
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Preview of a file tool call against the file on disk:
+ * { filePath, change: 'create' | 'modify' | 'overwrite', diff, additions, deletions }.
+ * Returns null for tools that do not change a single file.
+ */
+export async function previewChange(toolData, { repoPath }) {
+  const { toolName, parameters } = toolData;
+  if (!FILE_CHANGE_TOOLS.includes(toolName) || !parameters?.file_path) {
+    return null;
+  }
+
+  const absolutePath = path.resolve(repoPath, parameters.file_path);
+  const filePath = path.relative(repoPath, absolutePath).split(path.sep).join('/');
+
+  let current = null;
+  try {
+    current = await fs.readFile(absolutePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const proposed = applyFileChange(toolName, parameters, current);
+  const diff = unifiedDiff(current ?? '', proposed, {
+    oldPath: current === null ? null : `a/${filePath}`,
+    newPath: `b/${filePath}`
+  });
+  const body = diff.split('\n').slice(2); // Past the ---/+++ header
+  const diffLinesOf = type => body.filter(line => line.startsWith(type)).length;
+
+  return {
+    filePath,
+    change: current === null ? 'create' : toolName === 'Write' ? 'overwrite' : 'modify',
+    diff,
+    additions: diffLinesOf('+'),
+    deletions: diffLinesOf('-')
+  };
+}
@@ -6,13 +6,27 @@
  */
 
 import fs from 'fs/promises';
+import fsSync from 'fs';
 import path from 'path';
-import { spawn } from 'child_process';
+import { spawn, execFileSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import os from 'os';
+import { readHookInput } from './hook-input.js';
+import {
+  SettingsManager, SETTINGS_SCOPES, settingsPathForScope, backupTargetPath, comaHookEntries
+} from './settings-manager.js';
+import { ComaDoctor } from './doctor.js';
+import { BLOCKING_EXIT_CODE, DEFAULT_OUTPUT_STYLE } from './hook-output.js';
+import { splitLauncherArgs, isPrintMode } from './launcher-args.js';
+import { loadConfig, DEFAULT_CONFIG } from './config.js';
+import { VerdictCache } from './verdict-cache.js';
+import { loadProviders, findProvider, configuredProviderNames } from './providers/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// First arguments handled by COMA itself; anything else starts a protected claude session
+const SUBCOMMANDS = ['hook', 'cleanup', 'install', 'uninstall', 'status', 'config', 'cache', 'providers', 'doctor', 'test'];
+
 // Debug logging utility
 function debugLog(message) {
   const logPath = process.env.CLAUDE_COMA_DEBUG;
@@ -26,10 +40,15 @@ function debugLog(message) {
 
 class CleanComa {
   constructor() {
-    this.userClaudeDir = path.join(os.homedir(), '.claude');
-    this.userSettingsPath = path.join(this.userClaudeDir, 'settings.json');
     this.repoPath = process.cwd();
-    this.agentProvider = 'claude-code'; // Default provider
+    this.settingsScope = null; // Chosen per command; see resolveInstallScope()
+    this.configOverrides = {}; // CLI flags, the highest-precedence config layer
+    this.config = null; // Effective configuration; see applyConfig()
+    this.agentProvider = DEFAULT_CONFIG.provider;
+    this.outputStyle = DEFAULT_OUTPUT_STYLE;
+    this.claudeBin = DEFAULT_CONFIG.claudeBin;
+    this.claudeArgs = []; // Forwarded to the launched claude session
+    this.printMode = false;
   }
 
   async run() {
@@ -44,41 +63,99 @@ class CleanComa {
       return this.showCleanupInstructions();
     }
 
+    // Parse scope option (install, uninstall and status; the default launch parses its own)
+    const scopeIndex = args.indexOf('--scope');
+    if (scopeIndex !== -1 && SUBCOMMANDS.includes(args[0])) {
+      this.settingsScope = args[scopeIndex + 1];
+      if (!SETTINGS_SCOPES.includes(this.settingsScope)) {
+        console.error(`COMA: Invalid scope. Use ${SETTINGS_SCOPES.map(scope => `"${scope}"`).join(', ')}`);
+        process.exit(1);
+      }
+    }
+
+    if (args[0] === 'install') {
+      return this.installHooks(args.slice(1));
+    }
+
+    if (args[0] === 'uninstall') {
+      return this.uninstallHooks(args.slice(1));
+    }
+
+    if (args[0] === 'status') {
+      return this.showStatus();
+    }
+
+    if (args[0] === 'config') {
+      return this.handleConfigCommand(args.slice(1));
+    }
+
+    if (args[0] === 'cache') {
+      return this.handleCacheCommand(args.slice(1));
+    }
+
+    if (args[0] === 'providers') {
+      return this.listProviders(args.slice(1));
+    }
+
+    if (args[0] === 'doctor') {
+      return this.runDoctor(args.slice(1));
+    }
+
     if (args[0] === 'test') {
       return this.delegateToTestRunner(args.slice(1));
     }
 
-    if (args.includes('--help') || args.includes('-h')) {
+    // Default launch: split COMA's flags from the arguments forwarded to claude
+    let options;
+    try {
+      ({ options, claudeArgs: this.claudeArgs } = splitLauncherArgs(args));
+    } catch (error) {
+      console.error(`COMA: ${error.message}`);
+      process.exit(1);
+    }
+
+    if (options['--help'] || options['-h']) {
       this.showHelp();
       return;
     }
 
     // Parse debug option
-    let debugPath = null;
-    if (args.includes('--debug')) {
-      debugPath = '.claude-coma.log';
+    if (options['--debug'] === true) {
+      this.debugPath = '.claude-coma.log';
+    } else if (options['--debug']) {
+      this.debugPath = options['--debug'];
     } else {
-      const debugFlag = args.find(arg => arg.startsWith('--debug='));
-      if (debugFlag) {
-        debugPath = debugFlag.split('=')[1];
-      }
+      this.debugPath = null;
     }
-    this.debugPath = debugPath;
 
-    // Parse provider option
-    const providerIndex = args.indexOf('--provider');
-    if (providerIndex !== -1 && args[providerIndex + 1]) {
-      this.agentProvider = args[providerIndex + 1];
+    // Parse scope option
+    if (options['--scope']) {
+      this.settingsScope = options['--scope'];
     }
-
-    // Validate provider
-    if (!['claude-code', 'openai'].includes(this.agentProvider)) {
-      console.error('COMA: Invalid provider. Use "claude-code" or "openai"');
+    if (this.settingsScope && !SETTINGS_SCOPES.includes(this.settingsScope)) {
+      console.error(`COMA: Invalid scope. Use ${SETTINGS_SCOPES.map(scope => `"${scope}"`).join(', ')}`);
       process.exit(1);
     }
 
-    // Auto-install hooks if needed
-    await this.ensureHooksInstalled();
+    // Provider, output style and claude executable flags override every config file
+    this.setConfigOverrides(options);
+    await this.applyConfig();
+
+    // Validate the provider, those agents.overrides assigns to some agents and the fallbacks
+    for (const name of configuredProviderNames(this.config)) {
+      try {
+        await findProvider(name, { repoPath: this.repoPath, config: this.config });
+      } catch (error) {
+        console.error(`COMA: ${error.message}\nCOMA: Run "claude-coma providers" to see what is available`);
+        process.exit(1);
+      }
+    }
+
+    // Keep stdout clean for scripts reading the output of claude -p
+    this.printMode = isPrintMode(this.claudeArgs);
+
+    // Auto-install hooks if needed, in the scope that already has them (user by default)
+    await this.ensureHooksInstalled({ scope: await this.resolveInstallScope() });
 
     // Default: run with protection
     return this.runWithProtection();
@@ -89,17 +166,55 @@ class CleanComa {
 Claude-COMA (Conclave of Many Agents)
 
 Usage:
-  claude-coma [options]         Run Claude with agent protection
-  claude-coma cleanup          Show how to remove COMA hooks
+  claude-coma [options] [-- <claude args>]
+                               Run Claude with agent protection
+  claude-coma install          Install or upgrade COMA hooks without launching Claude
+  claude-coma status           Show where COMA hooks are installed
+  claude-coma config print     Show the effective configuration (JSON)
+  claude-coma cache clear      Forget the agent verdicts cached for this repository
+  claude-coma providers        List the agent providers and check they load
+  claude-coma doctor           Check the whole setup and suggest fixes
+  claude-coma uninstall        Remove COMA hooks from settings (backs up first)
+  claude-coma cleanup          Show how to remove COMA hooks by hand
   claude-coma test [options]   Run test suite
   claude-coma hook <type>      Hook entry point (internal use)
 
 Options:
-  --provider <type>            Agent provider: "claude-code" (default) or "openai"
+  --provider <type>            Agent provider: "claude-code" (default), "openai",
+                               "local" (Ollama or llama.cpp server) or a third-party
+                               provider from providers.<name>.module in the config
+  --output-style <style>       How blocking decisions reach Claude: "exit-code" (default,
+                               exit 2 with reasoning on stderr) or "json" (permissionDecision)
   --debug                      Enable debug logging to .claude-coma.log
   --debug=<path>               Enable debug logging to custom path
+  --claude-bin <path>          Claude executable to launch and to run agents with
+                               (default: "claude" on PATH, or COMA_CLAUDE_BIN)
   --help, -h                   Show this help
 
+Configuration:
+  Settings are read from ~/.coma/config.json, then .coma/config.json (or
+  coma.config.js) in the repository, then COMA_* environment variables, then
+  the flags above; later sources win. See "claude-coma config print".
+
+Claude Arguments:
+  Everything after "--" and any flag COMA does not know is passed to claude
+  unchanged, e.g. --resume, --model, --permission-mode or -p "<prompt>".
+  Use "--" to reach claude's own --debug or --help. COMA exits with claude's
+  exit code; with -p, COMA's status messages go to stderr.
+
+Scope Options (install, uninstall, status, default launch):
+  --scope user                 ~/.claude/settings.json (default for new installs)
+  --scope project              .claude/settings.json in this repository (commit to share)
+  --scope local                .claude/settings.local.json in this repository (git-ignored)
+                               Precedence: local > project > user
+
+Install Options:
+  --check                      Report missing or stale hooks without writing (exit 1 on drift)
+
+Uninstall Options:
+  --dry-run                    Show the hook entries that would be removed
+  --restore <backup>           Restore settings from a backup made by uninstall
+
 Test Options:
   claude-coma test             Run all tests
   claude-coma test --unit      Run unit tests only
@@ -110,23 +225,34 @@ Test Options:
 Examples:
   claude-coma                          # Protected Claude with Claude Code agents
   claude-coma --provider openai       # Protected Claude with OpenAI agents
+  claude-coma --provider local        # Protected Claude with agents on a local Ollama server
+  claude-coma --output-style json      # Report decisions as permissionDecision JSON
   claude-coma --debug                  # With debug logging
   claude-coma --debug=/tmp/debug.log   # With custom debug log path
+  claude-coma --model opus --resume    # Forward flags to claude
+  claude-coma -- -p "Fix the tests"    # One-shot, non-interactive run
   claude-coma test                     # Run all tests
   claude-coma test --integration       # Test actual hook integration
+  claude-coma install --check          # Report hook drift without writing
+  claude-coma install --scope project  # Enable COMA for this repository only
+  claude-coma doctor                   # Diagnose why protection is not active
+  claude-coma config print             # Show merged defaults, config files and flags
+  claude-coma cache clear              # Have agents review repeated changes again
+  claude-coma uninstall --dry-run      # Preview hook removal
+  claude-coma uninstall                # Remove COMA hooks, keep everything else
   claude-coma cleanup                  # Show removal instructions
 `);
   }
 
   async runWithProtection() {
-    console.log('COMA: Initializing agent protection...');
+    this.notice('COMA: Initializing agent protection...');
     debugLog('Starting COMA protection session');
 
     // Set environment for validator
     await this.setupEnvironment();
 
-    console.log('COMA: Launching Claude with protection active');
-    debugLog('Launching Claude with COMA environment');
+    this.notice('COMA: Launching Claude with protection active');
+    debugLog(`Launching ${this.claudeBin} with COMA environment, args: ${JSON.stringify(this.claudeArgs)}`);
 
     // Set environment variables for COMA
     const claudeEnv = { ...process.env, CLAUDE_COMA: '1' };
@@ -135,89 +261,407 @@ Examples:
       debugLog(`Debug logging enabled: ${this.debugPath}`);
     }
 
-    // Launch Claude
-    await this.launchClaude(claudeEnv);
+    // Launch Claude and hand its exit code back to the caller
+    const code = await this.launchClaude(claudeEnv, this.claudeArgs);
+    debugLog(`Claude exited with code ${code}`);
+    process.exit(code);
+  }
+
+  /**
+   * Launcher status output. In print mode stdout carries claude's answer, so use stderr.
+   */
+  notice(message) {
+    if (this.printMode) {
+      console.error(message);
+    } else {
+      console.log(message);
+    }
+  }
+
+  settingsPath(scope) {
+    return settingsPathForScope(scope, { homeDir: os.homedir(), repoPath: this.repoPath });
+  }
+
+  /**
+   * Scope for an install: the --scope flag, else the highest-precedence scope
+   * that already has COMA hooks, else user.
+   */
+  async resolveInstallScope() {
+    if (this.settingsScope) return this.settingsScope;
+
+    for (const scope of SETTINGS_SCOPES) {
+      try {
+        const installed = await new SettingsManager(this.settingsPath(scope)).findComaHooks();
+        if (installed.length > 0) return scope;
+      } catch {
+        // Unparseable files are reported by status/doctor, not here
+      }
+    }
+    return 'user';
+  }
+
+  /**
+   * Record the config keys set by launcher flags (from splitLauncherArgs options)
+   */
+  setConfigOverrides(options) {
+    if (options['--provider']) this.configOverrides.provider = options['--provider'];
+    if (options['--output-style']) this.configOverrides.outputStyle = options['--output-style'];
+    if (options['--claude-bin']) this.configOverrides.claudeBin = options['--claude-bin'];
+  }
+
+  /**
+   * Load the effective configuration (see config.js for precedence). Invalid
+   * configuration is fatal unless lenient, which falls back to the defaults.
+   */
+  async applyConfig({ lenient = false } = {}) {
+    try {
+      ({ config: this.config, sources: this.configSources } = await loadConfig({
+        repoPath: this.repoPath,
+        overrides: this.configOverrides
+      }));
+    } catch (error) {
+      if (!lenient) {
+        console.error(`COMA: ${error.message}`);
+        process.exit(1);
+      }
+      console.error(`COMA: Warning: ${error.message}\nCOMA: Using default configuration`);
+      this.config = DEFAULT_CONFIG;
+      this.configSources = ['defaults'];
+    }
+
+    this.agentProvider = this.config.provider;
+    this.outputStyle = this.config.outputStyle;
+    this.claudeBin = this.config.claudeBin;
+    return this.config;
+  }
+
+  async handleConfigCommand(args) {
+    if (args[0] !== 'print') {
+      console.error('COMA: Usage: claude-coma config print [--provider <type>] [--output-style <style>] [--claude-bin <path>]');
+      process.exit(1);
+    }
+
+    let options;
+    try {
+      ({ options } = splitLauncherArgs(args.slice(1)));
+    } catch (error) {
+      console.error(`COMA: ${error.message}`);
+      process.exit(1);
+    }
+    this.setConfigOverrides(options);
+    await this.applyConfig();
+
+    // Sources go to stderr so stdout stays valid JSON
+    console.error(`COMA: Effective configuration from ${this.configSources.join(' < ')}`);
+    console.log(JSON.stringify(this.config, null, 2));
+  }
+
+  async handleCacheCommand(args) {
+    if (args[0] !== 'clear' || args.length > 1) {
+      console.error('COMA: Usage: claude-coma cache clear');
+      process.exit(1);
+    }
+
+    const cache = new VerdictCache({ repoPath: this.repoPath });
+    const count = await cache.clear();
+    console.log(`COMA: Cleared ${count} cached verdict(s) from ${cache.cacheDir}`);
+  }
+
+  /**
+   * List the built-in and configured third-party providers, marking the active
+   * one and those used by agents.overrides or as fallbacks. Exits 1 when a
+   * provider the config names is unknown, or any fails to load or breaks the
+   * provider contract.
+   */
+  async listProviders(args) {
+    if (args.length > 0) {
+      console.error('COMA: Usage: claude-coma providers');
+      process.exit(1);
+    }
+    await this.applyConfig();
+
+    const { providers, errors } = await loadProviders({ repoPath: this.repoPath, config: this.config });
+    const assigned = new Set(this.config.agents.overrides.map(rule => rule.provider).filter(Boolean));
+    const fallback = this.config.resilience.fallback;
+    console.log('COMA: Available providers');
+    for (const provider of providers.values()) {
+      const roles = [
+        provider.name === this.agentProvider && 'active',
+        assigned.has(provider.name) && 'agents.overrides',
+        fallback.includes(provider.name) && `fallback ${fallback.indexOf(provider.name) + 1}`
+      ].filter(Boolean);
+      const marks = roles.length > 0 ? ` (${roles.join(', ')})` : '';
+      const source = provider.source === 'built-in' ? 'built-in' : `from ${provider.source}`;
+      console.log(`  ${provider.name}${marks} - ${provider.description || 'no description'} [${source}]`);
+    }
+
+    const unknown = [...configuredProviderNames(this.config)]
+      .filter(name => !providers.has(name) && !errors.some(error => error.name === name));
+    for (const name of unknown) {
+      console.error(`COMA: The configured provider "${name}" is not one of them`);
+    }
+    if (errors.length > 0) {
+      console.error(`COMA: ${errors.length} provider(s) could not be used:`);
+      for (const error of errors) {
+        console.error(`  ${error.name} (${error.source}) ${error.message}`);
+      }
+    }
+    if (unknown.length > 0 || errors.length > 0) {
+      process.exit(1);
+    }
+  }
+
+  /**
+   * The hook entries this install of COMA wants, keyed by event type
+   */
+  getComaHooks(scope = 'user') {
+    return comaHookEntries(scope, {
+      nodePath: process.argv[0],
+      scriptPath: path.join(__dirname, 'claude-coma.js'),
+      matchers: (this.config || DEFAULT_CONFIG).hookMatchers,
+      consultationMs: (this.config || DEFAULT_CONFIG).timeouts.consultationMs
+    });
   }
 
-  async ensureHooksInstalled() {
-    await fs.mkdir(this.userClaudeDir, { recursive: true });
+  describeHookChange(change) {
+    switch (change.action) {
+      case 'added':
+        return `Added ${change.event} hook [${change.matcher}]: ${change.command}`;
+      case 'updated':
+        return change.previousCommand === change.command && change.previousTimeout !== change.timeout
+          ? `Updated ${change.event} hook timeout [${change.matcher}]: ${change.previousTimeout ? `${change.previousTimeout}s` : 'default'} -> ${change.timeout}s`
+          : `Updated stale ${change.event} hook [${change.matcher}]: ${change.previousCommand} -> ${change.command}`;
+      case 'removed-duplicate':
+        return `Removed duplicate ${change.event} hook [${change.matcher ?? '*'}]: ${change.command}`;
+      default:
+        return `${change.action} ${change.event} hook: ${change.command}`;
+    }
+  }
 
-    // Read existing user settings
-    let userSettings = {};
+  /**
+   * Merge COMA hooks into a scope's settings file without replacing other tools' hooks.
+   * With check set, report drift and return without writing.
+   * Returns the list of changes (empty when already up to date).
+   */
+  async ensureHooksInstalled({ scope = 'user', check = false } = {}) {
+    const settingsPath = this.settingsPath(scope);
+    const settingsManager = new SettingsManager(settingsPath);
+
+    // Refuse to rewrite a settings file we cannot parse
+    const { settings, exists } = await settingsManager.load();
+    const { settings: merged, changes } = SettingsManager.mergeComaHooks(settings, this.getComaHooks(scope));
+
+    if (changes.length === 0) {
+      debugLog(`COMA hooks up to date in ${settingsPath} (${scope} scope)`);
+      if (check) {
+        console.log(`COMA: Hooks up to date in ${settingsPath} (${scope} scope)`);
+      }
+      return changes;
+    }
+
+    if (check) {
+      console.log(`COMA: Hooks in ${settingsPath} (${scope} scope) need ${changes.length} change(s):`);
+      changes.forEach(change => console.log(`  ${this.describeHookChange(change)}`));
+      return changes;
+    }
+
+    const backupPath = exists ? await settingsManager.backup() : null;
+    await settingsManager.save(merged);
+
+    this.notice(`COMA: Hooks installed in ${settingsPath} (${scope} scope)`);
+    changes.forEach(change => {
+      this.notice(`  ${this.describeHookChange(change)}`);
+      debugLog(this.describeHookChange(change));
+    });
+    if (backupPath) {
+      this.notice(`COMA: Previous settings saved to ${backupPath}`);
+    }
+    if (scope === 'local' && !this.isGitIgnored(settingsPath)) {
+      this.notice(`COMA: Warning: ${path.relative(this.repoPath, settingsPath)} is not git-ignored; add it to .gitignore`);
+    }
+    return changes;
+  }
+
+  isGitIgnored(filePath) {
     try {
-      const content = await fs.readFile(this.userSettingsPath, 'utf8');
-      userSettings = JSON.parse(content);
+      execFileSync('git', ['check-ignore', '-q', filePath], { cwd: this.repoPath, stdio: 'ignore' });
+      return true;
     } catch {
-      // File doesn't exist, start fresh
+      // Not ignored, or not a git repository (nothing to leak into)
+      return !fsSync.existsSync(path.join(this.repoPath, '.git'));
+    }
+  }
+
+  async installHooks(args) {
+    const check = args.includes('--check');
+    await this.applyConfig(); // Hook matchers are configurable
+    const changes = await this.ensureHooksInstalled({ scope: this.settingsScope || 'user', check });
+    if (check && changes.length > 0) {
+      console.log('COMA: Run "claude-coma install" to apply');
+      process.exit(1);
     }
+  }
 
-    // Check if COMA hooks are already installed
-    const hasComaHooks = userSettings.hooks?.PreToolUse?.some(hook =>
-      hook.hooks?.some(h => h.command?.includes('claude-coma hook'))
-    );
+  async uninstallHooks(args) {
+    const dryRun = args.includes('--dry-run');
 
-    if (hasComaHooks) {
-      return; // Already installed
+    const restoreIndex = args.indexOf('--restore');
+    if (restoreIndex !== -1) {
+      return this.restoreSettings(args[restoreIndex + 1], dryRun);
     }
 
-    // Add COMA hooks
-    const comaHooks = {
-      PreToolUse: [
-        {
-          matcher: "Edit|MultiEdit|Write|Bash",
-          hooks: [
-            {
-              type: "command",
-              command: `${process.argv[0]} ${path.join(__dirname, 'claude-coma.js')} hook PreToolUse`
-            }
-          ]
-        }
-      ],
-      PostToolUse: [
-        {
-          matcher: ".*",
-          hooks: [
-            {
-              type: "command",
-              command: `${process.argv[0]} ${path.join(__dirname, 'claude-coma.js')} hook PostToolUse`
-            }
-          ]
+    // Without --scope, remove COMA from every scope that has it
+    const scopes = this.settingsScope ? [this.settingsScope] : SETTINGS_SCOPES;
+    let removedAny = false;
+
+    for (const scope of scopes) {
+      const settingsPath = this.settingsPath(scope);
+      const settingsManager = new SettingsManager(settingsPath);
+      const { settings, exists } = await settingsManager.load();
+      const { settings: cleaned, removed } = SettingsManager.removeComaHooks(settings);
+
+      if (!exists || removed.length === 0) {
+        continue;
+      }
+      removedAny = true;
+
+      console.log(`COMA: ${dryRun ? 'Would remove' : 'Removing'} ${removed.length} hook entr${removed.length === 1 ? 'y' : 'ies'} from ${settingsPath} (${scope} scope):`);
+      removed.forEach(entry => {
+        console.log(`  ${entry.event} [${entry.matcher ?? '*'}]: ${entry.command}`);
+      });
+
+      if (dryRun) {
+        continue;
+      }
+
+      const backupPath = await settingsManager.backup();
+      await settingsManager.save(cleaned);
+      debugLog(`Removed ${removed.length} COMA hook entries from ${scope} scope, backup at ${backupPath}`);
+      console.log(`COMA: Backup saved to ${backupPath}`);
+      console.log(`COMA: Undo with: claude-coma uninstall --restore ${backupPath}`);
+    }
+
+    if (!removedAny) {
+      console.log(`COMA: No COMA hooks found in ${scopes.map(scope => this.settingsPath(scope)).join(', ')}`);
+    } else if (dryRun) {
+      console.log('COMA: Dry run - settings not modified');
+    }
+  }
+
+  async restoreSettings(backupPath, dryRun) {
+    // The backup name identifies its settings file; --scope overrides that
+    const targetPath = this.settingsScope
+      ? this.settingsPath(this.settingsScope)
+      : backupPath && backupTargetPath(path.resolve(backupPath));
+
+    if (!backupPath || !targetPath) {
+      console.error('COMA: --restore requires a backup path created by claude-coma (or --scope to name its target)');
+      for (const scope of SETTINGS_SCOPES) {
+        const backups = await new SettingsManager(this.settingsPath(scope)).listBackups();
+        if (backups.length > 0) {
+          console.error(`Available ${scope} backups:\n` + backups.map(b => `  ${b}`).join('\n'));
         }
-      ],
-      UserPromptSubmit: [
-        {
-          matcher: ".*",
-          hooks: [
-            {
-              type: "command",
-              command: `${process.argv[0]} ${path.join(__dirname, 'claude-coma.js')} hook UserPromptSubmit`
-            }
-          ]
+      }
+      process.exit(1);
+    }
+
+    if (dryRun) {
+      console.log(`COMA: Would restore ${targetPath} from ${backupPath}`);
+      return;
+    }
+
+    const previousBackup = await new SettingsManager(targetPath).restore(path.resolve(backupPath));
+    console.log(`COMA: Restored ${targetPath} from ${backupPath}`);
+    if (previousBackup) {
+      console.log(`COMA: Previous settings saved to ${previousBackup}`);
+    }
+  }
+
+  async showStatus() {
+    await this.applyConfig({ lenient: true });
+    console.log('COMA hook status (highest precedence first):');
+
+    const installedScopes = [];
+    for (const scope of SETTINGS_SCOPES) {
+      const settingsPath = this.settingsPath(scope);
+      const settingsManager = new SettingsManager(settingsPath);
+
+      let line;
+      try {
+        const { settings, exists } = await settingsManager.load();
+        const installed = SettingsManager.removeComaHooks(settings).removed;
+        const { changes } = SettingsManager.mergeComaHooks(settings, this.getComaHooks(scope));
+
+        if (!exists) {
+          line = 'no settings file';
+        } else if (installed.length === 0) {
+          line = 'not installed';
+        } else {
+          installedScopes.push(scope);
+          const events = [...new Set(installed.map(entry => entry.event))].join(', ');
+          line = `installed (${events})`;
+          if (changes.length > 0) {
+            line += ` - ${changes.length} change(s) needed, run: claude-coma install --scope ${scope}`;
+          }
         }
-      ]
-    };
-
-    // Merge with existing settings
-    const mergedSettings = {
-      ...userSettings,
-      hooks: {
-        ...userSettings.hooks,
-        ...comaHooks
+      } catch (error) {
+        line = `ERROR: ${error.message}`;
       }
-    };
 
-    await fs.writeFile(this.userSettingsPath, JSON.stringify(mergedSettings, null, 2));
-    console.log('COMA: Hooks installed in ~/.claude/settings.json');
+      console.log(`  ${scope.padEnd(8)} ${settingsPath}`);
+      console.log(`           ${line}`);
+    }
+
+    console.log('');
+    if (installedScopes.length === 0) {
+      console.log('COMA: Hooks not installed. Run "claude-coma install [--scope user|project|local]"');
+    } else {
+      console.log(`COMA: Active in ${installedScopes.join(', ')} scope${installedScopes.length > 1 ? 's' : ''}`);
+      if (installedScopes.length > 1) {
+        console.log('COMA: Claude Code runs hooks from every scope; identical commands run once, but');
+        console.log('      entries with different commands (e.g. a stale path) make COMA validate twice.');
+        console.log('      Keep one scope with: claude-coma uninstall --scope <other>');
+      }
+    }
+  }
+
+  async runDoctor(args) {
+    let options;
+    try {
+      ({ options } = splitLauncherArgs(args));
+    } catch (error) {
+      console.error(`COMA: ${error.message}`);
+      process.exit(1);
+    }
+    this.setConfigOverrides(options);
+
+    // The doctor loads (and reports on) the configuration itself
+    const doctor = new ComaDoctor({ repoPath: this.repoPath, homeDir: os.homedir(), overrides: this.configOverrides });
+    const results = await doctor.runChecks();
+
+    console.log('COMA doctor\n');
+    console.log(ComaDoctor.formatReport(results));
+
+    if (results.some(result => !result.ok)) {
+      process.exit(1);
+    }
   }
 
   showCleanupInstructions() {
     console.log(`
 COMA Hook Removal Instructions:
 
-Hooks are installed in: ${this.userSettingsPath}
+Hooks can be installed in (see "claude-coma status"):
+  user:    ${this.settingsPath('user')}
+  project: ${this.settingsPath('project')}
+  local:   ${this.settingsPath('local')}
+
+To remove COMA hooks automatically (a backup is made first):
+  claude-coma uninstall --dry-run    # Preview
+  claude-coma uninstall
 
-To remove COMA hooks:
-1. Edit ~/.claude/settings.json
+To remove COMA hooks by hand:
+1. Edit each settings file listed above
 2. Remove any hook entries containing 'claude-coma hook'
 3. Or delete the entire file if you have no other Claude Code settings
 
@@ -237,30 +681,42 @@ Example COMA hook entries to remove:
   }
 
   async setupEnvironment() {
-    // Set environment variables for validator (stateless design)
+    // Set environment variables for validator (stateless design).
+    // Hooks load the config files themselves; CLI flags reach them as
+    // environment overrides, so only flags given on the command line are exported.
     process.env.COMA_REPO_PATH = this.repoPath;
-    process.env.COMA_PROVIDER = this.agentProvider;
+    if (this.configOverrides.provider) process.env.COMA_PROVIDER = this.configOverrides.provider;
+    if (this.configOverrides.outputStyle) process.env.COMA_OUTPUT_STYLE = this.configOverrides.outputStyle;
+    if (this.configOverrides.claudeBin) process.env.COMA_CLAUDE_BIN = this.configOverrides.claudeBin;
   }
 
-  async launchClaude(env = process.env) {
+  async launchClaude(env = process.env, claudeArgs = []) {
     return new Promise((resolve, reject) => {
-      const claude = spawn('claude', [], {
+      const claude = spawn(this.claudeBin, claudeArgs, {
         cwd: this.repoPath,
         stdio: 'inherit',
         env: env
       });
 
-      claude.on('close', (code) => {
-        resolve(code);
+      // Ctrl+C reaches claude through the terminal; let it decide, and exit when it does
+      const ignoreInterrupt = () => {};
+      process.on('SIGINT', ignoreInterrupt);
+
+      claude.on('close', (code, signal) => {
+        process.removeListener('SIGINT', ignoreInterrupt);
+        resolve(code ?? (signal ? 128 + (os.constants.signals[signal] || 0) : 1));
       });
 
       claude.on('error', (error) => {
-        reject(error);
+        process.removeListener('SIGINT', ignoreInterrupt);
+        reject(error.code === 'ENOENT'
+          ? new Error(`Cannot run "${this.claudeBin}": not found. Install Claude Code or pass --claude-bin <path>`)
+          : error);
       });
     });
   }
 
-  handleHookCommand(args) {
+  async handleHookCommand(args) {
     const hookType = args[0];
 
     // If CLAUDE_COMA is not set, act transparently (do nothing)
@@ -271,15 +727,33 @@ Example COMA hook entries to remove:
 
     debugLog(`Hook ${hookType} triggered`);
 
+    // Read the payload once here; handlers receive it again on their stdin
+    const hookArgs = args.slice(1); // Everything after the hook type (test suite only)
+    let input;
+    try {
+      input = await readHookInput({ argv: hookArgs });
+    } catch (error) {
+      if (hookType !== 'PreToolUse') throw error; // Non-blocking: nothing to review
+      this.blockUnreadablePayload(error.message);
+    }
+    if (hookType === 'PreToolUse' && input.source === 'none') {
+      this.blockUnreadablePayload('No hook payload on stdin');
+    }
+    if (input.data) {
+      debugLog(`Hook ${hookType} payload from ${input.source}: tool=${input.data.toolName || 'n/a'}`);
+      if (input.data.hookEventName && input.data.hookEventName !== hookType) {
+        debugLog(`WARNING: Hook registered as ${hookType} received ${input.data.hookEventName} payload`);
+      }
+    }
+
     // Handle different hook types
-    const hookArgs = args.slice(1); // Everything after the hook type
     switch (hookType) {
       case 'PreToolUse':
-        return this.handlePreToolUse(hookArgs);
+        return this.handlePreToolUse(hookArgs, input);
       case 'PostToolUse':
-        return this.handlePostToolUse(hookArgs);
+        return this.handlePostToolUse(hookArgs, input);
       case 'UserPromptSubmit':
-        return this.handleUserPromptSubmit(hookArgs);
+        return this.handleUserPromptSubmit(hookArgs, input);
       default:
         console.error(`COMA: Unknown hook type: ${hookType}`);
         debugLog(`ERROR: Unknown hook type: ${hookType}`);
@@ -287,30 +761,53 @@ Example COMA hook entries to remove:
     }
   }
 
-  async handlePreToolUse(hookArgs = []) {
+  /**
+   * Block the tool call when its PreToolUse payload cannot be read. Any exit
+   * code but 2 is a non-blocking error, so the change would go through unreviewed.
+   */
+  blockUnreadablePayload(reason) {
+    debugLog(`ERROR: PreToolUse payload unreadable: ${reason}`);
+    console.error(`COMA: Cannot review this tool call: ${reason}`);
+    process.exit(BLOCKING_EXIT_CODE);
+  }
+
+  spawnHookHandler(script, hookArgs, input, env) {
+    const handler = spawn('node', [path.join(__dirname, script), ...hookArgs], {
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env
+    });
+
+    // Forward the stdin payload unchanged so the handler sees what Claude Code sent
+    handler.stdin.on('error', () => {});
+    handler.stdin.end(input?.rawText || '');
+    return handler;
+  }
+
+  async handlePreToolUse(hookArgs = [], input = null) {
     debugLog('PreToolUse: Delegating to coma-validator');
     // Delegate to coma-validator with tool data
-    const { spawn } = await import('child_process');
-    const validator = spawn('node', [path.join(__dirname, 'coma-validator.js'), ...hookArgs], {
-      stdio: 'inherit',
-      env: { ...process.env }
-    });
+    const validator = this.spawnHookHandler('coma-validator.js', hookArgs, input, { ...process.env });
 
+    // Exit code and output streams pass through unchanged: 0 allows, 2 blocks
     return new Promise((resolve) => {
-      validator.on('close', (code) => {
-        debugLog(`PreToolUse: coma-validator exited with code ${code}`);
+      validator.on('close', (code, signal) => {
+        debugLog(`PreToolUse: coma-validator exited with code ${code}${signal ? ` (signal ${signal})` : ''}`);
+        if (code === null) {
+          // Killed before deciding - block rather than let the change through unreviewed
+          console.error(`COMA: Validator terminated by ${signal}`);
+          process.exit(BLOCKING_EXIT_CODE);
+        }
         process.exit(code);
       });
     });
   }
 
-  async handlePostToolUse(hookArgs = []) {
+  async handlePostToolUse(hookArgs = [], input = null) {
     debugLog('PostToolUse: Delegating to context-capturer');
     // Delegate to context-capturer
-    const { spawn } = await import('child_process');
-    const capturer = spawn('node', [path.join(__dirname, 'context-capturer.js'), ...hookArgs], {
-      stdio: 'inherit',
-      env: { ...process.env, COMA_HOOK_TYPE: 'PostToolUse' }
+    const capturer = this.spawnHookHandler('context-capturer.js', hookArgs, input, {
+      ...process.env,
+      COMA_HOOK_TYPE: 'PostToolUse'
     });
 
     return new Promise((resolve) => {
@@ -321,13 +818,12 @@ Example COMA hook entries to remove:
     });
   }
 
-  async handleUserPromptSubmit(hookArgs = []) {
+  async handleUserPromptSubmit(hookArgs = [], input = null) {
     debugLog('UserPromptSubmit: Delegating to context-capturer');
     // Delegate to context-capturer
-    const { spawn } = await import('child_process');
-    const capturer = spawn('node', [path.join(__dirname, 'context-capturer.js'), ...hookArgs], {
-      stdio: 'inherit',
-      env: { ...process.env, COMA_HOOK_TYPE: 'UserPromptSubmit' }
+    const capturer = this.spawnHookHandler('context-capturer.js', hookArgs, input, {
+      ...process.env,
+      COMA_HOOK_TYPE: 'UserPromptSubmit'
     });
 
     return new Promise((resolve) => {
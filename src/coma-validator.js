@@ -6,13 +6,34 @@
  */
 
 import fs from 'fs/promises';
+import { appendFileSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { ClaudeCodeProvider } from './providers/claude-code.js';
+import { findProvider } from './providers/index.js';
 import { ContextManager } from './context-manager.js';
+import { readHookInput } from './hook-input.js';
+import { emitDecision, DEFAULT_OUTPUT_STYLE } from './hook-output.js';
+import { loadConfig, DEFAULT_CONFIG } from './config.js';
+import { RepositoryScanner, agentCoversFile, agentCoversTarget, nearestAgents, toRepoPath } from './repository-scanner.js';
+import { isOutsideRepository } from './glob.js';
+import { BashAnalyzer } from './bash-analyzer.js';
+import { previewChange, FILE_CHANGE_TOOLS } from './change-preview.js';
+import { runPreChecks } from './pre-checks.js';
+import { evaluateConsensus } from './consensus/index.js';
+import { parseVerdict, formatWarnings } from './verdict-parser.js';
+import { VerdictCache, verdictCacheKey, hashFiles } from './verdict-cache.js';
+import { ConsultationQueue, FileSemaphore, defaultRuntimeDir } from './concurrency.js';
+import { CircuitBreaker, consultWithFallback } from './resilience.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// COMA's and Claude Code's own settings. The scan ignores these directories, so
+// no agent guards them; shaped as an agent so agentCoversFile/Target can match it.
+const SETTINGS_PATHS = {
+  files: ['.coma/config.json', '.claude/settings.json', '.claude/settings.local.json'],
+  scope: { type: 'glob', patterns: ['.coma/**', '.claude/**'] }
+};
+
 // Debug logging utility
 function debugLog(message) {
   const logPath = process.env.CLAUDE_COMA_DEBUG;
@@ -21,7 +42,7 @@ function debugLog(message) {
     const pid = process.pid;
     const logEntry = `${timestamp} [${pid}] VALIDATOR: ${message}\n`;
     try {
-      fs.appendFileSync(logPath, logEntry);
+      appendFileSync(logPath, logEntry);
     } catch (error) {
       // Fallback to async if sync fails
       fs.appendFile(logPath, logEntry).catch(() => {});
@@ -29,47 +50,163 @@ function debugLog(message) {
   }
 }
 
+/**
+ * Construct the agent provider for a provider name (built-in or third-party,
+ * see providers/index.js), configured from the COMA config. agentSettings
+ * ({ model, generation } from agents.overrides) win over the provider's section.
+ */
+export async function createAgentProvider(name, repoPath, config = DEFAULT_CONFIG, agentSettings = {}) {
+  const { Provider, settings } = await findProvider(name, { repoPath, config });
+  const options = {
+    claudeBin: config.claudeBin,
+    timeoutMs: config.timeouts.providerMs,
+    allowedTools: config.agents.allowedTools,
+    ...settings,
+    ...agentSettings
+  };
+  return new Provider(repoPath, options);
+}
+
+/**
+ * Settle like promise, or reject with signal's reason once it aborts
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * One line per agent: its decision and how long it took (and the provider, when
+ * a fallback answered), or why it has no answer
+ */
+export function formatTimings(results) {
+  return results.map(result => {
+    const seconds = result.durationMs === null ? null : `${(result.durationMs / 1000).toFixed(1)}s`;
+    if (result.timedOut) {
+      return `* ${result.file}: no answer by the deadline (${seconds ? `ran ${seconds}` : 'never started'})`;
+    }
+    const fallback = result.fallbackFrom ? ` via ${result.provider} (${result.fallbackFrom} failed)` : '';
+    return `* ${result.file}: ${result.decision} ${result.cached ? '(cached)' : `in ${seconds ?? '?'}`}${fallback}`;
+  }).join('\n');
+}
+
 export class ComaValidator {
   constructor() {
     this.repoPath = process.env.COMA_REPO_PATH || process.cwd();
-    this.provider = process.env.COMA_PROVIDER || 'claude-code';
-    this.contextManager = new ContextManager();
-
-    // Initialize the appropriate provider
-    if (this.provider === 'claude-code') {
-      this.agentProvider = new ClaudeCodeProvider(this.repoPath);
-    } else {
-      console.error(`COMA: Unknown provider: ${this.provider}`);
-      process.exit(1);
+    this.config = DEFAULT_CONFIG;
+    this.provider = DEFAULT_CONFIG.provider;
+    this.outputStyle = DEFAULT_OUTPUT_STYLE;
+    this.progress = [];
+    this.verdictCache = null; // Set up by initialize() unless cache.enabled is false
+    this.agentProviders = new Map(); // Provider instances by selection key; see providerFor()
+    this.circuitBreaker = null; // Created on first use; see consultProviders()
+  }
+
+  /**
+   * Load configuration (defaults < user < repo < environment) and set up the provider
+   */
+  async initialize() {
+    const { config, sources } = await loadConfig({ repoPath: this.repoPath });
+    debugLog(`Configuration sources: ${sources.join(', ')}`);
+
+    this.config = config;
+    this.provider = config.provider;
+    this.outputStyle = config.outputStyle;
+    this.contextManager = new ContextManager(config.context);
+    if (config.cache.enabled) {
+      this.verdictCache = new VerdictCache({ repoPath: this.repoPath, ...config.cache });
     }
+
+    // Fail early if the configured provider cannot be used; agents naming
+    // another provider in agents.overrides get theirs when first consulted
+    await this.providerFor({});
   }
 
   async validate() {
     debugLog('Starting validation process');
     try {
       // Parse tool call from Claude Code
-      const toolData = this.parseToolCall();
+      const toolData = await this.parseToolCall();
       debugLog(`Parsed tool data: ${JSON.stringify(toolData)}`);
 
       if (!toolData) {
         debugLog('No tool data provided - exiting');
-        console.log('COMA: No tool data provided');
-        process.exit(0);
+        this.report('COMA: No tool data provided');
+        return this.pass();
       }
 
       // Check if this is a modification operation
       if (!this.isModificationOperation(toolData)) {
         debugLog(`${toolData.toolName} is not a modification operation - allowing`);
-        process.exit(0); // Allow read operations
+        return this.pass(); // Allow read operations
       }
 
-      console.log(`COMA: Validating ${toolData.toolName} operation`);
+      // Bash: read-only commands need no review; opaque ones follow bash.opaqueCommands
+      let bashAnalysis = null;
+      if (toolData.toolName === 'Bash') {
+        bashAnalysis = this.analyzeBashCommand(toolData);
+        debugLog(`Bash analysis: ${JSON.stringify(bashAnalysis)}`);
+
+        if (bashAnalysis.kind === 'read-only') {
+          debugLog('Read-only Bash command - allowing');
+          return this.pass();
+        }
+        if (bashAnalysis.kind === 'opaque') {
+          const policy = this.config.bash.opaqueCommands;
+          const reason = `COMA: Cannot tell which files this command changes (${bashAnalysis.reason})`;
+          if (policy === 'deny') {
+            return this.deny(`${reason}. Set bash.opaqueCommands to "all-agents" or "ask" to allow such commands.`);
+          }
+          if (policy === 'ask') {
+            return this.ask(reason);
+          }
+        }
+      }
+
+      // Cheap deterministic checks: an edit Claude Code would reject needs no consultation
+      const preCheckFailure = await runPreChecks(toolData, { repoPath: this.repoPath });
+      if (preCheckFailure) {
+        debugLog(`Pre-check "${preCheckFailure.check}" failed: ${preCheckFailure.message}`);
+        return this.deny(`COMA: ${preCheckFailure.message}`);
+      }
+
+      this.report(`COMA: Validating ${toolData.toolName} operation`);
       debugLog(`Validating ${toolData.toolName} operation`);
 
       // Get affected files
-      const affectedFiles = this.getAffectedFiles(toolData);
+      let affectedFiles = this.getAffectedFiles(toolData, bashAnalysis);
       debugLog(`Affected files: ${JSON.stringify(affectedFiles)}`);
 
+      // No agent guards files outside the repository; apply the configured policy
+      const outsideFiles = affectedFiles === 'ALL_FILES' ? [] : affectedFiles.filter(isOutsideRepository);
+      if (outsideFiles.length > 0) {
+        const policy = this.config.outsideRepository;
+        const reason = `COMA: ${outsideFiles.join(', ')} is outside the repository (${this.repoPath}), so no agent can review it`;
+        debugLog(`Outside repository (${policy}): ${outsideFiles.join(', ')}`);
+        if (policy === 'deny') {
+          return this.deny(`${reason}. Set outsideRepository to "ask" or "skip" to allow such changes.`);
+        }
+        if (policy === 'ask') {
+          return this.ask(reason);
+        }
+        affectedFiles = affectedFiles.filter(file => !isOutsideRepository(file));
+      }
+
+      // Changing the settings that decide what COMA reviews needs the user's confirmation
+      const covers = bashAnalysis ? agentCoversTarget : agentCoversFile;
+      const settingsFiles = affectedFiles === 'ALL_FILES' ? [] : affectedFiles.filter(file => covers(SETTINGS_PATHS, file));
+      if (settingsFiles.length > 0) {
+        debugLog(`Settings change: ${settingsFiles.join(', ')}`);
+        return this.ask(`COMA: ${settingsFiles.join(', ')} holds COMA or Claude Code settings, which no agent reviews`);
+      }
+
       // Load agents
       let agents;
       try {
@@ -77,28 +214,69 @@ export class ComaValidator {
         debugLog(`Loaded ${agents.length} agents`);
       } catch (error) {
         debugLog(`CRITICAL: Failed to load agents: ${error.message}`);
-        console.error('COMA: Failed to load agent configurations:', error.message);
-        process.exit(1);
+        return this.deny(`COMA: Failed to load agent configurations: ${error.message}`);
       }
 
-      // Filter to relevant agents using glob pattern matching
+      // Filter to the agents guarding the affected files
       const relevantAcolytes = affectedFiles === 'ALL_FILES'
         ? agents
-        : agents.filter(agent => this.matchesFilePattern(affectedFiles, agent.file));
+        : agents.filter(agent => affectedFiles.some(file => covers(agent, file)));
+
+      // Paths no agent guards yet (new files, or files the scan skipped): apply uncoveredFiles
+      const uncoveredFiles = affectedFiles === 'ALL_FILES' ? [] : await this.findUncoveredFiles(affectedFiles, agents, covers);
+      if (uncoveredFiles.length > 0) {
+        const policy = this.config.uncoveredFiles;
+        const reason = `COMA: No agent guards ${uncoveredFiles.join(', ')} yet`;
+        debugLog(`Uncovered files (${policy}): ${uncoveredFiles.join(', ')}`);
+        if (policy === 'deny') {
+          return this.deny(`${reason}. Set uncoveredFiles to "nearest", "ask" or "skip" to allow such changes.`);
+        }
+        if (policy === 'ask') {
+          return this.ask(reason);
+        }
+        if (policy === 'nearest') {
+          // The agents of neighbouring files review it instead
+          const neighbours = uncoveredFiles.map(file => nearestAgents(agents, file));
+          if (neighbours.some(owners => owners.length === 0)) {
+            return this.ask(`${reason}, and no file near it has an agent to review it`);
+          }
+          for (const agent of neighbours.flat()) {
+            if (!relevantAcolytes.includes(agent)) relevantAcolytes.push(agent);
+          }
+        }
+      }
       debugLog(`${relevantAcolytes.length} relevant agents selected`);
 
       if (relevantAcolytes.length === 0) {
         debugLog('No agents need to review - allowing change');
-        console.log('COMA: No agents need to review this change');
-        process.exit(0);
+        this.report('COMA: No agents need to review this change');
+        return this.pass();
       }
 
-      console.log(`COMA: Consulting ${relevantAcolytes.length} ${this.provider} agents`);
-      debugLog(`Starting consultation with ${relevantAcolytes.length} ${this.provider} agents`);
+      this.report(`COMA: Consulting ${this.describeAgents(relevantAcolytes)}`);
+      debugLog(`Starting consultation with ${this.describeAgents(relevantAcolytes)}`);
 
       // Consult agents using selected provider
-      const results = await this.consultAcolytes(relevantAcolytes, toolData);
+      let results = await this.consultAcolytes(relevantAcolytes, toolData, affectedFiles);
       debugLog(`Consultation completed, evaluating consensus`);
+      const timings = `Agent timings:\n${formatTimings(results)}`;
+
+      // Agents that missed the consultation deadline: apply timeouts.onDeadline
+      const missed = results.filter(result => result.timedOut);
+      if (missed.length > 0) {
+        const policy = this.config.timeouts.onDeadline;
+        const reason = `COMA: ${missed.length} of ${results.length} agents did not answer within the ` +
+          `${this.config.timeouts.consultationMs}ms consultation deadline (${missed.map(result => result.file).join(', ')})`;
+        debugLog(`Deadline missed (${policy}): ${missed.map(result => result.agentId).join(', ')}`);
+        if (policy === 'deny') {
+          return this.deny(`${reason}. Set timeouts.onDeadline to "partial" or "ask" to allow such changes.\n\n${timings}`);
+        }
+        if (policy === 'ask') {
+          return this.ask(`${reason}\n\n${timings}`);
+        }
+        // "partial": decide on the votes received; the missing agents abstain
+        results = results.map(result => (result.timedOut ? { ...result, decision: 'ABSTAIN' } : result));
+      }
 
       // Evaluate consensus
       const decision = this.evaluateConsensus(results);
@@ -107,44 +285,96 @@ export class ComaValidator {
         debugLog(`Rejection reasoning: ${decision.reasoning}`);
       }
 
-      if (decision.approved) {
-        console.log('COMA: Change approved by agent consensus');
-        debugLog('Change approved - exiting with code 0');
-        process.exit(0);
+      if (decision.approved && decision.warnings.length > 0) {
+        debugLog(`Change approved with ${decision.warnings.length} warning(s) - allowing with comments`);
+        return this.allow(
+          `COMA: Change approved by agent consensus with ${decision.warnings.length} comment(s)\n\n${timings}`,
+          'COMA agents approved this change with non-blocking comments. ' +
+            `Consider addressing them in a follow-up change:\n${formatWarnings(decision.warnings)}`
+        );
+      } else if (decision.approved) {
+        debugLog('Change approved - allowing');
+        return this.allow(`COMA: Change approved by agent consensus\n\n${timings}`);
       } else {
-        console.log('COMA: Change blocked by agents');
-        console.log(decision.reasoning);
         debugLog(`Change blocked: ${decision.reasoning}`);
-        process.exit(1);
+        return this.deny(`COMA: Change blocked by agents\n\n${decision.reasoning}\n\n${timings}`);
       }
 
     } catch (error) {
-      console.error('COMA: Validation error:', error.message);
       debugLog(`Validation error: ${error.message}`);
-      process.exit(1);
+      // Fail closed: an unvalidated change must not go through
+      return this.deny(`COMA: Validation error: ${error.message}`);
     }
   }
 
-  parseToolCall() {
-    const args = process.argv.slice(2);
-    if (args.length === 0) return null;
-
-    try {
-      return JSON.parse(args[0]);
-    } catch {
-      return {
-        toolName: args[0] || 'unknown',
-        parameters: args.slice(1)
-      };
+  /**
+   * Progress messages go to stdout only in exit-code style, written with the
+   * decision: stdout must be pure JSON when an approval carries comments, and
+   * the json style always reserves stdout for the decision object.
+   */
+  report(message) {
+    debugLog(message);
+    if (this.outputStyle !== 'json') {
+      this.progress.push(message);
     }
   }
 
+  /**
+   * Nothing for COMA to review: exit 0 without a decision so Claude Code's
+   * normal permission flow applies. An explicit "allow" would skip it.
+   */
+  pass() {
+    process.stdout.write(this.progress.map(line => `${line}\n`).join(''), () => process.exit(0));
+  }
+
+  /**
+   * additionalContext carries non-blocking comments back to Claude with the approval
+   */
+  allow(reason = '', additionalContext = '') {
+    this.emit('allow', reason, additionalContext);
+  }
+
+  deny(reason) {
+    this.emit('deny', reason);
+  }
+
+  ask(reason) {
+    this.emit('ask', reason);
+  }
+
+  emit(decision, reason, additionalContext = '') {
+    debugLog(`Emitting ${decision} decision (${this.outputStyle} style)`);
+    emitDecision({ decision, reason, additionalContext, progress: this.progress, style: this.outputStyle });
+  }
+
+  async parseToolCall() {
+    // Claude Code sends the payload on stdin; argv is only used by the test suite
+    const input = await readHookInput();
+    debugLog(`Tool data source: ${input.source}`);
+    return input.data;
+  }
+
   isModificationOperation(toolData) {
-    const modificationTools = ['Edit', 'MultiEdit', 'Write', 'Bash'];
-    return modificationTools.includes(toolData.toolName);
+    return this.config.interceptedTools.includes(toolData.toolName);
+  }
+
+  /**
+   * Classify a Bash command as read-only, writing known paths, or opaque.
+   * Relative paths resolve against the session's working directory.
+   */
+  analyzeBashCommand(toolData) {
+    const analyzer = new BashAnalyzer({
+      cwd: toolData.cwd || this.repoPath,
+      readOnlyCommands: this.config.bash.readOnlyCommands
+    });
+    return analyzer.analyze(toolData.parameters?.command || '');
   }
 
-  getAffectedFiles(toolData) {
+  /**
+   * Repository-relative paths a tool call changes, or 'ALL_FILES'. For Bash
+   * these are glob targets from the command analysis (see agentCoversTarget).
+   */
+  getAffectedFiles(toolData, bashAnalysis = null) {
     const { toolName, parameters } = toolData;
 
     switch (toolName) {
@@ -157,7 +387,10 @@ export class ComaValidator {
         return [];
 
       case 'Bash':
-        return 'ALL_FILES'; // Bash can affect any file
+        if (bashAnalysis?.kind === 'writes') {
+          return bashAnalysis.targets.map(target => this.relativizePath(target));
+        }
+        return 'ALL_FILES'; // An opaque command can affect any file
 
       default:
         return [];
@@ -165,31 +398,37 @@ export class ComaValidator {
   }
 
   relativizePath(filePath) {
-    return path.relative(this.repoPath, path.resolve(filePath));
-  }
-
-  matchesFilePattern(affectedFiles, pattern) {
-    // Check if any affected file matches the agent's pattern
-    if (pattern.includes('**/*.')) {
-      const extension = pattern.split('**/*.')[1];
-      return affectedFiles.some(file => file.endsWith(`.${extension}`));
-    }
-
-    // Exact match fallback
-    return affectedFiles.includes(pattern);
+    return toRepoPath(path.relative(this.repoPath, path.resolve(this.repoPath, filePath)));
   }
 
   async loadAcolytes() {
-    debugLog(`Generating agents dynamically for repository`);
+    debugLog(`Generating agents dynamically for repository at ${this.repoPath}`);
 
-    // Generate agents dynamically by scanning repository files
-    const agents = await this.scanRepositoryForFiles();
+    // One agent per scanned file (or per group, see agents.grouping)
+    const basePrompt = await this.loadBasePromptTemplate();
+    const scanner = new RepositoryScanner({ repoPath: this.repoPath, config: this.config });
+    const agents = await scanner.createAgents(basePrompt);
 
     debugLog(`Generated ${agents.length} agents dynamically`);
     debugLog(`Acolyte IDs: ${agents.map(a => a.id).join(', ')}`);
     return agents;
   }
 
+  /**
+   * Affected paths no agent covers and the scan would not ignore. Bash targets
+   * are checked unescaped; an ignored path needs no review, as before it existed.
+   */
+  async findUncoveredFiles(affectedFiles, agents, covers) {
+    const scanner = new RepositoryScanner({ repoPath: this.repoPath, config: this.config });
+    const uncovered = [];
+    for (const file of affectedFiles) {
+      if (file === '' || agents.some(agent => covers(agent, file))) continue;
+      if (await scanner.isIgnoredPath(file.replace(/\\(.)/g, '$1'))) continue;
+      uncovered.push(file);
+    }
+    return uncovered;
+  }
+
   async loadBasePromptTemplate() {
     try {
       const basePromptPath = path.join(__dirname, 'prompts', 'base.md');
@@ -201,72 +440,15 @@ export class ComaValidator {
       // Fallback to simple prompt if base.md not found
       return `You are an agent protecting code files. Review changes for quality, security, and consistency.
 
-Return APPROVE or REJECT with reasoning.`;
-    }
-  }
-
-  createSystemPromptFromTemplate(baseTemplate, filePath, fileTypeGuidelines = '') {
-    return baseTemplate
-      .replace(/\{\{FILE_PATH\}\}/g, filePath)
-      .replace(/\{\{FILE_TYPE_GUIDELINES\}\}/g, fileTypeGuidelines);
-  }
-
-  async scanRepositoryForFiles() {
-    try {
-      debugLog(`Scanning repository at: ${this.repoPath}`);
-
-      // Load the base prompt template
-      const basePrompt = await this.loadBasePromptTemplate();
-
-      // For now, create a simple agent for common file types
-      // This replaces the static agents.json approach
-      const agents = [
-        {
-          id: 'agent_javascript_files',
-          file: '**/*.js',
-          systemPrompt: this.createSystemPromptFromTemplate(
-            basePrompt,
-            '**/*.js',
-            `## JavaScript File Guidelines
-
-This file contains JavaScript code. Pay special attention to:
-- Modern ES6+ syntax and best practices
-- Variable declarations (prefer const/let over var)
-- Function design and modularity
-- Error handling and edge cases
-- Security implications of dynamic code execution`
-          )
-        },
-        {
-          id: 'agent_typescript_files',
-          file: '**/*.ts',
-          systemPrompt: this.createSystemPromptFromTemplate(
-            basePrompt,
-            '**/*.ts',
-            `## TypeScript File Guidelines
-
-This file contains TypeScript code. Pay special attention to:
-- Type safety and correctness
-- Interface and type definitions
-- Generic usage and constraints
-- Strict TypeScript compilation requirements
-- Integration with JavaScript ecosystem`
-          )
-        }
-      ];
-
-      debugLog(`Created ${agents.length} dynamic agents with base.md template`);
-      return agents;
-    } catch (error) {
-      debugLog(`Failed to scan repository: ${error.message}`);
-      return [];
+Return {{APPROVE_KEYWORD}} or {{REJECT_KEYWORD}} with reasoning.`;
     }
   }
 
-  async consultAcolytes(agents, toolData) {
-    console.log(`COMA: Starting ${agents.length} ${this.provider} agents in parallel`);
-    debugLog(`Starting ${agents.length} agents in parallel using ${this.provider} provider`);
-
+  /**
+   * Consult the agents about a tool call. affectedFiles (see getAffectedFiles)
+   * selects the file contents that key the verdict cache.
+   */
+  async consultAcolytes(agents, toolData, affectedFiles = 'ALL_FILES') {
     // Get captured context from recent Claude responses
     const claudeContext = this.contextManager.getContextForAgents();
     debugLog(`Retrieved context: ${claudeContext ? claudeContext.length + ' chars' : 'none'}`);
@@ -275,126 +457,360 @@ This file contains TypeScript code. Pay special attention to:
     }
 
     // Create consultation data (generic object for provider)
-    const consultationData = {
-      ...toolData,
-      claudeContext: claudeContext
-    };
+    const consultationData = await this.buildConsultationData(toolData, claudeContext);
+
+    // Verdicts cached for this exact change need no consultation
+    const cacheKeys = await this.verdictCacheKeys(agents, consultationData, affectedFiles);
+    const results = await Promise.all(agents.map((agent, index) => this.cachedResult(agent, cacheKeys[index])));
+    const pending = results.flatMap((result, index) => (result ? [] : [index]));
+    if (pending.length < agents.length) {
+      this.report(`COMA: Reusing ${agents.length - pending.length} cached verdict(s)`);
+    }
 
-    // Spawn all agents in parallel using the provider
-    const promises = agents.map(agent => {
-      debugLog(`Starting consultation with agent ${agent.id} for file ${agent.file}`);
-      const consultationPromise = this.agentProvider.consultAgent(agent, consultationData);
-
-      // Add timeout logging
-      const timeoutPromise = new Promise((resolve) => {
-        setTimeout(() => {
-          debugLog(`Acolyte ${agent.id} consultation taking longer than 10 seconds...`);
-          resolve(null);
-        }, 10000);
+    // One deadline covers the whole consultation, retries included: when it passes,
+    // queued agents never start and running ones are abandoned (and cancelled, if
+    // the provider supports it)
+    const deadlineMs = this.config.timeouts.consultationMs;
+    const controller = new AbortController();
+    const deadline = setTimeout(() => {
+      debugLog(`Consultation deadline of ${deadlineMs}ms passed, cancelling outstanding agents`);
+      controller.abort(new Error(`No answer within the ${deadlineMs}ms consultation deadline`));
+    }, deadlineMs);
+
+    // Consult the remaining agents through the queue, highest priority first
+    const queue = this.createConsultationQueue(controller.signal);
+    const consult = index => queue
+      .run(() => this.consultAgent(agents[index], consultationData, controller.signal), agents[index].priority ?? 0)
+      .catch(error => this.agentResult(agents[index], 'ERROR', error.message, null, { timedOut: controller.signal.aborted }));
+
+    const pendingAgents = pending.map(index => agents[index]);
+    this.report(`COMA: Starting ${this.describeAgents(pendingAgents)} in parallel`);
+    debugLog(`Starting ${this.describeAgents(pendingAgents)}, at most ${queue.limit} at once`);
+    try {
+      const consulted = await Promise.all(pending.map(consult));
+      pending.forEach((resultIndex, consultedIndex) => {
+        results[resultIndex] = consulted[consultedIndex];
       });
 
-      Promise.race([consultationPromise, timeoutPromise]);
-
-      return consultationPromise
-        .then(rawResponse => {
-          debugLog(`Acolyte ${agent.id} completed consultation`);
-          debugLog(`Acolyte ${agent.id} raw response: ${rawResponse}`);
-
-          // Parse the raw response to extract decision
-          const parsedResult = this.parseAgentResponse(rawResponse);
-          debugLog(`Acolyte ${agent.id} decision: ${parsedResult.decision}`);
-          debugLog(`Acolyte ${agent.id} reasoning: ${parsedResult.reasoning}`);
-
-          return {
-            agentId: agent.id,
-            file: agent.file,
-            decision: parsedResult.decision,
-            reasoning: parsedResult.reasoning
-          };
-        })
-        .catch(error => {
-          debugLog(`Acolyte ${agent.id} consultation failed: ${error.message}`);
-          return {
-            agentId: agent.id,
-            file: agent.file,
-            decision: 'ERROR',
-            reasoning: error.message
-          };
-        });
-    });
+      // errorPolicy "retry": consult the failed agents again; what still fails counts as a rejection
+      if (this.config.consensus.errorPolicy === 'retry') {
+        await this.retryFailed(results, consult, controller.signal);
+      }
+    } finally {
+      clearTimeout(deadline);
+    }
+
+    // Failed consultations are not cached, so the next attempt asks again; nor
+    // are fallback answers, whose key names the agent's own provider
+    await Promise.all(pending
+      .filter(index => results[index].decision !== 'ERROR' && results[index].fallbackFrom === null)
+      .map(index => this.cacheResult(agents[index], cacheKeys[index], results[index])));
 
-    // Wait for all agents to complete
-    const results = await Promise.all(promises);
-    console.log(`COMA: All ${agents.length} ${this.provider} agents completed consultation`);
-    debugLog(`All agents completed. Results: ${results.map(r => `${r.file}:${r.decision}`).join(', ')}`);
+    const fallbacks = results.filter(result => result.fallbackFrom !== null);
+    if (fallbacks.length > 0) {
+      this.report(`COMA: ${fallbacks.length} agent(s) answered by a fallback provider`);
+    }
+    const answered = results.filter(result => !result.timedOut).length;
+    this.report(answered === agents.length
+      ? `COMA: All ${this.describeAgents(agents)} completed consultation`
+      : `COMA: ${answered} of ${this.describeAgents(agents)} answered before the deadline`);
+    debugLog(`All agents completed. Results: ${results.map(r => `${r.file}:${r.decision}${r.timedOut ? ' (timed out)' : ''}`).join(', ')}`);
 
     return results;
   }
 
-  parseAgentResponse(rawResponse) {
-    // Parse the raw string response from the agent to extract decision and reasoning
-    const cleanOutput = rawResponse.trim();
-
-    // Look for decision keywords in the entire output
-    if (cleanOutput.includes('APPROVE')) {
-      return { decision: 'APPROVE', reasoning: cleanOutput };
-    } else if (cleanOutput.includes('REJECT')) {
-      return { decision: 'REJECT', reasoning: cleanOutput };
-    } else {
-      // If no clear decision, treat as reject for safety
-      return { decision: 'REJECT', reasoning: `Unclear response: ${cleanOutput}` };
+  /**
+   * Consult failed agents again, up to consensus.retries times or until the deadline
+   */
+  async retryFailed(results, consult, signal) {
+    for (let attempt = 1; attempt <= this.config.consensus.retries; attempt++) {
+      const failedIndexes = results.flatMap((result, index) => (result.decision === 'ERROR' ? [index] : []));
+      if (failedIndexes.length === 0 || signal.aborted) break;
+
+      debugLog(`Retrying ${failedIndexes.length} failed agent(s), attempt ${attempt} of ${this.config.consensus.retries}`);
+      const retried = await Promise.all(failedIndexes.map(consult));
+      failedIndexes.forEach((resultIndex, retryIndex) => {
+        results[resultIndex] = retried[retryIndex];
+      });
     }
   }
 
-  evaluateConsensus(results) {
-    const approvals = results.filter(r => r.decision === 'APPROVE');
-    const rejections = results.filter(r => r.decision === 'REJECT');
-    const errors = results.filter(r => r.decision === 'ERROR');
-    const unknown = results.filter(r => !['APPROVE', 'REJECT', 'ERROR'].includes(r.decision));
-
-    // Any rejection blocks the operation
-    if (rejections.length > 0) {
-      return {
-        approved: false,
-        reasoning: `Operation blocked by ${rejections.length} agent(s):\n\n` +
-          rejections.map(r => `* ${r.file}: ${r.reasoning}`).join('\n\n')
-      };
+  /**
+   * Which provider consults an agent: { name, settings, key }. agents.overrides
+   * may give an agent its own provider, model and generation settings; key
+   * identifies the (provider, settings) pair.
+   */
+  providerSelection(agent) {
+    const name = agent.provider ?? this.provider;
+    const settings = {};
+    if (agent.model) settings.model = agent.model;
+    if (agent.generation) settings.generation = agent.generation;
+    const key = Object.keys(settings).length === 0 ? name : `${name} ${JSON.stringify(settings)}`;
+    return { name, settings, key };
+  }
+
+  /**
+   * The provider instance for an agent. Agents with the same selection share
+   * one instance, created on first use.
+   */
+  providerFor(agent) {
+    return this.providerInstance(this.providerSelection(agent));
+  }
+
+  providerInstance({ name, settings, key }) {
+    if (!this.agentProviders.has(key)) {
+      debugLog(`Creating ${key} provider`);
+      const creating = this.createProvider(name, settings);
+      // A provider that cannot be created is not cached, so a fixed config is picked up
+      creating.catch(() => this.agentProviders.delete(key));
+      this.agentProviders.set(key, creating);
+    }
+    return this.agentProviders.get(key);
+  }
+
+  createProvider(name, settings) {
+    return createAgentProvider(name, this.repoPath, this.config, settings);
+  }
+
+  /**
+   * Ask the agent's provider, retrying retryable errors with backoff, then each
+   * resilience.fallback provider in order (with its own configured model) until
+   * one answers. Providers whose circuit is open are skipped. Resolves to
+   * { response, provider } naming the provider that answered.
+   */
+  consultProviders(agent, consultationData, signal) {
+    const { resilience } = this.config;
+    const own = this.providerSelection(agent);
+    const chain = [own, ...resilience.fallback
+      .filter(name => name !== own.name)
+      .map(name => this.providerSelection({ provider: name }))];
+
+    this.circuitBreaker ??= new CircuitBreaker({
+      dir: path.join(defaultRuntimeDir(), 'circuits'),
+      threshold: resilience.breakerThreshold,
+      cooldownMs: resilience.breakerCooldownMs
+    });
+    return consultWithFallback(chain,
+      selection => this.providerInstance(selection).then(provider => provider.consultAgent(agent, consultationData, { signal })),
+      {
+        retries: resilience.retries,
+        backoffMs: resilience.backoffMs,
+        maxBackoffMs: resilience.maxBackoffMs,
+        breaker: this.circuitBreaker,
+        signal
+      });
+  }
+
+  /**
+   * "3 claude-code agents", or "3 agents (2 claude-code, 1 openai)" when they use different providers
+   */
+  describeAgents(agents) {
+    const counts = new Map();
+    for (const agent of agents) {
+      const { name } = this.providerSelection(agent);
+      counts.set(name, (counts.get(name) ?? 0) + 1);
+    }
+    if (counts.size === 1) {
+      return `${agents.length} ${[...counts.keys()][0]} agents`;
+    }
+    return counts.size === 0
+      ? '0 agents'
+      : `${agents.length} agents (${[...counts].map(([name, count]) => `${count} ${name}`).join(', ')})`;
+  }
+
+  /**
+   * At most concurrency.maxParallel consultations run at once, counting those
+   * of every COMA hook process: each holds a slot in the shared runtime directory.
+   * Once signal aborts, queued consultations are dropped.
+   */
+  createConsultationQueue(signal = null) {
+    const limit = this.config.concurrency.maxParallel;
+    const semaphore = new FileSemaphore({ dir: path.join(defaultRuntimeDir(), 'consultation-slots'), limit });
+    return new ConsultationQueue({ limit, semaphore, signal });
+  }
+
+  /**
+   * Verdict cache key per agent (all null without a cache): the agent's prompt, its
+   * provider selection (with any model and generation settings), the consultation
+   * minus volatile context, and the current content of the affected files the agent guards
+   */
+  async verdictCacheKeys(agents, consultationData, affectedFiles) {
+    if (!this.verdictCache) {
+      return agents.map(() => null);
     }
 
-    // Errors block the operation
-    if (errors.length > 0) {
-      return {
-        approved: false,
-        reasoning: `Acolyte consultation errors (${errors.length}):\n\n` +
-          errors.map(r => `* ${r.file}: ${r.reasoning}`).join('\n\n')
-      };
+    const { toolName } = consultationData;
+    const covers = toolName === 'Bash' ? agentCoversTarget : agentCoversFile;
+    // A file tool's target may not exist yet, so it need not be among the agent's files
+    const targets = FILE_CHANGE_TOOLS.includes(toolName) && affectedFiles !== 'ALL_FILES' ? affectedFiles : [];
+
+    return Promise.all(agents.map(async agent => {
+      const guarded = affectedFiles === 'ALL_FILES'
+        ? agent.files
+        : agent.files.filter(file => affectedFiles.some(target => covers({ files: [file] }, target)));
+      return verdictCacheKey({
+        systemPrompt: agent.systemPrompt,
+        provider: this.providerSelection(agent).key,
+        consultation: consultationData,
+        files: await hashFiles(this.repoPath, [...guarded, ...targets])
+      });
+    }));
+  }
+
+  /**
+   * The cached result for an agent, or null. Cache failures count as misses.
+   */
+  async cachedResult(agent, key) {
+    if (!key) return null;
+    try {
+      const cached = await this.verdictCache.get(key);
+      if (cached) {
+        debugLog(`Verdict cache hit for ${agent.id} (${key.substring(0, 12)}): ${cached.decision}`);
+        return this.agentResult(agent, cached.decision, cached.reasoning, cached.verdict, { cached: true, provider: cached.provider ?? null });
+      }
+      debugLog(`Verdict cache miss for ${agent.id} (${key.substring(0, 12)})`);
+    } catch (error) {
+      debugLog(`Verdict cache lookup failed for ${agent.id}: ${error.message}`);
     }
+    return null;
+  }
 
-    // Unknown decision types block the operation
-    if (unknown.length > 0) {
-      return {
-        approved: false,
-        reasoning: `Unknown decision types from ${unknown.length} agent(s):\n\n` +
-          unknown.map(r => `* ${r.file}: ${r.decision} - ${r.reasoning}`).join('\n\n')
-      };
+  async cacheResult(agent, key, { decision, reasoning, verdict, provider }) {
+    if (!key) return;
+    try {
+      await this.verdictCache.set(key, { decision, reasoning, verdict, provider });
+    } catch (error) {
+      debugLog(`Cannot cache the verdict of ${agent.id}: ${error.message}`);
     }
+  }
 
-    // All approvals
+  /**
+   * Result of one agent, carrying its weight and veto role for the consensus strategy,
+   * its timing: durationMs (null when it never ran), whether it missed the
+   * consultation deadline, and whether the verdict came from the cache, and the
+   * provider that answered (fallbackFrom names the agent's own provider when a
+   * fallback answered instead)
+   */
+  agentResult(agent, decision, reasoning, verdict = null, {
+    durationMs = null, timedOut = false, cached = false, provider = null, fallbackFrom = null
+  } = {}) {
     return {
-      approved: true,
-      reasoning: `Unanimous approval from ${approvals.length} agent(s)`
+      agentId: agent.id,
+      file: agent.file,
+      decision,
+      reasoning,
+      verdict,
+      weight: agent.weight ?? 1,
+      veto: agent.veto ?? false,
+      durationMs,
+      timedOut,
+      cached,
+      provider,
+      fallbackFrom
     };
   }
+
+  /**
+   * Consult one agent. Never rejects: failures become an ERROR result, and so does
+   * an agent still running when signal aborts (marked timedOut).
+   * Results carry the agent's structured verdict (severity, confidence, findings)
+   * when it gave one.
+   */
+  consultAgent(agent, consultationData, signal = null) {
+    debugLog(`Starting consultation with agent ${agent.id} for file ${agent.file}`);
+    const startedAt = Date.now();
+    // Providers that support cancellation stop the agent when signal aborts
+    const consultationPromise = untilAborted(this.consultProviders(agent, consultationData, signal), signal);
+    const result = (decision, reasoning, verdict, details = {}) =>
+      this.agentResult(agent, decision, reasoning, verdict, { durationMs: Date.now() - startedAt, ...details });
+    const ownProvider = this.providerSelection(agent).name;
+
+    // Log agents that are still running after the warning threshold
+    const warningMs = this.config.timeouts.slowAgentWarningMs;
+    const slowAgentTimer = setTimeout(() => {
+      debugLog(`Acolyte ${agent.id} consultation taking longer than ${warningMs}ms...`);
+    }, warningMs);
+
+    return consultationPromise
+      .finally(() => clearTimeout(slowAgentTimer))
+      .then(({ response: rawResponse, provider }) => {
+        debugLog(`Acolyte ${agent.id} completed consultation (answered by ${provider})`);
+        debugLog(`Acolyte ${agent.id} raw response: ${rawResponse}`);
+
+        // Parse the raw response to extract decision
+        const parsedResult = this.parseAgentResponse(rawResponse);
+        debugLog(`Acolyte ${agent.id} decision: ${parsedResult.decision}`);
+        debugLog(`Acolyte ${agent.id} reasoning: ${parsedResult.reasoning}`);
+
+        return result(parsedResult.decision, parsedResult.reasoning, parsedResult.verdict,
+          { provider, fallbackFrom: provider === ownProvider ? null : ownProvider });
+      })
+      .catch(error => {
+        if (signal?.aborted && error === signal.reason) {
+          debugLog(`Acolyte ${agent.id} did not answer in time: ${error.message}`);
+          return result('ERROR', error.message, null, { timedOut: true });
+        }
+        debugLog(`Acolyte ${agent.id} consultation failed: ${error.message}`);
+        return result('ERROR', error.message);
+      });
+  }
+
+  /**
+   * For file tools, agents get the unified diff of the change (applied in memory
+   * to the file on disk) instead of raw old_string/new_string/content parameters.
+   * If the change cannot be applied (e.g. old_string is missing), they get the
+   * raw parameters and the reason.
+   */
+  async buildConsultationData(toolData, claudeContext) {
+    let preview;
+    try {
+      preview = await previewChange(toolData, { repoPath: this.repoPath });
+    } catch (error) {
+      debugLog(`Cannot preview ${toolData.toolName} change: ${error.message}`);
+      return { ...toolData, previewError: error.message, claudeContext };
+    }
+
+    if (!preview) {
+      return { ...toolData, claudeContext };
+    }
+    debugLog(`Previewed ${preview.change} of ${preview.filePath}: +${preview.additions} -${preview.deletions}`);
+
+    const { parameters, ...metadata } = toolData;
+    return { ...metadata, change: preview, claudeContext };
+  }
+
+  /**
+   * Extract the agent's JSON verdict (see src/verdict-parser.js). The keyword
+   * heuristic is only a fallback, and is logged whenever it decides.
+   */
+  parseAgentResponse(rawResponse) {
+    const parsed = parseVerdict(rawResponse, { decisions: this.config.decisions });
+    if (parsed.source !== 'json') {
+      debugLog(`FALLBACK: no valid JSON verdict (${parsed.problems.join('; ')}); ` +
+        `${parsed.source === 'keyword' ? 'decision keyword' : 'no decision keyword, rejecting'} gave ${parsed.decision}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Apply the configured consensus strategy and error policy (see src/consensus/)
+   */
+  evaluateConsensus(results) {
+    return evaluateConsensus(results, this.config.consensus);
+  }
 }
 
 // Run validation
-debugLog('VALIDATOR SCRIPT STARTING');
-try {
-  const validator = new ComaValidator();
-  debugLog('VALIDATOR INSTANCE CREATED');
-  validator.validate();
-} catch (error) {
-  debugLog(`VALIDATOR STARTUP ERROR: ${error.message}`);
-  console.error('COMA: Validator startup failed:', error.message);
-  process.exit(1);
+if (import.meta.url === `file://${process.argv[1]}`) {
+  debugLog('VALIDATOR SCRIPT STARTING');
+  try {
+    const validator = new ComaValidator();
+    debugLog('VALIDATOR INSTANCE CREATED');
+    await validator.initialize();
+    validator.validate();
+  } catch (error) {
+    debugLog(`VALIDATOR STARTUP ERROR: ${error.message}`);
+    // The configured output style may be what failed, so block with the plain exit-code form
+    emitDecision({ decision: 'deny', reason: `COMA: Validator startup failed: ${error.message}`, style: 'exit-code' });
+  }
 }
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Concurrency for COMA
+ * Limits how many agent consultations run at once: a priority queue within one
+ * hook process, and a lock-file semaphore shared by every hook process on the machine
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+// Debug logging utility
+function debugLog(message) {
+  const logPath = process.env.CLAUDE_COMA_DEBUG;
+  if (logPath) {
+    const timestamp = new Date().toISOString();
+    const pid = process.pid;
+    const logEntry = `${timestamp} [${pid}] CONCURRENCY: ${message}\n`;
+    fs.appendFile(logPath, logEntry).catch(() => {});
+  }
+}
+
+// How often a process waiting for a slot checks again
+const SLOT_POLL_MS = 100;
+
+/**
+ * Directory for state shared by concurrent hook processes: COMA_RUNTIME_DIR,
+ * else $XDG_RUNTIME_DIR/coma, else a per-user directory under the system temp dir
+ */
+export function defaultRuntimeDir(env = process.env) {
+  if (env.COMA_RUNTIME_DIR) return env.COMA_RUNTIME_DIR;
+  if (env.XDG_RUNTIME_DIR) return path.join(env.XDG_RUNTIME_DIR, 'coma');
+  const user = typeof process.getuid === 'function' ? process.getuid() : os.userInfo().username;
+  return path.join(os.tmpdir(), `coma-${user}`);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM'; // Alive, but owned by someone else
+  }
+}
+
+/**
+ * Counting semaphore over lock files: slot-<n>.lock for n below the limit. A slot
+ * is taken by creating its file exclusively; a slot whose owning process has
+ * exited is reclaimed.
+ */
+export class FileSemaphore {
+  constructor({ dir, limit, pollMs = SLOT_POLL_MS }) {
+    this.dir = dir;
+    this.limit = limit;
+    this.pollMs = pollMs;
+  }
+
+  slotPath(slot) {
+    return path.join(this.dir, `slot-${slot}.lock`);
+  }
+
+  /**
+   * Take a free slot or return null
+   */
+  async tryAcquire() {
+    await fs.mkdir(this.dir, { recursive: true });
+    for (let slot = 0; slot < this.limit; slot++) {
+      if (await this.tryTake(slot)) return slot;
+    }
+    return null;
+  }
+
+  async tryTake(slot) {
+    const slotPath = this.slotPath(slot);
+    try {
+      await fs.writeFile(slotPath, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const owner = await this.slotOwner(slot);
+    // An empty file is being written right now; leave it to its owner
+    if (owner === null || isProcessAlive(owner)) return false;
+
+    // One process at a time reclaims a slot, so two cannot both delete it and take it
+    const reclaimPath = `${slotPath}.reclaim`;
+    try {
+      await fs.writeFile(reclaimPath, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+    try {
+      if (await this.slotOwner(slot) === owner) {
+        debugLog(`Reclaiming slot ${slot} from exited process ${owner}`);
+        await fs.rm(slotPath, { force: true });
+      }
+    } finally {
+      await fs.rm(reclaimPath, { force: true });
+    }
+    return this.tryTake(slot);
+  }
+
+  async slotOwner(slot) {
+    const owner = Number.parseInt(await fs.readFile(this.slotPath(slot), 'utf8').catch(() => ''), 10);
+    return Number.isNaN(owner) ? null : owner;
+  }
+
+  /**
+   * Wait for a free slot. Resolves to a function that releases it, or rejects
+   * with the signal's reason once signal aborts.
+   */
+  async acquire(signal = null) {
+    let waited = false;
+    for (;;) {
+      signal?.throwIfAborted();
+      const slot = await this.tryAcquire();
+      if (slot !== null) {
+        if (waited) debugLog(`Got slot ${slot} after waiting`);
+        return () => this.release(slot);
+      }
+      if (!waited) {
+        debugLog(`All ${this.limit} slots in ${this.dir} are busy, waiting`);
+        waited = true;
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollMs));
+    }
+  }
+
+  async release(slot) {
+    await fs.rm(this.slotPath(slot), { force: true });
+  }
+}
+
+/**
+ * Runs tasks at most limit at a time, highest priority first and in submission
+ * order among equal priorities. With a semaphore, each task also holds one of
+ * its slots while it runs. Once signal aborts, tasks that have not started
+ * reject with its reason instead of running.
+ */
+export class ConsultationQueue {
+  constructor({ limit, semaphore = null, signal = null }) {
+    this.limit = limit;
+    this.semaphore = semaphore;
+    this.signal = signal;
+    this.waiting = [];
+    this.running = 0;
+    this.submitted = 0;
+    signal?.addEventListener('abort', () => this.cancelWaiting(), { once: true });
+  }
+
+  /**
+   * Queue task (a function returning a promise); resolves or rejects with its result.
+   * Tasks start on the next microtask, so those queued together are ordered together.
+   */
+  run(task, priority = 0) {
+    if (this.signal?.aborted) {
+      return Promise.reject(this.signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ task, priority, order: this.submitted++, resolve, reject });
+      this.waiting.sort((a, b) => b.priority - a.priority || a.order - b.order);
+      queueMicrotask(() => this.next());
+    });
+  }
+
+  next() {
+    while (this.running < this.limit && this.waiting.length > 0) {
+      const { task, resolve, reject } = this.waiting.shift();
+      this.running++;
+      this.execute(task).then(resolve, reject).finally(() => {
+        this.running--;
+        this.next();
+      });
+    }
+  }
+
+  cancelWaiting() {
+    const cancelled = this.waiting.splice(0);
+    if (cancelled.length > 0) debugLog(`Cancelled ${cancelled.length} queued task(s): ${this.signal.reason?.message}`);
+    for (const { reject } of cancelled) reject(this.signal.reason);
+  }
+
+  async execute(task) {
+    const release = this.semaphore ? await this.semaphore.acquire(this.signal) : null;
+    try {
+      return await task();
+    } finally {
+      if (release) await release();
+    }
+  }
+}
@@ -0,0 +1,542 @@
+/**
+ * Configuration for COMA
+ * Merges defaults, user config, repository config, environment variables and CLI flags
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { pathToFileURL } from 'url';
+import { OUTPUT_STYLES } from './hook-output.js';
+import { CONSENSUS_STRATEGY_NAMES, ERROR_POLICIES } from './consensus/index.js';
+import { LOCAL_APIS } from './providers/local.js';
+
+// Debug logging utility
+function debugLog(message) {
+  const logPath = process.env.CLAUDE_COMA_DEBUG;
+  if (logPath) {
+    const timestamp = new Date().toISOString();
+    const pid = process.pid;
+    const logEntry = `${timestamp} [${pid}] CONFIG: ${message}\n`;
+    fs.appendFile(logPath, logEntry).catch(() => {});
+  }
+}
+
+export const DEFAULT_CONFIG = {
+  provider: 'claude-code',
+  outputStyle: 'exit-code',
+  claudeBin: 'claude',
+  timeouts: {
+    providerMs: 60000,          // Kill an agent consultation after this long
+    slowAgentWarningMs: 10000,  // Log agents still running after this long
+    consultationMs: 120000,     // Deadline for the whole consultation, across every agent
+    onDeadline: 'ask'           // 'partial' | 'ask' | 'deny': what happens when agents miss the deadline
+  },
+  providers: {
+    openai: {
+      model: 'gpt-4o-mini',
+      baseUrl: 'https://api.openai.com/v1', // Any OpenAI-compatible endpoint
+      apiKeyEnv: 'OPENAI_API_KEY'           // Environment variable holding the API key
+    },
+    local: {
+      api: 'ollama',            // 'ollama' (/api/chat) or 'llama.cpp' (/completion); baseUrl defaults to its usual port
+      model: 'llama3.1',        // Ignored by llama.cpp, which serves the model it was started with
+      contextTokens: 8192,      // Context window; longer consultations are trimmed to fit
+      responseTokens: 1024,     // Part of the context window kept free for the answer
+      connectRetries: 3         // Retries while the server refuses connections
+    }
+  },
+  agents: {
+    allowedTools: ['Read', 'Grep', 'Glob', 'WebFetch', 'WebSearch'],
+    grouping: [],               // [{ pattern | patterns, by: 'file' | 'directory' | 'glob', name }], first match wins
+    maxAgents: 50,              // Larger scans are merged into directory agents
+    overrides: []               // [{ pattern | patterns, weight, veto, priority, provider, model, generation }], first match wins
+  },
+  scanner: {
+    ignore: [],                 // Extra .gitignore-style patterns
+    maxFileBytes: 262144,       // Larger files get no agent
+    maxFiles: 5000              // Stop scanning after this many files
+  },
+  consensus: {
+    strategy: 'unanimous',          // 'unanimous', 'majority', 'quorum', 'weighted' or 'veto'
+    errorPolicy: 'treat-as-reject', // Failed consultations: 'treat-as-reject', 'ignore' or 'retry'
+    retries: 1,                     // Extra attempts per failed agent with errorPolicy 'retry'
+    minParticipation: 0.5           // quorum: share of the consulted agents that must vote
+  },
+  concurrency: {
+    maxParallel: 4       // Agent consultations running at once, across all COMA hook processes
+  },
+  resilience: {
+    retries: 2,                 // Extra attempts for retryable provider errors (timeouts, rate limits, server errors)
+    backoffMs: 1000,            // Longest wait before the first retry; doubles with each retry (random up to it)
+    maxBackoffMs: 10000,        // Cap on the wait between retries
+    breakerThreshold: 5,        // Consecutive failures that open a provider's circuit; 0 disables the breaker
+    breakerCooldownMs: 60000,   // How long a provider with an open circuit is skipped
+    fallback: []                // Providers tried in order when an agent's provider fails, e.g. ['openai', 'local']
+  },
+  cache: {
+    enabled: true,       // Reuse verdicts for repeated changes (stored in the runtime directory)
+    ttlMs: 3600000,      // How long a verdict stays valid
+    maxEntries: 1000     // Oldest verdicts are dropped beyond this
+  },
+  interceptedTools: ['Edit', 'MultiEdit', 'Write', 'Bash'],
+  outsideRepository: 'ask',     // Changes to files outside the repository: 'skip', 'ask' or 'deny'
+  uncoveredFiles: 'nearest',    // Changes to repository paths no agent guards yet: 'nearest', 'ask', 'deny' or 'skip'
+  bash: {
+    opaqueCommands: 'all-agents', // Commands whose writes cannot be determined: 'all-agents', 'ask' or 'deny'
+    readOnlyCommands: []          // Extra command names that never modify files
+  },
+  hookMatchers: {
+    PreToolUse: 'Edit|MultiEdit|Write|Bash',
+    PostToolUse: '.*',
+    UserPromptSubmit: '.*'
+  },
+  decisions: {
+    approve: 'APPROVE',
+    approveWithComments: 'APPROVE_WITH_COMMENTS', // Approve, passing non-blocking warnings back to Claude
+    reject: 'REJECT'
+  },
+  context: {
+    maxMessages: 5,
+    maxMessageLength: 2000
+  }
+};
+
+// How agents.grouping rules turn matching files into agents
+export const GROUPING_MODES = ['file', 'directory', 'glob'];
+
+// What to do with a change to a file outside the repository, which no agent guards
+export const OUTSIDE_REPOSITORY_POLICIES = ['skip', 'ask', 'deny'];
+
+// What to do with a change to a repository path no agent guards, such as a new file
+export const UNCOVERED_FILE_POLICIES = ['nearest', 'ask', 'deny', 'skip'];
+
+// What to do when agents have not answered by timeouts.consultationMs
+export const DEADLINE_POLICIES = ['partial', 'ask', 'deny'];
+
+// What to do with a Bash command when it is unclear which files it changes
+export const OPAQUE_BASH_POLICIES = ['all-agents', 'ask', 'deny'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    provider: nonEmptyString,
+    outputStyle: { type: 'string', enum: OUTPUT_STYLES },
+    claudeBin: nonEmptyString,
+    timeouts: {
+      type: 'object',
+      properties: {
+        providerMs: { type: 'integer', minimum: 1 },
+        slowAgentWarningMs: { type: 'integer', minimum: 1 },
+        consultationMs: { type: 'integer', minimum: 1 },
+        onDeadline: { type: 'string', enum: DEADLINE_POLICIES }
+      }
+    },
+    providers: {
+      type: 'object',
+      properties: {
+        openai: {
+          type: 'object',
+          properties: {
+            model: nonEmptyString,
+            baseUrl: nonEmptyString,
+            apiKeyEnv: nonEmptyString
+          }
+        },
+        local: {
+          type: 'object',
+          properties: {
+            api: { type: 'string', enum: LOCAL_APIS },
+            baseUrl: nonEmptyString,
+            model: nonEmptyString,
+            contextTokens: { type: 'integer', minimum: 256 },
+            responseTokens: { type: 'integer', minimum: 1 },
+            connectRetries: { type: 'integer', minimum: 0 }
+          }
+        }
+      },
+      // Any other name is a third-party provider: its module plus whatever
+      // options that provider takes (see src/providers/index.js)
+      additionalProperties: {
+        type: 'object',
+        required: ['module'],
+        properties: { module: nonEmptyString },
+        additionalProperties: true
+      }
+    },
+    agents: {
+      type: 'object',
+      properties: {
+        allowedTools: stringList,
+        grouping: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['by'],
+            requiredOneOf: ['pattern', 'patterns'],
+            properties: {
+              pattern: nonEmptyString,
+              patterns: { type: 'array', items: nonEmptyString },
+              by: { type: 'string', enum: GROUPING_MODES },
+              name: nonEmptyString
+            }
+          }
+        },
+        maxAgents: { type: 'integer', minimum: 1 },
+        overrides: {
+          type: 'array',
+          items: {
+            type: 'object',
+            requiredOneOf: ['pattern', 'patterns'],
+            properties: {
+              pattern: nonEmptyString,
+              patterns: { type: 'array', items: nonEmptyString },
+              weight: { type: 'number', minimum: 0 },
+              veto: { type: 'boolean' },
+              priority: { type: 'integer' },
+              // The provider, model and sampling for these agents instead of the
+              // provider setting and the provider's configured model
+              provider: nonEmptyString,
+              model: nonEmptyString,
+              generation: {
+                type: 'object',
+                properties: {
+                  temperature: { type: 'number', minimum: 0, maximum: 2 },
+                  topP: { type: 'number', minimum: 0, maximum: 1 },
+                  maxTokens: { type: 'integer', minimum: 1 }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    scanner: {
+      type: 'object',
+      properties: {
+        ignore: stringList,
+        maxFileBytes: { type: 'integer', minimum: 1 },
+        maxFiles: { type: 'integer', minimum: 1 }
+      }
+    },
+    consensus: {
+      type: 'object',
+      properties: {
+        strategy: { type: 'string', enum: CONSENSUS_STRATEGY_NAMES },
+        errorPolicy: { type: 'string', enum: ERROR_POLICIES },
+        retries: { type: 'integer', minimum: 0 },
+        minParticipation: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    concurrency: {
+      type: 'object',
+      properties: {
+        maxParallel: { type: 'integer', minimum: 1 }
+      }
+    },
+    resilience: {
+      type: 'object',
+      properties: {
+        retries: { type: 'integer', minimum: 0 },
+        backoffMs: { type: 'integer', minimum: 0 },
+        maxBackoffMs: { type: 'integer', minimum: 0 },
+        breakerThreshold: { type: 'integer', minimum: 0 },
+        breakerCooldownMs: { type: 'integer', minimum: 0 },
+        fallback: { type: 'array', items: nonEmptyString }
+      }
+    },
+    cache: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        ttlMs: { type: 'integer', minimum: 1 },
+        maxEntries: { type: 'integer', minimum: 1 }
+      }
+    },
+    interceptedTools: stringList,
+    outsideRepository: { type: 'string', enum: OUTSIDE_REPOSITORY_POLICIES },
+    uncoveredFiles: { type: 'string', enum: UNCOVERED_FILE_POLICIES },
+    bash: {
+      type: 'object',
+      properties: {
+        opaqueCommands: { type: 'string', enum: OPAQUE_BASH_POLICIES },
+        readOnlyCommands: { type: 'array', items: nonEmptyString }
+      }
+    },
+    hookMatchers: {
+      type: 'object',
+      properties: {
+        PreToolUse: nonEmptyString,
+        PostToolUse: nonEmptyString,
+        UserPromptSubmit: nonEmptyString
+      }
+    },
+    decisions: {
+      type: 'object',
+      properties: { approve: nonEmptyString, approveWithComments: nonEmptyString, reject: nonEmptyString }
+    },
+    context: {
+      type: 'object',
+      properties: {
+        maxMessages: { type: 'integer', minimum: 0 },
+        maxMessageLength: { type: 'integer', minimum: 20 }
+      }
+    }
+  }
+};
+
+// Environment variables that override a single config key
+export const ENV_OVERRIDES = {
+  COMA_PROVIDER: 'provider',
+  COMA_OUTPUT_STYLE: 'outputStyle',
+  COMA_CLAUDE_BIN: 'claudeBin',
+  COMA_PROVIDER_TIMEOUT_MS: 'timeouts.providerMs',
+  COMA_CONSULTATION_TIMEOUT_MS: 'timeouts.consultationMs',
+  COMA_OPENAI_MODEL: 'providers.openai.model',
+  COMA_OPENAI_BASE_URL: 'providers.openai.baseUrl',
+  COMA_LOCAL_MODEL: 'providers.local.model',
+  COMA_LOCAL_BASE_URL: 'providers.local.baseUrl',
+  COMA_FALLBACK_PROVIDERS: 'resilience.fallback' // Comma-separated, e.g. "openai,local"
+};
+
+export const USER_CONFIG_PATH = path.join('.coma', 'config.json');
+export const REPO_CONFIG_FILES = [path.join('.coma', 'config.json'), 'coma.config.js'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeValue(value) {
+  return Array.isArray(value) ? 'an array' : value === null ? 'null' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Check a (partial) config against the schema. Returns a list of problems,
+ * each naming the dotted key, e.g. 'timeouts.providerMs must be an integer >= 1 (got string "60")'.
+ */
+export function validateConfig(config, schema = CONFIG_SCHEMA, prefix = '') {
+  const problems = [];
+  const key = prefix || 'config';
+
+  switch (schema.type) {
+    case 'object':
+      if (!isPlainObject(config)) {
+        return [`${key} must be an object (got ${describeValue(config)})`];
+      }
+      for (const name of schema.required || []) {
+        if (config[name] === undefined) {
+          problems.push(`${prefix ? `${prefix}.` : ''}${name} is required`);
+        }
+      }
+      if (schema.requiredOneOf) {
+        const present = schema.requiredOneOf.filter(name => config[name] !== undefined);
+        if (present.length !== 1) {
+          problems.push(`${key} needs exactly one of ${schema.requiredOneOf.join(', ')}`);
+        }
+      }
+      for (const [name, value] of Object.entries(config)) {
+        const childKey = prefix ? `${prefix}.${name}` : name;
+        // additionalProperties: a schema for keys not listed, or true for anything
+        const childSchema = schema.properties[name] ?? schema.additionalProperties;
+        if (childSchema === true) continue;
+        if (!childSchema) {
+          problems.push(`${childKey} is not a known setting (known: ${Object.keys(schema.properties).join(', ')})`);
+          continue;
+        }
+        problems.push(...validateConfig(value, childSchema, childKey));
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(config)) {
+        return [`${key} must be an array (got ${describeValue(config)})`];
+      }
+      config.forEach((item, index) => {
+        problems.push(...validateConfig(item, schema.items, `${key}[${index}]`));
+      });
+      break;
+
+    case 'integer':
+      if (!Number.isInteger(config) || config < schema.minimum) {
+        const range = schema.minimum === undefined ? '' : ` >= ${schema.minimum}`;
+        problems.push(`${key} must be an integer${range} (got ${describeValue(config)})`);
+      }
+      break;
+
+    case 'number':
+      if (typeof config !== 'number' || !Number.isFinite(config) ||
+          config < schema.minimum || config > (schema.maximum ?? Infinity)) {
+        const range = schema.maximum === undefined ? `>= ${schema.minimum}` : `from ${schema.minimum} to ${schema.maximum}`;
+        problems.push(`${key} must be a number ${range} (got ${describeValue(config)})`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof config !== 'boolean') {
+        problems.push(`${key} must be true or false (got ${describeValue(config)})`);
+      }
+      break;
+
+    case 'string':
+      if (typeof config !== 'string' || config.length < (schema.minLength || 0)) {
+        problems.push(`${key} must be a ${schema.minLength ? 'non-empty ' : ''}string (got ${describeValue(config)})`);
+      } else if (schema.enum && !schema.enum.includes(config)) {
+        problems.push(`${key} must be one of ${schema.enum.map(value => `"${value}"`).join(', ')} (got "${config}")`);
+      }
+      break;
+  }
+
+  return problems;
+}
+
+/**
+ * Deep merge: objects merge key by key, arrays and scalars replace
+ */
+export function mergeConfig(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+function setPath(target, dottedKey, value) {
+  const keys = dottedKey.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function schemaForPath(dottedKey) {
+  return dottedKey.split('.').reduce((schema, key) => schema.properties[key], CONFIG_SCHEMA);
+}
+
+/**
+ * Config layer from environment variables (see ENV_OVERRIDES)
+ */
+export function configFromEnv(env = process.env) {
+  const layer = {};
+  for (const [name, dottedKey] of Object.entries(ENV_OVERRIDES)) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') continue;
+
+    const { type } = schemaForPath(dottedKey);
+    let value = raw;
+    if (type === 'integer' && /^\d+$/.test(raw.trim())) {
+      value = Number(raw.trim());
+    } else if (type === 'array') {
+      value = raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    setPath(layer, dottedKey, value);
+  }
+  return layer;
+}
+
+async function readJsonConfig(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+  }
+}
+
+async function readModuleConfig(filePath) {
+  try {
+    await fs.access(filePath);
+  } catch {
+    return null;
+  }
+
+  const module = await import(pathToFileURL(filePath).href);
+  const exported = module.default ?? module;
+  return typeof exported === 'function' ? await exported() : exported;
+}
+
+/**
+ * The repository config file, if any. Having both forms is an error rather
+ * than a silent choice, since edits to the ignored one would do nothing.
+ */
+async function readRepoConfig(repoPath) {
+  const [jsonPath, modulePath] = REPO_CONFIG_FILES.map(file => path.join(repoPath, file));
+  const json = await readJsonConfig(jsonPath);
+  const exists = await fs.access(modulePath).then(() => true, () => false);
+
+  if (json !== null && exists) {
+    throw new Error(`Both ${jsonPath} and ${modulePath} exist; keep only one`);
+  }
+  if (json !== null) return { path: jsonPath, layer: json };
+  if (exists) return { path: modulePath, layer: await readModuleConfig(modulePath) };
+  return null;
+}
+
+/**
+ * Load the effective configuration. Later layers win:
+ *   1. DEFAULT_CONFIG
+ *   2. user config      ~/.coma/config.json
+ *   3. repo config      <repo>/.coma/config.json or <repo>/coma.config.js
+ *   4. environment      COMA_PROVIDER, COMA_OUTPUT_STYLE, COMA_CLAUDE_BIN, COMA_PROVIDER_TIMEOUT_MS,
+ *                       COMA_CONSULTATION_TIMEOUT_MS, COMA_OPENAI_MODEL, COMA_OPENAI_BASE_URL,
+ *                       COMA_LOCAL_MODEL, COMA_LOCAL_BASE_URL, COMA_FALLBACK_PROVIDERS
+ *   5. overrides        CLI flags from the launcher
+ * Every layer is validated on its own so errors name the file (or variable) at fault.
+ * Returns { config, sources } where sources lists the layers that contributed.
+ */
+export async function loadConfig({
+  repoPath = process.env.COMA_REPO_PATH || process.cwd(),
+  homeDir = os.homedir(),
+  env = process.env,
+  overrides = {}
+} = {}) {
+  const layers = [];
+
+  const userPath = path.join(homeDir, USER_CONFIG_PATH);
+  const userLayer = await readJsonConfig(userPath);
+  if (userLayer !== null) layers.push({ source: userPath, layer: userLayer });
+
+  const repoConfig = await readRepoConfig(repoPath);
+  if (repoConfig) layers.push({ source: repoConfig.path, layer: repoConfig.layer });
+
+  const envLayer = configFromEnv(env);
+  if (Object.keys(envLayer).length > 0) layers.push({ source: 'environment', layer: envLayer });
+
+  if (Object.keys(overrides).length > 0) layers.push({ source: 'command line', layer: overrides });
+
+  let config = DEFAULT_CONFIG;
+  for (const { source, layer } of layers) {
+    const problems = validateConfig(layer);
+    if (problems.length > 0) {
+      throw new Error(`Invalid COMA configuration in ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+    config = mergeConfig(config, layer);
+  }
+
+  const keywords = Object.values(config.decisions);
+  if (new Set(keywords).size !== keywords.length) {
+    throw new Error('Invalid COMA configuration: decisions.approve, decisions.approveWithComments and decisions.reject must differ');
+  }
+
+  // Without a veto holder the veto strategy would approve every change
+  if (config.consensus.strategy === 'veto' && !config.agents.overrides.some(rule => rule.veto === true)) {
+    throw new Error('Invalid COMA configuration: consensus.strategy "veto" needs at least one agents.overrides rule with veto: true');
+  }
+
+  const sources = ['defaults', ...layers.map(({ source }) => source)];
+  debugLog(`Loaded configuration from: ${sources.join(', ')}`);
+  return { config, sources };
+}
@@ -0,0 +1,47 @@
+/**
+ * Consensus strategies for COMA
+ * Each strategy module exports evaluate(results, settings) -> { approved, reasoning }
+ * and a one-line description; consensus.strategy in the config picks one.
+ * evaluateConsensus adds the de-duplicated warnings of APPROVE_WITH_COMMENTS agents.
+ */
+
+import * as unanimous from './unanimous.js';
+import * as majority from './majority.js';
+import * as quorum from './quorum.js';
+import * as weighted from './weighted.js';
+import * as veto from './veto.js';
+import { collectWarnings } from './warnings.js';
+
+export const CONSENSUS_STRATEGIES = { unanimous, majority, quorum, weighted, veto };
+export const CONSENSUS_STRATEGY_NAMES = Object.keys(CONSENSUS_STRATEGIES);
+
+// What a failed consultation (decision ERROR) counts as; "retry" consults again
+// first (consensus.retries times) and treats what still fails as a rejection
+export const ERROR_POLICIES = ['treat-as-reject', 'ignore', 'retry'];
+
+/**
+ * Apply the error policy, then the configured strategy.
+ * Returns { approved, reasoning, warnings }.
+ */
+export function evaluateConsensus(results, settings = { strategy: 'unanimous', errorPolicy: 'treat-as-reject' }) {
+  const strategy = CONSENSUS_STRATEGIES[settings.strategy];
+  if (!strategy) {
+    throw new Error(`Unknown consensus strategy: ${settings.strategy} (known: ${CONSENSUS_STRATEGY_NAMES.join(', ')})`);
+  }
+
+  const ballots = settings.errorPolicy === 'ignore'
+    ? results.map(r => (r.decision === 'ERROR' ? { ...r, decision: 'ABSTAIN' } : r))
+    : results;
+
+  // No strategy may turn "no agent could answer" into an approval, whatever the error policy
+  if (ballots.length > 0 && ballots.every(r => r.decision === 'ABSTAIN' || r.decision === 'ERROR')) {
+    return {
+      approved: false,
+      reasoning: `No agent could be consulted (${ballots.length} error(s)):\n\n` +
+        ballots.map(r => `* ${r.file}: ${r.reasoning}`).join('\n\n'),
+      warnings: []
+    };
+  }
+
+  return { ...strategy.evaluate(ballots, settings), warnings: collectWarnings(ballots) };
+}
@@ -0,0 +1,24 @@
+/**
+ * Simple majority: more approvals than votes against; a tie blocks the change
+ */
+
+import { tally, against, explainAgainst } from './votes.js';
+
+export const description = 'More agents approve than object';
+
+export function evaluate(results) {
+  const votes = tally(results);
+  const objections = against(votes);
+  const counts = `${votes.approvals.length} for, ${objections.length} against`;
+
+  if (votes.approvals.length > objections.length) {
+    return {
+      approved: true,
+      reasoning: `Majority approval (${counts})` + (objections.length > 0 ? `\n\n${explainAgainst(votes)}` : '')
+    };
+  }
+  return {
+    approved: false,
+    reasoning: `No majority for the change (${counts}):\n\n${explainAgainst(votes)}`
+  };
+}
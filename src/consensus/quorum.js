@@ -0,0 +1,24 @@
+/**
+ * Quorum: a majority decides, but only if enough of the consulted agents voted.
+ * Agents whose errors were ignored (errorPolicy "ignore") count as not voting.
+ */
+
+import { tally } from './votes.js';
+import * as majority from './majority.js';
+
+export const description = 'A majority decides once consensus.minParticipation of the agents voted';
+
+export function evaluate(results, settings) {
+  const { abstentions } = tally(results);
+  const voters = results.length - abstentions.length;
+  const required = Math.ceil(settings.minParticipation * results.length);
+
+  if (voters < required) {
+    return {
+      approved: false,
+      reasoning: `Quorum not reached: ${voters} of ${results.length} agent(s) voted, ${required} required\n\n` +
+        abstentions.map(r => `* ${r.file}: ${r.reasoning}`).join('\n\n')
+    };
+  }
+  return majority.evaluate(results);
+}
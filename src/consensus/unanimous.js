@@ -0,0 +1,44 @@
+/**
+ * Unanimous consensus: any rejection, error or unknown decision blocks the change
+ */
+
+import { tally } from './votes.js';
+
+export const description = 'Every agent must approve';
+
+export function evaluate(results) {
+  const { approvals, rejections, errors, unknown } = tally(results);
+
+  // Any rejection blocks the operation
+  if (rejections.length > 0) {
+    return {
+      approved: false,
+      reasoning: `Operation blocked by ${rejections.length} agent(s):\n\n` +
+        rejections.map(r => `* ${r.file}: ${r.reasoning}`).join('\n\n')
+    };
+  }
+
+  // Errors block the operation
+  if (errors.length > 0) {
+    return {
+      approved: false,
+      reasoning: `Acolyte consultation errors (${errors.length}):\n\n` +
+        errors.map(r => `* ${r.file}: ${r.reasoning}`).join('\n\n')
+    };
+  }
+
+  // Unknown decision types block the operation
+  if (unknown.length > 0) {
+    return {
+      approved: false,
+      reasoning: `Unknown decision types from ${unknown.length} agent(s):\n\n` +
+        unknown.map(r => `* ${r.file}: ${r.decision} - ${r.reasoning}`).join('\n\n')
+    };
+  }
+
+  // All approvals
+  return {
+    approved: true,
+    reasoning: `Unanimous approval from ${approvals.length} agent(s)`
+  };
+}
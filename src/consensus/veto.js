@@ -0,0 +1,29 @@
+/**
+ * Veto roles: only agents marked veto in agents.overrides can block a change.
+ * Objections from other agents are reported but do not block.
+ */
+
+import { tally, against, explainAgainst } from './votes.js';
+
+export const description = 'Only agents with a veto role (agents.overrides veto) can block';
+
+export function evaluate(results) {
+  const votes = tally(results);
+  const objections = against(votes);
+  const vetoes = objections.filter(r => r.veto);
+
+  if (vetoes.length > 0) {
+    return {
+      approved: false,
+      reasoning: `Vetoed by ${vetoes.length} agent(s):\n\n` +
+        vetoes.map(r => `* ${r.file}: ${r.decision === 'REJECT' ? '' : `${r.decision} - `}${r.reasoning}`).join('\n\n')
+    };
+  }
+
+  const holders = results.filter(r => r.veto).length;
+  return {
+    approved: true,
+    reasoning: `No veto from ${holders} veto holder(s)` +
+      (objections.length > 0 ? `; advisory objections:\n\n${explainAgainst(votes)}` : '')
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Vote counting shared by the consensus strategies
+ *
+ * Results are { agentId, file, decision, reasoning, verdict, weight, veto } where decision is
+ * APPROVE, APPROVE_WITH_COMMENTS (an approval with non-blocking warnings), REJECT,
+ * ERROR (a failed consultation), ABSTAIN (an error ignored by the error policy, or
+ * an agent that missed the deadline under timeouts.onDeadline "partial") or anything else
+ * an agent produced (counted against the change).
+ */
+
+export const APPROVING_DECISIONS = ['APPROVE', 'APPROVE_WITH_COMMENTS'];
+
+export function tally(results) {
+  return {
+    approvals: results.filter(r => APPROVING_DECISIONS.includes(r.decision)),
+    rejections: results.filter(r => r.decision === 'REJECT'),
+    errors: results.filter(r => r.decision === 'ERROR'),
+    abstentions: results.filter(r => r.decision === 'ABSTAIN'),
+    unknown: results.filter(r => ![...APPROVING_DECISIONS, 'REJECT', 'ERROR', 'ABSTAIN'].includes(r.decision))
+  };
+}
+
+/**
+ * Results that count against the change: rejections, errors and unknown decisions
+ */
+export function against(votes) {
+  return [...votes.rejections, ...votes.errors, ...votes.unknown];
+}
+
+function bullets(results, withDecision = false) {
+  return results
+    .map(r => (withDecision ? `* ${r.file}: ${r.decision} - ${r.reasoning}` : `* ${r.file}: ${r.reasoning}`))
+    .join('\n\n');
+}
+
+/**
+ * Explanation of every vote against the change, one section per kind
+ */
+export function explainAgainst(votes) {
+  const sections = [];
+  if (votes.rejections.length > 0) {
+    sections.push(`Rejected by ${votes.rejections.length} agent(s):\n\n${bullets(votes.rejections)}`);
+  }
+  if (votes.errors.length > 0) {
+    sections.push(`Acolyte consultation errors (${votes.errors.length}):\n\n${bullets(votes.errors)}`);
+  }
+  if (votes.unknown.length > 0) {
+    sections.push(`Unknown decision types from ${votes.unknown.length} agent(s):\n\n${bullets(votes.unknown, true)}`);
+  }
+  return sections.join('\n\n');
+}
+
+export function weightOf(result) {
+  return result.weight ?? 1;
+}
@@ -0,0 +1,45 @@
+/**
+ * Non-blocking warnings from agents that decided APPROVE_WITH_COMMENTS
+ *
+ * Each finding of such a verdict is a warning; a verdict without findings (or a
+ * keyword-only answer) contributes its summary (or whole reasoning). Warnings several
+ * agents raised about the same place are reported once.
+ */
+
+/**
+ * Comparison key: the location and the message with case and whitespace folded
+ */
+function warningKey(warning) {
+  const message = warning.message.replace(/\s+/g, ' ').trim().toLowerCase();
+  return `${warning.file ?? ''}\0${warning.line ?? ''}\0${message}`;
+}
+
+function warningsOf(result) {
+  const findings = result.verdict?.findings ?? [];
+  if (findings.length > 0) {
+    return findings.map(({ file, line, message, suggestion }) => ({ file, line, message, suggestion }));
+  }
+  const message = result.verdict?.summary ?? result.reasoning;
+  return message ? [{ file: result.file, message }] : [];
+}
+
+/**
+ * De-duplicated warnings, in the order agents raised them:
+ *   [{ file, line, message, suggestion, raisedBy: [agent file, ...] }]
+ */
+export function collectWarnings(results) {
+  const warnings = new Map();
+  for (const result of results.filter(r => r.decision === 'APPROVE_WITH_COMMENTS')) {
+    for (const warning of warningsOf(result)) {
+      const key = warningKey(warning);
+      const existing = warnings.get(key);
+      if (existing) {
+        if (!existing.raisedBy.includes(result.file)) existing.raisedBy.push(result.file);
+        existing.suggestion ??= warning.suggestion;
+      } else {
+        warnings.set(key, { ...warning, raisedBy: [result.file] });
+      }
+    }
+  }
+  return [...warnings.values()];
+}
@@ -0,0 +1,27 @@
+/**
+ * Weighted votes: approving weight must exceed the weight against.
+ * Weights come from agents.overrides (1 by default).
+ */
+
+import { tally, against, explainAgainst, weightOf } from './votes.js';
+
+export const description = 'Approving weight (agents.overrides weight) must exceed the weight against';
+
+export function evaluate(results) {
+  const votes = tally(results);
+  const sum = list => list.reduce((total, r) => total + weightOf(r), 0);
+  const forWeight = sum(votes.approvals);
+  const againstWeight = sum(against(votes));
+  const counts = `weight ${forWeight} for, ${againstWeight} against`;
+
+  if (forWeight > againstWeight) {
+    return {
+      approved: true,
+      reasoning: `Weighted approval (${counts})` + (againstWeight > 0 ? `\n\n${explainAgainst(votes)}` : '')
+    };
+  }
+  return {
+    approved: false,
+    reasoning: `Weighted vote against the change (${counts}):\n\n${explainAgainst(votes)}`
+  };
+}
@@ -4,6 +4,8 @@
  */
 
 import { ContextManager } from './context-manager.js';
+import { readHookInput } from './hook-input.js';
+import { loadConfig } from './config.js';
 import fs from 'fs/promises';
 
 // Debug logging utility
@@ -18,25 +20,22 @@ function debugLog(message) {
 }
 
 class ContextCapturer {
-  constructor() {
-    this.contextManager = new ContextManager();
+  constructor(config) {
+    this.contextManager = new ContextManager(config?.context);
   }
 
   /**
    * Handle PostToolUse hook to capture Claude's explanations
    */
-  capturePostToolUse() {
+  capturePostToolUse(toolData) {
     debugLog('PostToolUse hook triggered');
-    const args = process.argv.slice(2);
 
-    if (args.length === 0) {
-      debugLog('No arguments provided to PostToolUse');
+    if (!toolData) {
+      debugLog('No payload provided to PostToolUse');
       process.exit(0);
     }
 
     try {
-      // Parse tool result and any accompanying text
-      const toolData = JSON.parse(args[0]);
       debugLog(`Received tool data: ${JSON.stringify(toolData).substring(0, 200)}...`);
 
       // Look for text that Claude might have provided with or after the tool use
@@ -63,26 +62,23 @@ class ContextCapturer {
   /**
    * Handle UserPromptSubmit hook to potentially capture responses
    */
-  captureUserPromptSubmit() {
+  captureUserPromptSubmit(promptData) {
     debugLog('UserPromptSubmit hook triggered');
-    const args = process.argv.slice(2);
 
-    if (args.length === 0) {
-      debugLog('No arguments provided to UserPromptSubmit');
+    if (!promptData) {
+      debugLog('No payload provided to UserPromptSubmit');
       process.exit(0);
     }
 
     try {
-      // This might capture both user prompts and Claude responses
-      const promptData = JSON.parse(args[0]);
       debugLog(`Received prompt data: ${JSON.stringify(promptData).substring(0, 200)}...`);
 
       // Log to understand structure
       console.error('COMA Context Capturer (UserPromptSubmit):', JSON.stringify(promptData, null, 2));
 
-      // If this contains Claude's response, store it
-      if (promptData.response || promptData.text) {
-        const text = promptData.response || promptData.text;
+      // Store the submitted prompt (or a response, for legacy payloads) as context
+      if (promptData.prompt || promptData.response || promptData.text) {
+        const text = promptData.prompt || promptData.response || promptData.text;
         debugLog(`Storing prompt text: ${text.substring(0, 100)}...`);
         this.contextManager.storeMessage(text);
       } else {
@@ -99,21 +95,43 @@ class ContextCapturer {
   }
 }
 
-// Determine which hook type called us based on command line or environment
-const hookType = process.env.COMA_HOOK_TYPE || process.argv[2]?.split('_')[0];
-const capturer = new ContextCapturer();
-
-debugLog(`Context capturer started with hook type: ${hookType}`);
-
-switch (hookType) {
-  case 'PostToolUse':
-    capturer.capturePostToolUse();
-    break;
-  case 'UserPromptSubmit':
-    capturer.captureUserPromptSubmit();
-    break;
-  default:
-    console.error('Unknown hook type:', hookType);
-    debugLog(`Unknown hook type: ${hookType}`);
+async function main() {
+  let input;
+  try {
+    input = await readHookInput();
+  } catch (error) {
+    console.error('COMA Context Capturer error:', error.message);
+    debugLog(`Failed to read hook input: ${error.message}`);
     process.exit(0);
-}
\ No newline at end of file
+  }
+
+  // Determine which hook type called us based on environment or the payload itself
+  const hookType = process.env.COMA_HOOK_TYPE || input.data?.hookEventName;
+
+  // Context capture is best effort: a broken config falls back to defaults here
+  // (the validator reports it, and blocks, on the next modification)
+  let config = null;
+  try {
+    ({ config } = await loadConfig());
+  } catch (error) {
+    debugLog(`Using default configuration: ${error.message}`);
+  }
+  const capturer = new ContextCapturer(config);
+
+  debugLog(`Context capturer started with hook type: ${hookType} (input: ${input.source})`);
+
+  switch (hookType) {
+    case 'PostToolUse':
+      capturer.capturePostToolUse(input.data);
+      break;
+    case 'UserPromptSubmit':
+      capturer.captureUserPromptSubmit(input.data);
+      break;
+    default:
+      console.error('Unknown hook type:', hookType);
+      debugLog(`Unknown hook type: ${hookType}`);
+      process.exit(0);
+  }
+}
+
+main();
\ No newline at end of file
@@ -4,9 +4,9 @@
  */
 
 export class ContextManager {
-  constructor() {
-    this.maxMessages = 5;
-    this.maxMessageLength = 2000; // Truncate very long messages
+  constructor({ maxMessages = 5, maxMessageLength = 2000 } = {}) {
+    this.maxMessages = maxMessages;
+    this.maxMessageLength = maxMessageLength; // Truncate very long messages
   }
 
   /**
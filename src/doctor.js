@@ -0,0 +1,323 @@
+/**
+ * COMA Doctor
+ * Checks each link of the hook -> validator -> provider chain and suggests fixes
+ */
+
+import fs from 'fs/promises';
+import { constants as fsConstants } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  SettingsManager, SETTINGS_SCOPES, settingsPathForScope, comaHookEntries
+} from './settings-manager.js';
+import { createAgentProvider } from './coma-validator.js';
+import { configuredProviderNames } from './providers/index.js';
+import { loadConfig, mergeConfig, DEFAULT_CONFIG } from './config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Minimal check of a version against a ">=x.y.z" engines range.
+ * Other range forms are reported as unsupported rather than guessed at.
+ */
+export function satisfiesMinimumVersion(version, range) {
+  const minimum = range.trim().match(/^>=\s*v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/);
+  if (!minimum) return null;
+
+  const actual = version.replace(/^v/, '').split('.').map(Number);
+  const required = minimum.slice(1).map(part => Number(part || 0));
+  for (let i = 0; i < 3; i++) {
+    if ((actual[i] || 0) !== required[i]) {
+      return (actual[i] || 0) > required[i];
+    }
+  }
+  return true;
+}
+
+/**
+ * Find an executable on PATH (or verify an explicit path). Returns its full path or null.
+ */
+export async function findExecutable(name, envPath = process.env.PATH || '') {
+  const candidates = name.includes(path.sep)
+    ? [path.resolve(name)]
+    : envPath.split(path.delimiter).filter(Boolean).map(dir => path.join(dir, name));
+
+  for (const candidate of candidates) {
+    try {
+      const stat = await fs.stat(candidate);
+      if (!stat.isFile()) continue;
+      await fs.access(candidate, fsConstants.X_OK);
+      return candidate;
+    } catch {
+      // Not here - keep looking
+    }
+  }
+  return null;
+}
+
+/**
+ * What is wrong with an installed COMA hook, from a mergeComaHooks change
+ */
+function describeDrift(change) {
+  if (change.action === 'added') return `${change.event} missing`;
+  if (change.action === 'removed-duplicate') return `${change.event} duplicated`;
+  if (change.previousCommand === change.command && change.timeout !== undefined && change.previousTimeout !== change.timeout) {
+    return `${change.event} timeout is ${change.previousTimeout ? `${change.previousTimeout}s` : 'the 60s default'}, ` +
+      `not ${change.timeout}s (timeouts.consultationMs plus startup)`;
+  }
+  return `${change.event} points to ${change.previousCommand}`;
+}
+
+export class ComaDoctor {
+  constructor({
+    repoPath,
+    homeDir,
+    overrides = {},
+    env = process.env,
+    envPath = process.env.PATH || '',
+    nodePath = process.argv[0],
+    scriptPath = path.join(__dirname, 'claude-coma.js'),
+    packagePath = path.join(__dirname, '..', 'package.json'),
+    basePromptPath = path.join(__dirname, 'prompts', 'base.md'),
+    nodeVersion = process.version
+  }) {
+    this.repoPath = repoPath;
+    this.homeDir = homeDir;
+    this.overrides = overrides;
+    this.env = env;
+    this.config = mergeConfig(DEFAULT_CONFIG, overrides); // Replaced by checkConfig()
+    this.envPath = envPath;
+    this.nodePath = nodePath;
+    this.scriptPath = scriptPath;
+    this.packagePath = packagePath;
+    this.basePromptPath = basePromptPath;
+    this.nodeVersion = nodeVersion;
+  }
+
+  /**
+   * Run every check. Each result is { name, ok, detail, hint }.
+   */
+  async runChecks() {
+    const checks = [
+      () => this.checkConfig(),
+      () => this.checkNodeVersion(),
+      () => this.checkClaudeBinary(),
+      () => this.checkSettingsFiles(),
+      () => this.checkHookCommands(),
+      () => this.checkProvider(),
+      () => this.checkBasePrompt()
+    ];
+
+    const results = [];
+    for (const check of checks) {
+      try {
+        results.push(...[].concat(await check()));
+      } catch (error) {
+        results.push({ name: 'Internal error', ok: false, detail: error.message, hint: 'Re-run with --debug and report this' });
+      }
+    }
+    return results;
+  }
+
+  async checkConfig() {
+    const name = 'configuration';
+    try {
+      const { config, sources } = await loadConfig({
+        repoPath: this.repoPath,
+        homeDir: this.homeDir,
+        env: this.env,
+        overrides: this.overrides
+      });
+      this.config = config;
+      return { name, ok: true, detail: `loaded from ${sources.join(' < ')}` };
+    } catch (error) {
+      return {
+        name,
+        ok: false,
+        detail: `${error.message.replace(/\n/g, ' ')} (later checks use defaults)`,
+        hint: 'Fix the setting named above; "claude-coma config print" shows the merged result'
+      };
+    }
+  }
+
+  async checkNodeVersion() {
+    const name = 'Node.js version';
+    const pkg = JSON.parse(await fs.readFile(this.packagePath, 'utf8'));
+    const range = pkg.engines?.node;
+    if (!range) {
+      return { name, ok: true, detail: `${this.nodeVersion} (no engines requirement)` };
+    }
+
+    const satisfied = satisfiesMinimumVersion(this.nodeVersion, range);
+    if (satisfied === null) {
+      return { name, ok: true, detail: `${this.nodeVersion} (cannot evaluate engines range "${range}")` };
+    }
+    return satisfied
+      ? { name, ok: true, detail: `${this.nodeVersion} satisfies ${range}` }
+      : { name, ok: false, detail: `${this.nodeVersion} does not satisfy ${range}`, hint: `Install a Node.js version matching ${range}` };
+  }
+
+  async checkClaudeBinary() {
+    const name = 'claude binary';
+    const claudeBin = this.config.claudeBin;
+    const found = await findExecutable(claudeBin, this.envPath);
+    return found
+      ? { name, ok: true, detail: found }
+      : {
+          name,
+          ok: false,
+          detail: `${claudeBin} not found (needed to launch sessions and by the claude-code provider)`,
+          hint: 'Install Claude Code (npm install -g @anthropic-ai/claude-code) and put it on PATH, or pass --claude-bin <path>'
+        };
+  }
+
+  async checkSettingsFiles() {
+    const results = [];
+    for (const scope of SETTINGS_SCOPES) {
+      const settingsPath = this.settingsPath(scope);
+      try {
+        const { exists } = await new SettingsManager(settingsPath).load();
+        results.push({ name: `${scope} settings`, ok: true, detail: exists ? `${settingsPath} parses` : `${settingsPath} (not present)` });
+      } catch (error) {
+        results.push({
+          name: `${scope} settings`,
+          ok: false,
+          detail: error.message,
+          hint: `Fix the JSON in ${settingsPath}, or restore a backup with: claude-coma uninstall --restore <backup>`
+        });
+      }
+    }
+    return results;
+  }
+
+  async checkHookCommands() {
+    const results = [];
+    let installedAnywhere = false;
+
+    for (const scope of SETTINGS_SCOPES) {
+      let settings;
+      try {
+        ({ settings } = await new SettingsManager(this.settingsPath(scope)).load());
+      } catch {
+        continue; // Reported by checkSettingsFiles
+      }
+
+      const installed = SettingsManager.removeComaHooks(settings).removed;
+      if (installed.length === 0) continue;
+      installedAnywhere = true;
+
+      const expected = comaHookEntries(scope, {
+        nodePath: this.nodePath,
+        scriptPath: this.scriptPath,
+        matchers: this.config.hookMatchers,
+        consultationMs: this.config.timeouts.consultationMs
+      });
+      const { changes } = SettingsManager.mergeComaHooks(settings, expected);
+      const name = `${scope} hook commands`;
+
+      if (changes.length > 0) {
+        results.push({
+          name,
+          ok: false,
+          detail: changes.map(describeDrift).join('; '),
+          hint: `Run: claude-coma install --scope ${scope}`
+        });
+        continue;
+      }
+
+      if (scope === 'project' && !(await findExecutable('claude-coma', this.envPath))) {
+        results.push({
+          name,
+          ok: false,
+          detail: 'project hooks call claude-coma, which is not on PATH',
+          hint: 'Install COMA globally (npm install -g .) or use --scope local'
+        });
+        continue;
+      }
+
+      results.push({ name, ok: true, detail: scope === 'project' ? 'claude-coma hook (from PATH)' : `point to ${this.scriptPath}` });
+    }
+
+    if (!installedAnywhere) {
+      results.push({
+        name: 'hook commands',
+        ok: false,
+        detail: 'COMA hooks are not installed in any scope',
+        hint: 'Run: claude-coma install (or just run claude-coma once)'
+      });
+    }
+    return results;
+  }
+
+  /**
+   * The configured provider, those agents.overrides assigns to agents and the fallbacks
+   */
+  async checkProvider() {
+    const results = [];
+    for (const providerName of configuredProviderNames(this.config)) {
+      results.push(await this.checkOneProvider(providerName));
+    }
+    return results;
+  }
+
+  async checkOneProvider(providerName) {
+    const name = `${providerName} provider`;
+    try {
+      const provider = await createAgentProvider(providerName, this.repoPath, this.config);
+      if (typeof provider.consultAgent !== 'function') {
+        return { name, ok: false, detail: 'constructed but has no consultAgent method', hint: 'See src/providers/PROVIDERS.md' };
+      }
+      return { name, ok: true, detail: 'constructs and exposes consultAgent' };
+    } catch (error) {
+      return { name, ok: false, detail: error.message, hint: 'Run: claude-coma providers, then choose one with --provider or COMA_PROVIDER' };
+    }
+  }
+
+  async checkBasePrompt() {
+    const name = 'base prompt';
+    try {
+      const template = await fs.readFile(this.basePromptPath, 'utf8');
+      if (!template.includes('{{FILE_PATH}}')) {
+        return {
+          name,
+          ok: false,
+          detail: `${this.basePromptPath} has no {{FILE_PATH}} placeholder`,
+          hint: 'Restore the placeholder so agents know which file they guard'
+        };
+      }
+      return { name, ok: true, detail: `${this.basePromptPath} (${template.length} chars)` };
+    } catch (error) {
+      return {
+        name,
+        ok: false,
+        detail: `${error.message} - agents fall back to a minimal built-in prompt`,
+        hint: `Restore ${this.basePromptPath} from the COMA repository`
+      };
+    }
+  }
+
+  settingsPath(scope) {
+    return settingsPathForScope(scope, { homeDir: this.homeDir, repoPath: this.repoPath });
+  }
+
+  /**
+   * Format results as an ASCII report
+   */
+  static formatReport(results) {
+    const width = Math.max(...results.map(result => result.name.length));
+    const lines = results.map(result => {
+      let line = `  ${result.ok ? 'PASS' : 'FAIL'}  ${result.name.padEnd(width)}  ${result.detail}`;
+      if (!result.ok && result.hint) {
+        line += `\n        ${' '.repeat(width)}  Fix: ${result.hint}`;
+      }
+      return line;
+    });
+
+    const failures = results.filter(result => !result.ok).length;
+    lines.push('');
+    lines.push(failures === 0
+      ? `All ${results.length} checks passed`
+      : `${failures} of ${results.length} checks failed`);
+    return lines.join('\n');
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Glob matching for COMA
+ * Converts repository-relative glob patterns to regular expressions
+ *
+ *   *        any characters except "/"
+ *   ?        one character except "/"
+ *   **       any number of directories ("src/**" matches everything below src)
+ *   {a,b}    either alternative (alternatives may nest and contain wildcards)
+ *   [abc]    one character from a class; ranges ([a-z]) and negation ([!a] or [^a])
+ *   \x       a literal x
+ *   !glob    (in pattern lists) exclude paths matching glob
+ */
+
+const regexCache = new Map();
+
+function escapeRegex(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Index of the bracket closing the one at start, honouring nesting and escapes, or -1
+ */
+function findClosing(pattern, start, open, close) {
+  let depth = 0;
+  for (let i = start; i < pattern.length; i++) {
+    if (pattern[i] === '\\') {
+      i++;
+    } else if (pattern[i] === open) {
+      depth++;
+    } else if (pattern[i] === close && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split a brace body on its top-level commas
+ */
+function splitAlternatives(body) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') {
+      current += char + (body[i + 1] ?? '');
+      i++;
+      continue;
+    }
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Regular expression for a character class body ("a-z", "!abc"), never matching "/"
+ */
+function classToRegex(body) {
+  const negated = body.startsWith('!') || body.startsWith('^');
+  const raw = negated ? body.substring(1) : body;
+
+  let members = '';
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i] === '\\' && i + 1 < raw.length ? raw[++i] : raw[i];
+    members += /[\\\]^[]/.test(char) ? `\\${char}` : char;
+  }
+  return negated ? `(?!/)[^${members}]` : `(?!/)[${members}]`;
+}
+
+/**
+ * Regular expression source for a glob, without anchors
+ */
+function globToRegexSource(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      if (i + 1 < pattern.length) {
+        source += escapeRegex(pattern[++i]);
+      } else {
+        source += '\\\\';
+      }
+    } else if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+        const atSegmentEnd = i + 2 === pattern.length || pattern[i + 2] === '/';
+        if (atSegmentStart && atSegmentEnd) {
+          if (pattern[i + 2] === '/') {
+            source += '(?:.*/)?'; // "**/" - zero or more directories
+            i += 2;
+          } else {
+            source += '.*';       // trailing "**" - everything below
+            i += 1;
+          }
+          continue;
+        }
+      }
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const close = findClosing(pattern, i, '{', '}');
+      const alternatives = close === -1 ? [] : splitAlternatives(pattern.substring(i + 1, close));
+      if (alternatives.length < 2) {
+        source += '\\{'; // Not a brace expansion
+        continue;
+      }
+      source += `(?:${alternatives.map(globToRegexSource).join('|')})`;
+      i = close;
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i + 2); // "[]]" - a leading ] is a member
+      if (close === -1) {
+        source += '\\[';
+        continue;
+      }
+      source += classToRegex(pattern.substring(i + 1, close));
+      i = close;
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+  return source;
+}
+
+export function globToRegExp(pattern) {
+  if (!regexCache.has(pattern)) {
+    regexCache.set(pattern, new RegExp(`^${globToRegexSource(pattern)}$`));
+  }
+  return regexCache.get(pattern);
+}
+
+/**
+ * Whether a repository-relative path (forward slashes) matches a glob.
+ * A leading "!" inverts the match.
+ */
+export function matchesGlob(filePath, pattern) {
+  if (pattern.startsWith('!')) {
+    return !globToRegExp(pattern.substring(1)).test(filePath);
+  }
+  return globToRegExp(pattern).test(filePath);
+}
+
+/**
+ * Whether a path matches a pattern list: at least one include pattern (all
+ * paths, if the list has none) and no "!" exclude pattern.
+ */
+export function matchesPatterns(filePath, patterns) {
+  const includes = patterns.filter(pattern => !pattern.startsWith('!'));
+  const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.substring(1));
+
+  const included = includes.length === 0 || includes.some(pattern => globToRegExp(pattern).test(filePath));
+  return included && !excludes.some(pattern => globToRegExp(pattern).test(filePath));
+}
+
+/**
+ * Whether a glob contains wildcards (otherwise it names one path)
+ */
+export function isGlobPattern(pattern) {
+  return /[*?{[]/.test(pattern.replace(/\\./g, ''));
+}
+
+/**
+ * Whether a repository-relative path points outside the repository ("../x",
+ * or an absolute path when the file is on another drive)
+ */
+export function isOutsideRepository(repoPath) {
+  return repoPath === '..' || repoPath.startsWith('../') || /^([a-zA-Z]:)?\//.test(repoPath);
+}
@@ -0,0 +1,92 @@
+/**
+ * Hook Output for COMA
+ * Formats PreToolUse decisions using the Claude Code hook protocol
+ */
+
+// exit-code: exit 0 allows, exit 2 blocks and feeds stderr back to Claude
+// json:      exit 0 with a hookSpecificOutput object carrying permissionDecision
+export const OUTPUT_STYLES = ['exit-code', 'json'];
+export const DEFAULT_OUTPUT_STYLE = 'exit-code';
+
+export const PERMISSION_DECISIONS = ['allow', 'deny', 'ask'];
+
+// Claude Code treats exit code 2 as a blocking error; any other non-zero code lets the tool run
+export const BLOCKING_EXIT_CODE = 2;
+
+export function resolveOutputStyle(style) {
+  if (!style) return DEFAULT_OUTPUT_STYLE;
+  if (!OUTPUT_STYLES.includes(style)) {
+    throw new Error(`Unknown output style "${style}". Use one of: ${OUTPUT_STYLES.join(', ')}`);
+  }
+  return style;
+}
+
+function formatProgress(progress) {
+  return progress.map(line => `${line}\n`).join('');
+}
+
+/**
+ * Build the process output for a permission decision without performing it.
+ * Returns { exitCode, stdout, stderr }.
+ *
+ * The exit-code style has no way to ask the user, so "ask" blocks like "deny"
+ * and Claude sees the reason.
+ *
+ * additionalContext (non-blocking comments on an allowed call) reaches Claude only
+ * through hookSpecificOutput JSON, so the exit-code style prints a JSON object with
+ * just additionalContext: the call is not explicitly allowed and Claude Code's own
+ * permission prompts still apply. Denials carry everything in their reason.
+ *
+ * progress lines (exit-code style only) are printed on stdout ahead of the decision,
+ * unless stdout has to hold JSON.
+ */
+export function buildDecisionOutput({
+  decision,
+  reason = '',
+  additionalContext = '',
+  progress = [],
+  style = DEFAULT_OUTPUT_STYLE,
+  hookEventName = 'PreToolUse'
+}) {
+  if (!PERMISSION_DECISIONS.includes(decision)) {
+    throw new Error(`Unknown permission decision "${decision}"`);
+  }
+  const context = decision === 'allow' && additionalContext ? { additionalContext } : {};
+
+  if (resolveOutputStyle(style) === 'json') {
+    const output = {
+      hookSpecificOutput: {
+        hookEventName,
+        permissionDecision: decision,
+        permissionDecisionReason: reason,
+        ...context
+      }
+    };
+    return { exitCode: 0, stdout: JSON.stringify(output) + '\n', stderr: '' };
+  }
+
+  if (decision === 'allow') {
+    if (context.additionalContext) {
+      const output = { hookSpecificOutput: { hookEventName, ...context } };
+      return { exitCode: 0, stdout: JSON.stringify(output) + '\n', stderr: '' };
+    }
+    return { exitCode: 0, stdout: formatProgress(progress) + (reason ? `${reason}\n` : ''), stderr: '' };
+  }
+
+  return { exitCode: BLOCKING_EXIT_CODE, stdout: formatProgress(progress), stderr: `${reason}\n` };
+}
+
+/**
+ * Write a decision to stdout/stderr and exit the process with the matching code.
+ */
+export function emitDecision(options) {
+  const { exitCode, stdout, stderr } = buildDecisionOutput(options);
+
+  // Exit only once both streams have flushed; piped stdio is asynchronous
+  let pending = 2;
+  const done = () => {
+    if (--pending === 0) process.exit(exitCode);
+  };
+  process.stdout.write(stdout, done);
+  process.stderr.write(stderr, done);
+}
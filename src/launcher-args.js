@@ -0,0 +1,79 @@
+/**
+ * Launcher argument splitting for COMA
+ * Separates COMA's own flags from the arguments forwarded to the launched claude session
+ */
+
+// COMA launch flags that take a value ("--flag value" or "--flag=value")
+export const COMA_VALUE_FLAGS = ['--provider', '--output-style', '--scope', '--claude-bin'];
+
+// COMA launch flags without a value
+export const COMA_BOOLEAN_FLAGS = ['--debug', '--help', '-h'];
+
+// claude options whose value is the next argument, even when it starts with "-".
+// Options with an optional value (--resume, --debug) never take a "-" argument.
+export const CLAUDE_VALUE_FLAGS = [
+  '--append-system-prompt', '--system-prompt', '--model', '--fallback-model', '--permission-mode',
+  '--permission-prompt-tool', '--output-format', '--input-format', '--max-turns', '--session-id', '--settings',
+  '--setting-sources', '--agents', '--mcp-config', '--allowedTools', '--allowed-tools', '--disallowedTools',
+  '--disallowed-tools', '--add-dir', '--betas', '--plugin-dir'
+];
+
+/**
+ * Split launcher arguments into COMA options and claude arguments.
+ * Everything after "--" is forwarded verbatim; before it, known COMA flags
+ * (and their values) are consumed and every other token is forwarded in order.
+ * Returns { options, claudeArgs } where options maps flag name to value
+ * (true for boolean flags; "--debug=<path>" yields the path).
+ */
+export function splitLauncherArgs(args) {
+  const options = {};
+  const claudeArgs = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--') {
+      claudeArgs.push(...args.slice(i + 1));
+      break;
+    }
+
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.substring(0, arg.indexOf('=')), arg.substring(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+
+    if (COMA_VALUE_FLAGS.includes(flag)) {
+      if (inlineValue !== undefined) {
+        options[flag] = inlineValue;
+      } else if (i + 1 < args.length && args[i + 1] !== '--') {
+        options[flag] = args[++i];
+      } else {
+        throw new Error(`${flag} requires a value`);
+      }
+      continue;
+    }
+
+    if (COMA_BOOLEAN_FLAGS.includes(flag)) {
+      options[flag] = flag === '--debug' && inlineValue !== undefined ? inlineValue : true;
+      continue;
+    }
+
+    claudeArgs.push(arg);
+  }
+
+  return { options, claudeArgs };
+}
+
+/**
+ * Whether the forwarded arguments start a non-interactive (claude -p) run,
+ * whose stdout belongs to the caller's script. Only a -p or --print in flag
+ * position counts: not the value of another option, nor anything after "--".
+ */
+export function isPrintMode(claudeArgs) {
+  for (let i = 0; i < claudeArgs.length; i++) {
+    const arg = claudeArgs[i];
+    if (arg === '--') return false;
+    if (arg === '-p' || arg === '--print') return true;
+    if (CLAUDE_VALUE_FLAGS.includes(arg)) i++; // Skip the option's value
+  }
+  return false;
+}
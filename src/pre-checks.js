@@ -0,0 +1,125 @@
+/**
+ * Pre-checks for COMA
+ * Cheap, deterministic checks that reject tool calls Claude Code would fail anyway,
+ * before any agent is consulted
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { applyEdit } from './change-preview.js';
+
+// Line numbers listed for an ambiguous old_string
+const MAX_LISTED_MATCHES = 5;
+
+/**
+ * 1-based line numbers where search occurs in content
+ */
+function matchLines(content, search) {
+  const lines = [];
+  for (let index = content.indexOf(search); index !== -1; index = content.indexOf(search, index + search.length)) {
+    lines.push(content.substring(0, index).split('\n').length);
+  }
+  return lines;
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Why one edit cannot apply to content (null for a missing file), or null if it can
+ */
+export function checkEdit(content, edit, displayPath) {
+  const { old_string: oldString = '', new_string: newString = '', replace_all: replaceAll = false } = edit;
+
+  if (oldString === newString) {
+    return 'old_string and new_string are identical, so the edit changes nothing';
+  }
+  if (content === null) {
+    return oldString === ''
+      ? null
+      : `${displayPath} does not exist; use Write to create it`;
+  }
+  if (oldString === '') {
+    return `old_string is empty but ${displayPath} already exists; an empty old_string only creates new files`;
+  }
+
+  const lines = matchLines(content, oldString);
+  if (lines.length === 0) {
+    const hint = collapseWhitespace(oldString) !== '' && collapseWhitespace(content).includes(collapseWhitespace(oldString))
+      ? ' (it would match if whitespace were ignored; check indentation and line breaks)'
+      : '';
+    return `old_string was not found in ${displayPath}${hint}`;
+  }
+  if (lines.length > 1 && !replaceAll) {
+    const listed = lines.slice(0, MAX_LISTED_MATCHES).join(', ') + (lines.length > MAX_LISTED_MATCHES ? ', ...' : '');
+    return `old_string matches ${lines.length} times in ${displayPath} (lines ${listed}); ` +
+      'add surrounding context to make it unique, or set replace_all';
+  }
+  return null;
+}
+
+/**
+ * Stat the target, turning "not there" into null and a file used as a directory into a message
+ */
+async function statTarget(absolutePath, displayPath) {
+  try {
+    return { stats: await fs.stat(absolutePath) };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { stats: null };
+    if (error.code === 'ENOTDIR') return { problem: `${displayPath} is inside a path that is a file, not a directory` };
+    throw error;
+  }
+}
+
+/**
+ * Run the pre-checks for a tool call. Returns null when the call may go on to
+ * the agents, or { check, message } describing the first failure.
+ */
+export async function runPreChecks(toolData, { repoPath }) {
+  const { toolName, parameters = {} } = toolData;
+  if (!['Edit', 'MultiEdit', 'Write'].includes(toolName)) {
+    return null;
+  }
+
+  const fail = (check, message) => ({ check, message: `${toolName} rejected: ${message}` });
+
+  if (!parameters.file_path) {
+    return fail('file_path', 'file_path is missing');
+  }
+
+  const absolutePath = path.resolve(repoPath, parameters.file_path);
+  const displayPath = path.relative(repoPath, absolutePath).split(path.sep).join('/') || '.';
+
+  const { stats, problem } = await statTarget(absolutePath, displayPath);
+  if (problem) {
+    return fail('target', problem);
+  }
+  if (stats?.isDirectory()) {
+    return fail('target', `${displayPath} is a directory, not a file`);
+  }
+  if (toolName === 'Write') {
+    return null;
+  }
+
+  let content = stats ? await fs.readFile(absolutePath, 'utf8') : null;
+
+  if (toolName === 'Edit') {
+    const message = checkEdit(content, parameters, displayPath);
+    return message ? fail('edit', message) : null;
+  }
+
+  // MultiEdit: each edit applies to the result of the ones before it
+  const edits = parameters.edits || [];
+  if (edits.length === 0) {
+    return fail('edit', 'edits is empty');
+  }
+  for (const [index, edit] of edits.entries()) {
+    const message = checkEdit(content, edit, displayPath);
+    if (message) {
+      return fail('edit', `edit ${index + 1} of ${edits.length}: ${message}`);
+    }
+    content = applyEdit(content, edit);
+  }
+  return null;
+}
@@ -3,10 +3,10 @@
  * Handles agent consultation using parallel Claude Code sessions
  */
 
-import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { spawnAgentProcess, stopAgentProcess } from '../agent-processes.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -21,19 +21,55 @@ function debugLog(message) {
   }
 }
 
+export const description = 'Claude Code sessions (the claude CLI), one per agent';
+
+// claude output for failures that may pass: overload, rate limits, server errors, the network
+const TRANSIENT_FAILURE = /overloaded|rate.?limit|too many requests|API Error: (408|409|429|5\d\d)\b|timed? ?out|temporarily unavailable|connection error|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENETUNREACH/i;
+
 export class ClaudeCodeProvider {
-  constructor(repoPath) {
+  /**
+   * options: { claudeBin, timeoutMs, allowedTools, model, generation } (see
+   * DEFAULT_CONFIG in config.js). model is passed as --model; claude takes no
+   * generation settings, so those are ignored.
+   */
+  constructor(repoPath, options = {}) {
     this.repoPath = repoPath;
+    this.claudeBin = options.claudeBin || process.env.COMA_CLAUDE_BIN || 'claude';
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.allowedTools = options.allowedTools || ['Read', 'Grep', 'Glob', 'WebFetch', 'WebSearch'];
+    this.model = options.model || null; // null: claude's default model
+    if (options.generation) {
+      debugLog(`Ignoring generation settings ${JSON.stringify(options.generation)}: claude does not take them`);
+    }
   }
 
-  async consultAgent(agent, consultation) {
+  /**
+   * Resolves to the agent's raw response. On timeout, or when signal aborts (the
+   * consultation deadline passed), the agent's process group is stopped and the
+   * promise rejects.
+   */
+  async consultAgent(agent, consultation, { signal } = {}) {
+    signal?.throwIfAborted();
     debugLog(`Starting consultation with agent ${agent.id}`);
 
     return new Promise(async (resolve, reject) => {
+      let claudeProcess = null;
+      let onAbort = null;
+      const finish = () => {
+        clearTimeout(timeout);
+        if (onAbort) signal.removeEventListener('abort', onAbort);
+      };
+      // Give up on the agent and take down everything it started
+      const stop = (error) => {
+        finish();
+        if (claudeProcess) stopAgentProcess(claudeProcess);
+        reject(error);
+      };
+
       const timeout = setTimeout(() => {
-        debugLog(`Agent ${agent.id} consultation timed out after 60 seconds`);
-        reject(new Error('Claude Code agent consultation timed out'));
-      }, 60000); // 60 second timeout for Claude sessions
+        debugLog(`Agent ${agent.id} consultation timed out after ${this.timeoutMs}ms`);
+        stop(Object.assign(new Error('Claude Code agent consultation timed out'), { retryable: true }));
+      }, this.timeoutMs);
 
       try {
         debugLog(`Creating instruction for agent ${agent.id}`);
@@ -51,12 +87,14 @@ Begin your analysis:`;
 
         debugLog(`Agent ${agent.id} full instruction: "${instruction}"`);
         debugLog(`Spawning Claude Code process for agent ${agent.id}`);
-        debugLog(`Command: claude --allowed-tools Read,Grep,Glob,WebFetch,WebSearch --print [instruction]`);
+        const modelArgs = this.model ? ['--model', this.model] : [];
+        debugLog(`Command: ${this.claudeBin} --allowed-tools ${this.allowedTools.join(',')} ${modelArgs.join(' ')} --print [instruction]`);
         debugLog(`Working directory: ${this.repoPath}`);
 
-        // Spawn Claude Code session with read-only tools
-        const claudeProcess = spawn('claude', [
-          '--allowed-tools', 'Read,Grep,Glob,WebFetch,WebSearch',
+        // Spawn Claude Code session with read-only tools, in its own process group
+        claudeProcess = spawnAgentProcess(this.claudeBin, [
+          '--allowed-tools', this.allowedTools.join(','),
+          ...modelArgs,
           '--print',
           instruction
         ], {
@@ -67,6 +105,14 @@ Begin your analysis:`;
         let output = '';
         let errorOutput = '';
 
+        if (signal) {
+          onAbort = () => {
+            debugLog(`Agent ${agent.id} cancelled: ${signal.reason?.message}`);
+            stop(signal.reason);
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+
         claudeProcess.stdout.on('data', (data) => {
           const chunk = data.toString();
           debugLog(`Agent ${agent.id} stdout chunk: ${chunk.length} chars - "${chunk}"`);
@@ -83,11 +129,13 @@ Begin your analysis:`;
           debugLog(`Agent ${agent.id} process closed with code ${code}`);
           debugLog(`Agent ${agent.id} total output: ${output.length} chars`);
           debugLog(`Agent ${agent.id} total error: ${errorOutput.length} chars`);
-          clearTimeout(timeout);
+          finish();
 
           if (code !== 0) {
             debugLog(`Agent ${agent.id} failed with error: ${errorOutput}`);
-            reject(new Error(`Claude Code agent failed: ${errorOutput}`));
+            // A bad --model, missing login or usage error fails the same way every time
+            const retryable = TRANSIENT_FAILURE.test(`${errorOutput}\n${output}`);
+            reject(Object.assign(new Error(`Claude Code agent failed: ${errorOutput}`), { retryable }));
             return;
           }
 
@@ -98,7 +146,7 @@ Begin your analysis:`;
 
         claudeProcess.on('error', (error) => {
           debugLog(`Agent ${agent.id} spawn error: ${error.message}`);
-          clearTimeout(timeout);
+          finish();
           reject(new Error(`Failed to spawn Claude Code agent: ${error.message}`));
         });
 
@@ -107,9 +155,11 @@ Begin your analysis:`;
         claudeProcess.stdin.end();
       } catch (error) {
         debugLog(`Agent ${agent.id} instruction creation failed: ${error.message}`);
-        clearTimeout(timeout);
+        finish();
         reject(new Error(`Failed to create instruction: ${error.message}`));
       }
     });
   }
-}
\ No newline at end of file
+}
+
+export default ClaudeCodeProvider;
@@ -0,0 +1,165 @@
+/**
+ * Agent provider registry for COMA
+ * The built-in providers are the other modules in this directory, named after
+ * their file and registered once below. Third-party providers are named in the config, each with the
+ * module that implements it:
+ *
+ *   providers: { "my-llm": { module: "./tools/my-llm.js", ...options } }
+ *
+ * module is a path (relative to the repository) or an npm package name. Every
+ * provider module default-exports a class constructed as new Provider(repoPath,
+ * options) with a consultAgent method (see PROVIDERS.md), and may export a
+ * one-line description.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import * as claudeCode from './claude-code.js';
+import * as local from './local.js';
+import * as openai from './openai.js';
+
+// Debug logging utility
+function debugLog(message) {
+  const logPath = process.env.CLAUDE_COMA_DEBUG;
+  if (logPath) {
+    const timestamp = new Date().toISOString();
+    const pid = process.pid;
+    const logEntry = `${timestamp} [${pid}] PROVIDER-REGISTRY: ${message}\n`;
+    fs.appendFile(logPath, logEntry).catch(() => {});
+  }
+}
+
+/**
+ * Why exports does not satisfy the provider contract, or null when it does
+ */
+export function contractProblem(exports) {
+  const Provider = exports?.default;
+  if (typeof Provider !== 'function') {
+    return 'has no default export (expected a provider class)';
+  }
+  if (typeof Provider.prototype?.consultAgent !== 'function') {
+    return `default export ${Provider.name || '(anonymous)'} has no consultAgent method`;
+  }
+  return null;
+}
+
+/**
+ * The URL to import for a module spec: paths resolve against the repository,
+ * package names from the repository's node_modules, then from COMA's own
+ */
+function resolveModule(spec, repoPath) {
+  if (spec.startsWith('.') || path.isAbsolute(spec)) {
+    return pathToFileURL(path.resolve(repoPath, spec)).href;
+  }
+  try {
+    return pathToFileURL(createRequire(path.join(repoPath, 'package.json')).resolve(spec)).href;
+  } catch {
+    return spec;
+  }
+}
+
+/**
+ * The registry entry for a provider module's exports, or an error saying how
+ * it breaks the contract
+ */
+function providerEntry(name, source, exports) {
+  const problem = contractProblem(exports);
+  if (problem) {
+    throw new Error(`${problem} (see src/providers/PROVIDERS.md)`);
+  }
+  return {
+    name,
+    source,
+    description: typeof exports.description === 'string' ? exports.description : '',
+    Provider: exports.default
+  };
+}
+
+// Built-in providers by name, in name order
+const BUILT_IN_PROVIDERS = new Map(Object.entries({ 'claude-code': claudeCode, local, openai })
+  .map(([name, exports]) => [name, providerEntry(name, 'built-in', exports)]));
+
+async function loadThirdPartyProvider(name, section, repoPath) {
+  let exports;
+  try {
+    exports = await import(resolveModule(section.module, repoPath));
+  } catch (error) {
+    throw new Error(`cannot be loaded: ${error.message}`);
+  }
+  return providerEntry(name, section.module, exports);
+}
+
+/**
+ * A provider's config section without module
+ */
+function settingsFor(name, config) {
+  const { module: _module, ...settings } = config.providers?.[name] || {};
+  return settings;
+}
+
+/**
+ * Every provider this config can use. Returns { providers, errors }:
+ * providers maps name -> { name, source, description, Provider, settings },
+ * where settings is the provider's config section without module; errors lists
+ * { name, source, message } for providers that failed to load or break the
+ * contract, so one bad provider does not hide the others.
+ */
+export async function loadProviders({ repoPath = process.cwd(), config = {} } = {}) {
+  const providers = new Map();
+  for (const [name, provider] of BUILT_IN_PROVIDERS) {
+    providers.set(name, { ...provider, settings: settingsFor(name, config) });
+  }
+
+  const errors = [];
+  for (const [name, section] of Object.entries(config.providers || {})) {
+    if (section?.module === undefined) continue;
+    if (BUILT_IN_PROVIDERS.has(name)) {
+      errors.push({ name, source: section.module, message: 'is a built-in provider; give the third-party provider another name' });
+      continue;
+    }
+    try {
+      providers.set(name, { ...await loadThirdPartyProvider(name, section, repoPath), settings: settingsFor(name, config) });
+      debugLog(`Loaded provider ${name} from ${section.module}`);
+    } catch (error) {
+      debugLog(`Provider ${name} from ${section.module} ${error.message}`);
+      errors.push({ name, source: section.module, message: error.message });
+    }
+  }
+
+  return { providers, errors };
+}
+
+/**
+ * Every provider name the config uses: the provider setting, those
+ * agents.overrides assigns to agents, and the resilience.fallback chain
+ */
+export function configuredProviderNames(config) {
+  return new Set([
+    config.provider,
+    ...(config.agents?.overrides ?? []).map(rule => rule.provider).filter(Boolean),
+    ...(config.resilience?.fallback ?? [])
+  ]);
+}
+
+/**
+ * The registry entry for name, or an error saying why it cannot be used.
+ * Only the provider asked for is loaded.
+ */
+export async function findProvider(name, { repoPath = process.cwd(), config = {} } = {}) {
+  const section = config.providers?.[name];
+  if (BUILT_IN_PROVIDERS.has(name)) {
+    return { ...BUILT_IN_PROVIDERS.get(name), settings: settingsFor(name, config) };
+  }
+  if (section?.module !== undefined) {
+    try {
+      return { ...await loadThirdPartyProvider(name, section, repoPath), settings: settingsFor(name, config) };
+    } catch (error) {
+      throw new Error(`Provider "${name}" (${section.module}) ${error.message}`);
+    }
+  }
+  const available = [...BUILT_IN_PROVIDERS.keys(),
+    ...Object.keys(config.providers || {}).filter(other => config.providers[other]?.module !== undefined && !BUILT_IN_PROVIDERS.has(other))];
+  throw new Error(`Unknown provider: ${name} (available: ${available.join(', ')})`);
+}
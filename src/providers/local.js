@@ -0,0 +1,286 @@
+/**
+ * Local Model Provider for COMA
+ * Handles agent consultation through a local inference server, so agents run
+ * fully offline: Ollama (/api/chat) or the llama.cpp server (/completion)
+ */
+
+import fs from 'fs/promises';
+import http from 'http';
+import https from 'https';
+import { isRetryableStatus, sleep } from '../resilience.js';
+
+// Debug logging utility
+function debugLog(message) {
+  const logPath = process.env.CLAUDE_COMA_DEBUG;
+  if (logPath) {
+    const timestamp = new Date().toISOString();
+    const pid = process.pid;
+    const logEntry = `${timestamp} [${pid}] LOCAL-PROVIDER: ${message}\n`;
+    fs.appendFile(logPath, logEntry).catch(() => {});
+  }
+}
+
+export const description = 'Local inference server: Ollama or llama.cpp';
+
+// Server styles, with the address each server listens on by default
+export const LOCAL_APIS = ['ollama', 'llama.cpp'];
+const DEFAULT_BASE_URLS = { ollama: 'http://localhost:11434', 'llama.cpp': 'http://localhost:8080' };
+
+// Rough size of a token, on the low side so estimates err towards trimming
+const CHARS_PER_TOKEN = 3;
+// No string is trimmed below this many characters
+const MIN_KEPT_CHARS = 200;
+// Wait between attempts while the server refuses connections (e.g. still starting)
+const CONNECT_RETRY_DELAY_MS = 500;
+
+// Put before trimmed consultation data, so the agent knows what it did not see
+const TRIM_NOTE = 'NOTE: Parts of the consultation data were cut short to fit the context window (see the ' +
+  '"characters trimmed" markers). The proposed change is complete.\n\n';
+
+// Where a consultation carries the proposed change: the diff of a previewed
+// file change, or else the raw tool parameters (a Bash command, or an edit
+// that could not be previewed)
+const CHANGE_PATHS = ['change.diff', 'parameters'];
+
+function isWithin(leafPath, paths) {
+  return paths.some(candidate => leafPath === candidate || leafPath.startsWith(`${candidate}.`));
+}
+
+function trimMarker(removed) {
+  return `\n[... ${removed} characters trimmed to fit the context window]`;
+}
+
+/**
+ * Every string in value, as { parent, key, path, original, kept } so it can be shortened in place
+ */
+function stringLeaves(value, leaves = [], prefix = '') {
+  for (const [key, child] of Object.entries(value)) {
+    const leafPath = prefix ? `${prefix}.${key}` : key;
+    if (typeof child === 'string') {
+      leaves.push({ parent: value, key, path: leafPath, original: child, kept: child.length });
+    } else if (child !== null && typeof child === 'object') {
+      stringLeaves(child, leaves, leafPath);
+    }
+  }
+  return leaves;
+}
+
+/**
+ * Fit the consultation into maxChars of pretty-printed JSON by shortening its
+ * longest strings (file content, Claude's recent messages), keeping the start of
+ * each. Strings at or below the dot-paths in last (by default CHANGE_PATHS,
+ * which carry the change itself) are only shortened once nothing else can be.
+ * The structure is left alone. Returns { consultation, removed, trimmedPaths }.
+ */
+export function trimConsultation(consultation, maxChars, { last = CHANGE_PATHS } = {}) {
+  let text = JSON.stringify(consultation, null, 2);
+  if (text.length <= maxChars) {
+    return { consultation, removed: 0, trimmedPaths: [] };
+  }
+
+  const copy = JSON.parse(text);
+  const leaves = stringLeaves(copy);
+  const longestOf = (candidates) => candidates
+    .filter(leaf => leaf.kept > MIN_KEPT_CHARS)
+    .reduce((best, leaf) => (!best || leaf.kept > best.kept ? leaf : best), null);
+  while (text.length > maxChars) {
+    const longest = longestOf(leaves.filter(leaf => !isWithin(leaf.path, last))) ?? longestOf(leaves);
+    if (!longest) {
+      throw new Error(`Consultation does not fit the context window (${text.length} characters, ${maxChars} allowed) even after trimming`);
+    }
+    const excess = text.length - maxChars + trimMarker(longest.original.length).length;
+    longest.kept = Math.max(MIN_KEPT_CHARS, longest.kept - excess);
+    longest.parent[longest.key] = longest.original.slice(0, longest.kept) + trimMarker(longest.original.length - longest.kept);
+    text = JSON.stringify(copy, null, 2);
+  }
+
+  const trimmed = leaves.filter(leaf => leaf.kept < leaf.original.length);
+  const removed = trimmed.reduce((sum, leaf) => sum + leaf.original.length - leaf.kept, 0);
+  return { consultation: copy, removed, trimmedPaths: trimmed.map(leaf => leaf.path) };
+}
+
+export class LocalModelProvider {
+  /**
+   * options: { api, baseUrl, model, contextTokens, responseTokens, connectRetries, timeoutMs, generation }
+   * (see providers.local, timeouts.providerMs and agents.overrides in config.js).
+   * generation.maxTokens replaces responseTokens.
+   */
+  constructor(repoPath, options = {}) {
+    this.repoPath = repoPath;
+    this.api = options.api || 'ollama';
+    if (!LOCAL_APIS.includes(this.api)) {
+      throw new Error(`Unknown local model API "${this.api}" (known: ${LOCAL_APIS.join(', ')})`);
+    }
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URLS[this.api]).replace(/\/+$/, '');
+    this.model = options.model || 'llama3.1';
+    this.contextTokens = options.contextTokens || 8192;
+    this.generation = options.generation || {};
+    this.responseTokens = this.generation.maxTokens || options.responseTokens || 1024;
+    this.connectRetries = options.connectRetries ?? 3;
+    this.connectRetryDelayMs = options.connectRetryDelayMs ?? CONNECT_RETRY_DELAY_MS;
+    this.timeoutMs = options.timeoutMs || 60000;
+  }
+
+  /**
+   * Resolves to the agent's raw response. Rejects after timeoutMs, and with the
+   * signal's reason when signal aborts (the request is cancelled).
+   */
+  async consultAgent(agent, consultation, { signal } = {}) {
+    signal?.throwIfAborted();
+    debugLog(`Starting consultation with agent ${agent.id} (${this.api} model ${this.model} at ${this.baseUrl})`);
+
+    // The prompt and the answer share the context window; the consultation gets what is left
+    const instructionChars = agent.systemPrompt.length + TRIM_NOTE.length + '\n\nCONSULTATION DATA:\n\n\nBegin your analysis:'.length;
+    const maxChars = (this.contextTokens - this.responseTokens) * CHARS_PER_TOKEN - instructionChars;
+    if (maxChars <= 0) {
+      throw new Error(`The agent prompt alone does not fit the ${this.contextTokens}-token context window; raise providers.local.contextTokens`);
+    }
+    const trimmed = trimConsultation(consultation, maxChars);
+    if (trimmed.trimmedPaths.some(leafPath => isWithin(leafPath, CHANGE_PATHS))) {
+      // An agent that saw part of the change cannot vouch for all of it
+      throw new Error(`The change does not fit the ${this.contextTokens}-token context window of ${this.model}; ` +
+        'raise providers.local.contextTokens or add a provider to resilience.fallback');
+    }
+    if (trimmed.removed > 0) {
+      debugLog(`Agent ${agent.id}: trimmed ${trimmed.removed} characters (${trimmed.trimmedPaths.join(', ')}) to fit ${this.contextTokens} tokens`);
+    }
+    const userMessage = `${trimmed.removed > 0 ? TRIM_NOTE : ''}CONSULTATION DATA:\n${JSON.stringify(trimmed.consultation, null, 2)}\n\nBegin your analysis:`;
+
+    const response = this.api === 'ollama'
+      ? await this.request('/api/chat', {
+        model: this.model,
+        messages: [
+          { role: 'system', content: agent.systemPrompt },
+          { role: 'user', content: userMessage }
+        ],
+        stream: false,
+        options: {
+          num_ctx: this.contextTokens,
+          num_predict: this.responseTokens,
+          temperature: this.generation.temperature,
+          top_p: this.generation.topP
+        }
+      }, signal)
+      : await this.request('/completion', {
+        prompt: `${agent.systemPrompt}\n\n${userMessage}`,
+        n_predict: this.responseTokens,
+        temperature: this.generation.temperature,
+        top_p: this.generation.topP,
+        stream: false
+      }, signal);
+
+    const content = this.api === 'ollama' ? response.message?.content : response.content;
+    if (typeof content !== 'string' || content.trim() === '') {
+      debugLog(`Agent ${agent.id} got an empty response: ${JSON.stringify(response)}`);
+      throw new Error(`Local model ${this.model} returned an empty response`);
+    }
+
+    debugLog(`Agent ${agent.id} consultation completed: ${content.length} chars`);
+    // Return raw response as string per PROVIDERS.md spec
+    return content.trim();
+  }
+
+  /**
+   * POST body as JSON and return the parsed answer. Refused connections are
+   * retried connectRetries times: nothing reached the server, and a local
+   * server that is still starting refuses connections for a moment.
+   */
+  async request(endpoint, body, signal) {
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+      try {
+        return await this.post(endpoint, body, signal);
+      } catch (error) {
+        if (error.code !== 'ECONNREFUSED' || signal?.aborted) throw this.describeError(error, signal);
+        if (attempt >= this.connectRetries) {
+          throw new Error(`Cannot reach the ${this.api} server at ${this.baseUrl} (connection refused after ` +
+            `${attempt + 1} attempt(s)). Is it running?`);
+        }
+        debugLog(`Connection to ${this.baseUrl} refused, retrying in ${this.connectRetryDelayMs}ms (${attempt + 1} of ${this.connectRetries})`);
+        await sleep(this.connectRetryDelayMs, signal);
+      }
+    }
+  }
+
+  post(endpoint, body, signal) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(this.baseUrl + endpoint);
+      const payload = JSON.stringify(body);
+      const req = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'content-length': Buffer.byteLength(payload) },
+        agent: false // A fresh connection each time: a kept-alive one may belong to a server that has restarted
+      });
+
+      const fail = (error) => {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
+        req.destroy();
+        reject(error);
+      };
+      const onAbort = () => fail(signal.reason);
+      const timeout = setTimeout(() => fail(Object.assign(new Error('Local model consultation timed out'), { code: 'TIMEOUT' })),
+        this.timeoutMs);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      req.on('error', fail);
+      req.on('response', (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('error', fail);
+        res.on('end', () => {
+          clearTimeout(timeout);
+          signal?.removeEventListener('abort', onAbort);
+          let parsed = null;
+          try {
+            parsed = JSON.parse(text);
+          } catch {}
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(Object.assign(new Error(`HTTP ${res.statusCode}`), { status: res.statusCode, body: parsed ?? text }));
+          } else if (parsed === null) {
+            reject(new Error(`The ${this.api} server answered with invalid JSON: ${text.substring(0, 200)}`));
+          } else {
+            resolve(parsed);
+          }
+        });
+      });
+      req.end(payload);
+    });
+  }
+
+  /**
+   * Turn a request error into the error consultAgent rejects with; transient
+   * failures are marked retryable (see resilience.js)
+   */
+  describeError(error, signal) {
+    if (signal?.aborted) {
+      debugLog(`Request cancelled: ${signal.reason?.message}`);
+      return signal.reason;
+    }
+    if (error.status === undefined) {
+      // Timeouts and dropped connections may pass; a refused connection was already retried
+      return error.code && error.code !== 'TIMEOUT'
+        ? Object.assign(new Error(`Cannot reach the ${this.api} server at ${this.baseUrl}: ${error.message}`), { retryable: true })
+        : Object.assign(error, { retryable: error.code === 'TIMEOUT' });
+    }
+
+    // Ollama answers { error: "..." }, llama.cpp { error: { message } }
+    const serverMessage = typeof error.body === 'string'
+      ? error.body.trim()
+      : error.body?.error?.message ?? error.body?.error ?? JSON.stringify(error.body);
+    debugLog(`HTTP ${error.status} from ${this.baseUrl}: ${serverMessage}`);
+
+    if (error.status === 404 && /model/i.test(serverMessage)) {
+      return new Error(`Local model "${this.model}" is not available on ${this.baseUrl}: ${serverMessage}. ` +
+        (this.api === 'ollama' ? `Run "ollama pull ${this.model}" or change providers.local.model.` : 'Check the model the server was started with.'));
+    }
+    if (error.status === 404) {
+      return new Error(`${this.baseUrl} has no ${this.api} endpoint (HTTP 404); check providers.local.api and providers.local.baseUrl`);
+    }
+    return Object.assign(new Error(`Local model request failed (HTTP ${error.status}): ${serverMessage}`),
+      { retryable: isRetryableStatus(error.status) });
+  }
+}
+
+export default LocalModelProvider;
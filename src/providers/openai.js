@@ -0,0 +1,132 @@
+/**
+ * OpenAI Provider for COMA
+ * Handles agent consultation through the OpenAI chat completions API, or any
+ * self-hosted server that speaks it
+ */
+
+import fs from 'fs/promises';
+import { isRetryableStatus } from '../resilience.js';
+
+// Debug logging utility
+function debugLog(message) {
+  const logPath = process.env.CLAUDE_COMA_DEBUG;
+  if (logPath) {
+    const timestamp = new Date().toISOString();
+    const pid = process.pid;
+    const logEntry = `${timestamp} [${pid}] OPENAI-PROVIDER: ${message}\n`;
+    fs.appendFile(logPath, logEntry).catch(() => {});
+  }
+}
+
+export const description = 'OpenAI chat completions API, or any compatible endpoint';
+
+export const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+export class OpenAIProvider {
+  /**
+   * options: { model, baseUrl, apiKeyEnv, timeoutMs, generation } (see
+   * providers.openai, timeouts.providerMs and agents.overrides in config.js)
+   */
+  constructor(repoPath, options = {}) {
+    this.repoPath = repoPath;
+    this.model = options.model || 'gpt-4o-mini';
+    this.baseUrl = options.baseUrl || OPENAI_DEFAULT_BASE_URL;
+    this.apiKeyEnv = options.apiKeyEnv || 'OPENAI_API_KEY';
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.generation = options.generation || {};
+    this.client = null;
+    this.sdk = null;
+  }
+
+  /**
+   * The API key from the configured environment variable. Self-hosted endpoints
+   * often need none; api.openai.com always does.
+   */
+  apiKey() {
+    const key = process.env[this.apiKeyEnv];
+    if (key) return key;
+    if (new URL(this.baseUrl).hostname === new URL(OPENAI_DEFAULT_BASE_URL).hostname) {
+      throw new Error(`OpenAI provider needs an API key: set ${this.apiKeyEnv}`);
+    }
+    return 'none';
+  }
+
+  async createClient() {
+    let OpenAI;
+    try {
+      ({ default: OpenAI } = await import('openai'));
+    } catch (error) {
+      throw new Error(`OpenAI provider needs the "openai" package: ${error.message}`);
+    }
+    this.sdk = OpenAI;
+    // Retries are COMA's decision (consensus.errorPolicy), not the client's
+    return new OpenAI({ apiKey: this.apiKey(), baseURL: this.baseUrl, timeout: this.timeoutMs, maxRetries: 0 });
+  }
+
+  /**
+   * Resolves to the agent's raw response. Rejects after timeoutMs, and with the
+   * signal's reason when signal aborts (the request is cancelled).
+   */
+  async consultAgent(agent, consultation, { signal } = {}) {
+    signal?.throwIfAborted();
+    debugLog(`Starting consultation with agent ${agent.id} (model ${this.model} at ${this.baseUrl})`);
+    this.client ??= await this.createClient();
+
+    // Same instruction layout as the Claude Code provider; the system prompt
+    // defines how to interpret the consultation
+    const messages = [
+      { role: 'system', content: agent.systemPrompt },
+      { role: 'user', content: `CONSULTATION DATA:\n${JSON.stringify(consultation, null, 2)}\n\nBegin your analysis:` }
+    ];
+
+    let response;
+    try {
+      response = await this.client.chat.completions.create({
+        model: this.model,
+        messages,
+        temperature: this.generation.temperature,
+        top_p: this.generation.topP,
+        max_tokens: this.generation.maxTokens
+      }, { signal });
+    } catch (error) {
+      throw this.describeError(agent, error, signal);
+    }
+
+    const content = response.choices?.[0]?.message?.content;
+    if (typeof content !== 'string' || content.trim() === '') {
+      debugLog(`Agent ${agent.id} got an empty response: ${JSON.stringify(response)}`);
+      throw new Error(`OpenAI model ${this.model} returned an empty response`);
+    }
+
+    debugLog(`Agent ${agent.id} consultation completed: ${content.length} chars`);
+    // Return raw response as string per PROVIDERS.md spec
+    return content.trim();
+  }
+
+  /**
+   * Turn a client error into the error consultAgent rejects with; transient
+   * failures are marked retryable (see resilience.js)
+   */
+  describeError(agent, error, signal) {
+    if (signal?.aborted) {
+      debugLog(`Agent ${agent.id} cancelled: ${signal.reason?.message}`);
+      return signal.reason;
+    }
+    debugLog(`Agent ${agent.id} request failed: ${error.constructor.name}: ${error.message}`);
+    // The timeout error is a kind of connection error, so it is checked first
+    if (error instanceof this.sdk.APIConnectionTimeoutError) {
+      return Object.assign(new Error('OpenAI agent consultation timed out'), { retryable: true });
+    }
+    if (error instanceof this.sdk.APIConnectionError) {
+      return Object.assign(new Error(`Cannot reach OpenAI endpoint ${this.baseUrl}: ${error.cause?.message || error.message}`),
+        { retryable: true });
+    }
+    if (error instanceof this.sdk.APIError && typeof error.status === 'number') {
+      return Object.assign(new Error(`OpenAI request failed (HTTP ${error.status}): ${error.error?.message || error.message}`),
+        { retryable: isRetryableStatus(error.status) });
+    }
+    return new Error(`OpenAI agent consultation failed: ${error.message}`);
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,475 @@
+/**
+ * Repository Scanner for COMA
+ * Walks the repository, honours .gitignore/.comaignore, and turns source files into agents
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { matchesGlob, matchesPatterns, isGlobPattern } from './glob.js';
+import { DEFAULT_CONFIG } from './config.js';
+
+// Debug logging utility
+function debugLog(message) {
+  const logPath = process.env.CLAUDE_COMA_DEBUG;
+  if (logPath) {
+    const timestamp = new Date().toISOString();
+    const pid = process.pid;
+    const logEntry = `${timestamp} [${pid}] SCANNER: ${message}\n`;
+    fs.appendFile(logPath, logEntry).catch(() => {});
+  }
+}
+
+// Always ignored, in .gitignore syntax (a repository's own files can re-include with "!")
+export const DEFAULT_IGNORE_PATTERNS = [
+  '.git/', '.claude/', '.coma/', '.coma-temp/', 'node_modules/', '*.log', '*.tmp',
+  '.DS_Store', '*.pyc', '__pycache__/', '.pytest_cache/', 'coverage/', 'dist/', 'build/'
+];
+
+// Ignore files read from every directory, applied in this order
+export const IGNORE_FILES = ['.gitignore', '.comaignore'];
+
+// Bytes inspected for NUL characters when deciding whether a file is binary (as git does)
+const BINARY_SNIFF_BYTES = 8000;
+
+const FILE_TYPE_GUIDELINES = [
+  {
+    extensions: ['.js', '.mjs', '.cjs', '.jsx'],
+    text: `## JavaScript File Guidelines
+
+This file contains JavaScript code. Pay special attention to:
+- Modern ES6+ syntax and best practices
+- Variable declarations (prefer const/let over var)
+- Function design and modularity
+- Error handling and edge cases
+- Security implications of dynamic code execution`
+  },
+  {
+    extensions: ['.ts', '.mts', '.cts', '.tsx'],
+    text: `## TypeScript File Guidelines
+
+This file contains TypeScript code. Pay special attention to:
+- Type safety and correctness
+- Interface and type definitions
+- Generic usage and constraints
+- Strict TypeScript compilation requirements
+- Integration with JavaScript ecosystem`
+  }
+];
+
+// Files listed in a group agent's prompt before the list is cut short
+const MAX_LISTED_FILES = 50;
+
+/**
+ * Repository-relative path with forward slashes, as used by globs and agents
+ */
+export function toRepoPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * An ordered set of .gitignore-style rules. Later rules win, "!" re-includes,
+ * a trailing "/" matches directories only, and a pattern containing "/" is
+ * anchored to the directory of the file it came from.
+ */
+export class IgnoreRules {
+  constructor() {
+    this.rules = [];
+  }
+
+  /**
+   * Add patterns (lines of an ignore file) relative to base, a repo path ('' for the root)
+   */
+  add(lines, base = '') {
+    for (const rawLine of lines) {
+      let pattern = rawLine.replace(/(?<!\\)\s+$/, '');
+      if (!pattern || pattern.startsWith('#')) continue;
+
+      const negate = pattern.startsWith('!');
+      if (negate) pattern = pattern.substring(1);
+      pattern = pattern.replace(/^\\([#!])/, '$1');
+
+      const dirOnly = pattern.endsWith('/');
+      if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\/+/, '');
+      if (!pattern) continue;
+
+      this.rules.push({ glob: anchored ? pattern : `**/${pattern}`, negate, dirOnly, base });
+    }
+    return this;
+  }
+
+  /**
+   * Whether this path itself is ignored (ancestors are not checked; see isIgnored)
+   */
+  matches(repoPath, isDirectory) {
+    let ignored = false;
+    for (const rule of this.rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      if (rule.base && !repoPath.startsWith(`${rule.base}/`)) continue;
+
+      const relative = rule.base ? repoPath.substring(rule.base.length + 1) : repoPath;
+      if (matchesGlob(relative, rule.glob)) {
+        ignored = !rule.negate;
+      }
+    }
+    return ignored;
+  }
+
+  /**
+   * Whether a path is ignored, either itself or through an ignored parent directory
+   */
+  isIgnored(repoPath, isDirectory = false) {
+    const segments = repoPath.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      if (this.matches(segments.slice(0, i).join('/'), true)) return true;
+    }
+    return this.matches(repoPath, isDirectory);
+  }
+}
+
+async function readIgnoreFile(filePath) {
+  try {
+    return (await fs.readFile(filePath, 'utf8')).split(/\r?\n/);
+  } catch {
+    return [];
+  }
+}
+
+async function isBinaryFile(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, BINARY_SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    await handle?.close();
+  }
+}
+
+function sanitizeId(value) {
+  return value.replace(/[^a-zA-Z0-9]/g, '_');
+}
+
+function directoryOf(repoPath) {
+  const dir = path.posix.dirname(repoPath);
+  return dir === '.' ? '' : dir;
+}
+
+/**
+ * Fill a prompt template's {{PLACEHOLDERS}}
+ */
+export function renderAgentPrompt(template, { filePath, guidelines = '', decisions = DEFAULT_CONFIG.decisions }) {
+  return template
+    .replace(/\{\{FILE_PATH\}\}/g, filePath)
+    .replace(/\{\{FILE_TYPE_GUIDELINES\}\}/g, guidelines)
+    .replace(/\{\{APPROVE_KEYWORD\}\}/g, decisions.approve)
+    .replace(/\{\{APPROVE_WITH_COMMENTS_KEYWORD\}\}/g, decisions.approveWithComments)
+    .replace(/\{\{REJECT_KEYWORD\}\}/g, decisions.reject);
+}
+
+/**
+ * Include/exclude patterns of a grouping rule ("pattern" or "patterns")
+ */
+export function rulePatterns(rule) {
+  return rule.patterns || [rule.pattern];
+}
+
+/**
+ * Whether an agent guards a repository path. Besides its listed files, a
+ * directory agent covers new files in its directory (or subtree, when
+ * recursive) and a glob agent covers any path matching its patterns.
+ * Agents from a grouping rule only cover new paths the rule itself matches.
+ */
+export function agentCoversFile(agent, repoPath) {
+  if (agent.files.includes(repoPath)) return true;
+
+  const { type, value, recursive, patterns } = agent.scope || {};
+  if (type === 'directory') {
+    const dir = directoryOf(repoPath);
+    const inDirectory = recursive
+      ? value === '' || dir === value || dir.startsWith(`${value}/`)
+      : dir === value;
+    return inDirectory && (!patterns || matchesPatterns(repoPath, patterns));
+  }
+  if (type === 'glob') {
+    return matchesPatterns(repoPath, patterns);
+  }
+  return false;
+}
+
+/**
+ * Whether an agent guards anything a Bash write target may touch. Targets are
+ * repository-relative globs (see BashAnalyzer): a wildcard target covers the
+ * files it matches, a plain one the file itself or, as a directory, everything below it.
+ */
+export function agentCoversTarget(agent, target) {
+  if (isGlobPattern(target)) {
+    return agent.files.some(file => matchesGlob(file, target) || matchesGlob(file, `${target}/**`));
+  }
+
+  const literal = target.replace(/\\(.)/g, '$1');
+  if (literal === '') return true; // The repository root
+  return agentCoversFile(agent, literal) || agent.files.some(file => file.startsWith(`${literal}/`));
+}
+
+/**
+ * Agents to review a path no agent covers: those guarding a file in the same
+ * directory or, failing that, in the nearest ancestor directory that has one.
+ * Empty when no directory up to the repository root has a guarded file.
+ */
+export function nearestAgents(agents, repoPath) {
+  let dir = directoryOf(repoPath);
+  for (;;) {
+    const owners = agents.filter(agent => agent.files.some(file => directoryOf(file) === dir));
+    if (owners.length > 0 || dir === '') return owners;
+    dir = directoryOf(dir);
+  }
+}
+
+export class RepositoryScanner {
+  constructor({ repoPath, config = DEFAULT_CONFIG }) {
+    this.repoPath = repoPath;
+    this.config = config;
+    this.truncated = false; // Set when the scan stopped at scanner.maxFiles
+  }
+
+  /**
+   * Ignore rules for the repository root: defaults, then scanner.ignore from config
+   */
+  baseIgnoreRules() {
+    return new IgnoreRules()
+      .add(DEFAULT_IGNORE_PATTERNS)
+      .add(this.config.scanner.ignore);
+  }
+
+  /**
+   * Whether the scan would skip a path through the ignore rules, including the
+   * ignore files of its ancestor directories. The path need not exist.
+   */
+  async isIgnoredPath(repoPath) {
+    const rules = this.baseIgnoreRules();
+    const segments = repoPath.split('/');
+    for (let i = 0; i < segments.length; i++) {
+      const dir = segments.slice(0, i).join('/');
+      for (const ignoreFile of IGNORE_FILES) {
+        rules.add(await readIgnoreFile(path.join(this.repoPath, dir, ignoreFile)), dir);
+      }
+    }
+    return rules.isIgnored(repoPath);
+  }
+
+  /**
+   * Repository files worth an agent, as sorted repo paths. Skips ignored paths,
+   * binaries, files larger than scanner.maxFileBytes and directory symlinks.
+   */
+  async scanFiles() {
+    const { maxFileBytes, maxFiles } = this.config.scanner;
+    const rules = this.baseIgnoreRules();
+    const files = [];
+    const skipped = { binary: 0, large: 0 };
+    this.truncated = false;
+
+    const walk = async (dir) => {
+      const absoluteDir = path.join(this.repoPath, dir);
+      let entries;
+      try {
+        entries = await fs.readdir(absoluteDir, { withFileTypes: true });
+      } catch (error) {
+        debugLog(`Skipping unreadable directory ${dir || '.'}: ${error.message}`);
+        return;
+      }
+
+      // Nested ignore files apply to their own subtree
+      for (const ignoreFile of IGNORE_FILES) {
+        rules.add(await readIgnoreFile(path.join(absoluteDir, ignoreFile)), dir);
+      }
+
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+      for (const entry of entries) {
+        if (files.length >= maxFiles) {
+          this.truncated = true;
+          return;
+        }
+
+        const repoPath = dir ? `${dir}/${entry.name}` : entry.name;
+        const absolutePath = path.join(absoluteDir, entry.name);
+
+        let stat;
+        try {
+          stat = entry.isSymbolicLink() ? await fs.stat(absolutePath) : null;
+        } catch {
+          continue; // Dangling symlink
+        }
+        const isDirectory = stat ? stat.isDirectory() : entry.isDirectory();
+
+        if (rules.matches(repoPath, isDirectory)) continue;
+
+        if (isDirectory) {
+          // Symlinked directories could loop or leave the repository
+          if (!entry.isSymbolicLink()) await walk(repoPath);
+          continue;
+        }
+
+        try {
+          const size = (stat || await fs.stat(absolutePath)).size;
+          if (size > maxFileBytes) {
+            skipped.large++;
+            continue;
+          }
+          if (await isBinaryFile(absolutePath)) {
+            skipped.binary++;
+            continue;
+          }
+        } catch (error) {
+          debugLog(`Skipping unreadable file ${repoPath}: ${error.message}`);
+          continue;
+        }
+
+        files.push(repoPath);
+      }
+    };
+
+    await walk('');
+
+    debugLog(`Scanned ${files.length} files (${skipped.binary} binary, ${skipped.large} over ${maxFileBytes} bytes skipped)` +
+      (this.truncated ? `; stopped at scanner.maxFiles (${maxFiles})` : ''));
+    return files.sort();
+  }
+
+  /**
+   * Group files by the first matching agents.grouping rule (default: one agent per file).
+   * Each group is { scope: { type, value, recursive, patterns }, name, files }.
+   */
+  groupFiles(files) {
+    const rules = this.config.agents.grouping;
+    const groups = new Map();
+
+    for (const file of files) {
+      const ruleIndex = rules.findIndex(candidate => matchesPatterns(file, rulePatterns(candidate)));
+      const rule = rules[ruleIndex];
+      const type = rule?.by || 'file';
+      const value = type === 'file' ? file : type === 'directory' ? directoryOf(file) : `rule ${ruleIndex}`;
+      const key = `${type}:${value}`;
+
+      if (!groups.has(key)) {
+        const patterns = rule && type !== 'file' ? rulePatterns(rule) : undefined;
+        groups.set(key, { scope: { type, value, recursive: false, patterns }, name: rule?.name, files: [] });
+      }
+      groups.get(key).files.push(file);
+    }
+
+    return this.limitGroups([...groups.values()]);
+  }
+
+  /**
+   * Keep the agent count within agents.maxAgents by merging file and directory
+   * groups into ever shallower directories. Glob groups are left alone.
+   */
+  limitGroups(groups) {
+    const { maxAgents } = this.config.agents;
+    if (groups.length <= maxAgents) return groups;
+
+    const globGroups = groups.filter(group => group.scope.type === 'glob');
+    const otherGroups = groups.filter(group => group.scope.type !== 'glob');
+    const depthOf = (group) => {
+      const dir = group.scope.type === 'file' ? directoryOf(group.scope.value) : group.scope.value;
+      return dir ? dir.split('/').length : 0;
+    };
+
+    let merged = otherGroups;
+    for (let depth = Math.max(0, ...otherGroups.map(depthOf)); depth >= 0; depth--) {
+      const byDirectory = new Map();
+      for (const group of otherGroups) {
+        for (const file of group.files) {
+          const dir = directoryOf(file).split('/').filter(Boolean).slice(0, depth).join('/');
+          if (!byDirectory.has(dir)) {
+            byDirectory.set(dir, { scope: { type: 'directory', value: dir, recursive: true }, files: [] });
+          }
+          byDirectory.get(dir).files.push(file);
+        }
+      }
+      merged = [...byDirectory.values()];
+      if (merged.length + globGroups.length <= maxAgents) break;
+    }
+
+    const result = [...globGroups, ...merged];
+    debugLog(`${groups.length} agents exceed agents.maxAgents (${maxAgents}); merged into ${result.length} directory agents`);
+    return result;
+  }
+
+  /**
+   * Agent label shown to Claude and in the agent's prompt
+   */
+  groupLabel(group) {
+    const { type, value, recursive } = group.scope;
+    if (type === 'file') return value;
+    if (type === 'directory') return `${value || '.'}/${recursive ? '**' : '*'}`;
+    return group.name || group.scope.patterns.join(', ');
+  }
+
+  groupId(group) {
+    const { type, value } = group.scope;
+    if (type === 'file') return `agent_${sanitizeId(value)}`;
+    if (type === 'directory') return `agent_dir_${sanitizeId(value || 'root')}${group.scope.recursive ? '_tree' : ''}`;
+    return `agent_glob_${sanitizeId(group.name || group.scope.patterns.join('_'))}`;
+  }
+
+  guidelinesFor(group) {
+    const extensions = new Set(group.files.map(file => path.posix.extname(file)));
+    const sections = FILE_TYPE_GUIDELINES
+      .filter(guideline => guideline.extensions.some(extension => extensions.has(extension)))
+      .map(guideline => guideline.text);
+
+    if (group.scope.type !== 'file') {
+      const listed = group.files.slice(0, MAX_LISTED_FILES).map(file => `- ${file}`);
+      if (group.files.length > MAX_LISTED_FILES) {
+        listed.push(`- ...and ${group.files.length - MAX_LISTED_FILES} more`);
+      }
+      sections.unshift(`## Files In Your Care\n\nYou guard ${group.files.length} file(s):\n${listed.join('\n')}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Settings from the first agents.overrides rule matching one of files (a null provider means the provider setting)
+   */
+  overridesFor(files) {
+    const rule = this.config.agents.overrides.find(candidate =>
+      files.some(file => matchesPatterns(file, rulePatterns(candidate))));
+    return {
+      weight: rule?.weight ?? 1,
+      veto: rule?.veto ?? false,
+      priority: rule?.priority ?? 0,
+      provider: rule?.provider ?? null,
+      model: rule?.model ?? null,
+      generation: rule?.generation ?? null
+    };
+  }
+
+  /**
+   * Scan the repository and create one agent per group, each with its prompt
+   * rendered from the base template
+   */
+  async createAgents(basePrompt) {
+    const groups = this.groupFiles(await this.scanFiles());
+
+    return groups.map(group => {
+      const label = this.groupLabel(group);
+      return {
+        id: this.groupId(group),
+        file: label,
+        files: group.files,
+        scope: group.scope,
+        ...this.overridesFor(group.files),
+        systemPrompt: renderAgentPrompt(basePrompt, {
+          filePath: label,
+          guidelines: this.guidelinesFor(group),
+          decisions: this.config.decisions
+        })
+      };
+    });
+  }
+}
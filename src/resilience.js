@@ -0,0 +1,188 @@
+/**
+ * Provider resilience for COMA
+ * Retries retryable provider errors with exponential backoff and jitter, skips
+ * providers whose circuit is open after repeated failures, and falls back along
+ * an ordered chain of providers until one answers
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Debug logging utility
+function debugLog(message) {
+  const logPath = process.env.CLAUDE_COMA_DEBUG;
+  if (logPath) {
+    const timestamp = new Date().toISOString();
+    const pid = process.pid;
+    const logEntry = `${timestamp} [${pid}] RESILIENCE: ${message}\n`;
+    fs.appendFile(logPath, logEntry).catch(() => {});
+  }
+}
+
+/**
+ * Providers mark transient failures (timeouts, rate limits, server errors,
+ * dropped connections) with error.retryable; anything else fails at once
+ */
+export function isRetryable(error) {
+  return error?.retryable === true;
+}
+
+/**
+ * HTTP statuses worth retrying: timeouts, conflicts, rate limits and server errors
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Delay before retry number attempt (0 for the first retry): "full jitter",
+ * a random delay up to backoffMs * 2^attempt, capped at maxBackoffMs
+ */
+export function backoffDelay(attempt, { backoffMs, maxBackoffMs }, random = Math.random) {
+  return Math.floor(random() * Math.min(maxBackoffMs, backoffMs * 2 ** attempt));
+}
+
+/**
+ * Resolve after ms, or reject with the signal's reason once it aborts
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Circuit breaker per provider name, with its state in a JSON file per
+ * provider so every hook process sees it. After threshold consecutive
+ * retryable failures the circuit opens and the provider is skipped for cooldownMs;
+ * then calls go through again, and one more failure reopens it while a
+ * success closes it. Concurrent processes may race on the counter, so the
+ * count is approximate. A threshold of 0 disables the breaker.
+ */
+export class CircuitBreaker {
+  constructor({ dir, threshold, cooldownMs, now = Date.now }) {
+    this.dir = dir;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+  }
+
+  statePath(provider) {
+    return path.join(this.dir, `${encodeURIComponent(provider)}.json`);
+  }
+
+  /**
+   * { failures, openedAt } for a provider; unreadable state counts as closed
+   */
+  async state(provider) {
+    try {
+      const state = JSON.parse(await fs.readFile(this.statePath(provider), 'utf8'));
+      return { failures: state.failures ?? 0, openedAt: state.openedAt ?? null };
+    } catch {
+      return { failures: 0, openedAt: null };
+    }
+  }
+
+  /**
+   * Milliseconds until the provider's circuit closes, or 0 if it is closed
+   */
+  async remainingMs(provider) {
+    if (this.threshold === 0) return 0;
+    const { failures, openedAt } = await this.state(provider);
+    if (failures < this.threshold || openedAt === null) return 0;
+    return Math.max(0, openedAt + this.cooldownMs - this.now());
+  }
+
+  async recordFailure(provider) {
+    if (this.threshold === 0) return;
+    const state = await this.state(provider);
+    state.failures++;
+    if (state.failures >= this.threshold) {
+      if (state.failures === this.threshold) {
+        debugLog(`Opening the circuit of ${provider} after ${state.failures} consecutive failures`);
+      }
+      state.openedAt = this.now();
+    }
+    await this.write(provider, state);
+  }
+
+  async recordSuccess(provider) {
+    if (this.threshold === 0) return;
+    await fs.rm(this.statePath(provider), { force: true });
+  }
+
+  // Written to a temporary file and renamed, so other processes never read a partial state
+  async write(provider, state) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const tempPath = `${this.statePath(provider)}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(state));
+    await fs.rename(tempPath, this.statePath(provider));
+  }
+}
+
+/**
+ * Consult the providers of chain ({ name } each) in order until one answers.
+ * consult(entry) makes one attempt. Each provider gets retries more attempts
+ * for retryable errors, backing off between them; a provider whose circuit is
+ * open is skipped. Resolves to { response, provider } with the name of the
+ * provider that answered. Rejects with signal's reason once it aborts, with
+ * the provider's own error when the chain has one provider, and otherwise
+ * with an error listing why each provider failed.
+ */
+export async function consultWithFallback(chain, consult, {
+  retries = 0,
+  backoffMs = 1000,
+  maxBackoffMs = 10000,
+  breaker = null,
+  signal = null,
+  random = Math.random
+} = {}) {
+  const failures = [];
+  let lastError = null;
+
+  for (const entry of chain) {
+    const openMs = breaker ? await breaker.remainingMs(entry.name) : 0;
+    if (openMs > 0) {
+      debugLog(`Skipping ${entry.name}: circuit open for another ${openMs}ms`);
+      failures.push(`${entry.name}: skipped, failing repeatedly (retrying in ${Math.ceil(openMs / 1000)}s)`);
+      continue;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+      try {
+        const response = await consult(entry);
+        await breaker?.recordSuccess(entry.name);
+        return { response, provider: entry.name };
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        lastError = error;
+        // Only transient failures say the provider is unhealthy; a bad request or setting does not
+        if (isRetryable(error)) await breaker?.recordFailure(entry.name);
+
+        if (!isRetryable(error) || attempt >= retries) {
+          debugLog(`${entry.name} failed${attempt > 0 ? ` after ${attempt + 1} attempts` : ''}: ${error.message}`);
+          failures.push(`${entry.name}: ${error.message}`);
+          break;
+        }
+        const delay = backoffDelay(attempt, { backoffMs, maxBackoffMs }, random);
+        debugLog(`${entry.name} failed (${error.message}), retry ${attempt + 1} of ${retries} in ${delay}ms`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  if (chain.length === 1 && lastError) {
+    throw lastError;
+  }
+  throw new Error(`No provider could answer: ${failures.join('; ')}`);
+}
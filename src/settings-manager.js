@@ -0,0 +1,309 @@
+/**
+ * Settings Manager for COMA
+ * Reads, backs up and edits Claude Code settings files without disturbing non-COMA entries
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_CONFIG } from './config.js';
+
+// Debug logging utility
+function debugLog(message) {
+  const logPath = process.env.CLAUDE_COMA_DEBUG;
+  if (logPath) {
+    const timestamp = new Date().toISOString();
+    const pid = process.pid;
+    const logEntry = `${timestamp} [${pid}] SETTINGS: ${message}\n`;
+    fs.appendFile(logPath, logEntry).catch(() => {});
+  }
+}
+
+// Claude Code settings scopes, highest precedence first
+export const SETTINGS_SCOPES = ['local', 'project', 'user'];
+
+/**
+ * Settings file for a scope:
+ *   user    ~/.claude/settings.json             (every project on the machine)
+ *   project <repo>/.claude/settings.json        (committed, shared with the team)
+ *   local   <repo>/.claude/settings.local.json  (git-ignored, this checkout only)
+ */
+export function settingsPathForScope(scope, { homeDir, repoPath }) {
+  switch (scope) {
+    case 'user':
+      return path.join(homeDir, '.claude', 'settings.json');
+    case 'project':
+      return path.join(repoPath, '.claude', 'settings.json');
+    case 'local':
+      return path.join(repoPath, '.claude', 'settings.local.json');
+    default:
+      throw new Error(`Unknown settings scope "${scope}". Use one of: ${SETTINGS_SCOPES.join(', ')}`);
+  }
+}
+
+/**
+ * The settings file a backup was taken from ("<file>.coma-backup-<stamp>" -> "<file>")
+ */
+export function backupTargetPath(backupPath) {
+  const index = backupPath.lastIndexOf('.coma-backup-');
+  return index === -1 ? null : backupPath.substring(0, index);
+}
+
+// Seconds the PreToolUse hook gets on top of the consultation deadline, for
+// starting Node, scanning the repository and writing the decision
+const HOOK_STARTUP_SECONDS = 30;
+
+/**
+ * The timeout (in seconds) to install on the PreToolUse hook. Claude Code kills
+ * a hook after 60 seconds by default and then lets the tool call through, so the
+ * hook must outlive timeouts.consultationMs for timeouts.onDeadline to decide.
+ */
+export function hookTimeoutSeconds(consultationMs) {
+  return Math.ceil(consultationMs / 1000) + HOOK_STARTUP_SECONDS;
+}
+
+/**
+ * The hook entries a COMA install wants in a scope, keyed by event type
+ * (matchers come from the hookMatchers config, the PreToolUse timeout from
+ * timeouts.consultationMs).
+ * Project settings are committed and shared, so they call the claude-coma
+ * binary from PATH instead of this machine's absolute install path.
+ */
+export function comaHookEntries(scope, {
+  nodePath, scriptPath, matchers = DEFAULT_CONFIG.hookMatchers, consultationMs = DEFAULT_CONFIG.timeouts.consultationMs
+}) {
+  const hookCommand = scope === 'project'
+    ? (type) => `claude-coma hook ${type}`
+    : (type) => `${nodePath} ${scriptPath} hook ${type}`;
+  return {
+    PreToolUse: { matcher: matchers.PreToolUse, command: hookCommand('PreToolUse'), timeout: hookTimeoutSeconds(consultationMs) },
+    PostToolUse: { matcher: matchers.PostToolUse, command: hookCommand('PostToolUse') },
+    UserPromptSubmit: { matcher: matchers.UserPromptSubmit, command: hookCommand('UserPromptSubmit') }
+  };
+}
+
+// Matches both "claude-coma hook <type>" and ".../claude-coma.js hook <type>"
+const COMA_HOOK_PATTERN = /claude-coma(\.js)?\s+hook\b/;
+
+export function isComaHookCommand(command) {
+  return typeof command === 'string' && COMA_HOOK_PATTERN.test(command);
+}
+
+// The hook type a COMA command was installed for ("... hook PreToolUse" -> "PreToolUse")
+function comaHookType(command) {
+  const match = command.match(/\bhook\s+(\S+)/);
+  return match ? match[1] : null;
+}
+
+export class SettingsManager {
+  constructor(settingsPath) {
+    this.settingsPath = settingsPath;
+  }
+
+  /**
+   * Load the settings file. A missing file yields empty settings;
+   * an unparseable one throws rather than being silently replaced.
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.settingsPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { settings: {}, exists: false };
+      }
+      throw error;
+    }
+
+    try {
+      return { settings: JSON.parse(content), exists: true };
+    } catch (error) {
+      throw new Error(`Cannot parse ${this.settingsPath}: ${error.message}`);
+    }
+  }
+
+  async save(settings) {
+    await fs.mkdir(path.dirname(this.settingsPath), { recursive: true });
+    await fs.writeFile(this.settingsPath, JSON.stringify(settings, null, 2) + '\n');
+    debugLog(`Wrote ${this.settingsPath}`);
+  }
+
+  /**
+   * Copy the current settings file next to itself with a timestamp suffix.
+   * Returns the backup path, or null if there is nothing to back up.
+   */
+  async backup() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = `${this.settingsPath}.coma-backup-${stamp}`;
+    try {
+      await fs.copyFile(this.settingsPath, backupPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    debugLog(`Backed up ${this.settingsPath} to ${backupPath}`);
+    return backupPath;
+  }
+
+  /**
+   * COMA hook entries currently in the file: [{ event, matcher, command }]
+   */
+  async findComaHooks() {
+    const { settings } = await this.load();
+    return SettingsManager.removeComaHooks(settings).removed;
+  }
+
+  async listBackups() {
+    const dir = path.dirname(this.settingsPath);
+    const prefix = `${path.basename(this.settingsPath)}.coma-backup-`;
+    try {
+      const entries = await fs.readdir(dir);
+      return entries.filter(name => name.startsWith(prefix)).sort().map(name => path.join(dir, name));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Replace the settings file with a backup. The backup must parse, and the
+   * current file is itself backed up first so a restore can be undone.
+   * Returns the backup of the replaced file (or null if there was none).
+   */
+  async restore(backupPath) {
+    const content = await fs.readFile(backupPath, 'utf8');
+    try {
+      JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Backup ${backupPath} is not valid JSON: ${error.message}`);
+    }
+
+    const previousBackup = await this.backup();
+    await fs.mkdir(path.dirname(this.settingsPath), { recursive: true });
+    await fs.writeFile(this.settingsPath, content);
+    debugLog(`Restored ${this.settingsPath} from ${backupPath}`);
+    return previousBackup;
+  }
+
+  /**
+   * Return a copy of settings with every COMA hook command removed, across all
+   * event types. Matcher groups, event types and a hooks object that COMA's
+   * removal leaves empty are dropped; everything else is kept untouched.
+   * Returns { settings, removed } where removed lists { event, matcher, command }.
+   */
+  static removeComaHooks(settings) {
+    const result = JSON.parse(JSON.stringify(settings || {}));
+    const removed = [];
+
+    if (!result.hooks || typeof result.hooks !== 'object') {
+      return { settings: result, removed };
+    }
+
+    for (const [event, groups] of Object.entries(result.hooks)) {
+      if (!Array.isArray(groups)) continue;
+
+      const removedBefore = removed.length;
+      const keptGroups = [];
+      for (const group of groups) {
+        if (!Array.isArray(group?.hooks)) {
+          keptGroups.push(group);
+          continue;
+        }
+
+        const keptHooks = group.hooks.filter(hook => {
+          if (isComaHookCommand(hook?.command)) {
+            removed.push({ event, matcher: group.matcher, command: hook.command });
+            return false;
+          }
+          return true;
+        });
+
+        // Only drop a group that COMA emptied; leave pre-existing empty groups alone
+        if (keptHooks.length > 0 || group.hooks.length === 0) {
+          keptGroups.push({ ...group, hooks: keptHooks });
+        }
+      }
+
+      if (removed.length === removedBefore) continue;
+
+      if (keptGroups.length > 0) {
+        result.hooks[event] = keptGroups;
+      } else {
+        delete result.hooks[event];
+      }
+    }
+
+    if (removed.length > 0 && Object.keys(result.hooks).length === 0) {
+      delete result.hooks;
+    }
+
+    return { settings: result, removed };
+  }
+
+  /**
+   * Return a copy of settings with COMA's hooks merged in, appending to any
+   * existing event arrays instead of replacing them. COMA entries that point
+   * at another install path are upgraded in place and duplicates are dropped.
+   *
+   * comaHooks maps event type to { matcher, command, timeout }, where timeout
+   * (seconds) is optional. Returns { settings, changes } where each change is
+   * { action: 'added' | 'updated' | 'removed-duplicate', event, matcher, command, previousCommand, timeout, previousTimeout }.
+   */
+  static mergeComaHooks(settings, comaHooks) {
+    const result = JSON.parse(JSON.stringify(settings || {}));
+    const changes = [];
+
+    if (!result.hooks || typeof result.hooks !== 'object' || Array.isArray(result.hooks)) {
+      result.hooks = {};
+    }
+
+    for (const [event, { matcher, command, timeout }] of Object.entries(comaHooks)) {
+      if (!Array.isArray(result.hooks[event])) {
+        result.hooks[event] = [];
+      }
+      const groups = result.hooks[event];
+
+      // Find every COMA entry already registered for this event
+      const existing = [];
+      groups.forEach(group => {
+        (Array.isArray(group?.hooks) ? group.hooks : []).forEach(hook => {
+          if (isComaHookCommand(hook?.command) && comaHookType(hook.command) === event) {
+            existing.push({ group, hook });
+          }
+        });
+      });
+
+      if (existing.length === 0) {
+        groups.push({ matcher, hooks: [{ type: 'command', command, ...(timeout !== undefined && { timeout }) }] });
+        changes.push({ action: 'added', event, matcher, command });
+        continue;
+      }
+
+      // Keep the first entry, upgrading it in place if it has drifted
+      const [current, ...duplicates] = existing;
+      const matcherDrifted = current.group.matcher !== matcher && current.group.hooks.length === 1;
+      const timeoutDrifted = timeout !== undefined && current.hook.timeout !== timeout;
+      if (current.hook.command !== command || matcherDrifted || timeoutDrifted) {
+        const previousCommand = current.hook.command;
+        const previousTimeout = current.hook.timeout;
+        current.hook.command = command;
+        if (timeoutDrifted) {
+          current.hook.timeout = timeout;
+        }
+        // Only touch the matcher when COMA owns the whole group
+        if (matcherDrifted) {
+          current.group.matcher = matcher;
+        }
+        changes.push({ action: 'updated', event, matcher: current.group.matcher, command, previousCommand, timeout, previousTimeout });
+      }
+
+      for (const duplicate of duplicates) {
+        duplicate.group.hooks = duplicate.group.hooks.filter(hook => hook !== duplicate.hook);
+        changes.push({ action: 'removed-duplicate', event, matcher: duplicate.group.matcher, command: duplicate.hook.command });
+      }
+      result.hooks[event] = groups.filter(group =>
+        !Array.isArray(group?.hooks) || group.hooks.length > 0 || !duplicates.some(d => d.group === group)
+      );
+    }
+
+    return { settings: result, changes };
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Verdict Cache for COMA
+ * Remembers agent verdicts so a repeated edit or Bash command is not reviewed again
+ * while neither the agent, the change nor the affected files have changed
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { defaultRuntimeDir } from './concurrency.js';
+
+// Debug logging utility
+function debugLog(message) {
+  const logPath = process.env.CLAUDE_COMA_DEBUG;
+  if (logPath) {
+    const timestamp = new Date().toISOString();
+    const pid = process.pid;
+    const logEntry = `${timestamp} [${pid}] CACHE: ${message}\n`;
+    fs.appendFile(logPath, logEntry).catch(() => {});
+  }
+}
+
+// Relative to the runtime directory, one subdirectory per repository. Outside
+// the repository, so a change under review cannot plant an approval.
+export const CACHE_DIR = 'verdicts';
+
+// Consultation fields that differ between identical tool calls
+const VOLATILE_FIELDS = ['claudeContext', 'sessionId', 'transcriptPath', 'hookEventName', 'toolResponse', 'prompt'];
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * JSON with object keys sorted, so equal values always serialize the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * The consultation without the fields that vary between identical tool calls
+ */
+export function normalizeConsultation(consultationData) {
+  return Object.fromEntries(Object.entries(consultationData).filter(([key]) => !VOLATILE_FIELDS.includes(key)));
+}
+
+/**
+ * [[repository path, content hash or null when missing], ...] in path order
+ */
+export async function hashFiles(repoPath, files) {
+  const sorted = [...new Set(files)].sort();
+  return Promise.all(sorted.map(async file => {
+    try {
+      return [file, sha256(await fs.readFile(path.join(repoPath, file)))];
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR' || error.code === 'EISDIR') return [file, null];
+      throw error;
+    }
+  }));
+}
+
+/**
+ * Cache key for one agent's review of one change:
+ * { systemPrompt, provider, consultation, files } where files come from hashFiles
+ */
+export function verdictCacheKey({ systemPrompt, provider, consultation, files }) {
+  return sha256(stableStringify({ systemPrompt, provider, consultation: normalizeConsultation(consultation), files }));
+}
+
+export class VerdictCache {
+  constructor({ repoPath, runtimeDir = defaultRuntimeDir(), ttlMs, maxEntries, now = Date.now }) {
+    this.cacheDir = path.join(runtimeDir, CACHE_DIR, sha256(path.resolve(repoPath)).slice(0, 16));
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.now = now;
+  }
+
+  entryPath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  /**
+   * The cached { decision, reasoning, verdict } for key, or null.
+   * Expired and unreadable entries are misses and are removed.
+   */
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.entryPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        debugLog(`Discarding unreadable entry ${key}: ${error.message}`);
+        await fs.rm(this.entryPath(key), { force: true });
+      }
+      return null;
+    }
+
+    if (typeof entry.storedAt !== 'number' || this.now() - entry.storedAt > this.ttlMs) {
+      debugLog(`Entry ${key} expired`);
+      await fs.rm(this.entryPath(key), { force: true });
+      return null;
+    }
+    return entry.result;
+  }
+
+  /**
+   * Store a result. Entries are written to a temporary file and renamed, so
+   * concurrent hook processes never read a partial entry.
+   */
+  async set(key, result) {
+    await fs.mkdir(this.cacheDir, { recursive: true });
+
+    const tempPath = `${this.entryPath(key)}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ storedAt: this.now(), result }));
+    await fs.rename(tempPath, this.entryPath(key));
+    await this.prune();
+  }
+
+  /**
+   * Remove the oldest entries beyond maxEntries
+   */
+  async prune() {
+    const names = (await fs.readdir(this.cacheDir)).filter(name => name.endsWith('.json'));
+    if (names.length <= this.maxEntries) return;
+
+    const entries = await Promise.all(names.map(async name => {
+      const stats = await fs.stat(path.join(this.cacheDir, name)).catch(() => null);
+      return { name, mtimeMs: stats?.mtimeMs ?? 0 };
+    }));
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs || a.name.localeCompare(b.name));
+
+    const excess = entries.slice(0, entries.length - this.maxEntries);
+    await Promise.all(excess.map(({ name }) => fs.rm(path.join(this.cacheDir, name), { force: true })));
+    debugLog(`Pruned ${excess.length} oldest entries (limit ${this.maxEntries})`);
+  }
+
+  /**
+   * Delete every entry. Returns how many there were.
+   */
+  async clear() {
+    let names = [];
+    try {
+      names = (await fs.readdir(this.cacheDir)).filter(name => name.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    await fs.rm(this.cacheDir, { recursive: true, force: true });
+    debugLog(`Cleared ${names.length} entries from ${this.cacheDir}`);
+    return names.length;
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Verdict Parser for COMA
+ * Extracts the JSON verdict from an agent response, falling back to decision keywords
+ */
+
+import { validateConfig, DEFAULT_CONFIG } from './config.js';
+
+export const SEVERITIES = ['none', 'low', 'medium', 'high', 'critical'];
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+export const VERDICT_SCHEMA = {
+  type: 'object',
+  required: ['decision', 'summary'],
+  properties: {
+    decision: nonEmptyString,
+    severity: { type: 'string', enum: SEVERITIES },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    summary: nonEmptyString,
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+          file: { type: 'string' },
+          line: { type: 'integer', minimum: 1 },
+          message: nonEmptyString,
+          suggestion: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Index just past the "}" closing the object that opens at start, or -1
+ */
+function findObjectEnd(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * JSON objects with a "decision" key found in the text, in order of appearance:
+ * fenced code blocks first, then bare objects in the surrounding prose
+ */
+export function extractJsonCandidates(text) {
+  const candidates = [];
+  const tryParse = (source) => {
+    try {
+      const value = JSON.parse(source);
+      if (value !== null && typeof value === 'object' && !Array.isArray(value) && 'decision' in value) {
+        candidates.push(value);
+        return true;
+      }
+    } catch {
+      // Not JSON; keep looking
+    }
+    return false;
+  };
+
+  for (const match of text.matchAll(/```[a-zA-Z]*[ \t]*\n([\s\S]*?)```/g)) {
+    tryParse(match[1].trim());
+  }
+  if (candidates.length > 0) return candidates;
+
+  for (let start = text.indexOf('{'); start !== -1;) {
+    const end = findObjectEnd(text, start);
+    if (end !== -1 && tryParse(text.substring(start, end))) {
+      start = text.indexOf('{', end);
+    } else {
+      start = text.indexOf('{', start + 1);
+    }
+  }
+  return candidates;
+}
+
+// Canonical decisions and the decisions config key holding each one's keyword
+const DECISION_KEYS = {
+  APPROVE: 'approve',
+  APPROVE_WITH_COMMENTS: 'approveWithComments',
+  REJECT: 'reject'
+};
+
+function configuredKeywords(decisions) {
+  return Object.values(DECISION_KEYS).map(key => decisions[key]).filter(Boolean);
+}
+
+/**
+ * Keyword -> canonical decision, for the configured keywords and the canonical ones
+ */
+function decisionKeywords(decisions) {
+  const keywords = new Map();
+  for (const [decision, key] of Object.entries(DECISION_KEYS)) {
+    keywords.set(decision, decision);
+    if (decisions[key]) keywords.set(decisions[key], decision);
+  }
+  return keywords;
+}
+
+/**
+ * Map a verdict decision to APPROVE, APPROVE_WITH_COMMENTS or REJECT
+ */
+function normalizeDecision(decision, decisions) {
+  const value = String(decision).trim().toUpperCase();
+  for (const [keyword, canonical] of decisionKeywords(decisions)) {
+    if (value === keyword.toUpperCase()) return canonical;
+  }
+  return null;
+}
+
+/**
+ * One finding as a line: "- file:line: message (suggestion: ...)"
+ */
+export function formatFinding(finding) {
+  const location = finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''}: ` : '';
+  const suggestion = finding.suggestion ? ` (suggestion: ${finding.suggestion})` : '';
+  return `- ${location}${finding.message}${suggestion}`;
+}
+
+/**
+ * Consensus warnings (see src/consensus/warnings.js) as finding lines,
+ * noting those several agents raised
+ */
+export function formatWarnings(warnings) {
+  return warnings
+    .map(warning => formatFinding(warning) + (warning.raisedBy.length > 1 ? ` (raised by ${warning.raisedBy.length} agents)` : ''))
+    .join('\n');
+}
+
+function formatReasoning(verdict) {
+  return [verdict.summary, ...verdict.findings.map(formatFinding)].join('\n');
+}
+
+/**
+ * The last decision keyword in the text wins, so "I cannot APPROVE this; REJECT"
+ * is a rejection. Keywords must stand alone (not inside "DISAPPROVED").
+ */
+export function findLastKeyword(text, decisions = DEFAULT_CONFIG.decisions) {
+  const escape = keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const keywords = configuredKeywords(decisions);
+  // Longest first, so a keyword containing another one is matched whole
+  const alternatives = keywords.sort((a, b) => b.length - a.length).map(escape).join('|');
+  const pattern = new RegExp(`(?<![A-Za-z0-9_])(${alternatives})(?![A-Za-z0-9_])`, 'g');
+  const matches = [...text.matchAll(pattern)];
+  if (matches.length === 0) return null;
+  const keyword = matches[matches.length - 1][1];
+  return Object.keys(DECISION_KEYS).find(decision => decisions[DECISION_KEYS[decision]] === keyword);
+}
+
+/**
+ * Parse an agent response into
+ *   { decision: 'APPROVE' | 'APPROVE_WITH_COMMENTS' | 'REJECT', reasoning, verdict, source, problems }
+ * source is 'json' for a valid verdict, 'keyword' when the keyword fallback
+ * decided, or 'none' when nothing did (a rejection, for safety). problems
+ * explains why no JSON verdict was used.
+ */
+export function parseVerdict(rawResponse, { decisions = DEFAULT_CONFIG.decisions } = {}) {
+  const text = (rawResponse || '').trim();
+  const problems = [];
+
+  // The last valid verdict wins: agents may quote an example before concluding
+  const candidates = extractJsonCandidates(text);
+  for (const candidate of candidates.reverse()) {
+    const known = Object.fromEntries(Object.entries(candidate).filter(([key]) => key in VERDICT_SCHEMA.properties));
+    const schemaProblems = validateConfig(known, VERDICT_SCHEMA, 'verdict');
+    const decision = normalizeDecision(candidate.decision, decisions);
+    if (decision === null) {
+      const allowed = configuredKeywords(decisions).map(keyword => `"${keyword}"`).join(', ');
+      schemaProblems.push(`verdict.decision must be one of ${allowed} (got ${JSON.stringify(candidate.decision)})`);
+    }
+    if (schemaProblems.length > 0) {
+      problems.push(...schemaProblems);
+      continue;
+    }
+
+    const verdict = {
+      decision,
+      severity: known.severity ?? 'none',
+      confidence: known.confidence ?? null,
+      summary: known.summary,
+      findings: known.findings ?? []
+    };
+    return { decision, reasoning: formatReasoning(verdict), verdict, source: 'json', problems: [] };
+  }
+  if (candidates.length === 0) {
+    problems.push('no JSON verdict found');
+  }
+
+  const keyword = findLastKeyword(text, decisions);
+  if (keyword) {
+    return { decision: keyword, reasoning: text, verdict: null, source: 'keyword', problems };
+  }
+  // If no clear decision, treat as reject for safety
+  return { decision: 'REJECT', reasoning: `Unclear response: ${text}`, verdict: null, source: 'none', problems };
+}
@@ -0,0 +1,187 @@
+/**
+ * Test script for stopping COMA agent processes
+ */
+
+import { ClaudeCodeProvider } from '../src/providers/claude-code.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const providerModule = path.join(__dirname, '..', 'src', 'providers', 'claude-code.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wait until every pid has exited, up to timeoutMs; true if they all did
+ */
+async function waitForExit(pids, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (!pids.some(isAlive)) return true;
+    await sleep(25);
+  }
+  return false;
+}
+
+/**
+ * Pids the fake agent wrote, once it and its helper process are both running
+ */
+async function readAgentPids(pidFile, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const pids = (await fs.readFile(pidFile, 'utf8').catch(() => '')).trim().split(/\s+/).filter(Boolean).map(Number);
+    if (pids.length === 2) return pids;
+    await sleep(25);
+  }
+  throw new Error(`Fake agent did not start (no pids in ${pidFile})`);
+}
+
+/**
+ * A fake claude that never answers: it starts a helper process of its own,
+ * as the real CLI starts tools, and writes both pids to pidFile
+ */
+async function writeFakeAgent(testDir, pidFile) {
+  const fakeClaude = path.join(testDir, 'fake-claude.cjs');
+  await fs.writeFile(fakeClaude, `#!/usr/bin/env node
+const { spawn } = require('child_process');
+const helper = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+require('fs').writeFileSync(${JSON.stringify(pidFile)}, process.pid + ' ' + helper.pid);
+setInterval(() => {}, 1000);
+`, { mode: 0o755 });
+  return fakeClaude;
+}
+
+const agent = { id: 'agent-1', file: 'src/app.js', systemPrompt: 'Guard src/app.js' };
+const consultation = { toolName: 'Bash', parameters: { command: 'make' } };
+
+async function testProviderTimeout(testDir) {
+  console.log('Testing provider timeouts...\n');
+
+  const pidFile = path.join(testDir, 'timeout.pids');
+  const claudeBin = await writeFakeAgent(testDir, pidFile);
+  const provider = new ClaudeCodeProvider(testDir, { claudeBin, timeoutMs: 500 });
+
+  const error = await provider.consultAgent(agent, consultation).then(() => null, error => error);
+  check('A consultation past timeoutMs rejects', error?.message === 'Claude Code agent consultation timed out', error?.message);
+  const pids = await readAgentPids(pidFile);
+  check('The timed-out agent and the processes it started are stopped', await waitForExit(pids), `pids ${pids.join(', ')}`);
+  console.log('');
+}
+
+async function testAbortSignal(testDir) {
+  console.log('Testing cancellation...\n');
+
+  const pidFile = path.join(testDir, 'abort.pids');
+  const claudeBin = await writeFakeAgent(testDir, pidFile);
+  const provider = new ClaudeCodeProvider(testDir, { claudeBin, timeoutMs: 60000 });
+  const controller = new AbortController();
+
+  const consulting = provider.consultAgent(agent, consultation, { signal: controller.signal }).then(() => null, error => error);
+  const pids = await readAgentPids(pidFile);
+  controller.abort(new Error('deadline passed'));
+  const error = await consulting;
+  check('Aborting rejects with the signal reason', error?.message === 'deadline passed', error?.message);
+  check('Aborting stops the agent process group', await waitForExit(pids), `pids ${pids.join(', ')}`);
+
+  const early = await provider.consultAgent(agent, consultation, { signal: controller.signal }).then(() => null, error => error);
+  check('An aborted signal stops the consultation before it starts', early?.message === 'deadline passed');
+  console.log('');
+}
+
+/**
+ * Run a validator-like process that starts a consultation, then does something fatal
+ */
+async function runConsultingProcess(testDir, name, fatal) {
+  const pidFile = path.join(testDir, `${name}.pids`);
+  const claudeBin = await writeFakeAgent(testDir, pidFile);
+  const script = `
+import { ClaudeCodeProvider } from ${JSON.stringify(providerModule)};
+const provider = new ClaudeCodeProvider(${JSON.stringify(testDir)}, { claudeBin: ${JSON.stringify(claudeBin)}, timeoutMs: 60000 });
+provider.consultAgent({ id: 'a', systemPrompt: 'p' }, {}).catch(() => {});
+${fatal}
+`;
+  const proc = spawn('node', ['--input-type=module', '-e', script], { stdio: ['ignore', 'ignore', 'pipe'] });
+  const exited = new Promise(resolve => proc.on('close', (code, signal) => resolve({ code, signal })));
+  const pids = await readAgentPids(pidFile);
+  return { proc, exited, pids };
+}
+
+async function testValidatorShutdown(testDir) {
+  console.log('Testing teardown when the validator dies...\n');
+
+  let run = await runConsultingProcess(testDir, 'crash',
+    `setTimeout(() => { throw new Error('validator crashed'); }, 300);`);
+  let result = await run.exited;
+  check('A crash exits the validator', result.code === 1, JSON.stringify(result));
+  check('A crash stops the running agents', await waitForExit(run.pids), `pids ${run.pids.join(', ')}`);
+
+  run = await runConsultingProcess(testDir, 'exit', `setTimeout(() => process.exit(2), 300);`);
+  result = await run.exited;
+  check('process.exit stops the running agents', result.code === 2 && await waitForExit(run.pids));
+
+  run = await runConsultingProcess(testDir, 'interrupt', '');
+  run.proc.kill('SIGINT');
+  result = await run.exited;
+  check('SIGINT still ends the validator as interrupted', result.signal === 'SIGINT', JSON.stringify(result));
+  check('SIGINT stops the running agents', await waitForExit(run.pids), `pids ${run.pids.join(', ')}`);
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Agent Process Testing ===\n');
+
+  if (process.platform === 'win32') {
+    console.log('SKIP Process groups are not available on Windows');
+    return;
+  }
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-agent-processes-'));
+  try {
+    await testProviderTimeout(testDir);
+    await testAbortSignal(testDir);
+    await testValidatorShutdown(testDir);
+  } catch (error) {
+    console.error('Agent process test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All agent process tests passed!');
+}
+
+runAllTests();
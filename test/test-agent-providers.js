@@ -0,0 +1,221 @@
+/**
+ * Test script for per-agent provider, model and generation settings
+ */
+
+import { ComaValidator, createAgentProvider } from '../src/coma-validator.js';
+import { ContextManager } from '../src/context-manager.js';
+import { RepositoryScanner } from '../src/repository-scanner.js';
+import { DEFAULT_CONFIG, mergeConfig, validateConfig } from '../src/config.js';
+import { VerdictCache } from '../src/verdict-cache.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+function runHook(stdinText, env) {
+  return new Promise((resolve) => {
+    const proc = spawn('node', [comaScript, 'hook', 'PreToolUse'], { stdio: ['pipe', 'pipe', 'pipe'], env });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+    proc.stdin.end(stdinText);
+  });
+}
+
+// docs and config get a cheap model, core source a stronger one on another provider
+const overrides = [
+  { pattern: 'docs/**', model: 'haiku', generation: { temperature: 0, maxTokens: 300 } },
+  { pattern: 'src/core/**', provider: 'openai', model: 'gpt-4o', weight: 2 }
+];
+
+async function testAgentSettings(testDir) {
+  console.log('Testing agent settings from agents.overrides...\n');
+
+  await fs.mkdir(path.join(testDir, 'docs'), { recursive: true });
+  await fs.mkdir(path.join(testDir, 'src', 'core'), { recursive: true });
+  await fs.writeFile(path.join(testDir, 'docs', 'guide.md'), '# Guide\n');
+  await fs.writeFile(path.join(testDir, 'src', 'core', 'engine.js'), 'export const engine = 1;\n');
+  await fs.writeFile(path.join(testDir, 'src', 'app.js'), 'export const app = 1;\n');
+
+  const config = mergeConfig(DEFAULT_CONFIG, { agents: { overrides } });
+  const agents = await new RepositoryScanner({ repoPath: testDir, config }).createAgents('{{FILE_PATH}}');
+  const byFile = Object.fromEntries(agents.map(agent => [agent.file, agent]));
+
+  check('An override names the agent provider and model', byFile['src/core/engine.js']?.provider === 'openai' &&
+    byFile['src/core/engine.js'].model === 'gpt-4o' && byFile['src/core/engine.js'].weight === 2);
+  check('An override can set the model and generation settings alone', byFile['docs/guide.md']?.provider === null &&
+    byFile['docs/guide.md'].model === 'haiku' && byFile['docs/guide.md'].generation.maxTokens === 300);
+  check('Other agents use the provider setting', byFile['src/app.js']?.provider === null && byFile['src/app.js'].model === null &&
+    byFile['src/app.js'].generation === null);
+
+  check('Generation settings are validated', validateConfig({ agents: { overrides: [{ pattern: '**', generation: { temperature: 3 } }] } })
+    .some(problem => problem.startsWith('agents.overrides[0].generation.temperature must be a number from 0 to 2')));
+  check('Unknown generation settings are rejected', validateConfig({ agents: { overrides: [{ pattern: '**', generation: { seed: 1 } }] } })
+    .some(problem => problem.startsWith('agents.overrides[0].generation.seed is not a known setting')));
+  console.log('');
+  return agents;
+}
+
+async function testProviderInstances(testDir, agents) {
+  console.log('Testing provider instances per selection...\n');
+
+  const created = [];
+  const validator = new ComaValidator();
+  validator.repoPath = testDir;
+  validator.outputStyle = 'exit-code'; // Progress messages are collected, not printed, until a decision
+  validator.contextManager = new ContextManager();
+  validator.config = DEFAULT_CONFIG;
+  validator.createProvider = async (name, settings) => {
+    created.push({ name, settings });
+    return { async consultAgent(agent) { return `${name} ${settings.model ?? 'default'} for ${agent.file}: APPROVE`; } };
+  };
+
+  const twice = [...agents, ...agents.map(agent => ({ ...agent, id: `${agent.id}-copy` }))];
+  const results = await validator.consultAcolytes(twice, { toolName: 'Bash', parameters: { command: 'make' } });
+  check('Each agent is consulted by its own provider', results.every(result => result.decision === 'APPROVE') &&
+    results.find(result => result.file === 'src/core/engine.js').reasoning.startsWith('openai gpt-4o') &&
+    results.find(result => result.file === 'docs/guide.md').reasoning.startsWith('claude-code haiku') &&
+    results.find(result => result.file === 'src/app.js').reasoning.startsWith('claude-code default'),
+  results.map(result => result.reasoning).join(' | '));
+  check('One instance per (provider, settings) pair, shared by its agents', created.length === 3 &&
+    created.some(({ name, settings }) => name === 'claude-code' && settings.generation?.temperature === 0),
+  JSON.stringify(created));
+
+  await validator.consultAcolytes(agents, { toolName: 'Bash', parameters: { command: 'make' } });
+  check('Instances are reused across consultations', created.length === 3);
+  check('Progress names every provider of a mixed consultation',
+    validator.progress.includes('COMA: Starting 6 agents (4 claude-code, 2 openai) in parallel'), validator.progress.join(' | '));
+
+  // A provider that cannot be created fails its agents only
+  const broken = new ComaValidator();
+  broken.repoPath = testDir;
+  broken.outputStyle = 'json';
+  broken.contextManager = new ContextManager();
+  broken.config = DEFAULT_CONFIG;
+  broken.createProvider = async (name) => {
+    if (name === 'openai') throw new Error('OpenAI provider needs the "openai" package');
+    return { async consultAgent() { return 'APPROVE'; } };
+  };
+  const mixed = await broken.consultAcolytes(agents, { toolName: 'Bash', parameters: { command: 'make' } });
+  check('A provider that cannot be created fails only the agents that use it',
+    mixed.find(result => result.file === 'src/core/engine.js').decision === 'ERROR' &&
+    mixed.filter(result => result.decision === 'APPROVE').length === 2, JSON.stringify(mixed.map(r => [r.file, r.decision])));
+
+  // Verdicts are cached per provider selection
+  const cached = new ComaValidator();
+  cached.repoPath = testDir;
+  cached.verdictCache = new VerdictCache({ repoPath: testDir, ...DEFAULT_CONFIG.cache });
+  const keys = await cached.verdictCacheKeys([
+    agents[0], { ...agents[0], model: 'opus' }, { ...agents[0], provider: 'openai' }
+  ], { toolName: 'Bash', parameters: { command: 'make' } }, 'ALL_FILES');
+  check('Another model or provider does not reuse a cached verdict', new Set(keys).size === 3);
+
+  const provider = await createAgentProvider('openai', testDir, DEFAULT_CONFIG, { model: 'gpt-4o', generation: { temperature: 0.1 } });
+  check('Agent settings win over the provider section', provider.model === 'gpt-4o' && provider.generation.temperature === 0.1 &&
+    provider.baseUrl === DEFAULT_CONFIG.providers.openai.baseUrl);
+  console.log('');
+}
+
+async function testEnsembleHook(testDir) {
+  console.log('Testing a cross-provider ensemble through the hook...\n');
+
+  const repoDir = path.join(testDir, 'ensemble');
+  const fakeClaude = path.join(testDir, 'fake-claude.cjs');
+  const claudeLog = path.join(testDir, 'claude-args.log');
+  const providerLog = path.join(testDir, 'echo-provider.log');
+  await fs.mkdir(path.join(repoDir, '.coma'), { recursive: true });
+  await fs.mkdir(path.join(repoDir, 'tools'));
+  await fs.writeFile(path.join(repoDir, 'README.md'), '# Ensemble\n');
+  await fs.writeFile(path.join(repoDir, 'core.js'), 'export const core = 1;\n');
+  await fs.writeFile(fakeClaude, `#!/usr/bin/env node
+const args = process.argv.slice(2);
+require('fs').appendFileSync(${JSON.stringify(claudeLog)}, JSON.stringify(args.slice(0, -1)) + '\\n');
+console.log('Fine. APPROVE');
+`, { mode: 0o755 });
+  await fs.writeFile(path.join(repoDir, 'tools', 'echo-provider.js'), `
+import fs from 'fs';
+export default class EchoProvider {
+  constructor(repoPath, options) { this.options = options; }
+  async consultAgent(agent) {
+    fs.appendFileSync(${JSON.stringify(providerLog)}, JSON.stringify({ file: agent.file, model: this.options.model }) + '\\n');
+    return 'Fine. APPROVE';
+  }
+}
+`);
+  await fs.writeFile(path.join(repoDir, '.coma', 'config.json'), JSON.stringify({
+    cache: { enabled: false },
+    scanner: { ignore: ['tools/'] },
+    providers: { echo: { module: './tools/echo-provider.js' } },
+    agents: { overrides: [{ pattern: 'README.md', model: 'haiku' }, { pattern: 'core.js', provider: 'echo', model: 'big-model' }] }
+  }));
+
+  const result = await runHook(JSON.stringify({
+    tool_name: 'Bash',
+    tool_input: { command: 'some-opaque-tool --rewrite' }
+  }), {
+    ...process.env,
+    HOME: testDir,
+    CLAUDE_COMA: '1',
+    COMA_REPO_PATH: repoDir,
+    COMA_CLAUDE_BIN: fakeClaude,
+    COMA_OUTPUT_STYLE: 'json',
+    COMA_RUNTIME_DIR: path.join(testDir, 'runtime')
+  });
+
+  const claudeCalls = (await fs.readFile(claudeLog, 'utf8').catch(() => '')).trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const echoCalls = (await fs.readFile(providerLog, 'utf8').catch(() => '')).trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  check('The change is approved by both providers', result.code === 0 && !result.stdout.includes('"deny"'), result.stdout + result.stderr);
+  check('The claude agent runs with its model', claudeCalls.length === 1 && claudeCalls[0].join(' ').includes('--model haiku'),
+    JSON.stringify(claudeCalls));
+  check('The third-party agent gets its model', echoCalls.length === 1 && echoCalls[0].file === 'core.js' &&
+    echoCalls[0].model === 'big-model', JSON.stringify(echoCalls));
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Per-Agent Provider Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-agent-providers-test-'));
+  try {
+    const agents = await testAgentSettings(path.join(testDir, 'repo'));
+    await testProviderInstances(path.join(testDir, 'repo'), agents);
+    await testEnsembleHook(testDir);
+  } catch (error) {
+    console.error('Per-agent provider test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All per-agent provider tests passed!');
+}
+
+runAllTests();
@@ -0,0 +1,217 @@
+/**
+ * Test script for COMA Bash command analysis
+ */
+
+import { analyzeBashCommand, tokenizeShell } from '../src/bash-analyzer.js';
+import { agentCoversTarget } from '../src/repository-scanner.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
+
+const REPO = '/repo';
+const HOME = '/home/dev';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+function analyze(command, options = {}) {
+  return analyzeBashCommand(command, { cwd: REPO, homeDir: HOME, ...options });
+}
+
+function expectTargets(description, command, expected) {
+  const result = analyze(command);
+  check(description, result.kind === 'writes' &&
+    JSON.stringify([...result.targets].sort()) === JSON.stringify([...expected].sort()), JSON.stringify(result));
+}
+
+function runHook(payload, env) {
+  return new Promise((resolve) => {
+    const proc = spawn('node', [comaScript, 'hook', 'PreToolUse'], { stdio: ['pipe', 'pipe', 'pipe'], env });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+    proc.stdin.end(JSON.stringify(payload));
+  });
+}
+
+function testTokenizer() {
+  console.log('Testing shell tokenizing...\n');
+
+  const words = tokenizeShell(`echo 'a b' "c $HOME" d\\ e`).filter(token => token.type === 'word');
+  check('Quotes and escapes join words', words.map(word => word.value).join('|') === 'echo|a b|c $HOME|d e',
+    words.map(word => word.value).join('|'));
+  check('Expansions are flagged', words[2].expansion && !words[1].expansion);
+
+  const tokens = tokenizeShell('a && b || c | d; e 2>&1 >> log');
+  check('Operators and redirections are separate tokens',
+    tokens.filter(token => token.type === 'op').map(token => token.value).join(' ') === '&& || | ;' &&
+    tokens.filter(token => token.type === 'redirect').map(token => token.op).join(' ') === '>& >>');
+
+  const heredoc = tokenizeShell('cat <<EOF > out\nrm -rf /\nEOF\nls');
+  check('Heredoc bodies are skipped', !heredoc.some(token => token.value === 'rm') && heredoc.some(token => token.value === 'ls'));
+  console.log('');
+}
+
+function testClassification() {
+  console.log('Testing command classification...\n');
+
+  for (const command of ['ls -la', 'git status && git diff HEAD', 'grep -r foo src | wc -l', 'cat a 2>/dev/null',
+    "sed 's/a/b/' file.txt", 'echo "a > b"', 'ls # > x', 'FOO=1 timeout 5 cat x', 'find . -name "*.js"']) {
+    check(`Read-only: ${command}`, analyze(command).kind === 'read-only', JSON.stringify(analyze(command)));
+  }
+
+  for (const command of ['npm test', 'echo $(rm x)', 'rm "$FILE"', 'git checkout main', 'bash -c "rm x"',
+    'find . -exec rm {} \\;', "awk '{ print > \"x\" }' f", 'cat a | xargs rm', 'diff <(ls) x']) {
+    check(`Opaque: ${command}`, analyze(command).kind === 'opaque', JSON.stringify(analyze(command)));
+  }
+
+  // Read-only commands and git subcommands given options that run commands or write files
+  for (const command of ["git -c core.pager='rm -rf src' log", 'git --config-env=core.pager=PAGER log', 'git diff --output=src/a.js',
+    'git diff --ext-diff', 'git log -p --textconv', 'git grep -O foo', 'git commit -am "wip"', 'git push --force',
+    'git config core.hooksPath .hooks', 'git add .', 'git tag v1', 'git branch -D main', 'git remote add o url', 'git fetch',
+    'tree -o src/a.js', 'tree -ao src/a.js', "rg --pre 'rm -rf src' x", 'rg --pre=./run x', 'date -s "2020-01-01"',
+    'date --set=tomorrow', 'less -o log.txt x', "sed -n '1e touch pwned.js' README.md", "sed 's/a/b/e' f", "sed 's|a|b|ge' f",
+    "sed -n 'W out.js' f", "sed 's/a/b/w out.js' f", 'sed -f script.sed f', "env -S 'rm x' ls", "env --split-string='rm x'"]) {
+    check(`Opaque: ${command}`, analyze(command).kind === 'opaque', JSON.stringify(analyze(command)));
+  }
+  for (const command of ['git log --oneline -5', 'git -C lib diff --stat', 'git grep -c foo', 'tree -a src', 'rg -o foo', "date '+%s'",
+    "sed 's/x/hello world/' f", "sed -n '/e/p' f", 'env -u X ls -S', 'ls >&-', 'ls 1>&2']) {
+    check(`Still read-only: ${command}`, analyze(command).kind === 'read-only', JSON.stringify(analyze(command)));
+  }
+
+  check('Opaque results explain why', analyze('make build').reason.includes('"make"'));
+  check('Unsafe options are named', analyze('git diff --output=x').reason === 'git diff --output can run commands or write files',
+    analyze('git diff --output=x').reason);
+  check('Extra read-only commands can be configured',
+    analyze('make lint', { readOnlyCommands: ['make'] }).kind === 'read-only');
+  console.log('');
+}
+
+function testWriteTargets() {
+  console.log('Testing write targets...\n');
+
+  expectTargets('Redirection target', 'echo hi > out.txt', ['/repo/out.txt']);
+  expectTargets('>& to a file writes it', 'echo hi >&out.js', ['/repo/out.js']);
+  expectTargets('&> writes its target', 'ls &> build.log', ['/repo/build.log']);
+  expectTargets('Append redirection and tee', 'ls | tee -a log.txt b.txt >> all.log', ['/repo/log.txt', '/repo/b.txt', '/repo/all.log']);
+  expectTargets('sed -i files', "sed -i.bak -e 's/a/b/' src/a.js src/b.js", ['/repo/src/a.js', '/repo/src/b.js']);
+  expectTargets('perl -pi files', "perl -pi -e 's/a/b/' lib/x.pl", ['/repo/lib/x.pl']);
+  expectTargets('mv writes source and destination', 'mv a.js lib/', ['/repo/a.js', '/repo/lib', '/repo/lib/a.js']);
+  expectTargets('cp writes the destination only', 'cp -r src dest', ['/repo/dest', '/repo/dest/src']);
+  expectTargets('rm and touch arguments', 'rm -rf build && touch new.js', ['/repo/build', '/repo/new.js']);
+  expectTargets('Heredoc output file', 'cat <<EOF > gen.js\nconsole.log(1)\nEOF', ['/repo/gen.js']);
+  expectTargets('cd changes the base directory', 'cd src && touch x.js', ['/repo/src/x.js']);
+  expectTargets('cd in a subshell is scoped', '(cd lib && rm a) && rm b', ['/repo/lib/a', '/repo/b']);
+  expectTargets('Home directory targets', 'echo x >> ~/notes', ['/home/dev/notes']);
+  expectTargets('Unquoted wildcards stay globs', 'rm src/*.js', ['/repo/src/*.js']);
+  expectTargets('Quoted wildcards are escaped', "rm 'a*.js'", ['/repo/a\\*.js']);
+  expectTargets('git checkout -- paths', 'git checkout -- a.js', ['/repo/a.js']);
+  expectTargets('find -delete writes its roots', 'find src -name "*.tmp" -delete', ['/repo/src']);
+  console.log('');
+}
+
+function testAgentCoverage() {
+  console.log('Testing agent coverage of write targets...\n');
+
+  const agent = { files: ['src/a.js'], scope: { type: 'file', value: 'src/a.js' } };
+  check('Exact path', agentCoversTarget(agent, 'src/a.js'));
+  check('Containing directory', agentCoversTarget(agent, 'src'));
+  check('Matching glob', agentCoversTarget(agent, 'src/*.js') && agentCoversTarget(agent, '*'));
+  check('Repository root', agentCoversTarget(agent, ''));
+  check('Unrelated paths', !agentCoversTarget(agent, 'src/b.js') && !agentCoversTarget(agent, 'lib') &&
+    !agentCoversTarget(agent, 'sr'));
+  check('Escaped wildcards are literal', !agentCoversTarget(agent, 'src/\\*.js'));
+  console.log('');
+}
+
+async function testHookIntegration() {
+  console.log('Testing Bash commands through the hook...\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-bash-test-'));
+  const repoDir = path.join(testDir, 'repo');
+  const env = { ...process.env, HOME: testDir, CLAUDE_COMA: '1', COMA_REPO_PATH: repoDir, COMA_OUTPUT_STYLE: 'json' };
+  const bash = (command) => ({ hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_input: { command }, cwd: repoDir });
+  const setConfig = (config) => fs.writeFile(path.join(repoDir, '.coma', 'config.json'), JSON.stringify(config));
+
+  try {
+    await fs.mkdir(path.join(repoDir, '.coma'), { recursive: true });
+    await fs.writeFile(path.join(repoDir, 'guarded.js'), 'export const x = 1;\n');
+    await setConfig({ bash: { opaqueCommands: 'ask' } });
+
+    let result = await runHook(bash('ls && git status'), env);
+    check('Read-only commands pass without review', result.code === 0 && result.stdout === '', result.stdout + result.stderr);
+
+    result = await runHook(bash('echo notes > notes.log'), env);
+    check('Writes to ignored paths pass', result.code === 0 && result.stdout === '', result.stdout + result.stderr);
+
+    result = await runHook(bash('npm run build'), env);
+    let output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+    check('bash.opaqueCommands "ask" asks with the reason', output?.permissionDecision === 'ask' &&
+      output.permissionDecisionReason.includes('"npm"'), result.stdout + result.stderr);
+
+    await setConfig({ bash: { opaqueCommands: 'deny' } });
+    result = await runHook(bash('npm run build'), env);
+    output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+    check('bash.opaqueCommands "deny" blocks', output?.permissionDecision === 'deny', result.stdout);
+
+    for (const command of ['echo {} > .coma/config.json', "sed -i 's/deny/skip/' .claude/settings.local.json", 'rm -rf .claude']) {
+      result = await runHook(bash(command), env);
+      output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+      check(`Settings changes ask: ${command}`, output?.permissionDecision === 'ask' &&
+        output.permissionDecisionReason.includes('holds COMA or Claude Code settings'), result.stdout + result.stderr);
+    }
+
+    result = await runHook(bash(`echo x > ${path.join(testDir, 'elsewhere.txt')}`), env);
+    output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+    check('Writes outside the repository follow outsideRepository', output?.permissionDecision === 'ask' &&
+      output.permissionDecisionReason.includes('outside the repository'), result.stdout);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Bash Analyzer Testing ===\n');
+
+  try {
+    testTokenizer();
+    testClassification();
+    testWriteTargets();
+    testAgentCoverage();
+    await testHookIntegration();
+  } catch (error) {
+    console.error('Bash analyzer test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All Bash analyzer tests passed!');
+}
+
+runAllTests();
@@ -0,0 +1,156 @@
+/**
+ * Test script for COMA change previews (in-memory edits and unified diffs)
+ */
+
+import { applyEdit, applyFileChange, unifiedDiff, previewChange } from '../src/change-preview.js';
+import { ComaValidator } from '../src/coma-validator.js';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+function errorOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function testEdits() {
+  console.log('Testing in-memory edits...\n');
+
+  check('Edit replaces the single occurrence', applyEdit('a b c', { old_string: 'b', new_string: 'B' }) === 'a B c');
+  check('Replacement text is literal', applyEdit('a b', { old_string: 'b', new_string: '$&$1' }) === 'a $&$1');
+  check('replace_all replaces every occurrence',
+    applyEdit('x-x-x', { old_string: 'x', new_string: 'y', replace_all: true }) === 'y-y-y');
+  check('Ambiguous edits are rejected', errorOf(() => applyEdit('x x', { old_string: 'x', new_string: 'y' }))?.message.includes('2 times'));
+  check('Missing old_string is rejected', errorOf(() => applyEdit('abc', { old_string: 'z', new_string: 'y' }))?.message.includes('not found'));
+  check('Empty old_string creates a missing file', applyEdit(null, { old_string: '', new_string: 'new' }) === 'new');
+
+  const multi = applyFileChange('MultiEdit', {
+    edits: [
+      { old_string: 'one', new_string: 'two' },
+      { old_string: 'two two', new_string: 'three', replace_all: false },
+      { old_string: 'e', new_string: 'E', replace_all: true }
+    ]
+  }, 'one two');
+  check('MultiEdit applies edits in order to the evolving content', multi === 'thrEE', multi);
+
+  const error = errorOf(() => applyFileChange('MultiEdit', { edits: [{ old_string: 'a', new_string: 'b' }, { old_string: 'a', new_string: 'c' }] }, 'a'));
+  check('MultiEdit errors name the failing edit', error?.message.startsWith('Edit 2 of 2'), error?.message);
+  check('Write replaces the content', applyFileChange('Write', { content: 'fresh' }, 'old') === 'fresh');
+  console.log('');
+}
+
+function testUnifiedDiff() {
+  console.log('Testing unified diffs...\n');
+
+  const before = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'].join('\n') + '\n';
+  const after = before.replace('two\n', 'TWO\n').replace('nine\n', 'nine\nnine and a half\n');
+  const diff = unifiedDiff(before, after, { oldPath: 'a/x.txt', newPath: 'b/x.txt' });
+
+  check('Diff has file headers', diff.startsWith('--- a/x.txt\n+++ b/x.txt\n'));
+  check('Separate changes get separate hunks with 3 context lines',
+    diff.includes('@@ -1,5 +1,5 @@\n one\n-two\n+TWO\n three\n four\n five\n') &&
+    diff.includes('@@ -7,4 +7,5 @@\n seven\n eight\n nine\n+nine and a half\n ten\n'), diff);
+  check('Nearby changes share a hunk', (unifiedDiff(before, before.replace('two', '2').replace('four', '4')).match(/@@ -/g) || []).length === 1);
+  check('Equal texts give an empty diff', unifiedDiff(before, before) === '');
+  check('Context size is configurable', unifiedDiff(before, after, { context: 0 }).includes('@@ -2 +2 @@\n-two\n+TWO\n'));
+
+  const created = unifiedDiff('', 'a\nb', { oldPath: null, newPath: 'b/new.txt' });
+  check('New files diff against /dev/null',
+    created === '--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,2 @@\n+a\n+b\n\\ No newline at end of file\n', JSON.stringify(created));
+  check('A missing final newline is a change', unifiedDiff('x\ny', 'x\ny\n').includes('-y\n\\ No newline at end of file\n+y\n'));
+
+  const many = Array.from({ length: 3000 }, (_, i) => `line ${i}\n`).join('');
+  const rewritten = many.replace(/line/g, 'row');
+  const large = unifiedDiff(many, rewritten);
+  check('Large rewrites still produce a complete diff',
+    large.split('\n').filter(line => line.startsWith('-line')).length === 3000 &&
+    large.split('\n').filter(line => line.startsWith('+row')).length === 3000);
+  console.log('');
+}
+
+async function testPreview(testDir) {
+  console.log('Testing previews against files on disk...\n');
+
+  await fs.writeFile(path.join(testDir, 'app.js'), 'const a = 1;\nconst b = 2;\n');
+
+  let preview = await previewChange({
+    toolName: 'Edit',
+    parameters: { file_path: path.join(testDir, 'app.js'), old_string: 'b = 2', new_string: 'b = 3' }
+  }, { repoPath: testDir });
+  check('Edits are previewed as repository-relative modifications', preview.filePath === 'app.js' && preview.change === 'modify' &&
+    preview.diff.includes('-const b = 2;\n+const b = 3;') && preview.additions === 1 && preview.deletions === 1, JSON.stringify(preview));
+
+  preview = await previewChange({ toolName: 'Write', parameters: { file_path: 'app.js', content: 'export {};\n' } }, { repoPath: testDir });
+  check('Writes over existing files are overwrites showing the removed content',
+    preview.change === 'overwrite' && preview.deletions === 2 && preview.additions === 1, JSON.stringify(preview));
+
+  preview = await previewChange({ toolName: 'Write', parameters: { file_path: 'lib/new.js', content: 'x\n' } }, { repoPath: testDir });
+  check('Writes to missing files are creations', preview.change === 'create' && preview.diff.startsWith('--- /dev/null\n+++ b/lib/new.js'));
+
+  check('Other tools have no preview', await previewChange({ toolName: 'Bash', parameters: { command: 'ls' } }, { repoPath: testDir }) === null);
+
+  const validator = new ComaValidator();
+  validator.repoPath = testDir;
+
+  const consultation = await validator.buildConsultationData({
+    toolName: 'Edit',
+    parameters: { file_path: 'app.js', old_string: 'a = 1', new_string: 'a = 0' },
+    sessionId: 'session-1'
+  }, 'context');
+  check('Consultations carry the diff instead of raw parameters', consultation.change?.diff.includes('+const a = 0;') &&
+    consultation.parameters === undefined && consultation.sessionId === 'session-1' && consultation.claudeContext === 'context');
+
+  const fallback = await validator.buildConsultationData({
+    toolName: 'Edit',
+    parameters: { file_path: 'app.js', old_string: 'missing', new_string: 'x' }
+  }, null);
+  check('Unappliable edits fall back to raw parameters with the reason',
+    fallback.parameters?.old_string === 'missing' && fallback.previewError?.includes('not found'));
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Change Preview Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-preview-test-'));
+  try {
+    testEdits();
+    testUnifiedDiff();
+    await testPreview(testDir);
+  } catch (error) {
+    console.error('Change preview test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All change preview tests passed!');
+}
+
+runAllTests();
@@ -0,0 +1,219 @@
+/**
+ * Test script for COMA consultation concurrency limits
+ */
+
+import { ConsultationQueue, FileSemaphore, defaultRuntimeDir } from '../src/concurrency.js';
+import { ComaValidator } from '../src/coma-validator.js';
+import { ContextManager } from '../src/context-manager.js';
+import { DEFAULT_CONFIG, mergeConfig } from '../src/config.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const concurrencyModule = path.join(__dirname, '..', 'src', 'concurrency.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function runNode(args) {
+  return new Promise((resolve) => {
+    const proc = spawn('node', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stderr, pid: proc.pid }));
+  });
+}
+
+/**
+ * Task that records how many tasks were running at once
+ */
+function trackingTask(tracker, name, ms = 20) {
+  return async () => {
+    tracker.running++;
+    tracker.max = Math.max(tracker.max, tracker.running);
+    tracker.order.push(name);
+    await sleep(ms);
+    tracker.running--;
+    return name;
+  };
+}
+
+async function testQueue() {
+  console.log('Testing the consultation queue...\n');
+
+  let tracker = { running: 0, max: 0, order: [] };
+  let queue = new ConsultationQueue({ limit: 2 });
+  const names = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(name => queue.run(trackingTask(tracker, name))));
+  check('No more than the limit run at once', tracker.max === 2, `max ${tracker.max}`);
+  check('Results come back to their callers', names.join('') === 'abcde');
+
+  tracker = { running: 0, max: 0, order: [] };
+  queue = new ConsultationQueue({ limit: 1 });
+  await Promise.all([
+    queue.run(trackingTask(tracker, 'first')),
+    queue.run(trackingTask(tracker, 'low'), -1),
+    queue.run(trackingTask(tracker, 'high-1'), 5),
+    queue.run(trackingTask(tracker, 'normal')),
+    queue.run(trackingTask(tracker, 'high-2'), 5)
+  ]);
+  check('Higher priorities go first, in submission order among equals',
+    tracker.order.join(',') === 'high-1,high-2,first,normal,low', tracker.order.join(','));
+
+  queue = new ConsultationQueue({ limit: 1 });
+  const failure = queue.run(async () => { throw new Error('boom'); }).catch(error => error.message);
+  const after = queue.run(async () => 'still runs');
+  check('A failed task rejects without stopping the queue', await failure === 'boom' && await after === 'still runs');
+
+  const controller = new AbortController();
+  tracker = { running: 0, max: 0, order: [] };
+  queue = new ConsultationQueue({ limit: 1, signal: controller.signal });
+  const running = queue.run(trackingTask(tracker, 'running', 50));
+  const queued = queue.run(trackingTask(tracker, 'queued')).catch(error => error.message);
+  await sleep(10);
+  controller.abort(new Error('deadline'));
+  check('Queued tasks reject once the signal aborts', await queued === 'deadline' && await running === 'running' &&
+    tracker.order.join(',') === 'running', tracker.order.join(','));
+  check('Tasks queued after the abort reject at once',
+    await queue.run(trackingTask(tracker, 'late')).catch(error => error.message) === 'deadline');
+  console.log('');
+}
+
+async function testSemaphore(testDir) {
+  console.log('Testing the lock-file semaphore...\n');
+
+  const dir = path.join(testDir, 'slots');
+  const semaphore = new FileSemaphore({ dir, limit: 2, pollMs: 10 });
+  const first = await semaphore.tryAcquire();
+  const second = await semaphore.tryAcquire();
+  check('Slots are taken up to the limit', first === 0 && second === 1 && await semaphore.tryAcquire() === null);
+  check('Slot files record the owning process', (await fs.readFile(semaphore.slotPath(0), 'utf8')) === String(process.pid));
+
+  let acquired = false;
+  const waiting = semaphore.acquire().then(release => {
+    acquired = true;
+    return release;
+  });
+  await sleep(50);
+  check('acquire waits while every slot is busy', !acquired);
+  await semaphore.release(first);
+  const release = await waiting;
+  check('A released slot goes to the waiting caller', acquired);
+  await release();
+  await semaphore.release(second);
+
+  // A slot held by a process that has exited is reclaimed
+  const exited = await runNode(['-e', '']);
+  await fs.writeFile(semaphore.slotPath(0), String(exited.pid));
+  await fs.writeFile(semaphore.slotPath(1), String(process.pid));
+  check('Slots of exited processes are reclaimed', await semaphore.tryAcquire() === 0);
+
+  check('The runtime directory can be set with COMA_RUNTIME_DIR',
+    defaultRuntimeDir({ COMA_RUNTIME_DIR: '/run/coma-test' }) === '/run/coma-test' &&
+    defaultRuntimeDir({ XDG_RUNTIME_DIR: '/run/user/1000' }) === path.join('/run/user/1000', 'coma'));
+  console.log('');
+}
+
+async function testAcrossProcesses(testDir) {
+  console.log('Testing the limit across processes...\n');
+
+  const dir = path.join(testDir, 'shared-slots');
+  const eventsPath = path.join(testDir, 'events.log');
+  const script = `
+import { ConsultationQueue, FileSemaphore } from ${JSON.stringify(concurrencyModule)};
+import { appendFileSync } from 'fs';
+const queue = new ConsultationQueue({ limit: 2, semaphore: new FileSemaphore({ dir: ${JSON.stringify(dir)}, limit: 2, pollMs: 10 }) });
+const task = async () => {
+  appendFileSync(${JSON.stringify(eventsPath)}, '+\\n');
+  await new Promise(resolve => setTimeout(resolve, 150));
+  appendFileSync(${JSON.stringify(eventsPath)}, '-\\n');
+};
+await Promise.all([queue.run(task), queue.run(task)]);
+`;
+
+  const results = await Promise.all([1, 2, 3].map(() => runNode(['--input-type=module', '-e', script])));
+  check('Every process finished', results.every(result => result.code === 0), results.map(result => result.stderr).join('\n'));
+
+  const events = (await fs.readFile(eventsPath, 'utf8')).trim().split('\n');
+  let running = 0;
+  let max = 0;
+  for (const event of events) {
+    running += event === '+' ? 1 : -1;
+    max = Math.max(max, running);
+  }
+  check('Three processes together stay within the shared limit', events.length === 12 && max <= 2, `max ${max}, ${events.length} events`);
+  check('Every slot is released', (await fs.readdir(dir)).length === 0);
+  console.log('');
+}
+
+async function testValidatorLimit(testDir) {
+  console.log('Testing consultation limits in the validator...\n');
+
+  const tracker = { running: 0, max: 0, order: [] };
+  const validator = new ComaValidator();
+  validator.repoPath = testDir;
+  validator.outputStyle = 'json'; // Keeps progress messages off the test output
+  validator.contextManager = new ContextManager();
+  validator.config = mergeConfig(DEFAULT_CONFIG, { concurrency: { maxParallel: 1 } });
+  validator.createProvider = async () => ({
+    async consultAgent(agent) {
+      await trackingTask(tracker, agent.file)();
+      return 'APPROVE';
+    }
+  });
+
+  const agents = ['a.js', 'b.js', 'c.js'].map((file, index) => ({
+    id: file, file, files: [file], systemPrompt: file, priority: index === 2 ? 1 : 0
+  }));
+  const results = await validator.consultAcolytes(agents, { toolName: 'Bash', parameters: { command: 'make' } });
+  check('concurrency.maxParallel limits consultations', tracker.max === 1 && results.every(result => result.decision === 'APPROVE'),
+    `max ${tracker.max}`);
+  check('Agents with a higher priority are consulted first', tracker.order.join(',') === 'c.js,a.js,b.js', tracker.order.join(','));
+  check('Results keep the agent order', results.map(result => result.file).join(',') === 'a.js,b.js,c.js');
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Concurrency Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-concurrency-'));
+  process.env.COMA_RUNTIME_DIR = path.join(testDir, 'runtime');
+  try {
+    await testQueue();
+    await testSemaphore(testDir);
+    await testAcrossProcesses(testDir);
+    await testValidatorLimit(testDir);
+  } catch (error) {
+    console.error('Concurrency test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All concurrency tests passed!');
+}
+
+runAllTests();
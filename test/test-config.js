@@ -0,0 +1,218 @@
+/**
+ * Test script for COMA configuration loading and validation
+ */
+
+import { loadConfig, validateConfig, mergeConfig, configFromEnv, DEFAULT_CONFIG } from '../src/config.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function writeJson(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+function runComa(args, homeDir, repoDir) {
+  return new Promise((resolve) => {
+    const env = { ...process.env, HOME: homeDir };
+    for (const name of ['COMA_PROVIDER', 'COMA_OUTPUT_STYLE', 'COMA_CLAUDE_BIN', 'COMA_PROVIDER_TIMEOUT_MS', 'COMA_CONSULTATION_TIMEOUT_MS']) {
+      delete env[name];
+    }
+
+    const proc = spawn('node', [comaScript, ...args], { cwd: repoDir, stdio: ['ignore', 'pipe', 'pipe'], env });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+function testValidation() {
+  console.log('Testing schema validation...\n');
+
+  check('Defaults are valid', validateConfig(DEFAULT_CONFIG).length === 0);
+  check('Partial configs are valid', validateConfig({ timeouts: { providerMs: 5000 } }).length === 0);
+
+  let problems = validateConfig({ timeout: 5000 });
+  check('Unknown keys are rejected by name', problems.length === 1 && problems[0].startsWith('timeout is not a known setting'), problems.join('; '));
+
+  problems = validateConfig({ timeouts: { providerMs: '60s' } });
+  check('Wrong types name the dotted key and value',
+    problems[0] === 'timeouts.providerMs must be an integer >= 1 (got string "60s")', problems.join('; '));
+
+  problems = validateConfig({ outputStyle: 'yaml' });
+  check('Enums list the allowed values', problems[0]?.includes('"exit-code", "json"'), problems.join('; '));
+
+  problems = validateConfig({ interceptedTools: ['Edit', 3] });
+  check('Array items are checked', problems[0]?.startsWith('interceptedTools[1] must be a string'), problems.join('; '));
+
+  problems = validateConfig({ consensus: { minParticipation: 1.5 }, agents: { overrides: [{ pattern: 'src/**', veto: 'yes' }] } });
+  check('Numbers and booleans are checked', problems.length === 2 &&
+    problems[0] === 'consensus.minParticipation must be a number from 0 to 1 (got number 1.5)' &&
+    problems[1] === 'agents.overrides[0].veto must be true or false (got string "yes")', problems.join('; '));
+
+  problems = validateConfig({ decisions: { approve: '' }, context: { maxMessages: -1 } });
+  check('Every problem is reported at once', problems.length === 2, problems.join('; '));
+  console.log('');
+}
+
+function testMerging() {
+  console.log('Testing merging...\n');
+
+  const merged = mergeConfig(DEFAULT_CONFIG, { timeouts: { providerMs: 1000 }, interceptedTools: ['Write'] });
+  check('Nested objects merge key by key', merged.timeouts.providerMs === 1000 &&
+    merged.timeouts.slowAgentWarningMs === DEFAULT_CONFIG.timeouts.slowAgentWarningMs);
+  check('Arrays replace rather than append', JSON.stringify(merged.interceptedTools) === '["Write"]');
+  check('Defaults are not mutated', DEFAULT_CONFIG.timeouts.providerMs === 60000);
+
+  const envLayer = configFromEnv({ COMA_PROVIDER: 'openai', COMA_PROVIDER_TIMEOUT_MS: '1500', UNRELATED: 'x' });
+  check('Environment variables map to config keys', envLayer.provider === 'openai' && envLayer.timeouts.providerMs === 1500,
+    JSON.stringify(envLayer));
+  console.log('');
+}
+
+async function testPrecedence(testDir) {
+  console.log('Testing precedence...\n');
+
+  const homeDir = path.join(testDir, 'home');
+  const repoPath = path.join(testDir, 'repo');
+  await fs.mkdir(repoPath, { recursive: true });
+
+  let result = await loadConfig({ repoPath, homeDir, env: {} });
+  check('No config files yields the defaults', JSON.stringify(result.config) === JSON.stringify(DEFAULT_CONFIG) &&
+    result.sources.length === 1);
+
+  await writeJson(path.join(homeDir, '.coma', 'config.json'), {
+    provider: 'openai', timeouts: { providerMs: 1000 }, decisions: { approve: 'LGTM' }
+  });
+  await writeJson(path.join(repoPath, '.coma', 'config.json'), {
+    provider: 'claude-code', timeouts: { slowAgentWarningMs: 2000 }
+  });
+
+  result = await loadConfig({ repoPath, homeDir, env: {} });
+  check('Repo config overrides user config', result.config.provider === 'claude-code');
+  check('User settings the repo leaves alone survive', result.config.timeouts.providerMs === 1000 &&
+    result.config.decisions.approve === 'LGTM');
+  check('Repo settings apply', result.config.timeouts.slowAgentWarningMs === 2000);
+
+  result = await loadConfig({ repoPath, homeDir, env: { COMA_PROVIDER_TIMEOUT_MS: '3000', COMA_OUTPUT_STYLE: 'json' } });
+  check('Environment overrides config files', result.config.timeouts.providerMs === 3000 && result.config.outputStyle === 'json');
+
+  result = await loadConfig({ repoPath, homeDir, env: { COMA_OUTPUT_STYLE: 'json' }, overrides: { outputStyle: 'exit-code' } });
+  check('CLI overrides environment', result.config.outputStyle === 'exit-code');
+  check('Sources are listed in precedence order', result.sources.join(',') ===
+    ['defaults', path.join(homeDir, '.coma', 'config.json'), path.join(repoPath, '.coma', 'config.json'), 'environment', 'command line'].join(','),
+    result.sources.join(','));
+
+  // coma.config.js alternative
+  await fs.rm(path.join(repoPath, '.coma'), { recursive: true });
+  await fs.writeFile(path.join(repoPath, 'coma.config.js'), 'export default { interceptedTools: ["Write"] };\n');
+  result = await loadConfig({ repoPath, homeDir, env: {} });
+  check('coma.config.js is loaded', JSON.stringify(result.config.interceptedTools) === '["Write"]');
+
+  await writeJson(path.join(repoPath, '.coma', 'config.json'), {});
+  let error = await expectError(loadConfig({ repoPath, homeDir, env: {} }));
+  check('Both repo config forms at once is an error', error?.message.includes('keep only one'));
+  await fs.rm(path.join(repoPath, 'coma.config.js'));
+
+  // Errors name their source
+  await writeJson(path.join(repoPath, '.coma', 'config.json'), '{ "provider": ');
+  error = await expectError(loadConfig({ repoPath, homeDir, env: {} }));
+  check('Unparseable config names the file', error?.message.startsWith(`Cannot parse ${path.join(repoPath, '.coma', 'config.json')}`));
+
+  await writeJson(path.join(repoPath, '.coma', 'config.json'), { hookMatchers: { PreToolUse: 7 } });
+  error = await expectError(loadConfig({ repoPath, homeDir, env: {} }));
+  check('Schema errors name the file and key', error?.message.includes(path.join(repoPath, '.coma', 'config.json')) &&
+    error.message.includes('hookMatchers.PreToolUse must be a non-empty string'), error?.message);
+
+  await writeJson(path.join(repoPath, '.coma', 'config.json'), {});
+  error = await expectError(loadConfig({ repoPath, homeDir, env: { COMA_PROVIDER_TIMEOUT_MS: 'never' } }));
+  check('Bad environment values are reported', error?.message.includes('environment') &&
+    error.message.includes('timeouts.providerMs'), error?.message);
+
+  error = await expectError(loadConfig({ repoPath, homeDir, env: {}, overrides: { decisions: { approve: 'LGTM', reject: 'LGTM' } } }));
+  check('Identical decision keywords are rejected', error?.message.includes('must differ'));
+  console.log('');
+}
+
+async function testConfigPrint(testDir) {
+  console.log('Testing claude-coma config print...\n');
+
+  const homeDir = path.join(testDir, 'print-home');
+  const repoPath = path.join(testDir, 'print-repo');
+  await writeJson(path.join(repoPath, '.coma', 'config.json'), { timeouts: { providerMs: 1234 } });
+
+  let result = await runComa(['config', 'print', '--output-style', 'json'], homeDir, repoPath);
+  let printed = null;
+  try {
+    printed = JSON.parse(result.stdout);
+  } catch {
+    // Reported below
+  }
+  check('config print writes JSON to stdout', result.code === 0 && printed !== null, result.stderr);
+  check('config print merges repo config and flags', printed?.timeouts.providerMs === 1234 && printed?.outputStyle === 'json');
+  check('config print lists sources on stderr', result.stderr.includes('command line'));
+
+  await writeJson(path.join(repoPath, '.coma', 'config.json'), { provider: 42 });
+  result = await runComa(['config', 'print'], homeDir, repoPath);
+  check('config print fails clearly on invalid config', result.code === 1 && result.stderr.includes('provider must be a non-empty string'), result.stderr);
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Configuration Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-config-test-'));
+  try {
+    testValidation();
+    testMerging();
+    await testPrecedence(testDir);
+    await testConfigPrint(testDir);
+  } catch (error) {
+    console.error('Configuration test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All configuration tests passed!');
+}
+
+runAllTests();
@@ -2,55 +2,158 @@
  * Test script for COMA consensus evaluation logic
  */
 
-// Test consensus logic independently without importing the full validator
+import { evaluateConsensus, CONSENSUS_STRATEGIES } from '../src/consensus/index.js';
+import { formatWarnings } from '../src/verdict-parser.js';
+import { ComaValidator } from '../src/coma-validator.js';
+import { ContextManager } from '../src/context-manager.js';
+import { RepositoryScanner } from '../src/repository-scanner.js';
+import { DEFAULT_CONFIG, mergeConfig, loadConfig } from '../src/config.js';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+const vote = (file, decision, extra = {}) => ({ agentId: file, file, decision, reasoning: `${decision} from ${file}`, ...extra });
+const consensus = (settings) => ({ ...DEFAULT_CONFIG.consensus, ...settings });
+
+// Validator with the default configuration, for the unanimous scenarios
 class TestableComaValidator {
-  constructor() {
-    // Skip the normal constructor that requires environment variables
-    this.configDir = '/tmp/test';
-    this.repoPath = process.cwd();
-    this.provider = 'claude-code';
+  evaluateConsensus(results) {
+    return evaluateConsensus(results, DEFAULT_CONFIG.consensus);
   }
+}
 
-  // Copy the evaluateConsensus method for testing
-  evaluateConsensus(results) {
-    const approvals = results.filter(r => r.decision === 'APPROVE');
-    const rejections = results.filter(r => r.decision === 'REJECT');
-    const errors = results.filter(r => r.decision === 'ERROR');
-    const unknown = results.filter(r => !['APPROVE', 'REJECT', 'ERROR'].includes(r.decision));
-
-    // Any rejection blocks the operation
-    if (rejections.length > 0) {
-      return {
-        approved: false,
-        reasoning: `Operation blocked by ${rejections.length} agent(s):\n\n` +
-          rejections.map(r => `* ${r.file}: ${r.reasoning}`).join('\n\n')
-      };
-    }
+async function testStrategyWiring() {
+  console.log('Testing strategy wiring...\n');
 
-    // Errors block the operation
-    if (errors.length > 0) {
-      return {
-        approved: false,
-        reasoning: `Agent consultation errors (${errors.length}):\n\n` +
-          errors.map(r => `* ${r.file}: ${r.reasoning}`).join('\n\n')
-      };
-    }
+  let passed = 0;
+  let failed = 0;
+  const check = (description, condition, details = '') => {
+    console.log(`${condition ? 'PASS' : 'FAIL'} - ${description}`);
+    if (!condition && details) console.log(`   ${details}`);
+    condition ? passed++ : failed++;
+  };
 
-    // Unknown decision types block the operation
-    if (unknown.length > 0) {
-      return {
-        approved: false,
-        reasoning: `Unknown decision types from ${unknown.length} agent(s):\n\n` +
-          unknown.map(r => `* ${r.file}: ${r.decision} - ${r.reasoning}`).join('\n\n')
-      };
+  check('Every strategy has the same interface', Object.values(CONSENSUS_STRATEGIES).every(strategy =>
+    typeof strategy.evaluate === 'function' && typeof strategy.description === 'string'));
+
+  let error = null;
+  try {
+    evaluateConsensus([], { strategy: 'plurality' });
+  } catch (caught) {
+    error = caught;
+  }
+  check('Unknown strategies are an error', error?.message.includes('Unknown consensus strategy: plurality'));
+
+  const advisory = evaluateConsensus([vote('a.js', 'APPROVE'), vote('b.js', 'REJECT')], consensus({ strategy: 'veto' }));
+  check('Advisory objections are still reported', advisory.approved && advisory.reasoning.includes('REJECT from b.js'), advisory.reasoning);
+
+  // Weights and veto roles come from agents.overrides
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-consensus-test-'));
+  process.env.COMA_RUNTIME_DIR = path.join(testDir, 'runtime');
+  try {
+    await fs.mkdir(path.join(testDir, 'src'), { recursive: true });
+    await fs.writeFile(path.join(testDir, 'src', 'core.js'), 'export {};\n');
+    await fs.writeFile(path.join(testDir, 'README.md'), '# Test\n');
+
+    const config = mergeConfig(DEFAULT_CONFIG, {
+      agents: { overrides: [{ pattern: 'src/core.js', weight: 3, veto: true, priority: 2 }, { pattern: '**', weight: 0 }] }
+    });
+    const agents = await new RepositoryScanner({ repoPath: testDir, config }).createAgents('{{FILE_PATH}}');
+    const core = agents.find(agent => agent.file === 'src/core.js');
+    const readme = agents.find(agent => agent.file === 'README.md');
+    check('The first matching override sets weight, veto and priority', core?.weight === 3 && core.veto === true &&
+      core.priority === 2 && readme?.weight === 0 && readme.veto === false && readme.priority === 0,
+      JSON.stringify(agents.map(({ file, weight, veto, priority }) => ({ file, weight, veto, priority }))));
+
+    // errorPolicy "retry" consults failed agents again
+    let calls = 0;
+    const validator = new ComaValidator();
+    validator.repoPath = testDir;
+    validator.outputStyle = 'json'; // Keeps progress messages off the test output
+    validator.contextManager = new ContextManager();
+    validator.config = mergeConfig(DEFAULT_CONFIG, { consensus: { errorPolicy: 'retry', retries: 2 } });
+    validator.createProvider = async () => ({
+      async consultAgent() {
+        calls++;
+        if (calls < 3) throw new Error('rate limited');
+        return 'Fine by me. APPROVE';
+      }
+    });
+
+    const results = await validator.consultAcolytes([core], { toolName: 'Bash', parameters: { command: 'true' } });
+    check('Failed consultations are retried', calls === 3 && results[0].decision === 'APPROVE', `${calls} calls, ${JSON.stringify(results)}`);
+    check('Results carry the agent weight and veto role', results[0].weight === 3 && results[0].veto === true);
+
+    calls = -10;
+    validator.config = mergeConfig(DEFAULT_CONFIG, { consensus: { errorPolicy: 'retry', retries: 1 } });
+    const exhausted = await validator.consultAcolytes([core], { toolName: 'Bash', parameters: { command: 'true' } });
+    // The veto strategy needs someone to hold a veto
+    let configError = null;
+    try {
+      await loadConfig({ repoPath: testDir, homeDir: testDir, env: {}, overrides: { consensus: { strategy: 'veto' } } });
+    } catch (caught) {
+      configError = caught;
     }
+    check('The veto strategy without a veto holder is a configuration error',
+      configError?.message.includes('needs at least one agents.overrides rule with veto: true'), configError?.message);
+    const { config: vetoConfig } = await loadConfig({ repoPath: testDir, homeDir: testDir, env: {},
+      overrides: { consensus: { strategy: 'veto' }, agents: { overrides: [{ pattern: 'src/**', veto: true }] } } });
+    check('The veto strategy with a veto holder loads', vetoConfig.consensus.strategy === 'veto');
 
-    // All approvals
-    return {
-      approved: true,
-      reasoning: `Unanimous approval from ${approvals.length} agent(s)`
-    };
+    check('Retries stop after consensus.retries', calls === -8 && exhausted[0].decision === 'ERROR' &&
+      !validator.evaluateConsensus(exhausted).approved);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
   }
+
+  console.log('');
+  return { passed, failed };
+}
+
+function testWarnings() {
+  console.log('Testing warnings from approvals with comments...\n');
+
+  let passed = 0;
+  let failed = 0;
+  const check = (description, condition, details = '') => {
+    console.log(`${condition ? 'PASS' : 'FAIL'} - ${description}`);
+    if (!condition && details) console.log(`   ${details}`);
+    condition ? passed++ : failed++;
+  };
+
+  const commented = (file, findings, summary = 'Minor issues') =>
+    vote(file, 'APPROVE_WITH_COMMENTS', { verdict: { decision: 'APPROVE_WITH_COMMENTS', summary, findings } });
+
+  let decision = evaluateConsensus([
+    commented('a.js', [{ file: 'src/app.js', line: 3, message: 'Missing JSDoc for run()' }]),
+    commented('b.js', [
+      { file: 'src/app.js', line: 3, message: 'missing  JSDoc for run()', suggestion: 'Document the options' },
+      { file: 'src/app.js', line: 9, message: 'Prefer const' }
+    ]),
+    vote('c.js', 'APPROVE')
+  ], DEFAULT_CONFIG.consensus);
+  check('Warnings are de-duplicated across agents', decision.approved && decision.warnings.length === 2 &&
+    decision.warnings[0].raisedBy.join(',') === 'a.js,b.js' && decision.warnings[0].suggestion === 'Document the options',
+    JSON.stringify(decision.warnings));
+  check('Warnings are formatted as findings', formatWarnings(decision.warnings) ===
+    '- src/app.js:3: Missing JSDoc for run() (suggestion: Document the options) (raised by 2 agents)\n- src/app.js:9: Prefer const',
+    formatWarnings(decision.warnings));
+
+  decision = evaluateConsensus([commented('a.js', [], 'Rename tmp to something clearer'), vote('b.js', 'APPROVE_WITH_COMMENTS')],
+    DEFAULT_CONFIG.consensus);
+  check('Verdicts without findings contribute their summary or reasoning', decision.warnings.length === 2 &&
+    decision.warnings[0].message === 'Rename tmp to something clearer' && decision.warnings[1].file === 'b.js',
+    JSON.stringify(decision.warnings));
+
+  decision = evaluateConsensus([vote('a.js', 'APPROVE', { verdict: { summary: 'ok', findings: [{ message: 'fyi' }] } })],
+    DEFAULT_CONFIG.consensus);
+  check('Plain approvals raise no warnings', decision.warnings.length === 0);
+
+  decision = evaluateConsensus([commented('a.js', [{ message: 'Nit' }]), vote('b.js', 'REJECT')], DEFAULT_CONFIG.consensus);
+  check('Warnings accompany blocked changes too', !decision.approved && decision.warnings.length === 1);
+
+  console.log('');
+  return { passed, failed };
 }
 
 async function testConsensusLogic() {
@@ -131,6 +234,101 @@ async function testConsensusLogic() {
         { agentId: 'test1', file: 'file1.js', decision: 'REJECT', reasoning: 'Dangerous change' }
       ],
       expectedApproval: false
+    },
+    {
+      name: 'Majority: 2 of 3 approve',
+      settings: consensus({ strategy: 'majority' }),
+      results: [vote('a.js', 'APPROVE'), vote('b.js', 'REJECT'), vote('c.js', 'APPROVE')],
+      expectedApproval: true
+    },
+    {
+      name: 'Majority: a tie blocks',
+      settings: consensus({ strategy: 'majority' }),
+      results: [vote('a.js', 'APPROVE'), vote('b.js', 'REJECT')],
+      expectedApproval: false
+    },
+    {
+      name: 'Majority: errors count against by default',
+      settings: consensus({ strategy: 'majority' }),
+      results: [vote('a.js', 'APPROVE'), vote('b.js', 'ERROR'), vote('c.js', 'REJECT')],
+      expectedApproval: false
+    },
+    {
+      name: 'Majority: ignored errors abstain',
+      settings: consensus({ strategy: 'majority', errorPolicy: 'ignore' }),
+      results: [vote('a.js', 'APPROVE'), vote('b.js', 'ERROR'), vote('c.js', 'ERROR')],
+      expectedApproval: true
+    },
+    {
+      name: 'Unanimous: ignored errors do not block',
+      settings: consensus({ errorPolicy: 'ignore' }),
+      results: [vote('a.js', 'APPROVE'), vote('b.js', 'ERROR')],
+      expectedApproval: true
+    },
+    {
+      name: 'Ignoring errors never approves when every agent failed',
+      settings: consensus({ errorPolicy: 'ignore' }),
+      results: [vote('a.js', 'ERROR'), vote('b.js', 'ERROR')],
+      expectedApproval: false
+    },
+    {
+      name: 'Quorum: too few voters blocks',
+      settings: consensus({ strategy: 'quorum', errorPolicy: 'ignore', minParticipation: 0.75 }),
+      results: [vote('a.js', 'APPROVE'), vote('b.js', 'APPROVE'), vote('c.js', 'ERROR'), vote('d.js', 'ERROR')],
+      expectedApproval: false
+    },
+    {
+      name: 'Quorum: majority of a quorum approves',
+      settings: consensus({ strategy: 'quorum', errorPolicy: 'ignore', minParticipation: 0.5 }),
+      results: [vote('a.js', 'APPROVE'), vote('b.js', 'APPROVE'), vote('c.js', 'ERROR'), vote('d.js', 'ERROR')],
+      expectedApproval: true
+    },
+    {
+      name: 'Weighted: a heavy rejection outweighs two approvals',
+      settings: consensus({ strategy: 'weighted' }),
+      results: [vote('a.js', 'APPROVE'), vote('b.js', 'APPROVE'), vote('core.js', 'REJECT', { weight: 3 })],
+      expectedApproval: false
+    },
+    {
+      name: 'Weighted: zero-weight agents are advisory',
+      settings: consensus({ strategy: 'weighted' }),
+      results: [vote('a.js', 'APPROVE'), vote('docs.md', 'REJECT', { weight: 0 })],
+      expectedApproval: true
+    },
+    {
+      name: 'Veto: objections without a veto role do not block',
+      settings: consensus({ strategy: 'veto' }),
+      results: [vote('a.js', 'REJECT'), vote('b.js', 'ERROR'), vote('core.js', 'APPROVE', { veto: true })],
+      expectedApproval: true
+    },
+    {
+      name: 'Veto: every agent failing does not approve',
+      settings: consensus({ strategy: 'veto' }),
+      results: [vote('a.js', 'ERROR'), vote('b.js', 'ERROR')],
+      expectedApproval: false
+    },
+    {
+      name: 'Weighted: errors and abstentions alone do not approve',
+      settings: consensus({ strategy: 'weighted' }),
+      results: [vote('a.js', 'ERROR'), vote('b.js', 'ABSTAIN')],
+      expectedApproval: false
+    },
+    {
+      name: 'Veto: a veto holder blocks',
+      settings: consensus({ strategy: 'veto' }),
+      results: [vote('a.js', 'APPROVE'), vote('core.js', 'REJECT', { veto: true })],
+      expectedApproval: false
+    },
+    {
+      name: 'Approval with comments does not block',
+      results: [vote('a.js', 'APPROVE'), vote('b.js', 'APPROVE_WITH_COMMENTS')],
+      expectedApproval: true
+    },
+    {
+      name: 'Majority: approvals with comments count as approvals',
+      settings: consensus({ strategy: 'majority' }),
+      results: [vote('a.js', 'APPROVE_WITH_COMMENTS'), vote('b.js', 'APPROVE_WITH_COMMENTS'), vote('c.js', 'REJECT')],
+      expectedApproval: true
     }
   ];
 
@@ -141,7 +339,9 @@ async function testConsensusLogic() {
     console.log(`Testing: ${scenario.name}`);
 
     try {
-      const decision = validator.evaluateConsensus(scenario.results);
+      const decision = scenario.settings
+        ? evaluateConsensus(scenario.results, scenario.settings)
+        : validator.evaluateConsensus(scenario.results);
       const actualApproval = decision.approved;
 
       if (actualApproval === scenario.expectedApproval) {
@@ -163,10 +363,18 @@ async function testConsensusLogic() {
     console.log('');
   }
 
+  const wiring = await testStrategyWiring();
+  passed += wiring.passed;
+  failed += wiring.failed;
+
+  const warnings = testWarnings();
+  passed += warnings.passed;
+  failed += warnings.failed;
+
   console.log(`\n=== Results ===`);
   console.log(`Passed: ${passed}`);
   console.log(`Failed: ${failed}`);
-  console.log(`Total: ${testScenarios.length}`);
+  console.log(`Total: ${passed + failed}`);
 
   if (failed === 0) {
     console.log('\nSUCCESS - All consensus logic tests passed!');
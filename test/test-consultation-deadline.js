@@ -0,0 +1,222 @@
+/**
+ * Test script for the COMA consultation deadline
+ */
+
+import { ComaValidator, formatTimings } from '../src/coma-validator.js';
+import { ContextManager } from '../src/context-manager.js';
+import { DEFAULT_CONFIG, mergeConfig } from '../src/config.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function runHook(stdinText, env) {
+  return new Promise((resolve) => {
+    const proc = spawn('node', [comaScript, 'hook', 'PreToolUse'], { stdio: ['pipe', 'pipe', 'pipe'], env });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+    proc.stdin.end(stdinText);
+  });
+}
+
+function createValidator(testDir, config) {
+  const validator = new ComaValidator();
+  validator.repoPath = testDir;
+  validator.outputStyle = 'json'; // Keeps progress messages off the test output
+  validator.contextManager = new ContextManager();
+  validator.config = mergeConfig(DEFAULT_CONFIG, config);
+  return validator;
+}
+
+function agentsFor(files) {
+  return files.map(file => ({ id: file, file, files: [file], systemPrompt: file }));
+}
+
+async function testDeadline(testDir) {
+  console.log('Testing the consultation deadline...\n');
+
+  const signals = {};
+  const validator = createValidator(testDir, { timeouts: { consultationMs: 200 }, concurrency: { maxParallel: 1 } });
+  validator.createProvider = async () => ({
+    consultAgent(agent, consultation, { signal }) {
+      signals[agent.file] = signal;
+      if (agent.file === 'fast.js') return sleep(20).then(() => 'APPROVE');
+      return new Promise(() => {}); // Never answers
+    }
+  });
+
+  const started = Date.now();
+  const results = await validator.consultAcolytes(agentsFor(['fast.js', 'slow.js', 'queued.js']),
+    { toolName: 'Bash', parameters: { command: 'make' } });
+  const elapsed = Date.now() - started;
+  const [fast, slow, queued] = results;
+
+  check('The consultation ends at the deadline', elapsed >= 200 && elapsed < 1000, `${elapsed}ms`);
+  check('Answers received before the deadline count', fast.decision === 'APPROVE' && !fast.timedOut &&
+    fast.durationMs >= 20 && fast.durationMs < 200, JSON.stringify(fast));
+  check('A running agent that misses the deadline is marked timed out', slow.decision === 'ERROR' && slow.timedOut &&
+    slow.durationMs >= 100 && slow.reasoning.includes('200ms consultation deadline'), JSON.stringify(slow));
+  check('Providers are told to cancel the outstanding agents', signals['slow.js']?.aborted === true);
+  check('A queued agent never starts after the deadline', queued.timedOut && queued.durationMs === null &&
+    !('queued.js' in signals), JSON.stringify(queued));
+
+  check('Timings report each agent', formatTimings(results) === [
+    `* fast.js: APPROVE in ${(fast.durationMs / 1000).toFixed(1)}s`,
+    `* slow.js: no answer by the deadline (ran ${(slow.durationMs / 1000).toFixed(1)}s)`,
+    '* queued.js: no answer by the deadline (never started)'
+  ].join('\n'), formatTimings(results));
+  check('Cached verdicts are reported as cached', formatTimings([{ file: 'a.js', decision: 'REJECT', durationMs: null,
+    timedOut: false, cached: true }]) === '* a.js: REJECT (cached)');
+  console.log('');
+}
+
+async function testRetriesStopAtDeadline(testDir) {
+  console.log('Testing retries against the deadline...\n');
+
+  let calls = 0;
+  const validator = createValidator(testDir, {
+    timeouts: { consultationMs: 150 },
+    consensus: { errorPolicy: 'retry', retries: 50 }
+  });
+  validator.createProvider = async () => ({
+    async consultAgent() {
+      calls++;
+      await sleep(40);
+      throw new Error('rate limited');
+    }
+  });
+
+  const started = Date.now();
+  const [result] = await validator.consultAcolytes(agentsFor(['a.js']), { toolName: 'Bash', parameters: { command: 'make' } });
+  check('Retries stop once the deadline passes', Date.now() - started < 1000 && calls < 10 && result.timedOut,
+    `${calls} calls, ${JSON.stringify(result)}`);
+  console.log('');
+}
+
+async function testDeadlinePolicies(testDir) {
+  console.log('Testing timeouts.onDeadline through the hook...\n');
+
+  const repoDir = path.join(testDir, 'repo');
+  const fakeClaude = path.join(testDir, 'fake-claude.js');
+  const pidFile = path.join(testDir, 'slow-agent.pid');
+  await fs.mkdir(path.join(repoDir, 'src'), { recursive: true });
+  await fs.mkdir(path.join(repoDir, '.coma'));
+  await fs.writeFile(path.join(repoDir, 'src', 'fast.js'), 'export const fast = 1;\n');
+  await fs.writeFile(path.join(repoDir, 'src', 'slow.js'), 'export const slow = 1;\n');
+  // The agent guarding slow.js takes far longer than the deadline
+  await fs.writeFile(fakeClaude, `#!/usr/bin/env node
+const prompt = process.argv[process.argv.length - 1].split('CONSULTATION DATA')[0];
+if (prompt.includes('src/slow.js')) {
+  require('fs').writeFileSync(${JSON.stringify(pidFile)}, String(process.pid));
+  setTimeout(() => console.log('APPROVE'), 10000);
+} else {
+  console.log('Fine. APPROVE');
+}
+`, { mode: 0o755 });
+  await fs.writeFile(path.join(testDir, 'package.json'), '{ "type": "commonjs" }');
+
+  const env = {
+    ...process.env,
+    HOME: testDir,
+    CLAUDE_COMA: '1',
+    COMA_REPO_PATH: repoDir,
+    COMA_CLAUDE_BIN: fakeClaude,
+    COMA_OUTPUT_STYLE: 'json',
+    COMA_CONSULTATION_TIMEOUT_MS: '1500',
+    COMA_RUNTIME_DIR: path.join(testDir, 'runtime')
+  };
+  const payload = JSON.stringify({
+    hook_event_name: 'PreToolUse',
+    tool_name: 'Bash',
+    tool_input: { command: 'touch src/fast.js src/slow.js' }
+  });
+  const setPolicy = (policy) => fs.writeFile(path.join(repoDir, '.coma', 'config.json'),
+    JSON.stringify({ cache: { enabled: false }, ...(policy ? { timeouts: { onDeadline: policy } } : {}) }));
+  const decide = async () => {
+    const result = await runHook(payload, env);
+    try {
+      return { ...JSON.parse(result.stdout).hookSpecificOutput, raw: result.stdout + result.stderr };
+    } catch {
+      return { raw: result.stdout + result.stderr };
+    }
+  };
+
+  await setPolicy(null);
+  let output = await decide();
+  check('Missing the deadline asks the user by default', output.permissionDecision === 'ask' &&
+    output.permissionDecisionReason.includes('1 of 2 agents did not answer within the 1500ms consultation deadline (src/slow.js)') &&
+    output.permissionDecisionReason.includes('* src/fast.js: APPROVE in'), output.raw);
+
+  const pid = Number(await fs.readFile(pidFile, 'utf8'));
+  await sleep(100);
+  let alive = true;
+  try {
+    process.kill(pid, 0);
+  } catch {
+    alive = false;
+  }
+  check('The outstanding agent process is stopped', !alive);
+
+  await setPolicy('deny');
+  output = await decide();
+  check('onDeadline "deny" blocks', output.permissionDecision === 'deny' &&
+    output.permissionDecisionReason.includes('Set timeouts.onDeadline'), output.raw);
+
+  await setPolicy('partial');
+  output = await decide();
+  check('onDeadline "partial" decides on the votes received', output.permissionDecision === 'allow' &&
+    output.permissionDecisionReason.includes('* src/slow.js: no answer by the deadline'), output.raw);
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Consultation Deadline Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-deadline-'));
+  process.env.COMA_RUNTIME_DIR = path.join(testDir, 'runtime');
+  try {
+    await testDeadline(testDir);
+    await testRetriesStopAtDeadline(testDir);
+    await testDeadlinePolicies(testDir);
+  } catch (error) {
+    console.error('Consultation deadline test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All consultation deadline tests passed!');
+}
+
+runAllTests();
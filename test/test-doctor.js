@@ -0,0 +1,158 @@
+/**
+ * Test script for COMA doctor diagnostics
+ */
+
+import { ComaDoctor, satisfiesMinimumVersion, findExecutable } from '../src/doctor.js';
+import { comaHookEntries, SettingsManager } from '../src/settings-manager.js';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+function findResult(results, name) {
+  return results.find(result => result.name === name);
+}
+
+async function writeSettings(filePath, settings) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, typeof settings === 'string' ? settings : JSON.stringify(settings, null, 2));
+}
+
+function settingsWithHooks(hooks) {
+  return SettingsManager.mergeComaHooks({}, hooks).settings;
+}
+
+async function testHelpers(testDir) {
+  console.log('Testing doctor helpers...\n');
+
+  check('Newer version satisfies >=', satisfiesMinimumVersion('v20.1.0', '>=16.0.0') === true);
+  check('Equal version satisfies >=', satisfiesMinimumVersion('v16.0.0', '>=16.0.0') === true);
+  check('Older version fails >=', satisfiesMinimumVersion('v14.21.3', '>=16.0.0') === false);
+  check('Unsupported ranges are not guessed', satisfiesMinimumVersion('v20.0.0', '^18 || ^20') === null);
+
+  const binDir = path.join(testDir, 'bin');
+  await fs.mkdir(binDir, { recursive: true });
+  await fs.writeFile(path.join(binDir, 'claude'), '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+  await fs.writeFile(path.join(binDir, 'not-executable'), 'data', { mode: 0o644 });
+
+  check('Finds executables on PATH', (await findExecutable('claude', binDir)) === path.join(binDir, 'claude'));
+  check('Skips non-executable files', (await findExecutable('not-executable', binDir)) === null);
+  check('Reports missing executables', (await findExecutable('claude', path.join(testDir, 'empty'))) === null);
+  console.log('');
+}
+
+async function testChecks(testDir) {
+  console.log('Testing doctor checks...\n');
+
+  const homeDir = path.join(testDir, 'home');
+  const repoPath = path.join(testDir, 'repo');
+  const binDir = path.join(testDir, 'bin');
+  const scriptPath = '/opt/coma/src/claude-coma.js';
+  const nodePath = '/usr/bin/node';
+  await fs.mkdir(repoPath, { recursive: true });
+
+  const baseOptions = { repoPath, homeDir, env: {}, envPath: binDir, nodePath, scriptPath };
+
+  // Nothing installed
+  let results = await new ComaDoctor(baseOptions).runChecks();
+  const notInstalled = findResult(results, 'hook commands');
+  check('Missing hooks fail with an install hint', notInstalled && !notInstalled.ok &&
+    notInstalled.hint.includes('claude-coma install'));
+  check('Default configuration loads', findResult(results, 'configuration')?.ok === true);
+  check('claude binary found on PATH', findResult(results, 'claude binary')?.ok === true);
+  check('Provider check passes for claude-code', findResult(results, 'claude-code provider')?.ok === true);
+  check('Base prompt loads', findResult(results, 'base prompt')?.ok === true);
+
+  // Hooks installed for this install
+  const userSettingsPath = path.join(homeDir, '.claude', 'settings.json');
+  await writeSettings(userSettingsPath, settingsWithHooks(comaHookEntries('user', { nodePath, scriptPath })));
+  results = await new ComaDoctor(baseOptions).runChecks();
+  check('Current hook commands pass', findResult(results, 'user hook commands')?.ok === true &&
+    !findResult(results, 'hook commands'));
+
+  // Hooks pointing at another install
+  await writeSettings(userSettingsPath, settingsWithHooks(comaHookEntries('user', { nodePath, scriptPath: '/old/claude-coma.js' })));
+  results = await new ComaDoctor(baseOptions).runChecks();
+  const stale = findResult(results, 'user hook commands');
+  check('Stale hook commands fail with an upgrade hint', stale && !stale.ok &&
+    stale.detail.includes('/old/claude-coma.js') && stale.hint.includes('install --scope user'), JSON.stringify(stale));
+
+  // Project hooks need claude-coma on PATH
+  await writeSettings(path.join(repoPath, '.claude', 'settings.json'), settingsWithHooks(comaHookEntries('project', {})));
+  results = await new ComaDoctor(baseOptions).runChecks();
+  check('Project hooks fail without claude-coma on PATH', findResult(results, 'project hook commands')?.ok === false);
+
+  // Unparseable settings
+  await writeSettings(path.join(repoPath, '.claude', 'settings.local.json'), '{ "hooks": ');
+  results = await new ComaDoctor(baseOptions).runChecks();
+  const broken = findResult(results, 'local settings');
+  check('Settings parse errors are reported', broken && !broken.ok && broken.detail.includes('Cannot parse'));
+
+  // Environment problems
+  results = await new ComaDoctor({
+    ...baseOptions,
+    envPath: path.join(testDir, 'empty'),
+    overrides: { provider: 'no-such-provider' },
+    basePromptPath: path.join(testDir, 'missing.md'),
+    nodeVersion: 'v14.0.0'
+  }).runChecks();
+  check('Old Node.js fails', findResult(results, 'Node.js version')?.ok === false);
+  check('Missing claude binary fails', findResult(results, 'claude binary')?.ok === false);
+  check('Unknown provider fails', findResult(results, 'no-such-provider provider')?.ok === false);
+  check('Missing base prompt fails', findResult(results, 'base prompt')?.ok === false);
+  check('Every failure has a fix hint', results.filter(result => !result.ok).every(result => result.hint));
+
+  // Invalid configuration
+  await fs.mkdir(path.join(repoPath, '.coma'), { recursive: true });
+  await fs.writeFile(path.join(repoPath, '.coma', 'config.json'), JSON.stringify({ timeouts: { providerMs: 'soon' } }));
+  results = await new ComaDoctor(baseOptions).runChecks();
+  const badConfig = findResult(results, 'configuration');
+  check('Invalid configuration is reported with the key at fault', badConfig && !badConfig.ok &&
+    badConfig.detail.includes('timeouts.providerMs'), JSON.stringify(badConfig));
+  check('Other checks still run on defaults', findResult(results, 'claude-code provider')?.ok === true);
+
+  const report = ComaDoctor.formatReport(results);
+  check('Report lists PASS/FAIL lines and a summary', report.includes('FAIL  ') && report.includes('Fix: ') &&
+    /\d+ of \d+ checks failed/.test(report));
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Doctor Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-doctor-test-'));
+  try {
+    await testHelpers(testDir);
+    await testChecks(testDir);
+  } catch (error) {
+    console.error('Doctor test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All doctor tests passed!');
+}
+
+runAllTests();
@@ -5,6 +5,9 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { RepositoryScanner, IgnoreRules, agentCoversFile, nearestAgents } from '../src/repository-scanner.js';
+import { matchesGlob, matchesPatterns, isOutsideRepository } from '../src/glob.js';
+import { DEFAULT_CONFIG, mergeConfig } from '../src/config.js';
 
 class TestableFileScanner {
   constructor(testDir) {
@@ -373,12 +376,166 @@ async function testAgentGeneration() {
   console.log('\n=== Agent Generation Tests Complete ===');
 }
 
+async function testRepositoryScanner() {
+  console.log('\nTesting RepositoryScanner...\n');
+
+  let passed = 0;
+  let failed = 0;
+  const check = (description, condition, details = '') => {
+    if (condition) {
+      console.log(`PASS - ${description}`);
+      passed++;
+    } else {
+      console.log(`FAIL - ${description}`);
+      if (details) console.log(`   ${details}`);
+      failed++;
+    }
+  };
+  // Small size limit so a 2 KB file counts as large
+  const scannerFor = (repoPath, overrides = {}) => new RepositoryScanner({
+    repoPath,
+    config: mergeConfig(mergeConfig(DEFAULT_CONFIG, { scanner: { maxFileBytes: 1024 } }), overrides)
+  });
+
+  check('* stays within a directory', matchesGlob('src/a.js', 'src/*.js') && !matchesGlob('src/lib/a.js', 'src/*.js'));
+  check('** spans directories', matchesGlob('src/lib/a.js', 'src/**') && matchesGlob('a.js', '**/*.js') &&
+    matchesGlob('src/lib/a.js', 'src/**/a.js') && matchesGlob('src/a.js', 'src/**/a.js'));
+  check('? matches one character', matchesGlob('a1.js', 'a?.js') && !matchesGlob('a12.js', 'a?.js'));
+  check('Braces match alternatives', matchesGlob('a.mjs', '*.{js,mjs}') && !matchesGlob('a.ts', '*.{js,mjs}') &&
+    matchesGlob('lib/x/a.tsx', '{src,lib}/**/*.{ts,tsx}'));
+  check('Wildcards stay in their segment', matchesGlob('packages/x/package.json', 'packages/*/package.json') &&
+    !matchesGlob('packages/x/y/package.json', 'packages/*/package.json'));
+  check('Character classes and ranges', matchesGlob('a1.js', 'a[0-9].js') && !matchesGlob('ab.js', 'a[0-9].js') &&
+    matchesGlob('ab.js', 'a[!0-9].js') && !matchesGlob('a/b.js', 'a[!x]b.js'));
+  check('Escapes and unmatched brackets are literal', matchesGlob('a*.js', 'a\\*.js') && !matchesGlob('ab.js', 'a\\*.js') &&
+    matchesGlob('a{.js', 'a{.js') && matchesGlob('a[.js', 'a[.js'));
+  check('! negates a glob', !matchesGlob('x.test.js', '!**/*.test.js') && matchesGlob('x.js', '!**/*.test.js'));
+  check('Pattern lists include and exclude', matchesPatterns('src/api/a.js', ['src/api/**', '!**/*.test.js']) &&
+    !matchesPatterns('src/api/a.test.js', ['src/api/**', '!**/*.test.js']) && !matchesPatterns('lib/a.js', ['src/api/**']));
+  check('Exclude-only lists include everything else', matchesPatterns('a.js', ['!*.md']) && !matchesPatterns('a.md', ['!*.md']));
+  check('Paths outside the repository are recognised', isOutsideRepository('../foo') && isOutsideRepository('..') &&
+    isOutsideRepository('/etc/passwd') && !isOutsideRepository('..foo/a.js'));
+
+  const rules = new IgnoreRules().add(['*.log', '!keep.log', '/build', 'docs/*.tmp', 'cache/', '# comment', '']);
+  check('Ignore globs match at any depth', rules.isIgnored('x/debug.log') && !rules.isIgnored('x/keep.log'));
+  check('Leading slash anchors to the root', rules.isIgnored('build', true) && !rules.isIgnored('src/build', true));
+  check('Patterns with a slash are anchored', rules.isIgnored('docs/a.tmp') && !rules.isIgnored('x/docs/a.tmp'));
+  check('Trailing slash matches directories only', rules.isIgnored('cache', true) && !rules.isIgnored('cache', false));
+  check('Files inside ignored directories are ignored', rules.isIgnored('cache/data.json'));
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-scanner-test-'));
+  try {
+    await createTestFileStructure(testDir);
+    await fs.writeFile(path.join(testDir, '.gitignore'), 'docs/guide.md\n*.secret\n');
+    await fs.writeFile(path.join(testDir, '.comaignore'), 'test/\n');
+    await fs.mkdir(path.join(testDir, 'src', 'generated'));
+    await fs.writeFile(path.join(testDir, 'src', '.gitignore'), 'generated/\n');
+    await fs.writeFile(path.join(testDir, 'src', 'generated', 'out.js'), 'generated');
+    await fs.writeFile(path.join(testDir, 'api.secret'), 'token');
+    await fs.writeFile(path.join(testDir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]));
+    await fs.writeFile(path.join(testDir, 'big.txt'), 'x'.repeat(2048));
+
+    const files = await scannerFor(testDir).scanFiles();
+    check('Source files are found', ['README.md', 'src/index.js', 'src/components/Button.js', 'docs/api.md']
+      .every(file => files.includes(file)), files.join(', '));
+    check('Default ignores apply', !files.some(file => /^(\.git|node_modules|dist|coverage|__pycache__)\//.test(file)) &&
+      !files.includes('debug.log'));
+    check('.gitignore is honoured', !files.includes('docs/guide.md') && !files.includes('api.secret'));
+    check('.comaignore is honoured', !files.some(file => file.startsWith('test/')));
+    check('Nested .gitignore applies to its subtree', !files.includes('src/generated/out.js'));
+    check('Binary files are skipped', !files.includes('logo.png'));
+    check('Large files are skipped', !files.includes('big.txt'));
+    check('Results are sorted', JSON.stringify(files) === JSON.stringify([...files].sort()));
+
+    const limited = scannerFor(testDir, { scanner: { maxFileBytes: 1024, maxFiles: 3 } });
+    check('scanner.maxFiles stops the scan', (await limited.scanFiles()).length === 3 && limited.truncated);
+
+    // One agent per file by default, with FILE_PATH filled in
+    const template = 'Guard {{FILE_PATH}}\n{{FILE_TYPE_GUIDELINES}}\nSay {{APPROVE_KEYWORD}} or {{REJECT_KEYWORD}}';
+    const agents = await scannerFor(testDir).createAgents(template);
+    const indexAgent = agents.find(agent => agent.id === 'agent_src_index_js');
+    check('One agent per file', agents.length === files.length && indexAgent?.file === 'src/index.js',
+      agents.map(agent => agent.id).join(', '));
+    check('FILE_PATH is filled into the prompt', indexAgent?.systemPrompt.startsWith('Guard src/index.js'));
+    check('File type guidelines are included', indexAgent?.systemPrompt.includes('JavaScript File Guidelines'));
+    check('Decision keywords are filled in', indexAgent?.systemPrompt.endsWith('Say APPROVE or REJECT'));
+    check('No placeholders remain', agents.every(agent => !agent.systemPrompt.includes('{{')));
+
+    // New files no agent covers yet
+    const scanner = scannerFor(testDir);
+    check('Ignore rules apply to paths that do not exist yet', await scanner.isIgnoredPath('src/generated/new.js') &&
+      await scanner.isIgnoredPath('test/new.test.js') && await scanner.isIgnoredPath('.coma/x.json') &&
+      !(await scanner.isIgnoredPath('src/new.js')));
+    const ids = (owners) => owners.map(agent => agent.id).join(',');
+    const srcAgents = 'agent_src__gitignore,agent_src_index_js';
+    check('The agents of files in the same directory review a new file',
+      ids(nearestAgents(agents, 'src/new.js')) === srcAgents, ids(nearestAgents(agents, 'src/new.js')));
+    check('Otherwise those of the nearest ancestor directory with files',
+      ids(nearestAgents(agents, 'src/new/deep/x.js')) === srcAgents &&
+      nearestAgents(agents, 'lib/x.js').length > 0 && nearestAgents(agents, 'lib/x.js').every(agent => !agent.file.includes('/')));
+    check('No agents when the repository has none', nearestAgents([], 'src/new.js').length === 0);
+
+    // Grouping rules
+    const grouped = await scannerFor(testDir, {
+      agents: {
+        grouping: [
+          { pattern: 'src/components/**', by: 'directory' },
+          { pattern: '**/*.md', by: 'glob', name: 'docs' }
+        ]
+      }
+    }).createAgents(template);
+    const componentsAgent = grouped.find(agent => agent.id === 'agent_dir_src_components');
+    const docsAgent = grouped.find(agent => agent.id === 'agent_glob_docs');
+    check('Directory rule groups a directory into one agent',
+      componentsAgent?.files.join(',') === 'src/components/Button.js,src/components/Modal.js', JSON.stringify(componentsAgent?.files));
+    check('Glob rule groups matching files into one agent',
+      docsAgent?.files.join(',') === 'README.md,docs/api.md', JSON.stringify(docsAgent?.files));
+    check('Group prompts list their files', componentsAgent?.systemPrompt.includes('- src/components/Modal.js'));
+    check('Unmatched files keep their own agent', grouped.some(agent => agent.id === 'agent_src_index_js'));
+    check('Directory agents cover new files in their directory',
+      agentCoversFile(componentsAgent, 'src/components/Card.js') && !agentCoversFile(componentsAgent, 'src/index.js'));
+    check('Glob agents cover new matching files', agentCoversFile(docsAgent, 'docs/new.md'));
+
+    // Include and exclude pattern lists
+    const patterned = await scannerFor(testDir, {
+      agents: {
+        grouping: [
+          { patterns: ['src/**/*.js', '!src/components/**'], by: 'glob', name: 'core' },
+          { pattern: 'src/components/*.js', by: 'directory' }
+        ]
+      }
+    }).createAgents(template);
+    const coreAgent = patterned.find(agent => agent.id === 'agent_glob_core');
+    check('Exclude patterns keep files out of a group',
+      coreAgent?.files.join(',') === 'src/index.js,src/utils/constants.js,src/utils/helpers.js', JSON.stringify(coreAgent?.files));
+    check('Excluded files fall through to later rules',
+      patterned.some(agent => agent.id === 'agent_dir_src_components' && agent.files.length === 2));
+    check('Group agents do not cover new files their rule excludes',
+      agentCoversFile(coreAgent, 'src/new.js') && !agentCoversFile(coreAgent, 'src/components/New.js'));
+
+    // agents.maxAgents merges into directory agents
+    const capped = await scannerFor(testDir, { agents: { maxAgents: 3 } }).createAgents(template);
+    const cappedFiles = capped.flatMap(agent => agent.files).sort();
+    check('agents.maxAgents limits the agent count', capped.length <= 3, capped.map(agent => agent.id).join(', '));
+    check('Merged agents still cover every file', JSON.stringify(cappedFiles) === JSON.stringify(files));
+    check('Merged directory agents cover their subtree', capped.some(agent => agentCoversFile(agent, 'src/utils/new.js')));
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nRepositoryScanner tests: ${passed} passed, ${failed} failed\n`);
+  return failed === 0;
+}
+
 async function runAllScanningTests() {
   console.log('=== COMA File Scanning Testing ===\n');
 
   try {
     await testFileScanning();
     await testAgentGeneration();
+    if (!(await testRepositoryScanner())) {
+      process.exit(1);
+    }
 
     console.log('\nSUCCESS All file scanning tests completed!');
     console.log('\nThese tests verify that COMA correctly identifies files to protect');
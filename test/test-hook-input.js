@@ -0,0 +1,201 @@
+/**
+ * Test script for COMA hook input parsing (Claude Code stdin protocol)
+ */
+
+import { normalizeHookPayload, parseArgvPayload, readStream, readHookInput } from '../src/hook-input.js';
+import { PassThrough } from 'stream';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+function streamWith(text) {
+  const stream = new PassThrough();
+  stream.end(text);
+  return stream;
+}
+
+function runHook(hookType, stdinText, env) {
+  return new Promise((resolve) => {
+    const proc = spawn('node', [comaScript, 'hook', hookType], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env
+    });
+
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+    proc.stdin.end(stdinText);
+  });
+}
+
+async function testNormalization() {
+  console.log('Testing payload normalization...\n');
+
+  const preToolUse = normalizeHookPayload({
+    session_id: 'abc123',
+    transcript_path: '/tmp/transcript.jsonl',
+    cwd: '/repo',
+    hook_event_name: 'PreToolUse',
+    tool_name: 'Edit',
+    tool_input: { file_path: '/repo/a.js', old_string: 'a', new_string: 'b' }
+  });
+
+  check('tool_name becomes toolName', preToolUse.toolName === 'Edit');
+  check('tool_input becomes parameters', preToolUse.parameters.file_path === '/repo/a.js');
+  check('session fields are kept', preToolUse.sessionId === 'abc123' &&
+    preToolUse.transcriptPath === '/tmp/transcript.jsonl' && preToolUse.cwd === '/repo');
+  check('hook_event_name becomes hookEventName', preToolUse.hookEventName === 'PreToolUse');
+
+  const prompt = normalizeHookPayload({ hook_event_name: 'UserPromptSubmit', prompt: 'Fix the bug' });
+  check('UserPromptSubmit prompt is kept', prompt.prompt === 'Fix the bug' && prompt.toolName === undefined);
+
+  const internal = { toolName: 'Write', parameters: { file_path: 'x.js' } };
+  check('Internal-shape payloads pass through', normalizeHookPayload(internal) === internal);
+
+  check('Non-object payloads are rejected', normalizeHookPayload('Edit') === null && normalizeHookPayload([1]) === null);
+  console.log('');
+}
+
+async function testArgvFallback() {
+  console.log('Testing argv fallback...\n');
+
+  const jsonArgs = parseArgvPayload([JSON.stringify({ tool_name: 'Bash', tool_input: { command: 'ls' } })]);
+  check('JSON argv payload is normalized', jsonArgs.toolName === 'Bash' && jsonArgs.parameters.command === 'ls');
+
+  const plainArgs = parseArgvPayload(['Edit', 'a.js']);
+  check('Plain argv falls back to toolName + args', plainArgs.toolName === 'Edit' && plainArgs.parameters[0] === 'a.js');
+
+  check('Empty argv yields null', parseArgvPayload([]) === null);
+
+  const input = await readHookInput({ argv: ['Write'], stdin: streamWith('{"tool_name":"Edit"}') });
+  check('argv payload is used without reading stdin', input.source === 'argv' && input.data.toolName === 'Write');
+  console.log('');
+}
+
+async function testStdinReading() {
+  console.log('Testing stdin reading...\n');
+
+  const payload = { hook_event_name: 'PreToolUse', tool_name: 'Write', tool_input: { file_path: 'b.js', content: 'x' } };
+  const input = await readHookInput({ argv: [], stdin: streamWith(JSON.stringify(payload)) });
+  check('stdin payload is parsed', input.source === 'stdin' && input.data.toolName === 'Write');
+  check('raw stdin text is kept for forwarding', JSON.parse(input.rawText).tool_name === 'Write');
+
+  const empty = await readHookInput({ argv: [], stdin: streamWith('') });
+  check('Empty stdin yields no data', empty.source === 'none' && empty.data === null);
+
+  let invalidError = null;
+  try {
+    await readHookInput({ argv: [], stdin: streamWith('not json') });
+  } catch (error) {
+    invalidError = error;
+  }
+  check('Invalid JSON on stdin is reported', invalidError?.message.includes('Invalid hook payload'));
+
+  const openStream = new PassThrough();
+  openStream.write('partial');
+  const start = Date.now();
+  const text = await readStream(openStream, 100);
+  check('Streams that never close time out', text === 'partial' && Date.now() - start < 2000);
+
+  check('TTY stdin is not read', (await readStream({ isTTY: true })) === '');
+  console.log('');
+}
+
+async function testHookRouting() {
+  console.log('Testing stdin routing through claude-coma hook...\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-hook-input-'));
+  const debugLogPath = path.join(testDir, 'debug.log');
+  const env = {
+    ...process.env,
+    HOME: testDir,
+    CLAUDE_COMA: '1',
+    CLAUDE_COMA_DEBUG: debugLogPath,
+    COMA_REPO_PATH: testDir
+  };
+
+  try {
+    const readResult = await runHook('PreToolUse', JSON.stringify({
+      session_id: 's1',
+      hook_event_name: 'PreToolUse',
+      tool_name: 'Read',
+      tool_input: { file_path: path.join(testDir, 'a.js') },
+      cwd: testDir
+    }), env);
+
+    const validatorLog = await fs.readFile(debugLogPath, 'utf8').catch(() => '');
+    check('Validator receives stdin payload via the router', readResult.code === 0 &&
+      validatorLog.includes('Read is not a modification operation'),
+      `exit ${readResult.code}, stderr: ${readResult.stderr}`);
+
+    const promptResult = await runHook('UserPromptSubmit', JSON.stringify({
+      session_id: 's1',
+      hook_event_name: 'UserPromptSubmit',
+      prompt: 'Rename the helper functions'
+    }), env);
+
+    check('Capturer receives stdin payload via the router', promptResult.code === 0 &&
+      promptResult.stderr.includes('"prompt": "Rename the helper functions"'),
+      `exit ${promptResult.code}, stderr: ${promptResult.stderr}`);
+
+    // Any exit code but 2 lets the tool call through unreviewed
+    const malformed = await runHook('PreToolUse', '{"tool_name": "Write", ', env);
+    check('A malformed PreToolUse payload blocks the tool call', malformed.code === 2 &&
+      malformed.stderr.includes('Cannot review this tool call: Invalid hook payload'), `exit ${malformed.code}, stderr: ${malformed.stderr}`);
+    const empty = await runHook('PreToolUse', '', env);
+    check('An empty PreToolUse payload blocks the tool call', empty.code === 2 &&
+      empty.stderr.includes('No hook payload on stdin'), `exit ${empty.code}, stderr: ${empty.stderr}`);
+    const capture = await runHook('PostToolUse', '{"tool_name": ', env);
+    check('Other hooks fail without blocking', capture.code === 1, `exit ${capture.code}`);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Hook Input Testing ===\n');
+
+  try {
+    await testNormalization();
+    await testArgvFallback();
+    await testStdinReading();
+    await testHookRouting();
+  } catch (error) {
+    console.error('Hook input test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All hook input tests passed!');
+}
+
+runAllTests();
@@ -5,6 +5,15 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  SettingsManager, SETTINGS_SCOPES, isComaHookCommand, settingsPathForScope, backupTargetPath, comaHookEntries
+} from '../src/settings-manager.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
 
 class TestableCleanComa {
   constructor(testDir) {
@@ -339,9 +348,339 @@ async function testHookManagement() {
   console.log('=== Hook Management Tests Complete ===');
 }
 
+// Runs claude-coma with an isolated HOME and a repository directory inside it
+async function runComa(args, homeDir, repoDir = path.join(homeDir, 'repo')) {
+  await fs.mkdir(repoDir, { recursive: true });
+  return new Promise((resolve) => {
+    const proc = spawn('node', [comaScript, ...args], {
+      cwd: repoDir,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, HOME: homeDir }
+    });
+
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+// Settings with COMA hooks mixed into other tools' hooks
+function mixedSettings() {
+  return {
+    theme: 'dark',
+    permissions: { allow: ['Bash(npm test)'] },
+    hooks: {
+      PreToolUse: [
+        {
+          matcher: 'Edit|MultiEdit|Write|Bash',
+          hooks: [{ type: 'command', command: '/usr/bin/node /opt/coma/src/claude-coma.js hook PreToolUse' }]
+        },
+        {
+          matcher: 'Write',
+          hooks: [
+            { type: 'command', command: 'prettier --write' },
+            { type: 'command', command: 'claude-coma hook PreToolUse' }
+          ]
+        }
+      ],
+      PostToolUse: [
+        { matcher: '.*', hooks: [{ type: 'command', command: 'node /opt/coma/src/claude-coma.js hook PostToolUse' }] },
+        { matcher: 'Edit', hooks: [{ type: 'command', command: 'eslint --fix' }] }
+      ],
+      UserPromptSubmit: [
+        { matcher: '.*', hooks: [{ type: 'command', command: 'node /opt/coma/src/claude-coma.js hook UserPromptSubmit' }] }
+      ],
+      Stop: [
+        { hooks: [{ type: 'command', command: 'notify-send done' }] }
+      ]
+    }
+  };
+}
+
+async function testUninstall() {
+  console.log('Testing COMA uninstall (real SettingsManager)...\n');
+
+  let passed = 0;
+  let failed = 0;
+  const check = (description, condition, details = '') => {
+    if (condition) {
+      console.log(`PASS - ${description}`);
+      passed++;
+    } else {
+      console.log(`FAIL - ${description}`);
+      if (details) console.log(`   ${details}`);
+      failed++;
+    }
+  };
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-uninstall-test-'));
+  const settingsPath = path.join(testDir, '.claude', 'settings.json');
+
+  try {
+    // Command detection
+    check('Detects installed command form', isComaHookCommand('/usr/bin/node /x/src/claude-coma.js hook PreToolUse'));
+    check('Detects binary command form', isComaHookCommand('claude-coma hook PostToolUse'));
+    check('Ignores other commands', !isComaHookCommand('prettier --write') && !isComaHookCommand(undefined));
+
+    // Pure removal
+    const original = mixedSettings();
+    const { settings: cleaned, removed } = SettingsManager.removeComaHooks(original);
+    check('Removes COMA entries across all event types', removed.length === 4 &&
+      removed.some(r => r.event === 'UserPromptSubmit'), JSON.stringify(removed));
+    check('Keeps other hooks in shared matcher groups',
+      cleaned.hooks.PreToolUse.length === 1 &&
+      cleaned.hooks.PreToolUse[0].hooks.length === 1 &&
+      cleaned.hooks.PreToolUse[0].hooks[0].command === 'prettier --write');
+    check('Keeps other event types and settings', cleaned.hooks.Stop && cleaned.hooks.PostToolUse.length === 1 &&
+      cleaned.theme === 'dark' && cleaned.permissions.allow[0] === 'Bash(npm test)');
+    check('Drops event types COMA emptied', !('UserPromptSubmit' in cleaned.hooks));
+    check('Does not mutate the input', original.hooks.UserPromptSubmit.length === 1);
+
+    const onlyComa = SettingsManager.removeComaHooks({
+      hooks: { PreToolUse: [{ matcher: '.*', hooks: [{ type: 'command', command: 'claude-coma hook PreToolUse' }] }] }
+    });
+    check('Drops hooks object COMA emptied', !('hooks' in onlyComa.settings));
+
+    // CLI dry run
+    await fs.mkdir(path.dirname(settingsPath), { recursive: true });
+    const originalText = JSON.stringify(mixedSettings(), null, 2);
+    await fs.writeFile(settingsPath, originalText);
+
+    const dryRun = await runComa(['uninstall', '--dry-run'], testDir);
+    const afterDryRun = await fs.readFile(settingsPath, 'utf8');
+    const backupsAfterDryRun = await new SettingsManager(settingsPath).listBackups();
+    check('Dry run lists entries without modifying settings', dryRun.code === 0 &&
+      dryRun.stdout.includes('Would remove 4 hook entries') && afterDryRun === originalText &&
+      backupsAfterDryRun.length === 0, dryRun.stdout + dryRun.stderr);
+
+    // CLI uninstall
+    const uninstall = await runComa(['uninstall'], testDir);
+    const afterUninstall = JSON.parse(await fs.readFile(settingsPath, 'utf8'));
+    const backups = await new SettingsManager(settingsPath).listBackups();
+    check('Uninstall removes only COMA hooks', uninstall.code === 0 &&
+      JSON.stringify(afterUninstall) === JSON.stringify(cleaned), uninstall.stdout + uninstall.stderr);
+    check('Uninstall backs up settings first', backups.length === 1 &&
+      (await fs.readFile(backups[0], 'utf8')) === originalText);
+
+    const secondRun = await runComa(['uninstall'], testDir);
+    check('Second uninstall is a no-op', secondRun.code === 0 && secondRun.stdout.includes('No COMA hooks found'));
+
+    // CLI restore
+    const restore = await runComa(['uninstall', '--restore', backups[0]], testDir);
+    const afterRestore = await fs.readFile(settingsPath, 'utf8');
+    const backupsAfterRestore = await new SettingsManager(settingsPath).listBackups();
+    check('Restore brings back the backed-up settings', restore.code === 0 && afterRestore === originalText,
+      restore.stdout + restore.stderr);
+    check('Restore backs up the settings it replaces', backupsAfterRestore.length === 2);
+
+    // Invalid settings are left alone
+    await fs.writeFile(settingsPath, '{ not json');
+    const invalid = await runComa(['uninstall'], testDir);
+    check('Unparseable settings are reported, not overwritten', invalid.code !== 0 &&
+      invalid.stderr.includes('Cannot parse') && (await fs.readFile(settingsPath, 'utf8')) === '{ not json');
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nUninstall tests: ${passed} passed, ${failed} failed\n`);
+  return failed === 0;
+}
+
+async function testInstallMerge() {
+  console.log('Testing COMA hook merging (real SettingsManager)...\n');
+
+  let passed = 0;
+  let failed = 0;
+  const check = (description, condition, details = '') => {
+    if (condition) {
+      console.log(`PASS - ${description}`);
+      passed++;
+    } else {
+      console.log(`FAIL - ${description}`);
+      if (details) console.log(`   ${details}`);
+      failed++;
+    }
+  };
+
+  const comaHooks = {
+    PreToolUse: { matcher: 'Edit|MultiEdit|Write|Bash', command: 'node /new/src/claude-coma.js hook PreToolUse' },
+    PostToolUse: { matcher: '.*', command: 'node /new/src/claude-coma.js hook PostToolUse' },
+    UserPromptSubmit: { matcher: '.*', command: 'node /new/src/claude-coma.js hook UserPromptSubmit' }
+  };
+
+  const existing = {
+    model: 'opus',
+    hooks: {
+      PreToolUse: [{ matcher: 'Write', hooks: [{ type: 'command', command: 'prettier --check' }] }],
+      PostToolUse: [{ matcher: 'Edit', hooks: [{ type: 'command', command: 'eslint --fix' }] }]
+    }
+  };
+
+  const fresh = SettingsManager.mergeComaHooks(existing, comaHooks);
+  check('Appends COMA matchers to existing arrays', fresh.settings.hooks.PreToolUse.length === 2 &&
+    fresh.settings.hooks.PreToolUse[0].hooks[0].command === 'prettier --check' &&
+    fresh.settings.hooks.PostToolUse[0].hooks[0].command === 'eslint --fix');
+  check('Reports each added hook', fresh.changes.length === 3 && fresh.changes.every(c => c.action === 'added'));
+  check('Keeps unrelated settings', fresh.settings.model === 'opus');
+
+  const again = SettingsManager.mergeComaHooks(fresh.settings, comaHooks);
+  check('Re-merging is a no-op', again.changes.length === 0 &&
+    JSON.stringify(again.settings) === JSON.stringify(fresh.settings));
+
+  const stale = SettingsManager.removeComaHooks(fresh.settings).settings;
+  stale.hooks.PreToolUse.push({ matcher: 'Edit|Write', hooks: [{ type: 'command', command: 'node /old/src/claude-coma.js hook PreToolUse' }] });
+  stale.hooks.PostToolUse[0].hooks.push({ type: 'command', command: 'node /old/src/claude-coma.js hook PostToolUse' });
+  stale.hooks.PostToolUse.push({ matcher: '.*', hooks: [{ type: 'command', command: 'claude-coma hook PostToolUse' }] });
+
+  const upgraded = SettingsManager.mergeComaHooks(stale, comaHooks);
+  const preUpdate = upgraded.changes.find(c => c.event === 'PreToolUse');
+  check('Upgrades stale install paths in place', preUpdate?.action === 'updated' &&
+    preUpdate.previousCommand === 'node /old/src/claude-coma.js hook PreToolUse' &&
+    upgraded.settings.hooks.PreToolUse.length === 2 &&
+    upgraded.settings.hooks.PreToolUse[1].hooks[0].command === comaHooks.PreToolUse.command,
+    JSON.stringify(upgraded.changes));
+  check('Fixes the matcher of a COMA-only group', upgraded.settings.hooks.PreToolUse[1].matcher === 'Edit|MultiEdit|Write|Bash');
+  check('Leaves the matcher of a shared group alone', upgraded.settings.hooks.PostToolUse[0].matcher === 'Edit' &&
+    upgraded.settings.hooks.PostToolUse[0].hooks[0].command === 'eslint --fix');
+  check('Removes duplicate COMA entries', upgraded.changes.some(c => c.action === 'removed-duplicate') &&
+    upgraded.settings.hooks.PostToolUse.length === 1, JSON.stringify(upgraded.settings.hooks.PostToolUse));
+
+  // CLI install and --check
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-install-test-'));
+  const settingsPath = path.join(testDir, '.claude', 'settings.json');
+
+  try {
+    await fs.mkdir(path.dirname(settingsPath), { recursive: true });
+    await fs.writeFile(settingsPath, JSON.stringify(existing, null, 2));
+
+    const checkBefore = await runComa(['install', '--check'], testDir);
+    check('install --check reports drift and exits 1', checkBefore.code === 1 &&
+      checkBefore.stdout.includes('need 3 change(s)'), checkBefore.stdout + checkBefore.stderr);
+    check('install --check does not write', (await fs.readFile(settingsPath, 'utf8')) === JSON.stringify(existing, null, 2));
+
+    const install = await runComa(['install'], testDir);
+    const installed = JSON.parse(await fs.readFile(settingsPath, 'utf8'));
+    check('install keeps existing hooks', install.code === 0 &&
+      installed.hooks.PreToolUse[0].hooks[0].command === 'prettier --check' &&
+      installed.hooks.PostToolUse[0].hooks[0].command === 'eslint --fix', install.stdout + install.stderr);
+    check('install reports what it changed', install.stdout.includes('Added PreToolUse hook'));
+
+    const checkAfter = await runComa(['install', '--check'], testDir);
+    check('install --check passes once installed', checkAfter.code === 0 && checkAfter.stdout.includes('up to date'),
+      checkAfter.stdout + checkAfter.stderr);
+
+    // Claude Code kills a hook after its timeout and lets the tool call through
+    const comaPreToolUse = (settings) => settings.hooks.PreToolUse.flatMap(group => group.hooks).find(hook => isComaHookCommand(hook.command));
+    check('The PreToolUse hook outlives the consultation deadline',
+      comaPreToolUse(installed)?.timeout * 1000 > DEFAULT_CONFIG.timeouts.consultationMs, JSON.stringify(comaPreToolUse(installed)));
+    check('Only PreToolUse runs consultations, so only it gets a timeout',
+      !Object.values(comaHookEntries('user', {})).some(({ command, timeout }) => timeout && !command.endsWith('PreToolUse')));
+
+    await fs.mkdir(path.join(testDir, 'repo', '.coma'), { recursive: true });
+    await fs.writeFile(path.join(testDir, 'repo', '.coma', 'config.json'), JSON.stringify({ timeouts: { consultationMs: 300000 } }));
+    const longer = await runComa(['install'], testDir);
+    const reinstalled = JSON.parse(await fs.readFile(settingsPath, 'utf8'));
+    check('A longer configured deadline raises the installed timeout', comaPreToolUse(reinstalled)?.timeout * 1000 > 300000 &&
+      longer.stdout.includes('Updated PreToolUse hook timeout'), longer.stdout + longer.stderr);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nInstall merge tests: ${passed} passed, ${failed} failed\n`);
+  return failed === 0;
+}
+
+async function testScopes() {
+  console.log('Testing COMA settings scopes...\n');
+
+  let passed = 0;
+  let failed = 0;
+  const check = (description, condition, details = '') => {
+    if (condition) {
+      console.log(`PASS - ${description}`);
+      passed++;
+    } else {
+      console.log(`FAIL - ${description}`);
+      if (details) console.log(`   ${details}`);
+      failed++;
+    }
+  };
+
+  const homeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-scope-test-'));
+  const repoDir = path.join(homeDir, 'repo');
+  const paths = {
+    user: settingsPathForScope('user', { homeDir, repoPath: repoDir }),
+    project: settingsPathForScope('project', { homeDir, repoPath: repoDir }),
+    local: settingsPathForScope('local', { homeDir, repoPath: repoDir })
+  };
+  const exists = (filePath) => fs.access(filePath).then(() => true).catch(() => false);
+
+  try {
+    check('Scopes are ordered by precedence', SETTINGS_SCOPES.join(',') === 'local,project,user');
+    check('Scope paths follow Claude Code layout',
+      paths.user === path.join(homeDir, '.claude', 'settings.json') &&
+      paths.project === path.join(repoDir, '.claude', 'settings.json') &&
+      paths.local === path.join(repoDir, '.claude', 'settings.local.json'));
+    check('Backup names map back to their settings file',
+      backupTargetPath(`${paths.local}.coma-backup-2025-01-01T00-00-00-000Z`) === paths.local);
+
+    const projectInstall = await runComa(['install', '--scope', 'project'], homeDir);
+    const projectSettings = JSON.parse(await fs.readFile(paths.project, 'utf8'));
+    check('install --scope project writes the repository settings', projectInstall.code === 0 &&
+      !(await exists(paths.user)) && !(await exists(paths.local)), projectInstall.stdout + projectInstall.stderr);
+    check('Project hooks use the portable claude-coma command',
+      projectSettings.hooks.PreToolUse[0].hooks[0].command === 'claude-coma hook PreToolUse');
+
+    const localInstall = await runComa(['install', '--scope', 'local'], homeDir);
+    const localSettings = JSON.parse(await fs.readFile(paths.local, 'utf8'));
+    check('install --scope local writes settings.local.json', localInstall.code === 0 &&
+      localSettings.hooks.PreToolUse[0].hooks[0].command.endsWith(`${path.join('src', 'claude-coma.js')} hook PreToolUse`));
+
+    const status = await runComa(['status'], homeDir);
+    check('status reports each scope', status.code === 0 &&
+      status.stdout.includes('Active in local, project scopes') &&
+      status.stdout.includes('no settings file'), status.stdout + status.stderr);
+    check('status warns about multiple scopes', status.stdout.includes('Claude Code runs hooks from every scope'));
+
+    const scopedUninstall = await runComa(['uninstall', '--scope', 'local'], homeDir);
+    const projectAfter = JSON.parse(await fs.readFile(paths.project, 'utf8'));
+    const localAfter = JSON.parse(await fs.readFile(paths.local, 'utf8'));
+    check('uninstall --scope only touches that scope', scopedUninstall.code === 0 &&
+      !localAfter.hooks && projectAfter.hooks.PreToolUse.length === 1, scopedUninstall.stdout + scopedUninstall.stderr);
+
+    const localBackups = await new SettingsManager(paths.local).listBackups();
+    const restore = await runComa(['uninstall', '--restore', localBackups[0]], homeDir);
+    const localRestored = JSON.parse(await fs.readFile(paths.local, 'utf8'));
+    check('Restore finds the scope from the backup name', restore.code === 0 &&
+      localRestored.hooks?.PreToolUse?.length === 1 && restore.stdout.includes(paths.local), restore.stdout + restore.stderr);
+
+    const uninstallAll = await runComa(['uninstall'], homeDir);
+    const projectFinal = JSON.parse(await fs.readFile(paths.project, 'utf8'));
+    const localFinal = JSON.parse(await fs.readFile(paths.local, 'utf8'));
+    check('uninstall without --scope clears every scope', uninstallAll.code === 0 &&
+      !projectFinal.hooks && !localFinal.hooks, uninstallAll.stdout + uninstallAll.stderr);
+
+    const badScope = await runComa(['install', '--scope', 'global'], homeDir);
+    check('Unknown scopes are rejected', badScope.code === 1 && badScope.stderr.includes('Invalid scope'));
+  } finally {
+    await fs.rm(homeDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nScope tests: ${passed} passed, ${failed} failed\n`);
+  return failed === 0;
+}
+
 async function runTests() {
   try {
     await testHookManagement();
+    const uninstallPassed = await testUninstall();
+    const installPassed = await testInstallMerge();
+    const scopesPassed = await testScopes();
+    if (!uninstallPassed || !installPassed || !scopesPassed) {
+      process.exit(1);
+    }
     console.log('SUCCESS All hook management tests completed!');
   } catch (error) {
     console.error('Test failed:', error.message);
@@ -0,0 +1,341 @@
+/**
+ * Test script for COMA PreToolUse decision output (exit codes and JSON)
+ */
+
+import { buildDecisionOutput, resolveOutputStyle, BLOCKING_EXIT_CODE } from '../src/hook-output.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+function runHook(stdinText, env) {
+  return new Promise((resolve) => {
+    const proc = spawn('node', [comaScript, 'hook', 'PreToolUse'], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env
+    });
+
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+    proc.stdin.end(stdinText);
+  });
+}
+
+function testExitCodeStyle() {
+  console.log('Testing exit-code output style...\n');
+
+  const deny = buildDecisionOutput({ decision: 'deny', reason: 'Breaks the API', style: 'exit-code' });
+  check('deny exits with the blocking code', deny.exitCode === BLOCKING_EXIT_CODE && BLOCKING_EXIT_CODE === 2);
+  check('deny reasoning goes to stderr', deny.stderr.includes('Breaks the API') && deny.stdout === '');
+
+  const ask = buildDecisionOutput({ decision: 'ask', reason: 'Needs a human', style: 'exit-code' });
+  check('ask blocks in exit-code style', ask.exitCode === 2 && ask.stderr.includes('Needs a human'));
+
+  const allow = buildDecisionOutput({ decision: 'allow', reason: 'Approved', style: 'exit-code' });
+  check('allow exits 0 with nothing on stderr', allow.exitCode === 0 && allow.stderr === '');
+
+  const progress = ['COMA: Consulting 2 agents'];
+  const withProgress = buildDecisionOutput({ decision: 'deny', reason: 'No', progress, style: 'exit-code' });
+  check('Progress lines precede the decision on stdout', withProgress.stdout === 'COMA: Consulting 2 agents\n' &&
+    withProgress.stderr === 'No\n');
+
+  const commented = buildDecisionOutput({ decision: 'allow', reason: 'Approved', additionalContext: '- Add a JSDoc', progress, style: 'exit-code' });
+  let parsed = null;
+  try {
+    parsed = JSON.parse(commented.stdout);
+  } catch {}
+  check('Comments reach Claude as additionalContext without an explicit allow', commented.exitCode === 0 &&
+    parsed?.hookSpecificOutput?.additionalContext === '- Add a JSDoc' &&
+    parsed.hookSpecificOutput.permissionDecision === undefined, commented.stdout);
+  console.log('');
+}
+
+function testJsonStyle() {
+  console.log('Testing json output style...\n');
+
+  for (const decision of ['allow', 'deny', 'ask']) {
+    const output = buildDecisionOutput({ decision, reason: `Reason for ${decision}`, style: 'json' });
+    let parsed = null;
+    try {
+      parsed = JSON.parse(output.stdout);
+    } catch {}
+
+    check(`${decision} is emitted as permissionDecision JSON`, output.exitCode === 0 &&
+      parsed?.hookSpecificOutput?.hookEventName === 'PreToolUse' &&
+      parsed.hookSpecificOutput.permissionDecision === decision &&
+      parsed.hookSpecificOutput.permissionDecisionReason === `Reason for ${decision}`,
+      output.stdout);
+  }
+
+  const allow = JSON.parse(buildDecisionOutput({ decision: 'allow', reason: 'ok', additionalContext: 'Nits', style: 'json' }).stdout);
+  const deny = JSON.parse(buildDecisionOutput({ decision: 'deny', reason: 'no', additionalContext: 'Nits', style: 'json' }).stdout);
+  check('additionalContext accompanies allow only', allow.hookSpecificOutput.additionalContext === 'Nits' &&
+    !('additionalContext' in deny.hookSpecificOutput));
+  console.log('');
+}
+
+function testValidation() {
+  console.log('Testing option validation...\n');
+
+  check('Missing style defaults to exit-code', resolveOutputStyle(undefined) === 'exit-code');
+
+  let styleError = null;
+  try {
+    resolveOutputStyle('xml');
+  } catch (error) {
+    styleError = error;
+  }
+  check('Unknown style is rejected', styleError?.message.includes('Unknown output style'));
+
+  let decisionError = null;
+  try {
+    buildDecisionOutput({ decision: 'maybe' });
+  } catch (error) {
+    decisionError = error;
+  }
+  check('Unknown decision is rejected', decisionError?.message.includes('Unknown permission decision'));
+  console.log('');
+}
+
+async function testHookPassThrough() {
+  console.log('Testing exit code pass-through from claude-coma hook...\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-hook-output-'));
+  const env = {
+    ...process.env,
+    HOME: testDir,
+    CLAUDE_COMA: '1',
+    COMA_REPO_PATH: testDir,
+    COMA_PROVIDER: 'no-such-provider'
+  };
+
+  try {
+    const result = await runHook(JSON.stringify({
+      hook_event_name: 'PreToolUse',
+      tool_name: 'Edit',
+      tool_input: { file_path: path.join(testDir, 'a.js'), old_string: 'a', new_string: 'b' }
+    }), env);
+
+    check('Validator failure blocks with exit code 2 through the router', result.code === 2,
+      `exit ${result.code}`);
+    check('Failure reason reaches stderr', result.stderr.includes('Unknown provider: no-such-provider'),
+      result.stderr);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+  console.log('');
+}
+
+async function testOutsideRepository() {
+  console.log('Testing changes outside the repository...\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-outside-repo-'));
+  const repoDir = path.join(testDir, 'repo');
+  const env = {
+    ...process.env,
+    HOME: testDir,
+    CLAUDE_COMA: '1',
+    COMA_REPO_PATH: repoDir,
+    COMA_OUTPUT_STYLE: 'json'
+  };
+  const payload = JSON.stringify({
+    hook_event_name: 'PreToolUse',
+    tool_name: 'Write',
+    tool_input: { file_path: path.join(testDir, 'outside.js'), content: 'x' }
+  });
+  const setPolicy = (policy) => fs.writeFile(path.join(repoDir, '.coma', 'config.json'),
+    JSON.stringify(policy ? { outsideRepository: policy } : {}));
+
+  try {
+    await fs.mkdir(path.join(repoDir, '.coma'), { recursive: true });
+
+    await setPolicy(null);
+    let result = await runHook(payload, env);
+    let output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+    check('Outside paths ask by default', output?.permissionDecision === 'ask' &&
+      output.permissionDecisionReason.includes('../outside.js is outside the repository'), result.stdout + result.stderr);
+
+    await setPolicy('deny');
+    result = await runHook(payload, env);
+    output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+    check('outsideRepository "deny" blocks', output?.permissionDecision === 'deny');
+
+    await setPolicy('skip');
+    result = await runHook(payload, env);
+    check('outsideRepository "skip" leaves the decision to Claude Code', result.code === 0 && result.stdout === '',
+      result.stdout);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+  console.log('');
+}
+
+async function testUncoveredFiles() {
+  console.log('Testing new files no agent guards yet...\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-uncovered-'));
+  const repoDir = path.join(testDir, 'repo');
+  const fakeClaude = path.join(testDir, 'fake-claude.js');
+  const promptFile = path.join(testDir, 'prompt.txt');
+  const env = {
+    ...process.env,
+    HOME: testDir,
+    CLAUDE_COMA: '1',
+    COMA_REPO_PATH: repoDir,
+    COMA_CLAUDE_BIN: fakeClaude,
+    COMA_OUTPUT_STYLE: 'json',
+    COMA_RUNTIME_DIR: path.join(testDir, 'runtime')
+  };
+  const write = (file) => JSON.stringify({
+    hook_event_name: 'PreToolUse',
+    tool_name: 'Write',
+    tool_input: { file_path: path.join(repoDir, file), content: 'export const b = 1;\n' }
+  });
+  const setPolicy = (policy) => fs.writeFile(path.join(repoDir, '.coma', 'config.json'),
+    JSON.stringify({ cache: { enabled: false }, ...(policy ? { uncoveredFiles: policy } : {}) }));
+
+  try {
+    await fs.mkdir(path.join(repoDir, '.coma'), { recursive: true });
+    await fs.mkdir(path.join(repoDir, 'src'));
+    await fs.writeFile(path.join(repoDir, 'src', 'app.js'), 'export const a = 1;\n');
+    await fs.writeFile(fakeClaude, `#!/usr/bin/env node
+require('fs').writeFileSync(${JSON.stringify(promptFile)}, process.argv[process.argv.length - 1]);
+console.log('Fine. APPROVE');
+`, { mode: 0o755 });
+    await fs.writeFile(path.join(testDir, 'package.json'), '{ "type": "commonjs" }');
+
+    await setPolicy(null);
+    let result = await runHook(write('src/new.js'), env);
+    let output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+    const prompt = await fs.readFile(promptFile, 'utf8').catch(() => '');
+    check('A new file is reviewed by the agents of its neighbours by default', output?.permissionDecision === 'allow' &&
+      prompt.includes('src/app.js') && prompt.includes('src/new.js'), result.stdout + result.stderr);
+
+    result = await runHook(write('lib/new.js'), env);
+    output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+    check('A new file with no agent nearby asks', output?.permissionDecision === 'ask' &&
+      output.permissionDecisionReason.includes('No agent guards lib/new.js yet'), result.stdout + result.stderr);
+
+    await setPolicy('ask');
+    result = await runHook(write('src/new.js'), env);
+    output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+    check('uncoveredFiles "ask" asks', output?.permissionDecision === 'ask', result.stdout + result.stderr);
+
+    await setPolicy('deny');
+    result = await runHook(write('src/new.js'), env);
+    output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+    check('uncoveredFiles "deny" blocks', output?.permissionDecision === 'deny' &&
+      output.permissionDecisionReason.includes('Set uncoveredFiles'), result.stdout + result.stderr);
+
+    result = await runHook(write('.coma/config.json'), env);
+    output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+    check('Changes to COMA settings ask', output?.permissionDecision === 'ask' &&
+      output.permissionDecisionReason.includes('.coma/config.json holds COMA or Claude Code settings'), result.stdout + result.stderr);
+
+    result = await runHook(write('build.log'), env);
+    check('Ignored paths need no review', result.code === 0 && result.stdout === '', result.stdout + result.stderr);
+
+    await setPolicy('skip');
+    result = await runHook(write('src/new.js'), env);
+    check('uncoveredFiles "skip" leaves the decision to Claude Code', result.code === 0 && result.stdout === '',
+      result.stdout + result.stderr);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+  console.log('');
+}
+
+async function testApprovalWithComments() {
+  console.log('Testing approvals with comments through the hook...\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-comments-'));
+  const fakeClaude = path.join(testDir, 'fake-claude.js');
+  const verdict = {
+    decision: 'APPROVE_WITH_COMMENTS',
+    severity: 'low',
+    summary: 'Safe, with a documentation nit',
+    findings: [{ file: 'src/app.js', line: 1, message: 'Add a JSDoc comment' }]
+  };
+  const env = {
+    ...process.env,
+    HOME: testDir,
+    CLAUDE_COMA: '1',
+    COMA_REPO_PATH: testDir,
+    COMA_CLAUDE_BIN: fakeClaude
+  };
+  delete env.COMA_OUTPUT_STYLE;
+
+  try {
+    await fs.mkdir(path.join(testDir, 'src'));
+    await fs.writeFile(path.join(testDir, 'src', 'app.js'), 'export const a = 1;\n');
+    await fs.writeFile(fakeClaude, `#!/usr/bin/env node
+process.stdout.write('Looks fine.\\n\`\`\`json\\n' + ${JSON.stringify(JSON.stringify(verdict))} + '\\n\`\`\`\\n');
+`, { mode: 0o755 });
+
+    const result = await runHook(JSON.stringify({
+      hook_event_name: 'PreToolUse',
+      tool_name: 'Edit',
+      tool_input: { file_path: path.join(testDir, 'src', 'app.js'), old_string: 'a = 1', new_string: 'a = 2' }
+    }), env);
+    let output = null;
+    try {
+      output = JSON.parse(result.stdout).hookSpecificOutput;
+    } catch {}
+    check('Comments are passed to Claude and the call is not blocked', result.code === 0 &&
+      output?.additionalContext?.includes('- src/app.js:1: Add a JSDoc comment') &&
+      output.permissionDecision === undefined, `exit ${result.code}: ${result.stdout}${result.stderr}`);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Hook Output Testing ===\n');
+
+  try {
+    testExitCodeStyle();
+    testJsonStyle();
+    testValidation();
+    await testHookPassThrough();
+    await testOutsideRepository();
+    await testUncoveredFiles();
+    await testApprovalWithComments();
+  } catch (error) {
+    console.error('Hook output test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All hook output tests passed!');
+}
+
+runAllTests();
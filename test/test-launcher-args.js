@@ -0,0 +1,144 @@
+/**
+ * Test script for launcher argument pass-through to claude
+ */
+
+import { splitLauncherArgs, isPrintMode } from '../src/launcher-args.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+function sameArgs(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+function runComa(args, testDir) {
+  return new Promise((resolve) => {
+    const repoDir = path.join(testDir, 'repo');
+    const env = { ...process.env, HOME: testDir, FAKE_CLAUDE_RECORD: path.join(testDir, 'record.json') };
+    delete env.COMA_CLAUDE_BIN;
+    delete env.CLAUDE_COMA_DEBUG;
+
+    const proc = spawn('node', [comaScript, ...args], {
+      cwd: repoDir,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env
+    });
+
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+function testSplitting() {
+  console.log('Testing argument splitting...\n');
+
+  let result = splitLauncherArgs(['--debug', '--provider', 'openai', '--model', 'opus', '--resume']);
+  check('COMA flags are consumed', result.options['--debug'] === true && result.options['--provider'] === 'openai');
+  check('Unknown flags are forwarded in order', sameArgs(result.claudeArgs, ['--model', 'opus', '--resume']));
+
+  result = splitLauncherArgs(['--output-style=json', '--debug=/tmp/x.log', '--claude-bin', '/opt/claude']);
+  check('--flag=value form is accepted', result.options['--output-style'] === 'json' && result.options['--claude-bin'] === '/opt/claude');
+  check('--debug=<path> keeps the path', result.options['--debug'] === '/tmp/x.log');
+
+  result = splitLauncherArgs(['--scope', 'local', '--', '--debug', '--help', '-p', 'hi']);
+  check('Everything after -- goes to claude verbatim', sameArgs(result.claudeArgs, ['--debug', '--help', '-p', 'hi']) &&
+    result.options['--scope'] === 'local' && !result.options['--debug']);
+
+  result = splitLauncherArgs(['-p', 'explain this repo']);
+  check('Prompts are forwarded', sameArgs(result.claudeArgs, ['-p', 'explain this repo']));
+  check('-p is print mode', isPrintMode(result.claudeArgs));
+  check('Interactive runs are not print mode', !isPrintMode(['--resume']));
+  check('-p as the value of another option is not print mode', !isPrintMode(['--append-system-prompt', '-p']) &&
+    !isPrintMode(['--model', '--print', 'hi']) && !isPrintMode(['--', '-p']));
+  check('-p after an option value is print mode', isPrintMode(['--model', 'opus', '-p', 'hi']) &&
+    isPrintMode(['--model=opus', '-p']) && isPrintMode(['--resume', '-p']));
+
+  let error = null;
+  try {
+    splitLauncherArgs(['--provider']);
+  } catch (e) {
+    error = e;
+  }
+  check('Missing flag values are rejected', error && error.message.includes('--provider requires a value'));
+  console.log('');
+}
+
+async function testLaunch(testDir) {
+  console.log('Testing claude launch...\n');
+
+  await fs.mkdir(path.join(testDir, 'repo'), { recursive: true });
+  const fakeClaude = path.join(testDir, 'fake-claude.js');
+  await fs.writeFile(fakeClaude, `#!/usr/bin/env node
+require('fs').writeFileSync(process.env.FAKE_CLAUDE_RECORD, JSON.stringify({
+  args: process.argv.slice(2),
+  coma: process.env.CLAUDE_COMA,
+  claudeBin: process.env.COMA_CLAUDE_BIN
+}));
+process.stdout.write('fake answer\\n');
+process.exit(3);
+`, { mode: 0o755 });
+  await fs.writeFile(path.join(testDir, 'package.json'), '{"type": "commonjs"}');
+
+  const result = await runComa(['--claude-bin', fakeClaude, '--model', 'opus', '-p', 'hello', '--', '--debug'], testDir);
+  const record = JSON.parse(await fs.readFile(path.join(testDir, 'record.json'), 'utf8').catch(() => '{}'));
+
+  check('Claude exit code is passed through', result.code === 3, `code ${result.code}, stderr: ${result.stderr}`);
+  check('Arguments reach claude', sameArgs(record.args, ['--model', 'opus', '-p', 'hello', '--debug']), JSON.stringify(record.args));
+  check('Claude runs with COMA enabled', record.coma === '1');
+  check('Agents use the same claude executable', record.claudeBin === fakeClaude);
+  check('Print mode keeps stdout for claude', result.stdout === 'fake answer\n', JSON.stringify(result.stdout));
+  check('Status messages go to stderr in print mode', result.stderr.includes('COMA: Launching Claude'));
+
+  const missing = await runComa(['--claude-bin', path.join(testDir, 'no-such-claude'), '-p', 'hi'], testDir);
+  check('Missing claude executable is reported', missing.code === 1 && missing.stderr.includes('--claude-bin'), missing.stderr);
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Launcher Argument Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-launcher-test-'));
+  try {
+    testSplitting();
+    await testLaunch(testDir);
+  } catch (error) {
+    console.error('Launcher test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All launcher tests passed!');
+}
+
+runAllTests();
@@ -0,0 +1,302 @@
+/**
+ * Test script for the COMA local model provider against a fake inference server
+ */
+
+import { LocalModelProvider, trimConsultation } from '../src/providers/local.js';
+import { createAgentProvider } from '../src/coma-validator.js';
+import { DEFAULT_CONFIG, mergeConfig, validateConfig } from '../src/config.js';
+import http from 'http';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fake Ollama / llama.cpp server: records each request and answers with
+ * respond(request), which returns { status, body } or null to never answer
+ */
+async function startServer(respond, port = 0) {
+  const server = { requests: [] };
+  server.http = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = { url: req.url, body: JSON.parse(body) };
+      server.requests.push(request);
+      const answer = respond(request);
+      if (!answer) return;
+      res.writeHead(answer.status ?? 200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(answer.body));
+    });
+  });
+  await new Promise(resolve => server.http.listen(port, '127.0.0.1', resolve));
+  server.port = server.http.address().port;
+  server.baseUrl = `http://127.0.0.1:${server.port}`;
+  server.stop = () => {
+    server.http.closeAllConnections();
+    return new Promise(resolve => server.http.close(resolve));
+  };
+  return server;
+}
+
+/**
+ * A port nothing listens on
+ */
+async function closedPort() {
+  const server = await startServer(() => null);
+  await server.stop();
+  return server.port;
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const ollamaAnswer = (content) => ({ body: { model: 'llama3.1', message: { role: 'assistant', content }, done: true } });
+const agent = { id: 'agent-1', file: 'src/app.js', systemPrompt: 'Guard src/app.js' };
+const consultation = { toolName: 'Bash', parameters: { command: 'rm src/app.js' } };
+
+async function testServerStyles() {
+  console.log('Testing Ollama and llama.cpp requests...\n');
+
+  let server = await startServer(() => ollamaAnswer(' Fine. APPROVE\n'));
+  try {
+    const provider = new LocalModelProvider('/repo', { baseUrl: server.baseUrl, model: 'qwen2.5-coder', contextTokens: 4096 });
+    const response = await provider.consultAgent(agent, consultation);
+    const [request] = server.requests;
+    check('Ollama answers come back trimmed', response === 'Fine. APPROVE', response);
+    check('Ollama requests go to /api/chat without streaming', request.url === '/api/chat' && request.body.stream === false);
+    check('The model and context window are sent', request.body.model === 'qwen2.5-coder' && request.body.options.num_ctx === 4096);
+    check('The agent prompt is the system message and the consultation follows',
+      request.body.messages[0].content === agent.systemPrompt && request.body.messages[1].content.includes('"command": "rm src/app.js"'));
+  } finally {
+    await server.stop();
+  }
+
+  server = await startServer(() => ({ body: { content: 'Fine. REJECT', stop: true } }));
+  try {
+    const provider = new LocalModelProvider('/repo', { api: 'llama.cpp', baseUrl: server.baseUrl, responseTokens: 512 });
+    const response = await provider.consultAgent(agent, consultation);
+    const [request] = server.requests;
+    check('llama.cpp answers come back', response === 'Fine. REJECT', response);
+    check('llama.cpp requests go to /completion with one prompt', request.url === '/completion' &&
+      request.body.prompt.startsWith(agent.systemPrompt) && request.body.prompt.includes('rm src/app.js') &&
+      request.body.n_predict === 512);
+
+    const tuned = new LocalModelProvider('/repo', { api: 'llama.cpp', baseUrl: server.baseUrl, generation: { temperature: 0.1, maxTokens: 200 } });
+    await tuned.consultAgent(agent, consultation);
+    check('Generation settings are sent, maxTokens replacing responseTokens',
+      server.requests[1].body.temperature === 0.1 && server.requests[1].body.n_predict === 200, JSON.stringify(server.requests[1].body));
+  } finally {
+    await server.stop();
+  }
+  console.log('');
+}
+
+async function testTrimming() {
+  console.log('Testing context window trimming...\n');
+
+  const small = { toolName: 'Edit', change: { diff: 'short' } };
+  check('Consultations that fit are left alone', trimConsultation(small, 1000).consultation === small &&
+    trimConsultation(small, 1000).removed === 0);
+
+  const large = {
+    toolName: 'Edit',
+    change: { filePath: 'src/app.js', diff: `+${'x'.repeat(9000)}` },
+    claudeContext: 'y'.repeat(3000)
+  };
+  const { consultation: trimmed, removed } = trimConsultation(large, 2000);
+  check('Long strings are shortened until the consultation fits', JSON.stringify(trimmed, null, 2).length <= 2000 && removed > 0,
+    `${JSON.stringify(trimmed, null, 2).length} chars`);
+  check('Short fields and the structure survive', trimmed.toolName === 'Edit' && trimmed.change.filePath === 'src/app.js' &&
+    trimmed.change.diff.startsWith('+xxx'));
+
+  const withContext = { ...large, change: { ...large.change, diff: '+x'.repeat(500) } };
+  const contextOnly = trimConsultation(withContext, 2000);
+  check('The diff is trimmed last', contextOnly.consultation.change.diff === withContext.change.diff &&
+    contextOnly.trimmedPaths.join() === 'claudeContext', contextOnly.trimmedPaths.join());
+  const bash = { toolName: 'Bash', parameters: { command: `echo ${'z'.repeat(1500)}` }, claudeContext: 'y'.repeat(3000) };
+  const bashTrimmed = trimConsultation(bash, 2000);
+  check('Tool parameters are trimmed last', bashTrimmed.consultation.parameters.command === bash.parameters.command &&
+    bashTrimmed.trimmedPaths.join() === 'claudeContext', bashTrimmed.trimmedPaths.join());
+  check('Trimmed strings say how much was cut', /\[\.\.\. \d+ characters trimmed to fit the context window\]$/.test(trimmed.change.diff));
+  check('The original consultation is not modified', large.change.diff.length === 9001);
+
+  let error = null;
+  try {
+    trimConsultation(large, 100);
+  } catch (caught) {
+    error = caught;
+  }
+  check('A consultation that cannot fit is an error', error?.message.includes('does not fit the context window'), error?.message);
+
+  const server = await startServer(() => ollamaAnswer('APPROVE'));
+  try {
+    const provider = new LocalModelProvider('/repo', { baseUrl: server.baseUrl, contextTokens: 1024, responseTokens: 256 });
+    await provider.consultAgent(agent, withContext);
+    const sent = server.requests[0].body.messages[1].content;
+    check('The provider trims to its context window', sent.length <= (1024 - 256) * 3 && sent.includes('characters trimmed'),
+      `${sent.length} chars sent`);
+    check('The agent is told what was cut short', sent.startsWith('NOTE: Parts of the consultation data were cut short'));
+
+    error = await expectError(provider.consultAgent(agent, large));
+    check('A change that does not fit is refused rather than shown in part', server.requests.length === 1 &&
+      error?.message.startsWith('The change does not fit the 1024-token context window') && error.retryable !== true, error?.message);
+
+    const unpreviewed = {
+      toolName: 'MultiEdit',
+      parameters: { file_path: 'src/app.js', edits: [{ old_string: 'a', new_string: 'b'.repeat(5000) }] },
+      previewError: 'old_string not found'
+    };
+    for (const [name, change] of [['A Bash command', { ...bash, parameters: { command: 'z'.repeat(5000) } }], ['An unpreviewed edit', unpreviewed]]) {
+      error = await expectError(provider.consultAgent(agent, change));
+      check(`${name} that does not fit is refused`, server.requests.length === 1 &&
+        error?.message.startsWith('The change does not fit'), error?.message);
+    }
+  } finally {
+    await server.stop();
+  }
+  console.log('');
+}
+
+async function testConnectionRefused() {
+  console.log('Testing refused connections...\n');
+
+  const port = await closedPort();
+  const provider = new LocalModelProvider('/repo', { baseUrl: `http://127.0.0.1:${port}`, connectRetries: 10, connectRetryDelayMs: 50 });
+  let server = null;
+  const starting = sleep(200).then(async () => { server = await startServer(() => ollamaAnswer('APPROVE'), port); });
+  try {
+    const response = await provider.consultAgent(agent, consultation);
+    check('A server that is still starting is retried until it answers', response === 'APPROVE' && server?.requests.length === 1);
+  } finally {
+    await starting;
+    await server?.stop();
+  }
+
+  const down = new LocalModelProvider('/repo', { baseUrl: `http://127.0.0.1:${port}`, connectRetries: 2, connectRetryDelayMs: 10 });
+  let error = await expectError(down.consultAgent(agent, consultation));
+  check('A server that stays down is reported after the retries', error?.message ===
+    `Cannot reach the ollama server at http://127.0.0.1:${port} (connection refused after 3 attempt(s)). Is it running?`, error?.message);
+
+  const waiting = new LocalModelProvider('/repo', { baseUrl: `http://127.0.0.1:${port}`, connectRetries: 5, connectRetryDelayMs: 10000 });
+  const controller = new AbortController();
+  const start = Date.now();
+  setTimeout(() => controller.abort(new Error('deadline')), 100);
+  error = await expectError(waiting.consultAgent(agent, consultation, { signal: controller.signal }));
+  check('Aborting stops the wait between retries', error?.message === 'deadline' && Date.now() - start < 2000,
+    `${error?.message} after ${Date.now() - start}ms`);
+  console.log('');
+}
+
+async function testFailures() {
+  console.log('Testing failures...\n');
+
+  let server = await startServer(() => ({ status: 404, body: { error: 'model "mistral" not found, try pulling it first' } }));
+  try {
+    const provider = new LocalModelProvider('/repo', { baseUrl: server.baseUrl, model: 'mistral', connectRetries: 0 });
+    const error = await expectError(provider.consultAgent(agent, consultation));
+    check('A missing Ollama model says how to get it', error?.message ===
+      `Local model "mistral" is not available on ${server.baseUrl}: model "mistral" not found, try pulling it first. ` +
+      'Run "ollama pull mistral" or change providers.local.model.', error?.message);
+    check('Model errors are not retried', server.requests.length === 1 && error?.retryable !== true);
+  } finally {
+    await server.stop();
+  }
+
+  server = await startServer(() => ({ status: 404, body: { error: { code: 404, message: 'File Not Found' } } }));
+  try {
+    const provider = new LocalModelProvider('/repo', { api: 'llama.cpp', baseUrl: server.baseUrl });
+    const error = await expectError(provider.consultAgent(agent, consultation));
+    check('A server of the other style is named as a configuration problem', error?.message ===
+      `${server.baseUrl} has no llama.cpp endpoint (HTTP 404); check providers.local.api and providers.local.baseUrl`, error?.message);
+  } finally {
+    await server.stop();
+  }
+
+  server = await startServer(() => ({ status: 500, body: { error: 'out of memory' } }));
+  try {
+    const error = await expectError(new LocalModelProvider('/repo', { baseUrl: server.baseUrl }).consultAgent(agent, consultation));
+    check('Server errors carry the status and message', error?.message === 'Local model request failed (HTTP 500): out of memory',
+      error?.message);
+    check('Server errors are marked retryable', error?.retryable === true);
+  } finally {
+    await server.stop();
+  }
+
+  server = await startServer(() => null);
+  try {
+    const provider = new LocalModelProvider('/repo', { baseUrl: server.baseUrl, timeoutMs: 300 });
+    const error = await expectError(provider.consultAgent(agent, consultation));
+    check('Requests time out after timeoutMs', error?.message === 'Local model consultation timed out', error?.message);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('deadline passed')), 100);
+    const aborted = await expectError(provider.consultAgent(agent, consultation, { signal: controller.signal }));
+    check('Aborting rejects with the signal reason', aborted?.message === 'deadline passed', aborted?.message);
+  } finally {
+    await server.stop();
+  }
+  console.log('');
+}
+
+async function testConfiguration() {
+  console.log('Testing provider configuration...\n');
+
+  const provider = await createAgentProvider('local', '/repo', mergeConfig(DEFAULT_CONFIG, {
+    timeouts: { providerMs: 4321 },
+    providers: { local: { api: 'llama.cpp', contextTokens: 2048 } }
+  }));
+  check('--provider local creates the local provider', provider instanceof LocalModelProvider);
+  check('providers.local configures it, with the usual port of each server', provider.api === 'llama.cpp' &&
+    provider.baseUrl === 'http://localhost:8080' && provider.contextTokens === 2048 && provider.timeoutMs === 4321);
+  check('Ollama is the default', (await createAgentProvider('local', '/repo')).baseUrl === 'http://localhost:11434');
+  check('Unknown server styles are rejected by the schema',
+    validateConfig({ providers: { local: { api: 'vllm' } } }).some(problem => problem.startsWith('providers.local.api must be one of')),
+    validateConfig({ providers: { local: { api: 'vllm' } } }).join('; '));
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Local Model Provider Testing ===\n');
+
+  try {
+    await testServerStyles();
+    await testTrimming();
+    await testConnectionRefused();
+    await testFailures();
+    await testConfiguration();
+  } catch (error) {
+    console.error('Local provider test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All local model provider tests passed!');
+}
+
+runAllTests();
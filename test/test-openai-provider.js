@@ -0,0 +1,208 @@
+/**
+ * Test script for the COMA OpenAI provider against a local stub server
+ */
+
+import { OpenAIProvider } from '../src/providers/openai.js';
+import { createAgentProvider } from '../src/coma-validator.js';
+import { DEFAULT_CONFIG, mergeConfig } from '../src/config.js';
+import http from 'http';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+/**
+ * OpenAI-compatible stub: records each request and answers with respond(request),
+ * which returns { status, body } or null to never answer
+ */
+async function startStub(respond) {
+  const stub = { requests: [], closed: 0 };
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      stub.requests.push(request);
+      res.on('close', () => { if (!res.writableEnded) stub.closed++; });
+      const answer = respond(request);
+      if (!answer) return;
+      res.writeHead(answer.status ?? 200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(answer.body));
+    });
+  });
+  await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+  stub.baseUrl = `http://127.0.0.1:${stub.server.address().port}/v1`;
+  stub.stop = () => {
+    stub.server.closeAllConnections();
+    return new Promise(resolve => stub.server.close(resolve));
+  };
+  return stub;
+}
+
+const completion = (content) => ({
+  status: 200,
+  body: { id: 'chatcmpl-1', object: 'chat.completion', model: 'stub', choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] }
+});
+
+const agent = { id: 'agent-1', file: 'src/app.js', systemPrompt: 'Guard src/app.js' };
+const consultation = { toolName: 'Bash', parameters: { command: 'rm src/app.js' } };
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testConsultation() {
+  console.log('Testing consultations...\n');
+
+  const stub = await startStub(() => completion('  Safe change. APPROVE\n'));
+  process.env.COMA_TEST_OPENAI_KEY = 'sk-test';
+  try {
+    const provider = new OpenAIProvider('/repo', { model: 'stub-model', baseUrl: stub.baseUrl, apiKeyEnv: 'COMA_TEST_OPENAI_KEY' });
+    const response = await provider.consultAgent(agent, consultation);
+    const [request] = stub.requests;
+
+    check('The raw response comes back trimmed', response === 'Safe change. APPROVE', response);
+    check('Requests go to the chat completions endpoint of baseUrl', request.method === 'POST' && request.url === '/v1/chat/completions');
+    check('The configured model is used', request.body.model === 'stub-model');
+    check('The key comes from the configured environment variable', request.headers.authorization === 'Bearer sk-test');
+    check('The agent prompt is the system message and the consultation follows',
+      request.body.messages[0].role === 'system' && request.body.messages[0].content === agent.systemPrompt &&
+      request.body.messages[1].content.includes('"command": "rm src/app.js"'), JSON.stringify(request.body.messages));
+  } finally {
+    delete process.env.COMA_TEST_OPENAI_KEY;
+    await stub.stop();
+  }
+
+  const noKeyStub = await startStub(() => completion('APPROVE'));
+  try {
+    const provider = new OpenAIProvider('/repo', { baseUrl: noKeyStub.baseUrl, apiKeyEnv: 'COMA_TEST_MISSING_KEY' });
+    check('Self-hosted endpoints work without a key', await provider.consultAgent(agent, consultation) === 'APPROVE');
+    check('Without generation settings the server defaults apply', !('temperature' in noKeyStub.requests[0].body) &&
+      !('max_tokens' in noKeyStub.requests[0].body));
+
+    const tuned = new OpenAIProvider('/repo', { baseUrl: noKeyStub.baseUrl, generation: { temperature: 0.2, topP: 0.9, maxTokens: 400 } });
+    await tuned.consultAgent(agent, consultation);
+    const { body } = noKeyStub.requests[1];
+    check('Generation settings are sent', body.temperature === 0.2 && body.top_p === 0.9 && body.max_tokens === 400, JSON.stringify(body));
+  } finally {
+    await noKeyStub.stop();
+  }
+
+  const error = await expectError(new OpenAIProvider('/repo', { apiKeyEnv: 'COMA_TEST_MISSING_KEY' }).consultAgent(agent, consultation));
+  check('api.openai.com without a key names the variable to set',
+    error?.message === 'OpenAI provider needs an API key: set COMA_TEST_MISSING_KEY', error?.message);
+  console.log('');
+}
+
+async function testFailures() {
+  console.log('Testing failures...\n');
+
+  let stub = await startStub(() => ({ status: 404, body: { error: { message: 'The model `nope` does not exist', type: 'invalid_request_error' } } }));
+  try {
+    const error = await expectError(new OpenAIProvider('/repo', { model: 'nope', baseUrl: stub.baseUrl }).consultAgent(agent, consultation));
+    check('HTTP errors carry the status and the server message',
+      error?.message === 'OpenAI request failed (HTTP 404): The model `nope` does not exist', error?.message);
+    check('Failed requests are not retried by the client', stub.requests.length === 1, `${stub.requests.length} requests`);
+    check('A missing model is not worth retrying', error?.retryable !== true);
+  } finally {
+    await stub.stop();
+  }
+
+  stub = await startStub(() => ({ status: 429, body: { error: { message: 'Rate limit reached', type: 'requests' } } }));
+  try {
+    const error = await expectError(new OpenAIProvider('/repo', { baseUrl: stub.baseUrl }).consultAgent(agent, consultation));
+    check('Rate limits are marked retryable', error?.retryable === true && error.message.includes('HTTP 429'), error?.message);
+  } finally {
+    await stub.stop();
+  }
+
+  stub = await startStub(() => completion(''));
+  try {
+    const error = await expectError(new OpenAIProvider('/repo', { model: 'stub-model', baseUrl: stub.baseUrl }).consultAgent(agent, consultation));
+    check('An empty answer is an error', error?.message === 'OpenAI model stub-model returned an empty response', error?.message);
+  } finally {
+    await stub.stop();
+  }
+
+  stub = await startStub(() => null);
+  try {
+    const provider = new OpenAIProvider('/repo', { baseUrl: stub.baseUrl, timeoutMs: 300 });
+    const started = Date.now();
+    const error = await expectError(provider.consultAgent(agent, consultation));
+    check('Requests time out after timeoutMs', error?.message === 'OpenAI agent consultation timed out' && error.retryable &&
+      Date.now() - started < 2000, `${error?.message} after ${Date.now() - started}ms`);
+
+    const controller = new AbortController();
+    const consulting = expectError(provider.consultAgent(agent, consultation, { signal: controller.signal }));
+    setTimeout(() => controller.abort(new Error('deadline passed')), 100);
+    const aborted = await consulting;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    check('Aborting rejects with the signal reason', aborted?.message === 'deadline passed', aborted?.message);
+    check('Aborting cancels the request', stub.closed === 2, `${stub.closed} requests closed early`);
+  } finally {
+    await stub.stop();
+  }
+
+  const closedPort = stub.baseUrl;
+  const error = await expectError(new OpenAIProvider('/repo', { baseUrl: closedPort }).consultAgent(agent, consultation));
+  check('An unreachable endpoint is named', error?.message.startsWith(`Cannot reach OpenAI endpoint ${closedPort}`), error?.message);
+  console.log('');
+}
+
+async function testFactory() {
+  console.log('Testing provider configuration...\n');
+
+  const config = mergeConfig(DEFAULT_CONFIG, {
+    timeouts: { providerMs: 1234 },
+    providers: { openai: { model: 'local-model', baseUrl: 'http://localhost:8000/v1', apiKeyEnv: 'LOCAL_KEY' } }
+  });
+  const provider = await createAgentProvider('openai', '/repo', config);
+  check('--provider openai creates the OpenAI provider', provider instanceof OpenAIProvider);
+  check('providers.openai and timeouts.providerMs configure it', provider.model === 'local-model' &&
+    provider.baseUrl === 'http://localhost:8000/v1' && provider.apiKeyEnv === 'LOCAL_KEY' && provider.timeoutMs === 1234);
+
+  const defaults = await createAgentProvider('openai', '/repo');
+  check('Defaults target api.openai.com with OPENAI_API_KEY', defaults.baseUrl === 'https://api.openai.com/v1' &&
+    defaults.apiKeyEnv === 'OPENAI_API_KEY' && defaults.model === DEFAULT_CONFIG.providers.openai.model);
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA OpenAI Provider Testing ===\n');
+
+  try {
+    await testConsultation();
+    await testFailures();
+    await testFactory();
+  } catch (error) {
+    console.error('OpenAI provider test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All OpenAI provider tests passed!');
+}
+
+runAllTests();
@@ -0,0 +1,153 @@
+/**
+ * Test script for COMA deterministic pre-checks
+ */
+
+import { runPreChecks, checkEdit } from '../src/pre-checks.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+function runHook(payload, env) {
+  return new Promise((resolve) => {
+    const proc = spawn('node', [comaScript, 'hook', 'PreToolUse'], { stdio: ['pipe', 'pipe', 'pipe'], env });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+    proc.stdin.end(JSON.stringify(payload));
+  });
+}
+
+function testCheckEdit() {
+  console.log('Testing single edit checks...\n');
+
+  const content = 'function a() {\n  return 1;\n}\nfunction b() {\n  return 1;\n}\n';
+
+  check('Applicable edits pass', checkEdit(content, { old_string: 'function a', new_string: 'function c' }, 'x.js') === null);
+  check('replace_all allows repeated matches', checkEdit(content, { old_string: 'return 1', new_string: 'return 2', replace_all: true }, 'x.js') === null);
+
+  let message = checkEdit(content, { old_string: 'return 1;', new_string: 'return 2;' }, 'x.js');
+  check('Ambiguous edits name the count and lines', message?.includes('matches 2 times in x.js (lines 2, 5)'), message);
+
+  message = checkEdit(content, { old_string: 'return 3;', new_string: 'return 2;' }, 'x.js');
+  check('Missing old_string is reported', message === 'old_string was not found in x.js', message);
+
+  message = checkEdit(content, { old_string: 'function a() {\n    return 1;', new_string: 'x' }, 'x.js');
+  check('Whitespace-only mismatches get a hint', message?.includes('whitespace were ignored'), message);
+
+  message = checkEdit(content, { old_string: 'a', new_string: 'a' }, 'x.js');
+  check('No-op edits are reported', message?.includes('identical'), message);
+
+  check('Missing files need Write', checkEdit(null, { old_string: 'a', new_string: 'b' }, 'new.js')?.includes('use Write'));
+  check('Empty old_string creates missing files', checkEdit(null, { old_string: '', new_string: 'b' }, 'new.js') === null);
+  check('Empty old_string on existing files is rejected', checkEdit('x', { old_string: '', new_string: 'b' }, 'x.js')?.includes('already exists'));
+  console.log('');
+}
+
+async function testRunPreChecks(testDir) {
+  console.log('Testing tool call pre-checks...\n');
+
+  await fs.mkdir(path.join(testDir, 'src'), { recursive: true });
+  await fs.writeFile(path.join(testDir, 'src', 'app.js'), 'const a = 1;\nconst b = 1;\n');
+  const run = (toolName, parameters) => runPreChecks({ toolName, parameters }, { repoPath: testDir });
+
+  check('Valid edits pass', await run('Edit', { file_path: 'src/app.js', old_string: 'a = 1', new_string: 'a = 2' }) === null);
+
+  let failure = await run('Edit', { file_path: path.join(testDir, 'src', 'gone.js'), old_string: 'x', new_string: 'y' });
+  check('Edit of a missing file fails with a repository path', failure?.check === 'edit' &&
+    failure.message === 'Edit rejected: src/gone.js does not exist; use Write to create it', failure?.message);
+
+  failure = await run('Write', { file_path: 'src', content: 'x' });
+  check('Write to a directory fails', failure?.check === 'target' && failure.message.includes('src is a directory'), failure?.message);
+
+  failure = await run('Write', { file_path: 'src/app.js/inner.js', content: 'x' });
+  check('Write below a file fails', failure?.message.includes('path that is a file'), failure?.message);
+
+  check('Write of a new file passes', await run('Write', { file_path: 'src/new/x.js', content: 'x' }) === null);
+
+  check('MultiEdit edits see earlier edits', await run('MultiEdit', {
+    file_path: 'src/app.js',
+    edits: [{ old_string: 'a = 1', new_string: 'a = 2' }, { old_string: 'a = 2', new_string: 'a = 3' }]
+  }) === null);
+
+  failure = await run('MultiEdit', {
+    file_path: 'src/app.js',
+    edits: [{ old_string: 'b = 1', new_string: 'b = 2' }, { old_string: '= 1', new_string: '= 0' }, { old_string: 'z', new_string: 'y' }]
+  });
+  check('MultiEdit names the first failing edit', failure?.message.includes('edit 3 of 3: old_string was not found'), failure?.message);
+
+  check('Other tools are not checked', await runPreChecks({ toolName: 'Bash', parameters: { command: 'ls' } }, { repoPath: testDir }) === null);
+  console.log('');
+}
+
+async function testHookDeny(testDir) {
+  console.log('Testing pre-check denials through the hook...\n');
+
+  const env = {
+    ...process.env,
+    HOME: testDir,
+    CLAUDE_COMA: '1',
+    COMA_REPO_PATH: testDir,
+    COMA_OUTPUT_STYLE: 'json',
+    COMA_CLAUDE_BIN: path.join(testDir, 'no-such-claude') // Consulting an agent would fail differently
+  };
+
+  const result = await runHook({
+    hook_event_name: 'PreToolUse',
+    tool_name: 'Edit',
+    tool_input: { file_path: path.join(testDir, 'src', 'app.js'), old_string: 'const', new_string: 'let' }
+  }, env);
+  const output = JSON.parse(result.stdout || '{}').hookSpecificOutput;
+  check('Failed pre-checks deny without consulting agents', output?.permissionDecision === 'deny' &&
+    output.permissionDecisionReason.startsWith('COMA: Edit rejected: old_string matches 2 times in src/app.js'),
+    result.stdout + result.stderr);
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Pre-Check Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-pre-checks-'));
+  try {
+    testCheckEdit();
+    await testRunPreChecks(testDir);
+    await testHookDeny(testDir);
+  } catch (error) {
+    console.error('Pre-check test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All pre-check tests passed!');
+}
+
+runAllTests();
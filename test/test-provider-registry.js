@@ -0,0 +1,227 @@
+/**
+ * Test script for the COMA provider registry: built-in discovery, third-party
+ * providers from a path or a package, the consultAgent contract and
+ * claude-coma providers
+ */
+
+import { loadProviders, findProvider, contractProblem } from '../src/providers/index.js';
+import { createAgentProvider } from '../src/coma-validator.js';
+import { DEFAULT_CONFIG, mergeConfig, validateConfig } from '../src/config.js';
+import { ClaudeCodeProvider } from '../src/providers/claude-code.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function writeFile(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+function runComa(args, homeDir, repoDir) {
+  return new Promise((resolve) => {
+    const env = { ...process.env, HOME: homeDir };
+    delete env.COMA_PROVIDER;
+    const proc = spawn('node', [comaScript, ...args], { cwd: repoDir, stdio: ['ignore', 'pipe', 'pipe'], env });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+// A third-party provider that answers with its options, so tests can see what it was given
+const ECHO_PROVIDER = `
+export const description = 'Echoes its options';
+export default class EchoProvider {
+  constructor(repoPath, options) {
+    this.repoPath = repoPath;
+    this.options = options;
+  }
+  async consultAgent(agent) {
+    return agent.id + ' ' + JSON.stringify(this.options) + ' APPROVE';
+  }
+}
+`;
+
+/**
+ * A repository with one working provider by path, one by package name and
+ * three broken ones
+ */
+async function createRepo(testDir) {
+  const repoPath = path.join(testDir, 'repo');
+  await writeFile(path.join(repoPath, 'tools', 'echo-provider.js'), ECHO_PROVIDER);
+  await writeFile(path.join(repoPath, 'node_modules', 'coma-provider-packaged', 'package.json'),
+    { name: 'coma-provider-packaged', type: 'module', main: 'main.js' });
+  await writeFile(path.join(repoPath, 'node_modules', 'coma-provider-packaged', 'main.js'), ECHO_PROVIDER);
+  await writeFile(path.join(repoPath, 'tools', 'no-default.js'), 'export class Provider { async consultAgent() {} }\n');
+  await writeFile(path.join(repoPath, 'tools', 'no-consult.js'), 'export default class Provider { async consult() {} }\n');
+  await writeFile(path.join(repoPath, 'tools', 'broken.js'), 'export default class {\n');
+  return repoPath;
+}
+
+const thirdPartyConfig = mergeConfig(DEFAULT_CONFIG, {
+  providers: {
+    echo: { module: './tools/echo-provider.js', temperature: 0.2 },
+    packaged: { module: 'coma-provider-packaged' },
+    'no-default': { module: './tools/no-default.js' },
+    'no-consult': { module: './tools/no-consult.js' },
+    broken: { module: './tools/broken.js' },
+    missing: { module: './tools/missing.js' }
+  }
+});
+
+async function testBuiltIns() {
+  console.log('Testing built-in provider discovery...\n');
+
+  const { providers, errors } = await loadProviders({ config: DEFAULT_CONFIG });
+  check('Every module in src/providers is a built-in provider', [...providers.keys()].join(',') === 'claude-code,local,openai',
+    [...providers.keys()].join(','));
+  check('Built-ins load without errors', errors.length === 0, JSON.stringify(errors));
+  check('Built-ins are described and marked as such', [...providers.values()].every(p => p.source === 'built-in' && p.description));
+  check('The provider class is the default export', providers.get('claude-code').Provider === ClaudeCodeProvider);
+  check('Their config section becomes their settings', providers.get('openai').settings.model === DEFAULT_CONFIG.providers.openai.model);
+
+  const provider = await createAgentProvider('claude-code', '/repo');
+  check('createAgentProvider constructs built-ins with the shared options', provider instanceof ClaudeCodeProvider &&
+    provider.timeoutMs === DEFAULT_CONFIG.timeouts.providerMs);
+
+  const error = await expectError(findProvider('gemini', { config: DEFAULT_CONFIG }));
+  check('Unknown providers name what is available',
+    error?.message === 'Unknown provider: gemini (available: claude-code, local, openai)', error?.message);
+  console.log('');
+}
+
+async function testThirdParty(repoPath) {
+  console.log('Testing third-party providers...\n');
+
+  const { providers, errors } = await loadProviders({ repoPath, config: thirdPartyConfig });
+  const echo = providers.get('echo');
+  check('Providers load from a path relative to the repository', echo?.source === './tools/echo-provider.js' &&
+    echo.description === 'Echoes its options');
+  check('Providers load from a package in the repository', providers.has('packaged'), JSON.stringify(errors));
+  check('Their settings are their config section without module', echo?.settings.temperature === 0.2 && !('module' in echo.settings));
+
+  const provider = await createAgentProvider('echo', repoPath, thirdPartyConfig);
+  const response = await provider.consultAgent({ id: 'agent-1' }, {});
+  check('createAgentProvider passes the shared options and the section', provider.repoPath === repoPath &&
+    provider.options.temperature === 0.2 && provider.options.timeoutMs === DEFAULT_CONFIG.timeouts.providerMs &&
+    response.endsWith('APPROVE'), response);
+
+  const byName = Object.fromEntries(errors.map(error => [error.name, error.message]));
+  check('A module without a default export is rejected', byName['no-default']?.startsWith('has no default export'), byName['no-default']);
+  check('A class without consultAgent is rejected', byName['no-consult']?.startsWith('default export Provider has no consultAgent method'),
+    byName['no-consult']);
+  check('A module that fails to import is reported', byName.broken?.startsWith('cannot be loaded:'), byName.broken);
+  check('A missing module is reported', byName.missing?.startsWith('cannot be loaded:'), byName.missing);
+  check('Broken providers do not hide the working ones', providers.size === 5 && errors.length === 4,
+    `${providers.size} loaded, ${errors.length} failed`);
+
+  const error = await expectError(createAgentProvider('no-consult', repoPath, thirdPartyConfig));
+  check('Using a broken provider says why it cannot be used', error?.message ===
+    'Provider "no-consult" (./tools/no-consult.js) default export Provider has no consultAgent method (see src/providers/PROVIDERS.md)',
+    error?.message);
+
+  const builtIn = await findProvider('claude-code', { repoPath, config: thirdPartyConfig });
+  check('Finding a provider does not depend on the others', builtIn.Provider === ClaudeCodeProvider &&
+    (await findProvider('echo', { repoPath, config: thirdPartyConfig })).description === 'Echoes its options');
+
+  const shadowed = await loadProviders({ repoPath, config: { providers: { openai: { module: './tools/echo-provider.js' } } } });
+  check('A third-party provider cannot replace a built-in', shadowed.providers.get('openai').source === 'built-in' &&
+    shadowed.errors[0]?.message.startsWith('is a built-in provider'), JSON.stringify(shadowed.errors));
+
+  check('The contract is checked on the module exports', contractProblem({ default: class { consultAgent() {} } }) === null &&
+    contractProblem({ default: () => {} }) !== null);
+  console.log('');
+}
+
+function testSchema() {
+  console.log('Testing third-party provider configuration...\n');
+
+  check('Third-party sections take any options', validateConfig({ providers: { echo: { module: 'x', temperature: 1 } } }).length === 0);
+  const problems = validateConfig({ providers: { echo: { temperature: 1 } } });
+  check('Third-party sections need a module', problems.includes('providers.echo.module is required'), problems.join('; '));
+  check('Built-in sections keep their own settings',
+    validateConfig({ providers: { openai: { module: 'x' } } })[0]?.startsWith('providers.openai.module is not a known setting'));
+  console.log('');
+}
+
+async function testCommand(testDir, repoPath) {
+  console.log('Testing claude-coma providers...\n');
+
+  const homeDir = path.join(testDir, 'home');
+  await writeFile(path.join(repoPath, '.coma', 'config.json'), { provider: 'echo', providers: { echo: thirdPartyConfig.providers.echo } });
+  let result = await runComa(['providers'], homeDir, repoPath);
+  check('The providers command lists built-in and third-party providers', result.code === 0 &&
+    result.stdout.includes('claude-code - Claude Code sessions') && result.stdout.includes('[built-in]') &&
+    result.stdout.includes('echo (active) - Echoes its options [from ./tools/echo-provider.js]'), result.stdout + result.stderr);
+
+  await writeFile(path.join(repoPath, '.coma', 'config.json'), { providers: { 'no-consult': thirdPartyConfig.providers['no-consult'] } });
+  result = await runComa(['providers'], homeDir, repoPath);
+  check('Broken providers make the command fail and say why', result.code === 1 &&
+    result.stderr.includes('no-consult (./tools/no-consult.js) default export Provider has no consultAgent method'), result.stderr);
+
+  await writeFile(path.join(repoPath, '.coma', 'config.json'), {});
+  result = await runComa(['--provider', 'gemini'], homeDir, repoPath);
+  check('Launching with an unknown provider fails before claude starts', result.code === 1 &&
+    result.stderr.includes('Unknown provider: gemini') && result.stderr.includes('claude-coma providers'), result.stderr);
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Provider Registry Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-registry-test-'));
+  try {
+    const repoPath = await createRepo(testDir);
+    await testBuiltIns();
+    await testThirdParty(repoPath);
+    testSchema();
+    await testCommand(testDir, repoPath);
+  } catch (error) {
+    console.error('Provider registry test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All provider registry tests passed!');
+}
+
+runAllTests();
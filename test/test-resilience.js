@@ -0,0 +1,282 @@
+/**
+ * Test script for COMA provider retries, circuit breaking and fallback chains
+ */
+
+import { backoffDelay, consultWithFallback, CircuitBreaker, isRetryableStatus } from '../src/resilience.js';
+import { ComaValidator, formatTimings } from '../src/coma-validator.js';
+import { ContextManager } from '../src/context-manager.js';
+import { DEFAULT_CONFIG, mergeConfig, validateConfig, configFromEnv } from '../src/config.js';
+import { VerdictCache } from '../src/verdict-cache.js';
+import { ClaudeCodeProvider } from '../src/providers/claude-code.js';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const transient = (message) => Object.assign(new Error(message), { retryable: true });
+const fast = { backoffMs: 10, maxBackoffMs: 40 };
+
+function testBackoff() {
+  console.log('Testing backoff...\n');
+
+  const settings = { backoffMs: 100, maxBackoffMs: 1000 };
+  check('The longest wait doubles with each retry', backoffDelay(0, settings, () => 0.999) === 99 &&
+    backoffDelay(1, settings, () => 0.999) === 199 && backoffDelay(2, settings, () => 0.999) === 399);
+  check('The wait is capped at maxBackoffMs', backoffDelay(10, settings, () => 0.999) === 999);
+  check('Jitter spreads waits from zero up to the cap', backoffDelay(3, settings, () => 0) === 0 &&
+    backoffDelay(3, settings, () => 0.5) === 400);
+  check('Rate limits and server errors are retryable statuses', isRetryableStatus(429) && isRetryableStatus(503) &&
+    !isRetryableStatus(400) && !isRetryableStatus(404));
+  console.log('');
+}
+
+async function testRetries() {
+  console.log('Testing retries and fallback chains...\n');
+
+  let calls = [];
+  let result = await consultWithFallback([{ name: 'a' }], async (entry) => {
+    calls.push(entry.name);
+    if (calls.length < 3) throw transient('overloaded');
+    return 'APPROVE';
+  }, { retries: 2, ...fast });
+  check('Retryable errors are retried until the provider answers', result.response === 'APPROVE' && result.provider === 'a' &&
+    calls.length === 3);
+
+  calls = [];
+  let error = await expectError(consultWithFallback([{ name: 'a' }], async () => {
+    calls.push('a');
+    throw new Error('invalid api key');
+  }, { retries: 2, ...fast }));
+  check('Other errors are not retried, and a single provider fails with its own error',
+    calls.length === 1 && error?.message === 'invalid api key', error?.message);
+
+  calls = [];
+  error = await expectError(consultWithFallback([{ name: 'a' }], async () => {
+    calls.push('a');
+    throw transient('overloaded');
+  }, { retries: 1, ...fast }));
+  check('Retries stop after resilience.retries', calls.length === 2 && error?.message === 'overloaded');
+
+  calls = [];
+  result = await consultWithFallback([{ name: 'claude-code' }, { name: 'openai' }, { name: 'local' }], async (entry) => {
+    calls.push(entry.name);
+    if (entry.name === 'claude-code') throw transient('overloaded');
+    if (entry.name === 'openai') throw new Error('no API key');
+    return 'APPROVE';
+  }, { retries: 1, ...fast });
+  check('The chain is tried in order until a provider answers', result.provider === 'local' &&
+    calls.join(',') === 'claude-code,claude-code,openai,local', calls.join(','));
+
+  error = await expectError(consultWithFallback([{ name: 'a' }, { name: 'b' }], async (entry) => {
+    throw new Error(`${entry.name} is down`);
+  }, fast));
+  check('When every provider fails, the error lists each one',
+    error?.message === 'No provider could answer: a: a is down; b: b is down', error?.message);
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error('deadline passed')), 50);
+  const started = Date.now();
+  error = await expectError(consultWithFallback([{ name: 'a' }, { name: 'b' }], async () => {
+    throw transient('overloaded');
+  }, { retries: 5, backoffMs: 10000, maxBackoffMs: 10000, signal: controller.signal, random: () => 1 }));
+  check('Aborting stops the backoff and skips the fallbacks', error?.message === 'deadline passed' &&
+    Date.now() - started < 2000, `${error?.message} after ${Date.now() - started}ms`);
+  console.log('');
+}
+
+async function testCircuitBreaker(testDir) {
+  console.log('Testing the circuit breaker...\n');
+
+  let now = 1000000;
+  const dir = path.join(testDir, 'circuits');
+  const breaker = new CircuitBreaker({ dir, threshold: 3, cooldownMs: 60000, now: () => now });
+  const otherProcess = new CircuitBreaker({ dir, threshold: 3, cooldownMs: 60000, now: () => now });
+
+  let calls = 0;
+  const flaky = async () => {
+    calls++;
+    throw transient('overloaded');
+  };
+  await expectError(consultWithFallback([{ name: 'claude-code' }], flaky, { retries: 2, ...fast, breaker }));
+  check('Consecutive retryable failures open the circuit', calls === 3 && await breaker.remainingMs('claude-code') === 60000);
+  check('The open circuit is shared with other hook processes', await otherProcess.remainingMs('claude-code') === 60000);
+
+  calls = 0;
+  const result = await consultWithFallback([{ name: 'claude-code' }, { name: 'openai' }], async (entry) => {
+    calls++;
+    return `${entry.name}: APPROVE`;
+  }, { breaker: otherProcess });
+  check('A provider with an open circuit is skipped for the next in the chain', calls === 1 && result.provider === 'openai');
+
+  const error = await expectError(consultWithFallback([{ name: 'claude-code' }], flaky, { breaker }));
+  check('Skipping the only provider says when it is tried again',
+    error?.message === 'No provider could answer: claude-code: skipped, failing repeatedly (retrying in 60s)', error?.message);
+
+  now += 60000;
+  check('The circuit lets calls through after the cooldown', await breaker.remainingMs('claude-code') === 0);
+  await expectError(consultWithFallback([{ name: 'claude-code' }], flaky, { breaker }));
+  check('One more failure reopens it', await breaker.remainingMs('claude-code') === 60000);
+
+  now += 60000;
+  await consultWithFallback([{ name: 'claude-code' }], async () => 'APPROVE', { breaker });
+  await expectError(consultWithFallback([{ name: 'claude-code' }], flaky, { breaker }));
+  check('A success closes it and resets the count', await breaker.remainingMs('claude-code') === 0 &&
+    (await breaker.state('claude-code')).failures === 1);
+
+  await expectError(consultWithFallback([{ name: 'openai' }], async () => { throw new Error('bad request'); }, { breaker }));
+  await expectError(consultWithFallback([{ name: 'openai' }], async () => { throw new Error('bad request'); }, { breaker }));
+  await expectError(consultWithFallback([{ name: 'openai' }], async () => { throw new Error('bad request'); }, { breaker }));
+  check('Errors that are not transient do not open the circuit', await breaker.remainingMs('openai') === 0);
+
+  const disabled = new CircuitBreaker({ dir: path.join(testDir, 'disabled'), threshold: 0, cooldownMs: 60000 });
+  await expectError(consultWithFallback([{ name: 'a' }], flaky, { retries: 3, ...fast, breaker: disabled }));
+  check('A threshold of 0 disables the breaker', await disabled.remainingMs('a') === 0 &&
+    !(await fs.access(disabled.dir).then(() => true, () => false)));
+  console.log('');
+}
+
+async function testValidator(testDir) {
+  console.log('Testing fallback in the validator...\n');
+
+  const repoDir = path.join(testDir, 'repo');
+  await fs.mkdir(repoDir, { recursive: true });
+  await fs.writeFile(path.join(repoDir, 'app.js'), 'export const app = 1;\n');
+
+  const consulted = [];
+  const validator = new ComaValidator();
+  validator.repoPath = repoDir;
+  validator.outputStyle = 'json'; // Keeps progress messages off the test output
+  validator.contextManager = new ContextManager();
+  validator.verdictCache = new VerdictCache({ repoPath: repoDir, ...DEFAULT_CONFIG.cache });
+  validator.config = mergeConfig(DEFAULT_CONFIG, {
+    resilience: { retries: 1, backoffMs: 10, breakerThreshold: 0, fallback: ['openai', 'local'] }
+  });
+  validator.createProvider = async (name) => ({
+    async consultAgent() {
+      consulted.push(name);
+      if (name === 'claude-code') throw transient('Claude Code agent failed: overloaded');
+      return `Checked by ${name}. APPROVE`;
+    }
+  });
+
+  const agents = [{ id: 'app.js', file: 'app.js', files: ['app.js'], systemPrompt: 'Guard app.js' }];
+  const bash = { toolName: 'Bash', parameters: { command: 'make' } };
+  let [result] = await validator.consultAcolytes(agents, bash);
+  check('A failing provider is retried, then the first fallback answers', result.decision === 'APPROVE' &&
+    consulted.join(',') === 'claude-code,claude-code,openai', consulted.join(','));
+  check('The result records which provider answered', result.provider === 'openai' && result.fallbackFrom === 'claude-code');
+  check('Timings show the fallback', formatTimings([result]).includes('APPROVE in') &&
+    formatTimings([result]).endsWith('via openai (claude-code failed)'), formatTimings([result]));
+
+  consulted.length = 0;
+  [result] = await validator.consultAcolytes(agents, bash);
+  check('Fallback answers are not cached', consulted.includes('claude-code') && !result.cached);
+
+  // The provider recovers
+  validator.agentProviders.clear();
+  validator.createProvider = async (name) => ({ async consultAgent() { return `Checked by ${name}. APPROVE`; } });
+  [result] = await validator.consultAcolytes(agents, bash);
+  const [cached] = await validator.consultAcolytes(agents, bash);
+  check('The own provider is recorded too, also for cached verdicts', result.provider === 'claude-code' &&
+    result.fallbackFrom === null && cached.cached && cached.provider === 'claude-code', JSON.stringify([result, cached]));
+  console.log('');
+}
+
+async function testClaudeCodeFailures(testDir) {
+  console.log('Testing which claude failures are retried...\n');
+
+  // A fake claude that fails with the message given in its environment
+  const claudeBin = path.join(testDir, 'failing-claude.cjs');
+  await fs.writeFile(claudeBin, `#!/usr/bin/env node
+process.stderr.write(process.env.FAKE_CLAUDE_ERROR);
+process.exit(1);
+`, { mode: 0o755 });
+  const failWith = async (message) => {
+    process.env.FAKE_CLAUDE_ERROR = message;
+    try {
+      return await expectError(new ClaudeCodeProvider(testDir, { claudeBin, timeoutMs: 10000 }).consultAgent(
+        { id: 'app.js', systemPrompt: 'Guard app.js' }, { toolName: 'Write' }));
+    } finally {
+      delete process.env.FAKE_CLAUDE_ERROR;
+    }
+  };
+
+  for (const message of ['API Error: 529 {"type":"error","error":{"type":"overloaded_error"}}', 'API Error: 429 rate limit exceeded',
+    'API Error: Connection error.', 'Request timed out']) {
+    const error = await failWith(message);
+    check(`Retryable: ${message}`, error?.retryable === true, error?.message);
+  }
+  for (const message of ['API Error: 404 model: claude-nope not found', 'Invalid API key · Please run /login',
+    "error: unknown option '--bogus'"]) {
+    const error = await failWith(message);
+    check(`Fails at once: ${message}`, error?.retryable === false && error.message.includes(message), error?.message);
+  }
+  console.log('');
+}
+
+function testConfiguration() {
+  console.log('Testing resilience configuration...\n');
+
+  check('Resilience settings are validated', validateConfig({ resilience: { retries: -1 } })
+    .includes('resilience.retries must be an integer >= 0 (got number -1)'));
+  check('The fallback chain is a list of provider names', validateConfig({ resilience: { fallback: 'openai' } })
+    .some(problem => problem.startsWith('resilience.fallback must be an array')));
+  const layer = configFromEnv({ COMA_FALLBACK_PROVIDERS: 'openai, local' });
+  check('COMA_FALLBACK_PROVIDERS takes a comma-separated chain', JSON.stringify(layer.resilience?.fallback) === '["openai","local"]',
+    JSON.stringify(layer));
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Resilience Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-resilience-test-'));
+  process.env.COMA_RUNTIME_DIR = path.join(testDir, 'runtime');
+  try {
+    testBackoff();
+    await testRetries();
+    await testCircuitBreaker(testDir);
+    await testValidator(testDir);
+    await testClaudeCodeFailures(testDir);
+    testConfiguration();
+  } catch (error) {
+    console.error('Resilience test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All resilience tests passed!');
+}
+
+runAllTests();
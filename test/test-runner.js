@@ -82,7 +82,25 @@ class ComaTestRunner {
       'test-context-capture.js',
       'test-file-scanning.js',
       'test-error-scenarios.js',
-      'test-providers.js'
+      'test-providers.js',
+      'test-hook-input.js',
+      'test-hook-output.js',
+      'test-doctor.js',
+      'test-launcher-args.js',
+      'test-config.js',
+      'test-bash-analyzer.js',
+      'test-change-preview.js',
+      'test-pre-checks.js',
+      'test-verdict-parser.js',
+      'test-verdict-cache.js',
+      'test-concurrency.js',
+      'test-consultation-deadline.js',
+      'test-agent-processes.js',
+      'test-openai-provider.js',
+      'test-local-provider.js',
+      'test-provider-registry.js',
+      'test-agent-providers.js',
+      'test-resilience.js'
     ];
 
     let passed = 0;
@@ -160,7 +160,7 @@ Example decisions:
       } catch {}
 
       // Verify results
-      const badNamingBlocked = badNamingResult.code === 1; // Should be rejected (exit code 1)
+      const badNamingBlocked = badNamingResult.code === 2; // Should be blocked (exit code 2, reasoning on stderr)
       const goodNamingApproved = goodNamingResult.code === 0; // Should be approved (exit code 0)
       const transparentSuccess = transparentResult.code === 0; // Should pass through (exit code 0)
 
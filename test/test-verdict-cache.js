@@ -0,0 +1,212 @@
+/**
+ * Test script for the COMA verdict cache
+ */
+
+import { VerdictCache, verdictCacheKey, hashFiles, normalizeConsultation } from '../src/verdict-cache.js';
+import { ComaValidator } from '../src/coma-validator.js';
+import { ContextManager } from '../src/context-manager.js';
+import { RepositoryScanner } from '../src/repository-scanner.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const comaScript = path.join(__dirname, '..', 'src', 'claude-coma.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+function runComa(args, cwd) {
+  return new Promise((resolve) => {
+    const proc = spawn('node', [comaScript, ...args], { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+async function testKeys(testDir) {
+  console.log('Testing cache keys...\n');
+
+  await fs.writeFile(path.join(testDir, 'a.js'), 'const a = 1;\n');
+  const consultation = { toolName: 'Bash', parameters: { command: 'npm run build' }, cwd: testDir };
+  const key = async (overrides = {}) => verdictCacheKey({
+    systemPrompt: 'Guard a.js',
+    provider: 'claude-code',
+    consultation,
+    files: await hashFiles(testDir, ['a.js']),
+    ...overrides
+  });
+
+  const base = await key();
+  check('Keys are stable', base === await key() && /^[0-9a-f]{64}$/.test(base));
+  check('Volatile context does not change the key', base === await key({
+    consultation: { ...consultation, claudeContext: 'Recent messages', sessionId: 's1', transcriptPath: '/tmp/t.jsonl' }
+  }));
+  check('Key order does not matter', base === await key({ consultation: { cwd: testDir, parameters: consultation.parameters, toolName: 'Bash' } }));
+  check('The command is part of the key', base !== await key({ consultation: { ...consultation, parameters: { command: 'npm test' } } }));
+  check('The agent prompt is part of the key', base !== await key({ systemPrompt: 'Guard b.js' }));
+  check('The provider is part of the key', base !== await key({ provider: 'openai' }));
+
+  await fs.writeFile(path.join(testDir, 'a.js'), 'const a = 2;\n');
+  check('File content is part of the key', base !== await key());
+
+  const hashes = await hashFiles(testDir, ['missing.js', 'a.js', 'a.js']);
+  check('Files are hashed once, in order, with null for missing ones', hashes.length === 2 &&
+    hashes[0][0] === 'a.js' && hashes[1][0] === 'missing.js' && hashes[1][1] === null, JSON.stringify(hashes));
+  check('Only volatile fields are dropped', JSON.stringify(normalizeConsultation({ toolName: 'Edit', claudeContext: 'x' })) === '{"toolName":"Edit"}');
+  console.log('');
+}
+
+async function testStorage(testDir) {
+  console.log('Testing storage, expiry and limits...\n');
+
+  let now = 1000;
+  const cache = new VerdictCache({ repoPath: testDir, ttlMs: 500, maxEntries: 3, now: () => now });
+  const result = { decision: 'APPROVE', reasoning: 'Fine', verdict: null };
+
+  check('Unknown keys miss', await cache.get('a'.repeat(64)) === null);
+  await cache.set('a'.repeat(64), result);
+  check('Stored verdicts are returned', JSON.stringify(await cache.get('a'.repeat(64))) === JSON.stringify(result));
+  check('Entries live in the runtime directory, outside the repository',
+    cache.cacheDir.startsWith(path.join(process.env.COMA_RUNTIME_DIR, 'verdicts')) &&
+    await fs.stat(path.join(testDir, '.coma')).then(() => false, () => true), cache.cacheDir);
+  check('Each repository has its own entries',
+    new VerdictCache({ repoPath: path.join(testDir, 'other') }).cacheDir !== cache.cacheDir);
+
+  now = 1600;
+  check('Expired entries miss', await cache.get('a'.repeat(64)) === null);
+  check('Expired entries are removed', !(await fs.readdir(cache.cacheDir)).includes(`${'a'.repeat(64)}.json`));
+
+  for (const [index, letter] of ['b', 'c', 'd', 'e'].entries()) {
+    await cache.set(letter.repeat(64), result);
+    const time = new Date(Date.now() - (10 - index) * 1000);
+    await fs.utimes(cache.entryPath(letter.repeat(64)), time, time);
+  }
+  await cache.prune();
+  const names = (await fs.readdir(cache.cacheDir)).sort();
+  check('The oldest entries beyond maxEntries are dropped', names.length === 3 && !names.includes(`${'b'.repeat(64)}.json`),
+    names.join(', '));
+
+  await fs.writeFile(cache.entryPath('f'.repeat(64)), '{ not json');
+  check('Unreadable entries miss', await cache.get('f'.repeat(64)) === null);
+
+  check('clear counts and removes every entry', await cache.clear() === 3 &&
+    await fs.stat(cache.cacheDir).then(() => false, () => true));
+  console.log('');
+}
+
+async function testValidatorCaching(testDir) {
+  console.log('Testing cached consultations...\n');
+
+  const repoDir = path.join(testDir, 'repo');
+  await fs.mkdir(path.join(repoDir, 'src'), { recursive: true });
+  await fs.writeFile(path.join(repoDir, 'src', 'app.js'), 'export const a = 1;\n');
+  await fs.writeFile(path.join(repoDir, 'src', 'other.js'), 'export const b = 1;\n');
+
+  let calls = 0;
+  let answer = 'Looks fine. APPROVE';
+  const validator = new ComaValidator();
+  validator.repoPath = repoDir;
+  validator.outputStyle = 'json'; // Keeps progress messages off the test output
+  validator.config = DEFAULT_CONFIG;
+  validator.contextManager = new ContextManager();
+  validator.verdictCache = new VerdictCache({ repoPath: repoDir, ...DEFAULT_CONFIG.cache });
+  validator.createProvider = async () => ({
+    async consultAgent() {
+      calls++;
+      if (answer instanceof Error) throw answer;
+      return answer;
+    }
+  });
+
+  const agents = await new RepositoryScanner({ repoPath: repoDir, config: DEFAULT_CONFIG }).createAgents('Guard {{FILE_PATH}}');
+  const app = agents.filter(agent => agent.file === 'src/app.js');
+  const edit = { toolName: 'Edit', parameters: { file_path: path.join(repoDir, 'src', 'app.js'), old_string: 'a = 1', new_string: 'a = 2' } };
+  const consult = () => validator.consultAcolytes(app, edit, ['src/app.js']);
+
+  let results = await consult();
+  check('The first review consults the agent', calls === 1 && results[0].decision === 'APPROVE');
+  results = await consult();
+  check('A repeated change reuses the verdict', calls === 1 && results[0].decision === 'APPROVE' &&
+    results[0].agentId === app[0].id, JSON.stringify(results));
+
+  await fs.writeFile(path.join(repoDir, 'src', 'other.js'), 'export const b = 2;\n');
+  await consult();
+  check('Changes to unrelated files keep the verdict', calls === 1);
+
+  await fs.writeFile(path.join(repoDir, 'src', 'app.js'), 'export const a = 1; // note\n');
+  await consult();
+  check('Changed file content invalidates the verdict', calls === 2);
+
+  answer = new Error('rate limited');
+  const bash = { toolName: 'Bash', parameters: { command: 'rm src/app.js' } };
+  results = await validator.consultAcolytes(app, bash, ['src/app.js']);
+  answer = 'Fine. REJECT';
+  results = await validator.consultAcolytes(app, bash, ['src/app.js']);
+  check('Failed consultations are not cached', calls === 4 && results[0].decision === 'REJECT');
+  console.log('');
+}
+
+async function testCacheClearCommand(testDir) {
+  console.log('Testing claude-coma cache clear...\n');
+
+  const repoDir = path.join(testDir, 'cli-repo');
+  await fs.mkdir(repoDir);
+  const cache = new VerdictCache({ repoPath: repoDir, ...DEFAULT_CONFIG.cache });
+  await cache.set('a'.repeat(64), { decision: 'APPROVE', reasoning: 'ok', verdict: null });
+
+  let result = await runComa(['cache', 'clear'], repoDir);
+  check('cache clear empties the cache', result.code === 0 && result.stdout.includes('Cleared 1 cached verdict(s)') &&
+    await cache.get('a'.repeat(64)) === null, result.stdout + result.stderr);
+
+  result = await runComa(['cache'], repoDir);
+  check('cache without clear prints usage', result.code === 1 && result.stderr.includes('Usage: claude-coma cache clear'));
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Verdict Cache Testing ===\n');
+
+  const testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'coma-verdict-cache-'));
+  process.env.COMA_RUNTIME_DIR = path.join(testDir, 'runtime');
+  try {
+    await testKeys(testDir);
+    await testStorage(testDir);
+    await testValidatorCaching(testDir);
+    await testCacheClearCommand(testDir);
+  } catch (error) {
+    console.error('Verdict cache test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All verdict cache tests passed!');
+}
+
+runAllTests();
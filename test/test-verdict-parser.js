@@ -0,0 +1,151 @@
+/**
+ * Test script for COMA agent verdict parsing
+ */
+
+import { parseVerdict, extractJsonCandidates, findLastKeyword } from '../src/verdict-parser.js';
+import { renderAgentPrompt } from '../src/repository-scanner.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details = '') {
+  if (condition) {
+    console.log(`PASS - ${description}`);
+    passed++;
+  } else {
+    console.log(`FAIL - ${description}`);
+    if (details) console.log(`   ${details}`);
+    failed++;
+  }
+}
+
+const verdictJson = (verdict) => JSON.stringify({ severity: 'none', summary: 'Fine', findings: [], ...verdict }, null, 2);
+
+function testJsonVerdicts() {
+  console.log('Testing JSON verdicts...\n');
+
+  const fenced = `The change renames a helper that other modules import.
+
+\`\`\`json
+${verdictJson({
+    decision: 'REJECT',
+    severity: 'high',
+    confidence: 0.8,
+    summary: 'Renaming formatDate breaks two callers',
+    findings: [{ file: 'src/report.js', line: 14, message: 'Still imports formatDate', suggestion: 'Update the import' }]
+  })}
+\`\`\``;
+  let result = parseVerdict(fenced);
+  check('Fenced verdicts are parsed', result.source === 'json' && result.decision === 'REJECT' &&
+    result.verdict.severity === 'high' && result.verdict.confidence === 0.8, JSON.stringify(result));
+  check('Reasoning lists the summary and findings',
+    result.reasoning === 'Renaming formatDate breaks two callers\n- src/report.js:14: Still imports formatDate (suggestion: Update the import)',
+    result.reasoning);
+
+  result = parseVerdict(`I looked at the file. {"decision": "APPROVE", "summary": "Only a comment changes"} That is all.`);
+  check('Bare JSON inside prose is parsed', result.source === 'json' && result.decision === 'APPROVE' &&
+    result.verdict.severity === 'none' && result.verdict.findings.length === 0, JSON.stringify(result));
+
+  result = parseVerdict(`For example {"decision": "REJECT", "summary": "example"} would be a rejection, but here:
+\`\`\`json
+{"decision": "APPROVE", "summary": "Safe", "findings": []}
+\`\`\``);
+  check('Fenced blocks win over prose examples', result.decision === 'APPROVE' && result.verdict.summary === 'Safe');
+
+  result = parseVerdict('```\n{"decision": "approve", "summary": "Braces in strings: {\\"}", "findings": []}\n```');
+  check('Decisions are case-insensitive and strings may contain braces', result.source === 'json' && result.decision === 'APPROVE',
+    JSON.stringify(result));
+
+  result = parseVerdict('{"decision": "LGTM", "summary": "ok"}', { decisions: { approve: 'LGTM', reject: 'NACK' } });
+  check('Configured decision keywords are accepted', result.source === 'json' && result.decision === 'APPROVE');
+
+  result = parseVerdict('```json\n{"decision": "APPROVE_WITH_COMMENTS", "summary": "Fine", "findings": [{"message": "Add a JSDoc"}]}\n```');
+  check('Approvals with comments are a decision of their own', result.decision === 'APPROVE_WITH_COMMENTS' &&
+    result.reasoning === 'Fine\n- Add a JSDoc', JSON.stringify(result));
+
+  check('Candidates need a decision key', extractJsonCandidates('{"a": 1} and {"decision": "REJECT"}').length === 1);
+  console.log('');
+}
+
+function testInvalidVerdicts() {
+  console.log('Testing invalid verdicts...\n');
+
+  let result = parseVerdict('```json\n{"decision": "APPROVE", "severity": "catastrophic", "confidence": 2, "summary": "ok"}\n```');
+  check('Schema problems are reported', result.source === 'keyword' &&
+    result.problems.some(problem => problem.includes('verdict.severity must be one of')) &&
+    result.problems.some(problem => problem.includes('verdict.confidence must be a number from 0 to 1')), result.problems.join('; '));
+
+  result = parseVerdict('```json\n{"decision": "MAYBE", "summary": "unsure"}\n```');
+  check('Unknown decisions are not verdicts', result.source === 'none' && result.decision === 'REJECT' &&
+    result.problems.some(problem => problem.includes('verdict.decision must be')), JSON.stringify(result));
+
+  result = parseVerdict('```json\n{"decision": "APPROVE", "findings": [{"line": 0}]}\n```');
+  check('Missing summary and bad findings are reported', result.problems.some(problem => problem === 'verdict.summary is required') &&
+    result.problems.some(problem => problem.startsWith('verdict.findings[0].message')) &&
+    result.problems.some(problem => problem.startsWith('verdict.findings[0].line')), result.problems.join('; '));
+  console.log('');
+}
+
+function testKeywordFallback() {
+  console.log('Testing the keyword fallback...\n');
+
+  let result = parseVerdict('I cannot APPROVE this; REJECT');
+  check('The last keyword wins', result.decision === 'REJECT' && result.source === 'keyword' &&
+    result.problems[0] === 'no JSON verdict found', JSON.stringify(result));
+
+  result = parseVerdict('At first I leaned towards REJECT, but the tests cover it. APPROVE');
+  check('A final approval after an earlier rejection approves', result.decision === 'APPROVE');
+
+  result = parseVerdict('Safe, with a nit about naming. APPROVE_WITH_COMMENTS');
+  check('A longer keyword is not mistaken for the one it contains', result.decision === 'APPROVE_WITH_COMMENTS');
+
+  check('Keywords must stand alone', findLastKeyword('This is DISAPPROVED and REJECTED') === null);
+  check('Configured keywords are used', findLastKeyword('fine. LGTM', { approve: 'LGTM', reject: 'NACK' }) === 'APPROVE');
+
+  result = parseVerdict('No idea.');
+  check('No decision at all rejects', result.decision === 'REJECT' && result.source === 'none' &&
+    result.reasoning === 'Unclear response: No idea.');
+  console.log('');
+}
+
+async function testBasePrompt() {
+  console.log('Testing the base prompt...\n');
+
+  const template = await fs.readFile(path.join(__dirname, '..', 'src', 'prompts', 'base.md'), 'utf8');
+  const prompt = renderAgentPrompt(template, { filePath: 'src/app.js', decisions: { approve: 'APPROVE', reject: 'REJECT' } });
+  const example = parseVerdict(prompt.substring(prompt.indexOf('## Response Format')));
+  check('The prompt asks for a verdict the parser accepts', example.source === 'json' &&
+    example.verdict.findings[0].file === 'src/app.js', JSON.stringify(example.problems));
+  console.log('');
+}
+
+async function runAllTests() {
+  console.log('=== COMA Verdict Parser Testing ===\n');
+
+  try {
+    testJsonVerdicts();
+    testInvalidVerdicts();
+    testKeywordFallback();
+    await testBasePrompt();
+  } catch (error) {
+    console.error('Verdict parser test runner failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+
+  console.log(`=== Results ===`);
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log('\nSUCCESS All verdict parser tests passed!');
+}
+
+runAllTests();